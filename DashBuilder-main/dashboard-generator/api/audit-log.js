@@ -0,0 +1,60 @@
+/**
+ * API Audit Log
+ * Records who deployed which dashboard to which account. Entries are JSON
+ * lines appended to a file (DASHGEN_AUDIT_LOG) when one is configured; the
+ * most recent entries are also kept in memory.
+ */
+
+const fs = require('fs');
+
+class AuditLog {
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = [];
+  }
+
+  // Record entry, stamped with the time. File write errors are reported but
+  // never fail the request being audited.
+  async record(entry) {
+    const stamped = { timestamp: new Date().toISOString(), ...entry };
+    this.entries.push(stamped);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift();
+    }
+
+    if (this.file) {
+      try {
+        await fs.promises.appendFile(this.file, `${JSON.stringify(stamped)}\n`);
+      } catch (error) {
+        console.error(`Failed to write audit log ${this.file}:`, error.message);
+      }
+    }
+    return stamped;
+  }
+
+  /**
+   * Entries for tenant, newest first. Reads the whole file when there is
+   * one, so entries from before a restart are included.
+   */
+  async list(tenant, limit = 100) {
+    let entries = this.entries;
+    if (this.file && fs.existsSync(this.file)) {
+      const content = await fs.promises.readFile(this.file, 'utf8');
+      entries = content.split('\n').filter(Boolean).map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      }).filter(Boolean);
+    }
+
+    return entries
+      .filter(entry => entry.tenant === tenant)
+      .slice(-limit)
+      .reverse();
+  }
+}
+
+module.exports = AuditLog;
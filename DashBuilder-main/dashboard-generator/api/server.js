@@ -1,5 +1,10 @@
 const express = require('express');
+const path = require('path');
 const { DashboardGenerator } = require('../index');
+const JobManager = require('../lib/job-manager');
+const { checkWebhookUrl } = require('../lib/webhook-target');
+const TenantRegistry = require('./tenants');
+const AuditLog = require('./audit-log');
 const dotenv = require('dotenv');
 
 dotenv.config();
@@ -7,31 +12,106 @@ dotenv.config();
 const app = express();
 app.use(express.json());
 
-// Initialize dashboard generator
-const generator = new DashboardGenerator({
-  apiKey: process.env.NEW_RELIC_API_KEY,
-  accountId: process.env.NEW_RELIC_ACCOUNT_ID
+// Tenants, their accounts and tokens, and the deployment audit log
+const tenants = TenantRegistry.fromEnvironment();
+const audit = new AuditLog({ file: process.env.DASHGEN_AUDIT_LOG });
+if (tenants.unavailable) {
+  console.warn(`${tenants.unavailable}. Every /api request will be answered with 503.`);
+} else if (tenants.tokens.size === 0) {
+  console.warn('No API tokens configured: set DASHGEN_TENANTS_FILE or DASHGEN_API_TOKENS. Every /api request will be rejected.');
+}
+
+// Background generation jobs, saved to disk so results outlive a restart
+const jobs = new JobManager({
+  dir: process.env.DASHGEN_JOBS_DIR || path.join(process.cwd(), '.dashbuilder', 'jobs'),
+  concurrency: parseInt(process.env.DASHGEN_JOB_CONCURRENCY || '2'),
+  // Jobs reloaded after a restart sign their webhook with their tenant's secret
+  webhookSecret: job => (tenants.tenants.get(job.owner) || {}).webhookSecret
 });
 
+// One generator per tenant account, created on first use
+const generators = new Map();
+function generatorFor(req) {
+  const key = `${req.tenant.id}:${req.account.accountId}`;
+  if (!generators.has(key)) {
+    generators.set(key, new DashboardGenerator({
+      apiKey: req.account.apiKey,
+      accountId: req.account.accountId,
+      region: req.account.region || process.env.NEW_RELIC_REGION,
+      endpoint: req.account.endpoint || process.env.NEW_RELIC_NERDGRAPH_URL
+    }));
+  }
+  return generators.get(key);
+}
+
 // Middleware for error handling
 const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
+// Who did what, for the audit log
+function auditEntry(req, action) {
+  return {
+    tenant: req.tenant.id,
+    token: req.token,
+    accountId: req.account.accountId,
+    action,
+    ip: req.ip,
+    job: req.job ? req.job.id : undefined
+  };
+}
+
+// Deploy routes need the deploy scope; refused attempts are audited too
+function canDeploy(action) {
+  return [
+    asyncHandler(async (req, res, next) => {
+      if (!req.tenant.scopes.includes('deploy')) {
+        await audit.record({ ...auditEntry(req, action), outcome: 'denied' });
+      }
+      next();
+    }),
+    tenants.requireScope('deploy')
+  ];
+}
+
+// Deploy with deployDashboard() and audit the outcome
+async function auditedDeploy(req, action, dashboardName, deployDashboard) {
+  try {
+    const deployment = await deployDashboard();
+    await audit.record({
+      ...auditEntry(req, action),
+      outcome: 'success',
+      dashboard: dashboardName,
+      guid: deployment.guid,
+      permalink: deployment.permalink
+    });
+    return deployment;
+  } catch (error) {
+    await audit.record({ ...auditEntry(req, action), outcome: 'failure', dashboard: dashboardName, error: error.message });
+    throw error;
+  }
+}
+
 // Routes
 
 // Health check
 app.get('/health', (req, res) => {
   res.json({ 
-    status: 'healthy',
+    status: tenants.unavailable ? 'unconfigured' : 'healthy',
     service: 'dashboard-generator',
+    tenants: tenants.tenants.size,
+    error: tenants.unavailable || undefined,
     timestamp: new Date().toISOString()
   });
 });
 
-// List available templates
-app.get('/api/templates', (req, res) => {
-  const templates = generator.getAvailableTemplates();
+// Everything under /api needs a bearer token and counts against the
+// tenant's rate limit
+app.use('/api', tenants.authenticate(), tenants.rateLimit());
+
+// List available templates with their version and source
+app.get('/api/templates', tenants.requireScope('read'), (req, res) => {
+  const templates = generatorFor(req).listTemplates();
   res.json({
     templates,
     count: templates.length
@@ -39,10 +119,10 @@ app.get('/api/templates', (req, res) => {
 });
 
 // Discover metrics
-app.get('/api/metrics/discover', asyncHandler(async (req, res) => {
+app.get('/api/metrics/discover', tenants.requireScope('read'), asyncHandler(async (req, res) => {
   const { namespace, pattern, limit = 100 } = req.query;
   
-  const result = await generator.discoverMetrics({
+  const result = await generatorFor(req).discoverMetrics({
     namespace,
     pattern,
     limit: parseInt(limit)
@@ -52,11 +132,11 @@ app.get('/api/metrics/discover', asyncHandler(async (req, res) => {
 }));
 
 // Search metrics
-app.get('/api/metrics/search/:term', asyncHandler(async (req, res) => {
+app.get('/api/metrics/search/:term', tenants.requireScope('read'), asyncHandler(async (req, res) => {
   const { term } = req.params;
   const { limit = 50 } = req.query;
   
-  const result = await generator.searchMetrics(term, {
+  const result = await generatorFor(req).searchMetrics(term, {
     limit: parseInt(limit)
   });
   
@@ -64,7 +144,7 @@ app.get('/api/metrics/search/:term', asyncHandler(async (req, res) => {
 }));
 
 // Generate dashboard
-app.post('/api/dashboards/generate', asyncHandler(async (req, res) => {
+app.post('/api/dashboards/generate', tenants.requireScope('generate'), asyncHandler(async (req, res) => {
   const {
     name,
     description,
@@ -72,17 +152,19 @@ app.post('/api/dashboards/generate', asyncHandler(async (req, res) => {
     metrics = {},
     layoutPreference = 'balanced',
     timeRange = '1 hour',
-    autoRefresh = true
+    autoRefresh = true,
+    parameters = {}
   } = req.body;
   
-  const result = await generator.generate({
+  const result = await generatorFor(req).generate({
     name,
     description,
     template,
     metrics,
     layoutPreference,
     timeRange,
-    autoRefresh
+    autoRefresh,
+    parameters
   });
   
   res.json({
@@ -93,10 +175,10 @@ app.post('/api/dashboards/generate', asyncHandler(async (req, res) => {
 }));
 
 // Preview dashboard
-app.post('/api/dashboards/preview', asyncHandler(async (req, res) => {
+app.post('/api/dashboards/preview', tenants.requireScope('generate'), asyncHandler(async (req, res) => {
   const options = req.body;
   
-  const result = await generator.preview(options);
+  const result = await generatorFor(req).preview(options);
   
   res.json({
     success: true,
@@ -107,7 +189,7 @@ app.post('/api/dashboards/preview', asyncHandler(async (req, res) => {
 }));
 
 // Deploy dashboard
-app.post('/api/dashboards/deploy', asyncHandler(async (req, res) => {
+app.post('/api/dashboards/deploy', canDeploy('deploy'), asyncHandler(async (req, res) => {
   const { dashboard } = req.body;
   
   if (!dashboard) {
@@ -117,7 +199,7 @@ app.post('/api/dashboards/deploy', asyncHandler(async (req, res) => {
     });
   }
   
-  const deployment = await generator.deploy(dashboard);
+  const deployment = await auditedDeploy(req, 'deploy', dashboard.name, () => generatorFor(req).deploy(dashboard));
   
   res.json({
     success: true,
@@ -126,24 +208,118 @@ app.post('/api/dashboards/deploy', asyncHandler(async (req, res) => {
 }));
 
 // Generate and deploy in one step
-app.post('/api/dashboards/generate-deploy', asyncHandler(async (req, res) => {
+app.post('/api/dashboards/generate-deploy', canDeploy('generate-deploy'), asyncHandler(async (req, res) => {
   const options = req.body;
+  const generator = generatorFor(req);
   
-  const result = await generator.generateAndDeploy(options);
+  const result = await generator.generate(options);
+  const deployment = await auditedDeploy(req, 'generate-deploy', result.dashboard.name, () => generator.deploy(result.dashboard));
   
   res.json({
     success: true,
     dashboard: result.dashboard,
     metadata: result.metadata,
-    deployment: result.deployment
+    deployment
+  });
+}));
+
+// Start a generation job: the generate options plus deploy (also deploy
+// the dashboard) and webhook (a URL to POST the finished job to)
+app.post('/api/jobs', tenants.requireScope('generate'), (req, res, next) => {
+  if (!req.body.deploy) return next();
+  const [recordDenied, requireDeploy] = canDeploy('job-deploy');
+  recordDenied(req, res, error => (error ? next(error) : requireDeploy(req, res, next)));
+}, asyncHandler(async (req, res) => {
+  const { deploy = false, webhook, ...options } = req.body;
+  const webhookUrl = typeof webhook === 'object' && webhook !== null ? webhook.url : webhook;
+  
+  // The URL must be http(s) and resolve to public addresses only
+  const webhookError = webhookUrl !== undefined ? await checkWebhookUrl(webhookUrl) : null;
+  if (webhookError) {
+    return res.status(400).json({
+      success: false,
+      error: webhookError
+    });
+  }
+  
+  const generator = generatorFor(req);
+  const job = jobs.submit(async (job, { onProgress, signal }) => {
+    req.job = job;
+    const result = await generator.generate({ ...options, onProgress, signal });
+    if (!deploy) return result;
+  
+    if (signal.aborted) throw signal.reason;
+    onProgress('deploy');
+    const deployment = await auditedDeploy(req, 'job-deploy', result.dashboard.name, () => generator.deploy(result.dashboard));
+    return { ...result, deployment };
+  }, {
+    owner: req.tenant.id,
+    request: { ...options, deploy, accountId: req.account.accountId, token: req.token },
+    phases: deploy ? JobManager.PHASES : JobManager.PHASES.filter(phase => phase !== 'deploy'),
+    webhook: webhookUrl ? { url: webhookUrl, secret: req.tenant.webhookSecret } : null
+  });
+  
+  res.status(202).location(`/api/jobs/${job.id}`).json({
+    success: true,
+    job: JobManager.summary(job)
   });
 }));
 
+// The tenant's jobs, newest first, without their dashboards
+app.get('/api/jobs', tenants.requireScope('read'), (req, res) => {
+  const list = jobs.list(req.tenant.id).map(JobManager.summary);
+  res.json({
+    jobs: list,
+    count: list.length
+  });
+});
+
+// A job's status and phase progress, with its dashboard once it succeeded
+app.get('/api/jobs/:id', tenants.requireScope('read'), (req, res) => {
+  const job = jobs.get(req.params.id);
+  
+  if (!job || job.owner !== req.tenant.id) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+  
+  res.json({
+    success: true,
+    job
+  });
+});
+
+// Cancel a queued or running job
+app.delete('/api/jobs/:id', tenants.requireScope('generate'), (req, res) => {
+  const job = jobs.get(req.params.id);
+  
+  if (!job || job.owner !== req.tenant.id) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+  
+  if (!jobs.cancel(job.id)) {
+    return res.status(409).json({
+      success: false,
+      error: `Job already ${job.status}`
+    });
+  }
+  
+  res.json({
+    success: true,
+    job: JobManager.summary(job)
+  });
+});
+
 // Get metric metadata
-app.get('/api/metrics/:metricName/metadata', asyncHandler(async (req, res) => {
+app.get('/api/metrics/:metricName/metadata', tenants.requireScope('read'), asyncHandler(async (req, res) => {
   const { metricName } = req.params;
   
-  const metadata = await generator.orchestrator.metricDiscovery.getMetricMetadata(metricName);
+  const metadata = await generatorFor(req).orchestrator.metricDiscovery.getMetricMetadata(metricName);
   
   if (!metadata) {
     return res.status(404).json({
@@ -159,7 +335,7 @@ app.get('/api/metrics/:metricName/metadata', asyncHandler(async (req, res) => {
 }));
 
 // Validate dashboard
-app.post('/api/dashboards/validate', asyncHandler(async (req, res) => {
+app.post('/api/dashboards/validate', tenants.requireScope('generate'), asyncHandler(async (req, res) => {
   const { dashboard } = req.body;
   
   if (!dashboard) {
@@ -169,7 +345,7 @@ app.post('/api/dashboards/validate', asyncHandler(async (req, res) => {
     });
   }
   
-  const validation = await generator.orchestrator.validateDashboard(dashboard);
+  const validation = await generatorFor(req).orchestrator.validateDashboard(dashboard);
   
   res.json({
     success: validation.valid,
@@ -178,6 +354,18 @@ app.post('/api/dashboards/validate', asyncHandler(async (req, res) => {
   });
 }));
 
+// The tenant's own audit log entries, newest first
+app.get('/api/audit', tenants.requireScope('read'), asyncHandler(async (req, res) => {
+  const { limit = 100 } = req.query;
+  
+  const entries = await audit.list(req.tenant.id, parseInt(limit));
+  
+  res.json({
+    entries,
+    count: entries.length
+  });
+}));
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('API Error:', err);
@@ -0,0 +1,209 @@
+/**
+ * API Tenants
+ * Maps bearer tokens to tenants, each with its own New Relic accounts and
+ * API keys held on the server, the scopes its tokens grant and a rate limit.
+ * Tenants come from a YAML/JSON file (DASHGEN_TENANTS_FILE); without one, a
+ * single 'default' tenant uses the NEW_RELIC_* environment and the tokens in
+ * DASHGEN_API_TOKENS.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { RateLimiter } = require('nr-guardian/src/utils/rate-limiter.js');
+
+const SCOPES = ['read', 'generate', 'deploy'];
+const DEFAULT_RATE_LIMIT = { maxRequests: 60, interval: 60000 };
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// 'env:NAME' reads NAME from the environment; anything else is the value
+function secret(value, label) {
+  if (typeof value === 'string' && value.startsWith('env:')) {
+    const name = value.slice(4);
+    if (!process.env[name]) {
+      throw new Error(`${label}: environment variable ${name} is not set`);
+    }
+    return process.env[name];
+  }
+  return value === undefined || value === null ? value : String(value);
+}
+
+class TenantRegistry {
+  constructor(config = {}) {
+    this.tenants = new Map();
+    this.tokens = new Map();
+    // Why there are no tenants, when the configuration is missing
+    this.unavailable = null;
+
+    Object.entries(config.tenants || {}).forEach(([id, tenant]) => this.addTenant(id, tenant));
+  }
+
+  // Registry from DASHGEN_TENANTS_FILE, or the single default tenant
+  static fromEnvironment(env = process.env) {
+    if (env.DASHGEN_TENANTS_FILE) {
+      return TenantRegistry.fromFile(env.DASHGEN_TENANTS_FILE);
+    }
+
+    // Start without tenants rather than fail, so /health still answers
+    if (!env.NEW_RELIC_ACCOUNT_ID || !env.NEW_RELIC_API_KEY) {
+      const registry = new TenantRegistry();
+      registry.unavailable = 'No New Relic account configured: set NEW_RELIC_ACCOUNT_ID and NEW_RELIC_API_KEY, or DASHGEN_TENANTS_FILE';
+      return registry;
+    }
+
+    const tokens = (env.DASHGEN_API_TOKENS || '').split(',').map(token => token.trim()).filter(Boolean);
+    return new TenantRegistry({
+      tenants: {
+        default: {
+          name: 'Default',
+          webhookSecret: env.DASHGEN_WEBHOOK_SECRET,
+          tokens: tokens.map((token, index) => ({ name: `token-${index + 1}`, sha256: hashToken(token) })),
+          accounts: [{
+            accountId: env.NEW_RELIC_ACCOUNT_ID,
+            apiKey: env.NEW_RELIC_API_KEY,
+            region: env.NEW_RELIC_REGION
+          }]
+        }
+      }
+    });
+  }
+
+  static fromFile(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    const config = path.extname(file).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content);
+    return new TenantRegistry(config);
+  }
+
+  addTenant(id, definition) {
+    const label = `Tenant '${id}'`;
+    const scopes = definition.scopes || SCOPES;
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`${label}: unknown scope ${unknown.join(', ')}. Use ${SCOPES.join(', ')}`);
+    }
+
+    const accounts = (definition.accounts || []).map(account => ({
+      accountId: String(account.accountId),
+      apiKey: secret(account.apiKey, `${label} account ${account.accountId}`),
+      region: account.region,
+      endpoint: account.endpoint
+    }));
+    if (accounts.length === 0 || accounts.some(account => !account.accountId || account.accountId === 'undefined' || !account.apiKey)) {
+      throw new Error(`${label}: every tenant needs at least one account with accountId and apiKey`);
+    }
+
+    const rateLimit = { ...DEFAULT_RATE_LIMIT, ...definition.rateLimit };
+    const tenant = {
+      id,
+      name: definition.name || id,
+      scopes,
+      accounts,
+      rateLimit,
+      limiter: new RateLimiter(rateLimit),
+      // Signs the tenant's job webhooks
+      webhookSecret: secret(definition.webhookSecret, `${label} webhookSecret`)
+    };
+
+    (definition.tokens || []).forEach((token, index) => {
+      const name = token.name || `token-${index + 1}`;
+      const hash = token.sha256 ? String(token.sha256).toLowerCase() : hashToken(secret(token.token, `${label} token ${name}`));
+      if (this.tokens.has(hash)) {
+        throw new Error(`${label}: token ${name} is already used by tenant '${this.tokens.get(hash).tenant.id}'`);
+      }
+      this.tokens.set(hash, { tenant, name });
+    });
+
+    this.tenants.set(id, tenant);
+    return tenant;
+  }
+
+  /**
+   * Middleware resolving the bearer token to req.tenant, req.token (the
+   * token's name) and req.account, the account chosen with the X-Account-Id
+   * header or the tenant's first account. Responds 503 while no tenants
+   * are configured, 401 for a missing or unknown token and 403 for an
+   * account the tenant does not own.
+   */
+  authenticate() {
+    return (req, res, next) => {
+      if (this.unavailable) {
+        return res.status(503).json({
+          success: false,
+          error: this.unavailable
+        });
+      }
+
+      const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+      const entry = match && this.tokens.get(hashToken(match[1]));
+      if (!entry) {
+        res.set('WWW-Authenticate', `Bearer realm="dashboard-generator"${match ? ', error="invalid_token"' : ''}`);
+        return res.status(401).json({
+          success: false,
+          error: match ? 'Invalid bearer token' : 'Bearer token required'
+        });
+      }
+
+      const { tenant, name } = entry;
+      const accountId = req.get('X-Account-Id');
+      const account = accountId
+        ? tenant.accounts.find(candidate => candidate.accountId === String(accountId))
+        : tenant.accounts[0];
+      if (!account) {
+        return res.status(403).json({
+          success: false,
+          error: `Tenant '${tenant.id}' has no access to account ${accountId}`
+        });
+      }
+
+      req.tenant = tenant;
+      req.token = name;
+      req.account = account;
+      next();
+    };
+  }
+
+  // Middleware answering 403 unless the tenant's tokens grant scope
+  requireScope(scope) {
+    return (req, res, next) => {
+      if (!req.tenant.scopes.includes(scope)) {
+        return res.status(403).json({
+          success: false,
+          error: `Tenant '${req.tenant.id}' is not allowed to ${scope}`
+        });
+      }
+      next();
+    };
+  }
+
+  // Middleware applying the tenant's rate limit, answering 429 when spent
+  rateLimit() {
+    return (req, res, next) => {
+      const { limiter, rateLimit } = req.tenant;
+      res.set('X-RateLimit-Limit', String(rateLimit.maxRequests));
+
+      if (limiter.getRemainingRequests() === 0) {
+        const retryAfter = Math.max(1, Math.ceil((limiter.getResetTime() - Date.now()) / 1000));
+        res.set('Retry-After', String(retryAfter));
+        res.set('X-RateLimit-Remaining', '0');
+        return res.status(429).json({
+          success: false,
+          error: `Rate limit of ${rateLimit.maxRequests} requests per ${rateLimit.interval / 1000}s exceeded for tenant '${req.tenant.id}'`
+        });
+      }
+
+      // Below the limit checkLimit records the request without waiting
+      limiter.checkLimit().then(() => {
+        res.set('X-RateLimit-Remaining', String(limiter.getRemainingRequests()));
+        next();
+      }, next);
+    };
+  }
+}
+
+module.exports = TenantRegistry;
+module.exports.SCOPES = SCOPES;
+module.exports.hashToken = hashToken;
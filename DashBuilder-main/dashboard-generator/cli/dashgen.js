@@ -4,7 +4,7 @@ const { Command } = require('commander');
 const inquirer = require('inquirer');
 const chalk = require('chalk');
 const ora = require('ora');
-const { DashboardGenerator } = require('../index');
+const { DashboardGenerator, DashboardTemplateEngine } = require('../index');
 const fs = require('fs');
 const path = require('path');
 const dotenv = require('dotenv');
@@ -18,7 +18,10 @@ const program = new Command();
 program
   .name('dashgen')
   .description('CLI tool for generating New Relic dashboards')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--region <region>', 'New Relic region: US or EU (default: NEW_RELIC_REGION or US)')
+  .option('--endpoint <url>', 'NerdGraph endpoint URL, e.g. a proxy (default: NEW_RELIC_NERDGRAPH_URL)')
+  .option('--template-dir <dirs...>', 'Directories of YAML/JSON dashboard templates (default: the shipped templates, ~/.dashgen/templates and DASHGEN_TEMPLATE_PATH)');
 
 // Helper to get generator instance
 function getGenerator() {
@@ -31,7 +34,32 @@ function getGenerator() {
     process.exit(1);
   }
   
-  return new DashboardGenerator({ apiKey, accountId });
+  const { region, endpoint, templateDir } = program.opts();
+  try {
+    return new DashboardGenerator({ apiKey, accountId, region, endpoint, templateDirs: templateDir });
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+// Template engine for the template commands, which need no credentials
+function getTemplateEngine(options = {}) {
+  const { templateDir } = program.opts();
+  return new DashboardTemplateEngine({ templateDirs: templateDir, ...options });
+}
+
+// --param key=value pairs as an object
+function parseParameters(pairs = []) {
+  return pairs.reduce((parameters, pair) => {
+    const index = pair.indexOf('=');
+    if (index < 1) {
+      console.error(chalk.red(`Error: --param expects key=value, got '${pair}'`));
+      process.exit(1);
+    }
+    parameters[pair.slice(0, index)] = pair.slice(index + 1);
+    return parameters;
+  }, {});
 }
 
 // Generate command
@@ -39,13 +67,15 @@ program
   .command('generate')
   .description('Generate a new dashboard')
   .option('-n, --name <name>', 'Dashboard name')
-  .option('-t, --template <template>', 'Template to use')
+  .option('-t, --template <template>', 'Template to use, optionally pinned to a version (name@1.2.0)')
+  .option('-p, --param <key=value...>', 'Template parameter values')
   .option('-m, --metrics <patterns...>', 'Metric patterns to include')
   .option('-e, --exclude <patterns...>', 'Metric patterns to exclude')
   .option('-l, --layout <preference>', 'Layout preference (compact|balanced|detailed)', 'balanced')
   .option('-o, --output <file>', 'Save dashboard to file')
   .option('-d, --deploy', 'Deploy dashboard immediately')
   .option('-i, --interactive', 'Interactive mode')
+  .option('--no-variables', 'Do not add cluster/broker/topic/consumer group variables')
   .action(async (options) => {
     const generator = getGenerator();
     
@@ -115,7 +145,9 @@ program
           include: options.metrics || answers.metrics,
           exclude: options.exclude || answers.exclude
         },
-        layoutPreference: answers.layout
+        layoutPreference: answers.layout,
+        parameters: parseParameters(options.param),
+        variables: options.variables
       };
       
       options.deploy = answers.deploy;
@@ -128,7 +160,9 @@ program
           include: options.metrics || ['*'],
           exclude: options.exclude || []
         },
-        layoutPreference: options.layout
+        layoutPreference: options.layout,
+        parameters: parseParameters(options.param),
+        variables: options.variables
       };
     }
     
@@ -167,18 +201,54 @@ program
     }
   });
 
-// List templates command
-program
+// Template commands
+const templatesCommand = program
   .command('templates')
-  .description('List available templates')
+  .description('List and validate dashboard templates');
+
+templatesCommand
+  .command('list', { isDefault: true })
+  .description('List available templates with their version and source')
   .action(() => {
-    const generator = getGenerator();
-    const templates = generator.getAvailableTemplates();
+    const templates = getTemplateEngine().listTemplates();
     
     console.log(chalk.blue('\nAvailable Templates:'));
     templates.forEach(template => {
-      console.log(`  - ${template}`);
+      const versions = template.versions.length > 1 ? ` (also ${template.versions.slice(1).join(', ')})` : '';
+      console.log(`  - ${template.id}@${template.version}${versions}  ${chalk.gray(template.source)}`);
+      if (template.extends) {
+        console.log(chalk.gray(`      extends ${template.extends}`));
+      }
+      Object.entries(template.parameters).forEach(([name, parameter]) => {
+        const detail = parameter.required ? 'required' : `default: ${parameter.default}`;
+        console.log(chalk.gray(`      \${${name}} ${parameter.description || ''} (${detail})`));
+      });
+    });
+  });
+
+templatesCommand
+  .command('validate [paths...]')
+  .description('Lint template files: schema, inheritance, parameters, widget types and queries')
+  .action((paths) => {
+    const engine = getTemplateEngine({
+      warn: false,
+      ...(paths && paths.length > 0 ? { templateDirs: paths } : {})
     });
+    const problems = engine.validateTemplates();
+    
+    problems.forEach(problem => {
+      const color = problem.severity === 'error' ? chalk.red : chalk.yellow;
+      const template = problem.template ? ` ${problem.template}` : '';
+      console.log(color(`  ${problem.severity}  ${problem.source}${template}: ${problem.message}`));
+    });
+    
+    const errors = problems.filter(problem => problem.severity === 'error').length;
+    const templates = engine.listTemplates().filter(template => template.source !== 'built-in').length;
+    if (errors > 0) {
+      console.error(chalk.red(`\n✗ ${errors} error(s), ${problems.length - errors} warning(s)`));
+      process.exit(1);
+    }
+    console.log(chalk.green(`\n✓ ${templates} template file(s) valid${problems.length > 0 ? `, ${problems.length} warning(s)` : ''}`));
   });
 
 // Discover metrics command
@@ -43,6 +43,15 @@ class DashboardGenerator {
     return Object.keys(this.orchestrator.templateEngine.templates);
   }
 
+  // Templates with their version, source file and parameters
+  listTemplates() {
+    return this.orchestrator.templateEngine.listTemplates();
+  }
+
+  validateTemplates() {
+    return this.orchestrator.templateEngine.validateTemplates();
+  }
+
   async generateAndDeploy(options) {
     const result = await this.generate(options);
     const deployed = await this.deploy(result.dashboard);
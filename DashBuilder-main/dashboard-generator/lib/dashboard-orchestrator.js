@@ -3,24 +3,33 @@ const MetricClassifier = require('./metric-classifier');
 const DashboardTemplateEngine = require('./template-engine');
 const QueryBuilder = require('./query-builder');
 const LayoutOptimizer = require('./layout-optimizer');
-const https = require('https');
+const { createTransport, resolveRegion } = require('nr-guardian/src/core/transport.js');
+const { addDashboardVariables, findUndefinedVariables } = require('nr-guardian/src/utils/dashboard-variables.js');
+const { widgetQueries } = require('nr-guardian/src/utils/widget-queries.js');
 
 class DashboardOrchestrator {
   constructor(config) {
     this.config = config;
     this.apiKey = config.apiKey;
     this.accountId = config.accountId;
+    this.region = resolveRegion(config);
+    this.transport = createTransport(config);
+    this.endpoint = this.transport.endpoint;
     
     // Initialize all components
-    this.metricDiscovery = new MetricDiscoveryService(this.apiKey, this.accountId);
+    this.metricDiscovery = new MetricDiscoveryService(this.apiKey, this.accountId, { transport: this.transport });
     this.metricClassifier = new MetricClassifier();
-    this.templateEngine = new DashboardTemplateEngine();
+    this.templateEngine = new DashboardTemplateEngine({ templateDirs: config.templateDirs });
     this.queryBuilder = new QueryBuilder();
     this.layoutOptimizer = new LayoutOptimizer(config.layoutOptions || {});
     
     this.dashboardCache = new Map();
   }
 
+  // options.onProgress(phase, detail) is told when each phase (discover,
+  // classify, template, widgets, validate) starts and how far it got;
+  // aborting options.signal cancels the NerdGraph queries in flight and
+  // stops generation.
   async generateDashboard(options = {}) {
     const {
       name = 'Auto-Generated Dashboard',
@@ -29,14 +38,25 @@ class DashboardOrchestrator {
       metrics = {},
       layoutPreference = 'balanced',
       timeRange = '1 hour',
-      autoRefresh = true
+      autoRefresh = true,
+      variables = true
     } = options;
 
     try {
       console.log('Starting dashboard generation...');
+
+      // Template files and templates that read samples as well as metrics
+      // (the Kafka ones) are built by the template engine from whichever
+      // has data
+      const requirements = this.templateEngine.requirements(template);
+      if (requirements && (requirements.source !== 'built-in' || requirements.eventTypes.length > 0)) {
+        return await this.generateTemplateDashboard(template, requirements, options);
+      }
       
       // Step 1: Discover metrics
-      const discoveredMetrics = await this.discoverAndFilterMetrics(metrics);
+      this.reportProgress(options, 'discover');
+      const requestOptions = { signal: options.signal };
+      const discoveredMetrics = await this.discoverAndFilterMetrics(metrics, requestOptions);
       console.log(`Discovered ${discoveredMetrics.length} metrics`);
       
       if (discoveredMetrics.length === 0) {
@@ -44,14 +64,20 @@ class DashboardOrchestrator {
       }
       
       // Step 2: Classify metrics
-      const classifiedMetrics = await this.classifyMetrics(discoveredMetrics);
+      const total = discoveredMetrics.length;
+      this.reportProgress(options, 'classify', { completed: 0, total });
+      const classifiedMetrics = await this.classifyMetrics(discoveredMetrics, completed => {
+        if (options.onProgress) options.onProgress('classify', { completed, total });
+      }, requestOptions);
       console.log('Metrics classified successfully');
       
       // Step 3: Select or generate template
+      this.reportProgress(options, 'template');
       const selectedTemplate = await this.selectTemplate(template, classifiedMetrics);
       console.log(`Using template: ${selectedTemplate.name}`);
       
       // Step 4: Generate widgets
+      this.reportProgress(options, 'widgets', { template: selectedTemplate.name });
       const widgets = await this.generateWidgets(classifiedMetrics, selectedTemplate, timeRange);
       console.log(`Generated ${widgets.length} widgets`);
       
@@ -68,10 +94,12 @@ class DashboardOrchestrator {
         description,
         layout,
         timeRange,
-        autoRefresh
+        autoRefresh,
+        variables
       });
       
       // Step 7: Validate dashboard
+      this.reportProgress(options, 'validate', { widgets: widgets.length });
       const validation = await this.validateDashboard(dashboard);
       if (!validation.valid) {
         throw new Error(`Dashboard validation failed: ${validation.errors.join(', ')}`);
@@ -93,7 +121,65 @@ class DashboardOrchestrator {
     }
   }
 
-  async discoverAndFilterMetrics(metricsConfig) {
+  async generateTemplateDashboard(templateName, requirements, options = {}) {
+    const { variables = true, metrics: metricsConfig = {} } = options;
+
+    // Metrics the template's widgets read, unless the caller narrows them
+    const include = (metricsConfig.include || []).filter(pattern => pattern !== '*');
+    const patterns = include.length > 0
+      ? include
+      : requirements.metricPrefixes.map(prefix => `${prefix}*`);
+
+    this.reportProgress(options, 'discover');
+    const requestOptions = { signal: options.signal };
+    const [eventTypes, metricLists] = await Promise.all([
+      requirements.eventTypes.length > 0
+        ? this.metricDiscovery.discoverEventTypes(requirements.eventTypes, undefined, requestOptions)
+        : [],
+      Promise.all((patterns.length > 0 ? patterns : [null]).map(pattern =>
+        this.metricDiscovery.fetchMetricsFromNewRelic(metricsConfig.namespace || null, pattern, 1000, requestOptions)
+      ))
+    ]);
+    const metrics = this.deduplicateMetrics(metricLists.flat());
+    console.log(`Found ${eventTypes.length} event types and ${metrics.length} metrics with data for ${templateName}`);
+
+    // The engine renders the template and builds its widgets in one step
+    this.reportProgress(options, 'template', { template: templateName, version: requirements.version });
+    this.reportProgress(options, 'widgets', { metrics: metrics.length, eventTypes: eventTypes.length });
+    const dashboard = this.templateEngine.generateFromTemplate(templateName, metrics.map(m => m.name), {
+      name: options.name,
+      description: options.description,
+      eventTypes,
+      accountId: this.accountId,
+      parameters: options.parameters,
+      variables
+    });
+
+    if (dashboard.pages.length === 0) {
+      throw new Error(`No data for any widget of template '${templateName}': found none of the samples or metrics it reads`);
+    }
+
+    this.reportProgress(options, 'validate');
+    const validation = await this.validateDashboard(dashboard);
+    if (!validation.valid) {
+      throw new Error(`Dashboard validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    return {
+      dashboard,
+      metadata: {
+        metricsUsed: metrics.length,
+        eventTypes,
+        widgetsCreated: dashboard.pages.reduce((count, page) => count + page.widgets.length, 0),
+        template: templateName,
+        version: requirements.version,
+        source: requirements.source,
+        generatedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  async discoverAndFilterMetrics(metricsConfig, requestOptions = {}) {
     const { include = [], exclude = [], namespace = null } = metricsConfig;
     
     let allMetrics = [];
@@ -101,14 +187,14 @@ class DashboardOrchestrator {
     if (include.length > 0) {
       // Discover metrics for each include pattern
       const discoveryPromises = include.map(pattern => 
-        this.metricDiscovery.discoverMetrics({ pattern, namespace })
+        this.metricDiscovery.discoverMetrics({ pattern, namespace, signal: requestOptions.signal })
       );
       
       const results = await Promise.all(discoveryPromises);
       allMetrics = results.flatMap(r => r.metrics);
     } else {
       // Discover all metrics in namespace
-      const result = await this.metricDiscovery.discoverMetrics({ namespace });
+      const result = await this.metricDiscovery.discoverMetrics({ namespace, signal: requestOptions.signal });
       allMetrics = result.metrics;
     }
     
@@ -127,13 +213,16 @@ class DashboardOrchestrator {
     return uniqueMetrics;
   }
 
-  async classifyMetrics(metrics) {
+  // onClassified(count) is called as each metric is classified
+  async classifyMetrics(metrics, onClassified = null, requestOptions = {}) {
+    let classified = 0;
     const classificationPromises = metrics.map(async (metric) => {
       // Get additional metadata
-      const metadata = await this.metricDiscovery.getMetricMetadata(metric.name);
+      const metadata = await this.metricDiscovery.getMetricMetadata(metric.name, requestOptions);
       
       // Classify the metric
       const classification = this.metricClassifier.classifyMetric(metric.name);
+      if (onClassified) onClassified(++classified);
       
       return {
         ...metric,
@@ -285,7 +374,7 @@ class DashboardOrchestrator {
   }
 
   buildDashboardStructure(options) {
-    const { name, description, layout, timeRange, autoRefresh } = options;
+    const { name, description, layout, timeRange, autoRefresh, variables = true } = options;
     
     const pages = [{
       name: 'Main',
@@ -312,13 +401,16 @@ class DashboardOrchestrator {
       }))
     }];
     
-    return {
+    const dashboard = {
       name,
       description,
       permissions: 'PUBLIC_READ_WRITE',
       pages,
       variables: []
     };
+
+    // Filter queries by cluster, broker, topic and consumer group variables
+    return variables ? addDashboardVariables(dashboard, { accountId: this.accountId }) : dashboard;
   }
 
   async validateDashboard(dashboard) {
@@ -344,11 +436,16 @@ class DashboardOrchestrator {
           errors.push(`Widget ${widgetIndex + 1} on page ${pageIndex + 1} has no title`);
         }
         
-        if (!widget.configuration) {
+        if (!widget.configuration && !widget.rawConfiguration) {
           errors.push(`Widget ${widgetIndex + 1} on page ${pageIndex + 1} has no configuration`);
         }
       });
     });
+
+    // Validate variable placeholders
+    findUndefinedVariables(dashboard).forEach(({ location, variable }) => {
+      errors.push(`${location} uses undefined variable {{${variable}}}`);
+    });
     
     // Validate layout
     const layoutValidation = this.layoutOptimizer.validateLayout({
@@ -420,6 +517,16 @@ class DashboardOrchestrator {
   }
 
   // Helper methods
+
+  // Report the start of a generation phase to options.onProgress, first
+  // stopping with the abort reason when options.signal was aborted
+  reportProgress(options, phase, detail = {}) {
+    if (options.signal && options.signal.aborted) {
+      throw options.signal.reason || new Error('Dashboard generation cancelled');
+    }
+    if (options.onProgress) options.onProgress(phase, detail);
+  }
+
   matchPattern(str, pattern) {
     const regex = new RegExp(
       pattern.replace(/\*/g, '.*').replace(/\?/g, '.'),
@@ -531,7 +638,7 @@ class DashboardOrchestrator {
       <div class="widget" style="grid-column: span ${w.layout.width}; grid-row: span ${w.layout.height};">
         <h3>${w.title}</h3>
         <div class="widget-content">${w.visualization.id}</div>
-        <pre>${w.configuration[Object.keys(w.configuration)[0]].nrqlQueries[0].query}</pre>
+        <pre>${widgetQueries(w).map(q => q.query).join('\n')}</pre>
       </div>
     `).join('');
     
@@ -558,45 +665,8 @@ class DashboardOrchestrator {
   }
 
   async executeNerdGraphMutation(mutation, variables) {
-    const payload = JSON.stringify({ query: mutation, variables });
-    
-    return new Promise((resolve, reject) => {
-      const options = {
-        hostname: 'api.newrelic.com',
-        path: '/graphql',
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'API-Key': this.apiKey,
-          'Content-Length': payload.length
-        }
-      };
-      
-      const req = https.request(options, (res) => {
-        let data = '';
-        
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        res.on('end', () => {
-          try {
-            const response = JSON.parse(data);
-            if (response.errors) {
-              reject(new Error(JSON.stringify(response.errors)));
-            } else {
-              resolve(response);
-            }
-          } catch (error) {
-            reject(error);
-          }
-        });
-      });
-      
-      req.on('error', reject);
-      req.write(payload);
-      req.end();
-    });
+    const data = await this.transport.request(mutation, variables);
+    return { data };
   }
 }
 
@@ -0,0 +1,333 @@
+/**
+ * Generation Job Manager
+ * Runs dashboard generation in the background. A job reports the phase it is
+ * in (discover, classify, template, widgets, validate, deploy), can be
+ * cancelled, is saved to disk as it changes and may call a webhook when it
+ * finishes.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { checkWebhookUrl } = require('./webhook-target');
+
+const PHASES = ['discover', 'classify', 'template', 'widgets', 'validate', 'deploy'];
+const FINISHED = ['succeeded', 'failed', 'cancelled'];
+const WEBHOOK_ATTEMPTS = 3;
+
+// Phase status a job's running phase ends with
+const PHASE_OUTCOME = { succeeded: 'done', failed: 'failed', cancelled: 'cancelled' };
+
+class JobManager {
+  /**
+   * options.dir - directory jobs are saved to and reloaded from (default:
+   *   none, jobs live in memory)
+   * options.concurrency - jobs run at once, the rest wait (default 2)
+   * options.maxJobs - finished jobs kept before the oldest are dropped
+   * options.webhookTimeout - milliseconds per webhook attempt
+   * options.webhookSecret - job => secret, signs the webhooks of jobs
+   *   reloaded from dir, whose secret was never saved. Their webhook is not
+   *   sent when it is missing or returns no secret.
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || null;
+    this.concurrency = options.concurrency || 2;
+    this.maxJobs = options.maxJobs || 500;
+    this.webhookTimeout = options.webhookTimeout || 10000;
+    this.webhookSecret = options.webhookSecret || (() => null);
+
+    this.jobs = new Map();
+    this.queue = [];
+    // id -> { run, webhookSecret, controller, savedAt }; never saved
+    this.handles = new Map();
+
+    if (this.dir) {
+      this.load();
+    }
+  }
+
+  // Reload saved jobs. Jobs that were still queued or running when the
+  // server stopped are marked failed.
+  load() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        let job;
+        try {
+          job = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+        } catch (error) {
+          console.warn(`Skipping unreadable job file ${file}: ${error.message}`);
+          return;
+        }
+
+        this.jobs.set(job.id, job);
+        if (!FINISHED.includes(job.status)) {
+          this.finish(job, 'failed', { error: 'Interrupted by a restart of the server' });
+        }
+      });
+  }
+
+  /**
+   * Queue run(job, { onProgress, signal }), which resolves to the job's
+   * result. options.owner is who may see the job, options.request the
+   * options to record with it, options.phases the phases it goes through
+   * and options.webhook { url, secret } the webhook to call when it
+   * finishes. Returns the job.
+   */
+  submit(run, options = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      owner: options.owner || null,
+      status: 'queued',
+      phase: null,
+      progress: 0,
+      phases: (options.phases || PHASES).map(name => ({ name, status: 'pending' })),
+      request: options.request || {},
+      webhook: options.webhook ? { url: options.webhook.url, deliveries: [] } : null,
+      result: null,
+      error: null,
+      createdAt: now,
+      startedAt: null,
+      finishedAt: null,
+      updatedAt: now
+    };
+
+    this.jobs.set(job.id, job);
+    this.handles.set(job.id, { run, webhookSecret: options.webhook && options.webhook.secret });
+    this.save(job);
+    this.queue.push(job.id);
+    this.prune();
+    this.next();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // Jobs of owner, newest first
+  list(owner) {
+    return [...this.jobs.values()]
+      .filter(job => job.owner === owner)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Cancel a queued or running job. A running job has its signal aborted,
+   * which cancels its NerdGraph queries in flight, and is 'cancelling' until
+   * run() settles. Returns the job, or null when it had already finished.
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || FINISHED.includes(job.status)) return null;
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(queued => queued !== id);
+      this.finish(job, 'cancelled');
+    } else {
+      this.handles.get(id).controller.abort(new Error('Job cancelled'));
+      job.status = 'cancelling';
+      this.save(job);
+    }
+    return job;
+  }
+
+  next() {
+    const running = [...this.handles.values()].filter(handle => handle.controller).length;
+    if (running >= this.concurrency || this.queue.length === 0) return;
+
+    this.start(this.jobs.get(this.queue.shift()));
+    this.next();
+  }
+
+  async start(job) {
+    const handle = this.handles.get(job.id);
+    handle.controller = new AbortController();
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.save(job);
+
+    try {
+      const result = await handle.run(job, {
+        onProgress: (phase, detail) => this.progress(job, phase, detail),
+        signal: handle.controller.signal
+      });
+      if (handle.controller.signal.aborted) {
+        this.finish(job, 'cancelled');
+      } else {
+        this.finish(job, 'succeeded', { result });
+      }
+    } catch (error) {
+      if (handle.controller.signal.aborted) {
+        this.finish(job, 'cancelled');
+      } else {
+        this.finish(job, 'failed', { error: error.message });
+      }
+    } finally {
+      handle.controller = null;
+      this.next();
+    }
+  }
+
+  // Start phase, ending the phases before it, or update its detail
+  progress(job, phase, detail = {}) {
+    if (FINISHED.includes(job.status)) return;
+    const index = job.phases.findIndex(item => item.name === phase);
+    if (index === -1) return;
+
+    const now = new Date().toISOString();
+    const started = job.phases[index].status !== 'running';
+    job.phases.slice(0, index).forEach(item => {
+      if (item.status === 'running') {
+        item.status = 'done';
+        item.finishedAt = now;
+      } else if (item.status === 'pending') {
+        item.status = 'skipped';
+      }
+    });
+
+    const current = job.phases[index];
+    if (started) {
+      current.status = 'running';
+      current.startedAt = now;
+    }
+    current.detail = { ...current.detail, ...detail };
+    job.phase = phase;
+    job.progress = index / job.phases.length;
+
+    // Detail updates within a phase are saved at most once a second
+    this.save(job, { throttle: !started });
+  }
+
+  finish(job, status, fields = {}) {
+    const now = new Date().toISOString();
+    job.phases.forEach(item => {
+      if (item.status === 'running') {
+        item.status = PHASE_OUTCOME[status];
+        item.finishedAt = now;
+      } else if (item.status === 'pending') {
+        item.status = 'skipped';
+      }
+    });
+
+    Object.assign(job, fields, { status, finishedAt: now });
+    if (status === 'succeeded') job.progress = 1;
+    this.save(job);
+
+    const handle = this.handles.get(job.id);
+    const webhookSecret = handle && handle.webhookSecret;
+    if (handle) {
+      handle.run = null;
+      handle.webhookSecret = null;
+    }
+    if (!job.webhook) return;
+    if (handle) {
+      this.notify(job, webhookSecret);
+      return;
+    }
+
+    // Reloaded after a restart: sign with the resolved secret, never unsigned
+    const secret = this.webhookSecret(job);
+    if (secret) {
+      this.notify(job, secret);
+    } else {
+      job.webhook.deliveries.push({ at: now, ok: false, error: 'Not sent: no webhook secret for the job after a restart' });
+      this.save(job);
+      console.warn(`Webhook for job ${job.id} not sent: no webhook secret after a restart`);
+    }
+  }
+
+  /**
+   * POST the finished job to its webhook, signed with an HMAC-SHA256 of the
+   * body in X-Dashgen-Signature when there is a secret. Retries failed
+   * deliveries and records each attempt in job.webhook.deliveries. The host
+   * is checked again before each attempt, as it may resolve differently than
+   * when the job was submitted, and redirects are not followed.
+   */
+  async notify(job, secret) {
+    const body = JSON.stringify({ event: `job.${job.status}`, job: JobManager.summary(job) });
+    const headers = { 'Content-Type': 'application/json', 'X-Dashgen-Event': `job.${job.status}` };
+    if (secret) {
+      headers['X-Dashgen-Signature'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+    }
+
+    for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt++) {
+      const delivery = { attempt, at: new Date().toISOString() };
+      try {
+        const refused = await checkWebhookUrl(job.webhook.url);
+        if (refused) {
+          delivery.ok = false;
+          delivery.error = refused;
+          job.webhook.deliveries.push(delivery);
+          this.save(job);
+          console.warn(`Webhook for job ${job.id} not sent: ${refused}`);
+          return;
+        }
+
+        const response = await fetch(job.webhook.url, {
+          method: 'POST',
+          headers,
+          body,
+          redirect: 'manual',
+          signal: AbortSignal.timeout(this.webhookTimeout)
+        });
+        delivery.status = response.status;
+        delivery.ok = response.ok;
+      } catch (error) {
+        delivery.ok = false;
+        delivery.error = error.message;
+      }
+
+      job.webhook.deliveries.push(delivery);
+      this.save(job);
+      if (delivery.ok) return;
+      if (attempt < WEBHOOK_ATTEMPTS) {
+        await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+      }
+    }
+    console.warn(`Webhook for job ${job.id} failed after ${WEBHOOK_ATTEMPTS} attempts: ${job.webhook.url}`);
+  }
+
+  save(job, options = {}) {
+    job.updatedAt = new Date().toISOString();
+    if (!this.dir) return;
+
+    const handle = this.handles.get(job.id);
+    if (options.throttle && handle && handle.savedAt && Date.now() - handle.savedAt < 1000) return;
+    if (handle) handle.savedAt = Date.now();
+
+    // Write and rename so a crash never leaves half a job file
+    const file = path.join(this.dir, `${job.id}.json`);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(job, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  // Drop the oldest finished jobs beyond maxJobs
+  prune() {
+    const finished = [...this.jobs.values()]
+      .filter(job => FINISHED.includes(job.status))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    finished.slice(0, Math.max(0, this.jobs.size - this.maxJobs)).forEach(job => {
+      this.jobs.delete(job.id);
+      this.handles.delete(job.id);
+      if (this.dir) {
+        fs.rmSync(path.join(this.dir, `${job.id}.json`), { force: true });
+      }
+    });
+  }
+
+  // The job without its generated dashboard, for listings and webhooks
+  static summary(job) {
+    const { result, ...rest } = job;
+    return {
+      ...rest,
+      result: result ? { metadata: result.metadata, deployment: result.deployment || null } : null
+    };
+  }
+}
+
+module.exports = JobManager;
+module.exports.PHASES = PHASES;
@@ -0,0 +1,520 @@
+/**
+ * Kafka Dashboard Templates
+ * Templates and widget types for brokers, topics, consumer groups, share
+ * groups (KIP-932) and the ZooKeeper/KRaft controller. Each widget type lists
+ * its sources in order of preference: nri-kafka samples first, then the
+ * Prometheus/JMX and OpenTelemetry metrics in Metric. The template engine
+ * builds each widget from the first source that has data.
+ *
+ * A source is either
+ *   { eventType, query() } - used when the event type has data
+ *   { metrics, query(names) } - used when every entry of metrics resolves to
+ *     an available metric; an entry is a name or an array of alternative
+ *     names, first available wins, and query receives the resolved names
+ *
+ * Widget types may instead declare slots and a query template, listing the
+ * nri-kafka attribute and the metric spellings of each value (see
+ * query-template.js).
+ */
+
+// Event types the Kafka templates read, for discovering which have data
+const KAFKA_EVENT_TYPES = [
+  'KafkaBrokerSample',
+  'KafkaTopicSample',
+  'KafkaConsumerSample',
+  'KafkaOffsetSample',
+  'QueueSample'
+];
+
+const TIMESERIES = 'TIMESERIES SINCE 30 minutes ago';
+const LATEST = 'SINCE 5 minutes ago';
+
+const kafkaTemplates = {
+  'kafka-broker-health': {
+    name: 'Kafka Broker Health',
+    description: 'Broker throughput, request latency, failures and replication health',
+    sections: [
+      {
+        name: 'Overview',
+        widgets: [
+          { type: 'kafka-broker-count', position: { col: 1, row: 1, width: 3, height: 3 } },
+          { type: 'kafka-under-replicated', position: { col: 4, row: 1, width: 3, height: 3 } },
+          { type: 'kafka-offline-partitions', position: { col: 7, row: 1, width: 3, height: 3 } },
+          { type: 'kafka-request-handler-idle', position: { col: 10, row: 1, width: 3, height: 3 } }
+        ]
+      },
+      {
+        name: 'Throughput & Requests',
+        widgets: [
+          { type: 'kafka-broker-bytes', position: { col: 1, row: 1, width: 6, height: 3 } },
+          { type: 'kafka-broker-messages', position: { col: 7, row: 1, width: 6, height: 3 } },
+          { type: 'kafka-request-latency', position: { col: 1, row: 4, width: 6, height: 3 } },
+          { type: 'kafka-failed-requests', position: { col: 7, row: 4, width: 6, height: 3 } }
+        ]
+      },
+      {
+        name: 'Replication',
+        widgets: [
+          { type: 'kafka-isr-changes', position: { col: 1, row: 1, width: 6, height: 3 } },
+          { type: 'kafka-leader-elections', position: { col: 7, row: 1, width: 6, height: 3 } }
+        ]
+      }
+    ]
+  },
+
+  'kafka-topic-throughput': {
+    name: 'Kafka Topic Throughput',
+    description: 'Bytes and messages per topic, partition leadership and size',
+    sections: [
+      {
+        name: 'Topics',
+        widgets: [
+          { type: 'kafka-topic-bytes-in', position: { col: 1, row: 1, width: 6, height: 3 } },
+          { type: 'kafka-topic-bytes-out', position: { col: 7, row: 1, width: 6, height: 3 } },
+          { type: 'kafka-topic-messages', position: { col: 1, row: 4, width: 6, height: 3 } },
+          { type: 'kafka-topic-partitions', position: { col: 7, row: 4, width: 6, height: 3 } },
+          { type: 'kafka-topic-table', position: { col: 1, row: 7, width: 12, height: 3 } }
+        ]
+      }
+    ]
+  },
+
+  'kafka-consumer-lag': {
+    name: 'Kafka Consumer Lag',
+    description: 'Consumer group lag per topic and partition and consumption rate',
+    sections: [
+      {
+        name: 'Consumer Groups',
+        widgets: [
+          { type: 'kafka-total-lag', position: { col: 1, row: 1, width: 3, height: 3 } },
+          { type: 'kafka-lag-by-group', position: { col: 4, row: 1, width: 9, height: 3 } },
+          { type: 'kafka-lag-trend', position: { col: 1, row: 4, width: 6, height: 3 } },
+          { type: 'kafka-consumption-rate', position: { col: 7, row: 4, width: 6, height: 3 } },
+          { type: 'kafka-lag-by-partition', position: { col: 1, row: 7, width: 12, height: 3 } }
+        ]
+      }
+    ]
+  },
+
+  'kafka-share-groups': {
+    name: 'Kafka Share Groups',
+    description: 'KIP-932 share group backlog, processing delay and delivery outcomes',
+    sections: [
+      {
+        name: 'Share Groups',
+        widgets: [
+          { type: 'kafka-share-unacked', position: { col: 1, row: 1, width: 3, height: 3 } },
+          { type: 'kafka-share-oldest-unacked', position: { col: 4, row: 1, width: 3, height: 3 } },
+          { type: 'kafka-share-unacked-trend', position: { col: 7, row: 1, width: 6, height: 3 } },
+          { type: 'kafka-share-outcomes', position: { col: 1, row: 4, width: 6, height: 3 } },
+          { type: 'kafka-share-delay-trend', position: { col: 7, row: 4, width: 6, height: 3 } },
+          { type: 'kafka-share-partitions', position: { col: 1, row: 7, width: 12, height: 3 } }
+        ]
+      }
+    ]
+  },
+
+  'kafka-controller': {
+    name: 'Kafka Controller',
+    description: 'Active controller, leader elections and ZooKeeper or KRaft quorum health',
+    sections: [
+      {
+        name: 'Controller',
+        widgets: [
+          { type: 'kafka-active-controllers', position: { col: 1, row: 1, width: 3, height: 3 } },
+          { type: 'kafka-offline-partitions', position: { col: 4, row: 1, width: 3, height: 3 } },
+          { type: 'kafka-unclean-elections', position: { col: 7, row: 1, width: 3, height: 3 } },
+          { type: 'kafka-leader-elections', position: { col: 10, row: 1, width: 3, height: 3 } }
+        ]
+      },
+      {
+        name: 'ZooKeeper',
+        widgets: [
+          { type: 'kafka-zookeeper-latency', position: { col: 1, row: 1, width: 6, height: 3 } },
+          { type: 'kafka-zookeeper-sessions', position: { col: 7, row: 1, width: 6, height: 3 } }
+        ]
+      },
+      {
+        name: 'KRaft',
+        widgets: [
+          { type: 'kafka-kraft-commit-latency', position: { col: 1, row: 1, width: 6, height: 3 } },
+          { type: 'kafka-kraft-record-lag', position: { col: 7, row: 1, width: 6, height: 3 } }
+        ]
+      }
+    ]
+  }
+};
+
+const kafkaWidgetTypes = {
+  // Brokers
+  'kafka-broker-count': {
+    title: 'Brokers',
+    visualization: 'viz.billboard',
+    sources: [
+      { eventType: 'KafkaBrokerSample', query: () => `SELECT uniqueCount(entity.name) AS 'Brokers' FROM KafkaBrokerSample ${LATEST}` },
+      { metrics: ['kafka.brokers'], query: ([brokers]) => `SELECT latest(${brokers}) AS 'Brokers' FROM Metric ${LATEST}` }
+    ]
+  },
+
+  'kafka-under-replicated': {
+    title: 'Under-Replicated Partitions',
+    visualization: 'viz.billboard',
+    sources: [
+      { eventType: 'KafkaBrokerSample', query: () => `SELECT sum(replication.unreplicatedPartitions) AS 'Under-replicated' FROM KafkaBrokerSample ${LATEST}` },
+      { metrics: ['kafka_server_replicamanager_underreplicatedpartitions'], query: ([partitions]) => `SELECT sum(${partitions}) AS 'Under-replicated' FROM Metric ${LATEST}` }
+    ]
+  },
+
+  'kafka-offline-partitions': {
+    title: 'Offline Partitions',
+    visualization: 'viz.billboard',
+    sources: [
+      { metrics: ['kafka_controller_kafkacontroller_offlinepartitionscount'], query: ([offline]) => `SELECT max(${offline}) AS 'Offline partitions' FROM Metric ${LATEST}` }
+    ]
+  },
+
+  'kafka-request-handler-idle': {
+    title: 'Request Handler Idle %',
+    visualization: 'viz.billboard',
+    sources: [
+      { eventType: 'KafkaBrokerSample', query: () => `SELECT average(request.handlerIdle) * 100 AS 'Idle %' FROM KafkaBrokerSample ${LATEST}` },
+      {
+        metrics: [['kafka_server_kafkarequesthandlerpool_requesthandleravgidlepercent', 'kafka_server_kafkarequesthandlerpool_requesthandleravgidlepercent_total']],
+        query: ([idle]) => `SELECT average(${idle}) * 100 AS 'Idle %' FROM Metric ${LATEST}`
+      }
+    ]
+  },
+
+  'kafka-broker-bytes': {
+    title: 'Broker Bytes In / Out per Second',
+    visualization: 'viz.line',
+    slots: {
+      bytesIn: [
+        { eventType: 'KafkaBrokerSample', attribute: 'broker.IOInPerSecond' },
+        'kafka.broker.IOInPerSecond',
+        { metric: 'kafka_server_brokertopicmetrics_bytesin_total', aggregate: 'rate' },
+        { metric: 'kafka_server_BrokerTopicMetrics_BytesInPerSec', aggregate: 'rate' }
+      ],
+      bytesOut: {
+        required: false,
+        candidates: [
+          { eventType: 'KafkaBrokerSample', attribute: 'broker.IOOutPerSecond' },
+          'kafka.broker.IOOutPerSecond',
+          { metric: 'kafka_server_brokertopicmetrics_bytesout_total', aggregate: 'rate' },
+          { metric: 'kafka_server_BrokerTopicMetrics_BytesOutPerSec', aggregate: 'rate' }
+        ]
+      },
+      broker: { required: false, candidates: [{ eventType: 'KafkaBrokerSample', attribute: 'entity.name', aggregate: 'none' }] }
+    },
+    query: `SELECT \${bytesIn} AS 'Bytes in'[[, \${bytesOut} AS 'Bytes out']] FROM \${from}[[ FACET \${broker}]] ${TIMESERIES}`
+  },
+
+  'kafka-broker-messages': {
+    title: 'Broker Messages In per Second',
+    visualization: 'viz.line',
+    slots: {
+      messages: [
+        { eventType: 'KafkaBrokerSample', attribute: 'broker.messagesInPerSecond' },
+        'kafka.broker.MessagesInPerSecond',
+        { metric: 'kafka_server_brokertopicmetrics_messagesin_total', aggregate: 'rate' },
+        { metric: 'kafka_server_BrokerTopicMetrics_MessagesInPerSec', aggregate: 'rate' }
+      ],
+      broker: { required: false, candidates: [{ eventType: 'KafkaBrokerSample', attribute: 'entity.name', aggregate: 'none' }] }
+    },
+    query: `SELECT \${messages} AS 'Messages in' FROM \${from}[[ FACET \${broker}]] ${TIMESERIES}`
+  },
+
+  'kafka-request-latency': {
+    title: 'Produce & Fetch Latency (ms)',
+    visualization: 'viz.line',
+    sources: [
+      { eventType: 'KafkaBrokerSample', query: () => `SELECT average(request.avgTimeProduceRequest) AS 'Produce', average(request.avgTimeFetch) AS 'Fetch', average(request.avgTimeMetadata) AS 'Metadata' FROM KafkaBrokerSample ${TIMESERIES}` },
+      { metrics: ['kafka_network_requestmetrics_totaltimems'], query: ([totalTime]) => `SELECT average(${totalTime}) FROM Metric WHERE request IN ('Produce', 'FetchConsumer', 'Metadata') FACET request ${TIMESERIES}` }
+    ]
+  },
+
+  'kafka-failed-requests': {
+    title: 'Failed Requests per Second',
+    visualization: 'viz.line',
+    sources: [
+      { eventType: 'KafkaBrokerSample', query: () => `SELECT average(request.produceRequestsFailedPerSecond) AS 'Produce', average(request.clientFetchesFailedPerSecond) AS 'Fetch' FROM KafkaBrokerSample ${TIMESERIES}` },
+      {
+        metrics: ['kafka_server_brokertopicmetrics_failedproducerequests_total', 'kafka_server_brokertopicmetrics_failedfetchrequests_total'],
+        query: ([produce, fetch]) => `SELECT rate(sum(${produce}), 1 second) AS 'Produce', rate(sum(${fetch}), 1 second) AS 'Fetch' FROM Metric ${TIMESERIES}`
+      }
+    ]
+  },
+
+  'kafka-isr-changes': {
+    title: 'ISR Shrinks / Expands per Second',
+    visualization: 'viz.line',
+    sources: [
+      { eventType: 'KafkaBrokerSample', query: () => `SELECT average(replication.isrShrinksPerSecond) AS 'Shrinks', average(replication.isrExpandsPerSecond) AS 'Expands' FROM KafkaBrokerSample ${TIMESERIES}` },
+      {
+        metrics: ['kafka_server_replicamanager_isrshrinks_total', 'kafka_server_replicamanager_isrexpands_total'],
+        query: ([shrinks, expands]) => `SELECT rate(sum(${shrinks}), 1 second) AS 'Shrinks', rate(sum(${expands}), 1 second) AS 'Expands' FROM Metric ${TIMESERIES}`
+      }
+    ]
+  },
+
+  'kafka-leader-elections': {
+    title: 'Leader Elections per Second',
+    visualization: 'viz.line',
+    sources: [
+      { eventType: 'KafkaBrokerSample', query: () => `SELECT average(replication.leaderElectionPerSecond) AS 'Leader elections' FROM KafkaBrokerSample ${TIMESERIES}` },
+      {
+        metrics: [['kafka_controller_controllerstats_leaderelectionrateandtimems_count', 'kafka_controller_controllerstats_leaderelectionrateandtimems']],
+        query: ([elections]) => `SELECT rate(sum(${elections}), 1 second) AS 'Leader elections' FROM Metric ${TIMESERIES}`
+      }
+    ]
+  },
+
+  // Topics
+  'kafka-topic-bytes-in': {
+    title: 'Bytes In per Topic',
+    visualization: 'viz.line',
+    sources: [
+      { eventType: 'KafkaTopicSample', query: () => `SELECT average(topic.bytesInPerSecond) FROM KafkaTopicSample FACET topic LIMIT 20 ${TIMESERIES}` },
+      { metrics: ['kafka_server_brokertopicmetrics_bytesin_total'], query: ([bytesIn]) => `SELECT rate(sum(${bytesIn}), 1 second) FROM Metric WHERE topic IS NOT NULL FACET topic LIMIT 20 ${TIMESERIES}` }
+    ]
+  },
+
+  'kafka-topic-bytes-out': {
+    title: 'Bytes Out per Topic',
+    visualization: 'viz.line',
+    sources: [
+      { eventType: 'KafkaTopicSample', query: () => `SELECT average(topic.bytesOutPerSecond) FROM KafkaTopicSample FACET topic LIMIT 20 ${TIMESERIES}` },
+      { metrics: ['kafka_server_brokertopicmetrics_bytesout_total'], query: ([bytesOut]) => `SELECT rate(sum(${bytesOut}), 1 second) FROM Metric WHERE topic IS NOT NULL FACET topic LIMIT 20 ${TIMESERIES}` }
+    ]
+  },
+
+  'kafka-topic-messages': {
+    title: 'Messages In per Topic',
+    visualization: 'viz.line',
+    sources: [
+      { eventType: 'KafkaTopicSample', query: () => `SELECT average(topic.messagesInPerSecond) FROM KafkaTopicSample FACET topic LIMIT 20 ${TIMESERIES}` },
+      { metrics: ['kafka_server_brokertopicmetrics_messagesin_total'], query: ([messages]) => `SELECT rate(sum(${messages}), 1 second) FROM Metric WHERE topic IS NOT NULL FACET topic LIMIT 20 ${TIMESERIES}` },
+      { metrics: ['kafka.partition.current_offset'], query: ([offset]) => `SELECT derivative(${offset}, 1 second) FROM Metric FACET topic LIMIT 20 ${TIMESERIES}` }
+    ]
+  },
+
+  'kafka-topic-partitions': {
+    title: 'Partitions & Non-Preferred Leaders',
+    visualization: 'viz.bar',
+    sources: [
+      { eventType: 'KafkaTopicSample', query: () => `SELECT latest(topic.partitionsWithNonPreferredLeader) AS 'Non-preferred leaders', latest(topic.underReplicatedPartitions) AS 'Under-replicated' FROM KafkaTopicSample FACET topic LIMIT 20 ${LATEST}` },
+      { metrics: ['kafka.topic.partitions'], query: ([partitions]) => `SELECT latest(${partitions}) AS 'Partitions' FROM Metric FACET topic LIMIT 20 ${LATEST}` }
+    ]
+  },
+
+  'kafka-topic-table': {
+    title: 'Topic Details',
+    visualization: 'viz.table',
+    sources: [
+      { eventType: 'KafkaTopicSample', query: () => `SELECT latest(topic.bytesInPerSecond) AS 'Bytes in/s', latest(topic.bytesOutPerSecond) AS 'Bytes out/s', latest(topic.messagesInPerSecond) AS 'Messages in/s', latest(topic.diskSize) AS 'Disk size' FROM KafkaTopicSample FACET topic LIMIT 100 ${LATEST}` },
+      {
+        metrics: ['kafka.topic.partitions', 'kafka.partition.replicas_in_sync'],
+        query: ([partitions, inSync]) => `SELECT latest(${partitions}) AS 'Partitions', min(${inSync}) AS 'Min in-sync replicas' FROM Metric FACET topic LIMIT 100 ${LATEST}`
+      }
+    ]
+  },
+
+  // Consumer groups
+  'kafka-total-lag': {
+    title: 'Total Consumer Lag',
+    visualization: 'viz.billboard',
+    sources: [
+      { eventType: 'KafkaOffsetSample', query: () => `SELECT sum(consumer.lag) AS 'Total lag' FROM KafkaOffsetSample ${LATEST}` },
+      { eventType: 'KafkaConsumerSample', query: () => `SELECT sum(consumer.lag) AS 'Total lag' FROM KafkaConsumerSample ${LATEST}` },
+      { metrics: ['kafka_consumergroup_lag'], query: ([lag]) => `SELECT sum(${lag}) AS 'Total lag' FROM Metric ${LATEST}` },
+      { metrics: ['kafka.consumer_group.lag_sum'], query: ([lag]) => `SELECT sum(${lag}) AS 'Total lag' FROM Metric ${LATEST}` }
+    ]
+  },
+
+  'kafka-lag-by-group': {
+    title: 'Lag by Consumer Group',
+    visualization: 'viz.bar',
+    sources: [
+      { eventType: 'KafkaOffsetSample', query: () => `SELECT sum(consumer.lag) FROM KafkaOffsetSample FACET consumerGroup LIMIT 20 ${LATEST}` },
+      { eventType: 'KafkaConsumerSample', query: () => `SELECT sum(consumer.lag) FROM KafkaConsumerSample FACET consumerGroup LIMIT 20 ${LATEST}` },
+      { metrics: ['kafka_consumergroup_lag'], query: ([lag]) => `SELECT sum(${lag}) FROM Metric FACET consumergroup LIMIT 20 ${LATEST}` },
+      { metrics: ['kafka.consumer_group.lag_sum'], query: ([lag]) => `SELECT sum(${lag}) FROM Metric FACET group LIMIT 20 ${LATEST}` }
+    ]
+  },
+
+  'kafka-lag-trend': {
+    title: 'Max Lag by Group and Topic',
+    visualization: 'viz.line',
+    sources: [
+      { eventType: 'KafkaOffsetSample', query: () => `SELECT max(consumer.lag) FROM KafkaOffsetSample FACET consumerGroup, topic LIMIT 20 ${TIMESERIES}` },
+      { eventType: 'KafkaConsumerSample', query: () => `SELECT max(consumer.lag) FROM KafkaConsumerSample FACET consumerGroup, topic LIMIT 20 ${TIMESERIES}` },
+      { metrics: ['kafka_consumergroup_lag'], query: ([lag]) => `SELECT max(${lag}) FROM Metric FACET consumergroup, topic LIMIT 20 ${TIMESERIES}` },
+      { metrics: ['kafka.consumer_group.lag'], query: ([lag]) => `SELECT max(${lag}) FROM Metric FACET group, topic LIMIT 20 ${TIMESERIES}` }
+    ]
+  },
+
+  'kafka-consumption-rate': {
+    title: 'Consumed Messages per Second',
+    visualization: 'viz.line',
+    sources: [
+      { eventType: 'KafkaOffsetSample', query: () => `SELECT derivative(consumer.offset, 1 second) FROM KafkaOffsetSample FACET consumerGroup LIMIT 20 ${TIMESERIES}` },
+      { metrics: ['kafka_consumergroup_current_offset'], query: ([offset]) => `SELECT derivative(${offset}, 1 second) FROM Metric FACET consumergroup LIMIT 20 ${TIMESERIES}` },
+      { metrics: ['kafka.consumer_group.offset'], query: ([offset]) => `SELECT derivative(${offset}, 1 second) FROM Metric FACET group LIMIT 20 ${TIMESERIES}` }
+    ]
+  },
+
+  'kafka-lag-by-partition': {
+    title: 'Lag by Partition',
+    visualization: 'viz.table',
+    sources: [
+      { eventType: 'KafkaOffsetSample', query: () => `SELECT latest(consumer.lag) AS 'Lag', latest(consumer.offset) AS 'Offset' FROM KafkaOffsetSample FACET consumerGroup, topic, partition LIMIT 100 ${LATEST}` },
+      { metrics: ['kafka_consumergroup_lag'], query: ([lag]) => `SELECT latest(${lag}) AS 'Lag' FROM Metric FACET consumergroup, topic, partition LIMIT 100 ${LATEST}` },
+      { metrics: ['kafka.consumer_group.lag'], query: ([lag]) => `SELECT latest(${lag}) AS 'Lag' FROM Metric FACET group, topic, partition LIMIT 100 ${LATEST}` }
+    ]
+  },
+
+  // Share groups (KIP-932)
+  'kafka-share-unacked': {
+    title: 'Unacknowledged Records',
+    visualization: 'viz.billboard',
+    sources: [
+      { eventType: 'QueueSample', query: () => `SELECT sum(queue.size) AS 'Unacked' FROM QueueSample WHERE provider = 'kafka' AND partition.id IS NOT NULL ${LATEST}` },
+      { metrics: ['kafka_sharegroup_records_unacked'], query: ([unacked]) => `SELECT sum(${unacked}) AS 'Unacked' FROM Metric ${LATEST}` }
+    ]
+  },
+
+  'kafka-share-oldest-unacked': {
+    title: 'Oldest Unacked (s)',
+    visualization: 'viz.billboard',
+    sources: [
+      { eventType: 'QueueSample', query: () => `SELECT max(oldest.message.age.seconds) AS 'Oldest unacked (s)' FROM QueueSample WHERE provider = 'kafka' ${LATEST}` },
+      { metrics: ['kafka_sharegroup_oldest_unacked_ms'], query: ([oldest]) => `SELECT max(${oldest}) / 1000 AS 'Oldest unacked (s)' FROM Metric ${LATEST}` }
+    ]
+  },
+
+  'kafka-share-unacked-trend': {
+    title: 'Unacked Records by Share Group',
+    visualization: 'viz.line',
+    sources: [
+      { eventType: 'QueueSample', query: () => `SELECT sum(queue.size) FROM QueueSample WHERE provider = 'kafka' AND partition.id IS NOT NULL FACET share.group.name, topic.name LIMIT 20 ${TIMESERIES}` },
+      { metrics: ['kafka_sharegroup_records_unacked'], query: ([unacked]) => `SELECT sum(${unacked}) FROM Metric FACET group, topic LIMIT 20 ${TIMESERIES}` }
+    ]
+  },
+
+  'kafka-share-outcomes': {
+    title: 'Acknowledged / Released / Rejected per Minute',
+    visualization: 'viz.line',
+    sources: [
+      {
+        eventType: 'QueueSample',
+        query: () => `SELECT derivative(messages.acknowledged, 1 minute) AS 'Acknowledged', derivative(messages.released, 1 minute) AS 'Released', derivative(messages.rejected, 1 minute) AS 'Rejected' FROM QueueSample WHERE provider = 'kafka' AND partition.id IS NULL ${TIMESERIES}`
+      },
+      {
+        metrics: [
+          ['kafka_sharegroup_records_acknowledged', 'kafka_sharegroup_records_acknowledged_total'],
+          ['kafka_sharegroup_records_released', 'kafka_sharegroup_records_released_total'],
+          ['kafka_sharegroup_records_rejected', 'kafka_sharegroup_records_rejected_total']
+        ],
+        query: ([acknowledged, released, rejected]) => `SELECT derivative(${acknowledged}, 1 minute) AS 'Acknowledged', derivative(${released}, 1 minute) AS 'Released', derivative(${rejected}, 1 minute) AS 'Rejected' FROM Metric ${TIMESERIES}`
+      }
+    ]
+  },
+
+  'kafka-share-delay-trend': {
+    title: 'Oldest Unacked Age by Share Group (s)',
+    visualization: 'viz.line',
+    sources: [
+      { eventType: 'QueueSample', query: () => `SELECT max(oldest.message.age.seconds) FROM QueueSample WHERE provider = 'kafka' FACET share.group.name LIMIT 20 ${TIMESERIES}` },
+      { metrics: ['kafka_sharegroup_oldest_unacked_ms'], query: ([oldest]) => `SELECT max(${oldest}) / 1000 FROM Metric FACET group LIMIT 20 ${TIMESERIES}` }
+    ]
+  },
+
+  'kafka-share-partitions': {
+    title: 'Share Group Partitions',
+    visualization: 'viz.table',
+    sources: [
+      {
+        eventType: 'QueueSample',
+        query: () => `SELECT latest(queue.size) AS 'Unacked', latest(oldest.message.age.seconds) AS 'Oldest (s)', latest(messages.acknowledged) AS 'Acknowledged', latest(messages.rejected) AS 'Rejected' FROM QueueSample WHERE provider = 'kafka' AND partition.id IS NOT NULL FACET share.group.name, topic.name, partition.id LIMIT 100 ${LATEST}`
+      },
+      {
+        metrics: ['kafka_sharegroup_records_unacked', 'kafka_sharegroup_oldest_unacked_ms'],
+        query: ([unacked, oldest]) => `SELECT latest(${unacked}) AS 'Unacked', latest(${oldest}) / 1000 AS 'Oldest (s)' FROM Metric FACET group, topic, partition LIMIT 100 ${LATEST}`
+      }
+    ]
+  },
+
+  // Controller
+  'kafka-active-controllers': {
+    title: 'Active Controllers',
+    visualization: 'viz.billboard',
+    sources: [
+      { metrics: ['kafka_controller_kafkacontroller_activecontrollercount'], query: ([active]) => `SELECT sum(${active}) AS 'Active controllers' FROM Metric ${LATEST}` }
+    ]
+  },
+
+  'kafka-unclean-elections': {
+    title: 'Unclean Leader Elections',
+    visualization: 'viz.billboard',
+    sources: [
+      { eventType: 'KafkaBrokerSample', query: () => `SELECT sum(replication.uncleanLeaderElectionPerSecond) AS 'Unclean elections/s' FROM KafkaBrokerSample ${LATEST}` },
+      {
+        metrics: [['kafka_controller_controllerstats_uncleanleaderelectionspersec_total', 'kafka_controller_controllerstats_uncleanleaderelectionspersec_count', 'kafka_controller_controllerstats_uncleanleaderelectionspersec']],
+        query: ([unclean]) => `SELECT rate(sum(${unclean}), 1 second) AS 'Unclean elections/s' FROM Metric ${LATEST}`
+      }
+    ]
+  },
+
+  'kafka-zookeeper-latency': {
+    title: 'ZooKeeper Request Latency (ms)',
+    visualization: 'viz.line',
+    sources: [
+      {
+        metrics: [['kafka_server_zookeeperclientmetrics_zookeeperrequestlatencyms', 'kafka_server_zookeeperclientmetrics_zookeeperrequestlatencyms_mean']],
+        query: ([latency]) => `SELECT average(${latency}) FROM Metric ${TIMESERIES}`
+      }
+    ]
+  },
+
+  'kafka-zookeeper-sessions': {
+    title: 'ZooKeeper Disconnects & Expirations per Minute',
+    visualization: 'viz.line',
+    sources: [
+      {
+        metrics: [
+          ['kafka_server_sessionexpirelistener_zookeeperdisconnectspersec_total', 'kafka_server_sessionexpirelistener_zookeeperdisconnectspersec_count'],
+          ['kafka_server_sessionexpirelistener_zookeeperexpirespersec_total', 'kafka_server_sessionexpirelistener_zookeeperexpirespersec_count']
+        ],
+        query: ([disconnects, expires]) => `SELECT rate(sum(${disconnects}), 1 minute) AS 'Disconnects', rate(sum(${expires}), 1 minute) AS 'Expirations' FROM Metric ${TIMESERIES}`
+      }
+    ]
+  },
+
+  'kafka-kraft-commit-latency': {
+    title: 'KRaft Commit Latency (ms)',
+    visualization: 'viz.line',
+    sources: [
+      {
+        metrics: ['kafka_server_raftmetrics_commit_latency_avg', 'kafka_server_raftmetrics_commit_latency_max'],
+        query: ([average, max]) => `SELECT average(${average}) AS 'Average', max(${max}) AS 'Max' FROM Metric ${TIMESERIES}`
+      }
+    ]
+  },
+
+  'kafka-kraft-record-lag': {
+    title: 'KRaft Last Applied Record Lag (ms)',
+    visualization: 'viz.line',
+    sources: [
+      {
+        metrics: ['kafka_controller_kafkacontroller_lastappliedrecordlagms'],
+        query: ([lag]) => `SELECT max(${lag}) FROM Metric ${TIMESERIES}`
+      }
+    ]
+  }
+};
+
+module.exports = {
+  KAFKA_EVENT_TYPES,
+  kafkaTemplates,
+  kafkaWidgetTypes
+};
@@ -1,10 +1,11 @@
-const https = require('https');
+const { createTransport } = require('nr-guardian/src/core/transport.js');
 const { promisify } = require('util');
 
 class MetricDiscoveryService {
-  constructor(apiKey, accountId) {
+  constructor(apiKey, accountId, options = {}) {
     this.apiKey = apiKey;
     this.accountId = accountId;
+    this.transport = options.transport || createTransport({ apiKey, endpoint: options.endpoint, region: options.region });
     this.cache = new Map();
     this.cacheTTL = 3600000; // 1 hour
   }
@@ -14,7 +15,8 @@ class MetricDiscoveryService {
       namespace = null,
       pattern = null,
       limit = 1000,
-      useCache = true
+      useCache = true,
+      signal
     } = options;
 
     const cacheKey = `metrics:${namespace || 'all'}:${pattern || 'all'}`;
@@ -27,7 +29,7 @@ class MetricDiscoveryService {
     }
 
     try {
-      const metrics = await this.fetchMetricsFromNewRelic(namespace, pattern, limit);
+      const metrics = await this.fetchMetricsFromNewRelic(namespace, pattern, limit, { signal });
       
       const enrichedMetrics = await Promise.all(
         metrics.map(metric => this.enrichMetric(metric))
@@ -53,9 +55,9 @@ class MetricDiscoveryService {
     }
   }
 
-  async fetchMetricsFromNewRelic(namespace, pattern, limit) {
+  async fetchMetricsFromNewRelic(namespace, pattern, limit, requestOptions = {}) {
     const { query, nrql } = this.buildDiscoveryQuery(namespace, pattern, limit);
-    const response = await this.executeNerdGraphQuery(query, { nrql });
+    const response = await this.executeNerdGraphQuery(query, { nrql }, requestOptions);
     
     if (response.data?.actor?.account?.nrql?.results) {
       return response.data.actor.account.nrql.results.map(result => ({
@@ -103,7 +105,31 @@ class MetricDiscoveryService {
     return { query, nrql };
   }
 
-  async getMetricMetadata(metricName) {
+  // Which of eventTypes have data in the account
+  async discoverEventTypes(eventTypes, since = '1 day ago', requestOptions = {}) {
+    const nrql = `SELECT count(*) FROM ${eventTypes.join(', ')} SINCE ${since} FACET eventType() LIMIT ${eventTypes.length}`;
+
+    const query = `
+      query discoverEventTypes($accountId: Int!, $nrql: Nrql!) {
+        actor {
+          account(id: $accountId) {
+            nrql(query: $nrql) {
+              results
+            }
+          }
+        }
+      }
+    `;
+
+    const response = await this.executeNerdGraphQuery(query, { nrql }, requestOptions);
+    const results = response.data?.actor?.account?.nrql?.results || [];
+    return results
+      .filter(result => result.count > 0)
+      .map(result => result.facet || result['eventType()'])
+      .filter(eventType => eventTypes.includes(eventType));
+  }
+
+  async getMetricMetadata(metricName, requestOptions = {}) {
     const cacheKey = `metadata:${metricName}`;
     
     if (this.cache.has(cacheKey)) {
@@ -115,9 +141,9 @@ class MetricDiscoveryService {
 
     try {
       const [samples, dimensions, statistics] = await Promise.all([
-        this.getMetricSamples(metricName, '5 minutes'),
-        this.getMetricDimensions(metricName),
-        this.getMetricStatistics(metricName)
+        this.getMetricSamples(metricName, '5 minutes', requestOptions),
+        this.getMetricDimensions(metricName, requestOptions),
+        this.getMetricStatistics(metricName, requestOptions)
       ]);
 
       const metadata = {
@@ -138,12 +164,14 @@ class MetricDiscoveryService {
 
       return metadata;
     } catch (error) {
+      // A cancelled request stops the caller, it is not missing metadata
+      if (requestOptions.signal && requestOptions.signal.aborted) throw error;
       console.error(`Error getting metadata for ${metricName}:`, error);
       return null;
     }
   }
 
-  async getMetricSamples(metricName, timeRange = '1 hour') {
+  async getMetricSamples(metricName, timeRange = '1 hour', requestOptions = {}) {
     const nrql = `SELECT average(metricName) FROM Metric WHERE metricName = '${metricName}' SINCE ${timeRange} TIMESERIES 1 minute`;
     
     const query = `
@@ -158,7 +186,7 @@ class MetricDiscoveryService {
       }
     `;
 
-    const response = await this.executeNerdGraphQuery(query, { nrql });
+    const response = await this.executeNerdGraphQuery(query, { nrql }, requestOptions);
     
     if (response.data?.actor?.account?.nrql?.results) {
       return response.data.actor.account.nrql.results.map(result => ({
@@ -170,7 +198,7 @@ class MetricDiscoveryService {
     return [];
   }
 
-  async getMetricDimensions(metricName) {
+  async getMetricDimensions(metricName, requestOptions = {}) {
     const nrql = `SELECT keyset() FROM Metric WHERE metricName = '${metricName}' SINCE 1 hour ago LIMIT 1`;
     
     const query = `
@@ -185,7 +213,7 @@ class MetricDiscoveryService {
       }
     `;
 
-    const response = await this.executeNerdGraphQuery(query, { nrql });
+    const response = await this.executeNerdGraphQuery(query, { nrql }, requestOptions);
     
     if (response.data?.actor?.account?.nrql?.results?.[0]) {
       const keys = response.data.actor.account.nrql.results[0]['keyset()'] || [];
@@ -197,7 +225,7 @@ class MetricDiscoveryService {
     return [];
   }
 
-  async getMetricStatistics(metricName) {
+  async getMetricStatistics(metricName, requestOptions = {}) {
     const nrql = `SELECT average(metricName) AS avg, min(metricName) AS min, max(metricName) AS max, stddev(metricName) AS stddev, count(metricName) AS count FROM Metric WHERE metricName = '${metricName}' SINCE 1 hour ago`;
     
     const query = `
@@ -212,7 +240,7 @@ class MetricDiscoveryService {
       }
     `;
 
-    const response = await this.executeNerdGraphQuery(query, { nrql });
+    const response = await this.executeNerdGraphQuery(query, { nrql }, requestOptions);
     
     if (response.data?.actor?.account?.nrql?.results?.[0]) {
       const result = response.data.actor.account.nrql.results[0];
@@ -374,52 +402,13 @@ class MetricDiscoveryService {
     return 'other';
   }
 
-  async executeNerdGraphQuery(query, variables = {}) {
-    const payload = JSON.stringify({
-      query,
-      variables: {
-        accountId: parseInt(this.accountId),
-        ...variables
-      }
-    });
-
-    return new Promise((resolve, reject) => {
-      const options = {
-        hostname: 'api.newrelic.com',
-        path: '/graphql',
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'API-Key': this.apiKey,
-          'Content-Length': payload.length
-        }
-      };
-
-      const req = https.request(options, (res) => {
-        let data = '';
-
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-
-        res.on('end', () => {
-          try {
-            const response = JSON.parse(data);
-            if (response.errors) {
-              reject(new Error(JSON.stringify(response.errors)));
-            } else {
-              resolve(response);
-            }
-          } catch (error) {
-            reject(error);
-          }
-        });
-      });
-
-      req.on('error', reject);
-      req.write(payload);
-      req.end();
-    });
+  // requestOptions go to the transport, e.g. { signal } to cancel the query
+  async executeNerdGraphQuery(query, variables = {}, requestOptions = {}) {
+    const data = await this.transport.request(query, {
+      accountId: parseInt(this.accountId),
+      ...variables
+    }, requestOptions);
+    return { data };
   }
 
   clearCache() {
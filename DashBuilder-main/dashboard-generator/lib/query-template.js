@@ -0,0 +1,204 @@
+/**
+ * Query Template
+ * A declarative widget query with metric slots. Each slot lists candidate
+ * metric or attribute names in order of preference and is bound to whichever
+ * candidate was discovered, so one definition covers the OpenTelemetry,
+ * Prometheus/JMX and nri-kafka spellings of the same measurement:
+ *
+ *   slots: {
+ *     bytesIn: {
+ *       candidates: [
+ *         'kafka.broker.IOInPerSecond',
+ *         { metric: 'kafka_server_BrokerTopicMetrics_BytesInPerSec', aggregate: 'rate' },
+ *         { eventType: 'KafkaBrokerSample', attribute: 'broker.IOInPerSecond' }
+ *       ]
+ *     },
+ *     bytesOut: { candidates: [...], required: false }
+ *   },
+ *   query: "SELECT ${bytesIn} AS 'Bytes in'[[, ${bytesOut} AS 'Bytes out']] FROM ${from} TIMESERIES"
+ *
+ * A candidate is a metric name (a string or { metric }), bound when metric
+ * discovery found it under any spelling metricKey treats as equal, or an
+ * attribute of an event type ({ eventType, attribute }; eventType defaults
+ * to Metric), bound when that event type has data.
+ *
+ * In the query ${slot} is the bound name aggregated with the candidate's or
+ * slot's aggregate (average by default; sum, max, min, latest, rate for
+ * counters, or none for the bare name), ${slot.name} is the bare name and
+ * ${from} the event type. [[...]] is left out unless every slot in it is
+ * bound. All slots bind from one event type: the sources are tried in the
+ * order their candidates first appear and the first that binds every
+ * required slot wins.
+ */
+
+const { metricKey } = require('nr-guardian/src/utils/metric-mapping.js');
+
+const AGGREGATES = {
+  average: name => `average(${name})`,
+  sum: name => `sum(${name})`,
+  max: name => `max(${name})`,
+  min: name => `min(${name})`,
+  latest: name => `latest(${name})`,
+  rate: name => `rate(sum(${name}), 1 second)`,
+  none: name => name
+};
+
+const SLOT_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const PLACEHOLDER_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)(\.name)?\}/g;
+const OPTIONAL_PATTERN = /\[\[([\s\S]*?)\]\]/g;
+
+// Metric names with characters NRQL does not allow bare are backquoted
+function identifier(name) {
+  return /^[A-Za-z_][A-Za-z0-9_.]*$/.test(name) ? name : `\`${name}\``;
+}
+
+function normalizeCandidate(candidate, slot) {
+  const spec = typeof candidate === 'string' ? { metric: candidate } : candidate;
+  return {
+    source: spec.metric ? 'Metric' : (spec.eventType || 'Metric'),
+    name: spec.metric || spec.attribute,
+    isMetric: Boolean(spec.metric),
+    aggregate: spec.aggregate || slot.aggregate || 'average'
+  };
+}
+
+class QueryTemplate {
+  // definition: { slots, query }; a slot may be given as just its array of
+  // candidates
+  constructor(definition) {
+    this.query = definition.query || '';
+    this.slots = Object.entries(definition.slots || {}).map(([name, slot]) => {
+      const spec = Array.isArray(slot) ? { candidates: slot } : slot;
+      return {
+        name,
+        required: spec.required !== false,
+        aggregate: spec.aggregate,
+        candidates: (spec.candidates || []).map(candidate => normalizeCandidate(candidate, spec))
+      };
+    });
+  }
+
+  // Event types the candidates read, in order of preference
+  sources() {
+    return [...new Set(this.slots.flatMap(slot => slot.candidates.map(candidate => candidate.source)))];
+  }
+
+  /**
+   * Bind every slot to an available candidate. Returns { source, bindings }
+   * with bindings mapping slot names to { name, aggregate }, or null when no
+   * source binds all required slots.
+   */
+  bind(availableMetrics = [], eventTypes = []) {
+    const available = new Map(availableMetrics.map(name => [metricKey(name), name]));
+    const readsMetrics = this.slots.some(slot => slot.candidates.some(candidate => candidate.isMetric));
+
+    for (const source of this.sources()) {
+      if (source !== 'Metric' && !eventTypes.includes(source)) continue;
+
+      const bindings = {};
+      this.slots.forEach(slot => {
+        for (const candidate of slot.candidates.filter(item => item.source === source)) {
+          const name = candidate.isMetric ? available.get(metricKey(candidate.name)) : candidate.name;
+          if (name) {
+            bindings[slot.name] = { name, aggregate: candidate.aggregate, isMetric: candidate.isMetric };
+            break;
+          }
+        }
+      });
+
+      // Attributes alone say nothing about whether Metric has data
+      if (source === 'Metric' && readsMetrics && !Object.values(bindings).some(binding => binding.isMetric)) continue;
+      if (this.slots.every(slot => !slot.required || bindings[slot.name])) {
+        return { source, bindings };
+      }
+    }
+    return null;
+  }
+
+  // The query for the available metrics and event types, or null
+  render(availableMetrics = [], eventTypes = []) {
+    const bound = this.bind(availableMetrics, eventTypes);
+    return bound ? this.fill(bound) : null;
+  }
+
+  fill({ source, bindings }) {
+    return this.query
+      .replace(OPTIONAL_PATTERN, (match, body) => (this.references(body).every(name => bindings[name]) ? body : ''))
+      .replace(PLACEHOLDER_PATTERN, (match, name, bare) => {
+        if (name === 'from' && !bare) return source;
+        const binding = bindings[name];
+        if (!binding) return match;
+        if (bare) return identifier(binding.name);
+        const aggregate = AGGREGATES[binding.aggregate];
+        if (!aggregate) {
+          throw new Error(`Slot '${name}' has unknown aggregate '${binding.aggregate}', expected one of ${Object.keys(AGGREGATES).join(', ')}`);
+        }
+        return aggregate(identifier(binding.name));
+      });
+  }
+
+  // The query with every slot bound to its first candidate, for checking
+  // that the template parses
+  sample() {
+    const source = this.sources()[0] || 'Metric';
+    const bindings = {};
+    this.slots.forEach(slot => {
+      const candidate = slot.candidates.find(item => item.source === source) || slot.candidates[0];
+      if (candidate) bindings[slot.name] = { name: candidate.name, aggregate: candidate.aggregate };
+    });
+    return this.fill({ source, bindings });
+  }
+
+  // Slot names text refers to
+  references(text) {
+    return [...text.matchAll(PLACEHOLDER_PATTERN)]
+      .map(([, name]) => name)
+      .filter((name, index, names) => names.indexOf(name) === index && this.slots.some(slot => slot.name === name));
+  }
+
+  // Event types and metric names the candidates read
+  requirements() {
+    const candidates = this.slots.flatMap(slot => slot.candidates);
+    return {
+      eventTypes: [...new Set(candidates.map(candidate => candidate.source).filter(source => source !== 'Metric'))],
+      metrics: [...new Set(candidates.filter(candidate => candidate.isMetric).map(candidate => candidate.name))]
+    };
+  }
+
+  /**
+   * Problems with the definition: [{ severity, message }]
+   */
+  validate() {
+    const problems = [];
+    const report = (message, severity = 'error') => problems.push({ severity, message });
+
+    if (!this.query) report('query template is empty');
+    if ((this.query.match(/\[\[/g) || []).length !== (this.query.match(/\]\]/g) || []).length) {
+      report('unbalanced [[ ]] in query template');
+    }
+
+    const referenced = new Set();
+    for (const [, name, bare] of this.query.matchAll(PLACEHOLDER_PATTERN)) {
+      if (name === 'from' && !bare) continue;
+      referenced.add(name);
+      if (!this.slots.some(slot => slot.name === name)) report(`\${${name}${bare || ''}} names no slot`);
+    }
+
+    this.slots.forEach(slot => {
+      if (!SLOT_NAME_PATTERN.test(slot.name) || slot.name === 'from') report(`'${slot.name}' is not a valid slot name`);
+      if (slot.candidates.length === 0) report(`slot '${slot.name}' has no candidates`);
+      slot.candidates
+        .filter(candidate => !candidate.name)
+        .forEach(() => report(`slot '${slot.name}' has a candidate without a metric or attribute`));
+      slot.candidates
+        .filter(candidate => !AGGREGATES[candidate.aggregate])
+        .forEach(candidate => report(`slot '${slot.name}': unknown aggregate '${candidate.aggregate}'`));
+      if (!referenced.has(slot.name)) report(`slot '${slot.name}' is not used in the query`, 'warning');
+    });
+
+    return problems;
+  }
+}
+
+module.exports = QueryTemplate;
+module.exports.AGGREGATES = Object.keys(AGGREGATES);
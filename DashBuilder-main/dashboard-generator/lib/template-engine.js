@@ -3,8 +3,21 @@
  * Provides templates and patterns for automatic dashboard generation
  */
 
+const { addDashboardVariables } = require('nr-guardian/src/utils/dashboard-variables.js');
+const { metricKey } = require('nr-guardian/src/utils/metric-mapping.js');
+const { kafkaTemplates, kafkaWidgetTypes } = require('./kafka-templates');
+const QueryTemplate = require('./query-template');
+const TemplateLibrary = require('./template-library');
+const { defaultTemplateDirs } = require('./template-library');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
 class DashboardTemplateEngine {
-  constructor() {
+  // options.templateDirs - directories or files of YAML/JSON templates
+  // (default: the shipped templates, ~/.dashgen/templates and
+  // DASHGEN_TEMPLATE_PATH)
+  constructor(options = {}) {
     // Dashboard templates
     this.templates = {
       'system-health': {
@@ -97,10 +110,14 @@ class DashboardTemplateEngine {
             ]
           }
         ]
-      }
+      },
+
+      ...kafkaTemplates
     };
 
-    // Widget type definitions
+    // Widget type definitions. A widget type either declares metric slots and
+    // a query template (see QueryTemplate), lists sources in order of
+    // preference (see kafka-templates) or builds its query in code.
     this.widgetTypes = {
       'health-score': {
         title: 'System Health Score',
@@ -113,61 +130,61 @@ class DashboardTemplateEngine {
       'cpu-usage': {
         title: 'CPU Usage',
         visualization: 'viz.area',
-        buildQuery: (metrics) => {
-          const cpuMetric = metrics.find(m => m.includes('cpu.time') || m.includes('cpu.usage'));
-          if (!cpuMetric) return null;
-          return `SELECT rate(max(${cpuMetric}), 1 second) FROM Metric WHERE host.id = 'dashbuilder-host' FACET state TIMESERIES SINCE 30 minutes ago`;
-        }
+        slots: {
+          cpu: [
+            { metric: 'system.cpu.time', aggregate: 'rate' },
+            'system.cpu.utilization',
+            'cpu.usage'
+          ]
+        },
+        query: "SELECT ${cpu} FROM Metric WHERE host.id = 'dashbuilder-host' FACET state TIMESERIES SINCE 30 minutes ago"
       },
       
       'memory-usage': {
         title: 'Memory Usage',
         visualization: 'viz.area',
-        buildQuery: (metrics) => {
-          const memMetric = metrics.find(m => m.includes('memory.usage'));
-          if (!memMetric) return null;
-          return `SELECT latest(${memMetric}) / 1e9 AS memory_gb FROM Metric WHERE host.id = 'dashbuilder-host' FACET state TIMESERIES SINCE 30 minutes ago`;
-        }
+        slots: {
+          memory: { candidates: ['system.memory.usage', 'memory.usage'], aggregate: 'latest' }
+        },
+        query: "SELECT ${memory} / 1e9 AS memory_gb FROM Metric WHERE host.id = 'dashbuilder-host' FACET state TIMESERIES SINCE 30 minutes ago"
       },
       
       'disk-io': {
         title: 'Disk I/O',
         visualization: 'viz.line',
-        buildQuery: (metrics) => {
-          const diskMetric = metrics.find(m => m.includes('disk.io'));
-          if (!diskMetric) return null;
-          return `SELECT rate(max(${diskMetric}), 1 second) / 1e6 AS mb_per_sec FROM Metric WHERE host.id = 'dashbuilder-host' FACET device, direction TIMESERIES SINCE 30 minutes ago`;
-        }
+        slots: {
+          disk: { candidates: ['system.disk.io', 'disk.io'], aggregate: 'rate' }
+        },
+        query: "SELECT ${disk} / 1e6 AS mb_per_sec FROM Metric WHERE host.id = 'dashbuilder-host' FACET device, direction TIMESERIES SINCE 30 minutes ago"
       },
       
       'network-io': {
         title: 'Network I/O',
         visualization: 'viz.line',
-        buildQuery: (metrics) => {
-          const netMetric = metrics.find(m => m.includes('network.io'));
-          if (!netMetric) return null;
-          return `SELECT rate(max(${netMetric}), 1 second) / 1e6 AS mb_per_sec FROM Metric WHERE host.id = 'dashbuilder-host' AND device != 'lo' FACET device, direction TIMESERIES SINCE 30 minutes ago`;
-        }
+        slots: {
+          network: { candidates: ['system.network.io', 'network.io'], aggregate: 'rate' }
+        },
+        query: "SELECT ${network} / 1e6 AS mb_per_sec FROM Metric WHERE host.id = 'dashbuilder-host' AND device != 'lo' FACET device, direction TIMESERIES SINCE 30 minutes ago"
       },
       
       'filesystem-usage': {
         title: 'Filesystem Usage',
         visualization: 'viz.table',
-        buildQuery: (metrics) => {
-          const fsMetric = metrics.find(m => m.includes('filesystem.usage'));
-          if (!fsMetric) return null;
-          return `SELECT latest(${fsMetric}) / 1e9 AS used_gb, latest(mountpoint) AS mount, latest(type) AS fs_type FROM Metric WHERE host.id = 'dashbuilder-host' FACET device LIMIT 20`;
-        }
+        slots: {
+          filesystem: { candidates: ['system.filesystem.usage', 'filesystem.usage'], aggregate: 'latest' }
+        },
+        query: "SELECT ${filesystem} / 1e9 AS used_gb, latest(mountpoint) AS mount, latest(type) AS fs_type FROM Metric WHERE host.id = 'dashbuilder-host' FACET device LIMIT 20"
       },
       
       'load-average': {
         title: 'Load Average',
         visualization: 'viz.billboard',
-        buildQuery: (metrics) => {
-          const loadMetrics = metrics.filter(m => m.includes('load_average'));
-          if (loadMetrics.length === 0) return null;
-          return `SELECT ${loadMetrics.map(m => `latest(${m})`).join(', ')} FROM Metric WHERE host.id = 'dashbuilder-host' SINCE 5 minutes ago`;
-        }
+        slots: {
+          load1: { candidates: ['system.cpu.load_average.1m'], aggregate: 'latest' },
+          load5: { candidates: ['system.cpu.load_average.5m'], aggregate: 'latest', required: false },
+          load15: { candidates: ['system.cpu.load_average.15m'], aggregate: 'latest', required: false }
+        },
+        query: "SELECT ${load1} AS '1 minute'[[, ${load5} AS '5 minutes']][[, ${load15} AS '15 minutes']] FROM Metric WHERE host.id = 'dashbuilder-host' SINCE 5 minutes ago"
       },
       
       'monthly-cost': {
@@ -192,7 +209,9 @@ class DashboardTemplateEngine {
         buildQuery: (metrics) => {
           return `SELECT average(cpu.usage) AS cpu_percent, average(memory.usage) / 1e9 AS memory_gb FROM Metric WHERE host.id = 'dashbuilder-host' TIMESERIES SINCE 1 hour ago`;
         }
-      }
+      },
+
+      ...kafkaWidgetTypes
     };
 
     // Layout optimization rules
@@ -213,20 +232,40 @@ class DashboardTemplateEngine {
         large: { maxWidgets: 12, columns: 12 }
       }
     };
+
+    // File templates may extend and shadow the built-in ones
+    this.library = new TemplateLibrary();
+    this.library.registerBuiltIns(this.templates);
+    (options.templateDirs || defaultTemplateDirs()).forEach(dir =>
+      this.library.loadDirectory(dir, { required: Boolean(options.templateDirs) })
+    );
+    if (this.library.problems.length > 0 && options.warn !== false) {
+      console.warn(`Skipped invalid template files: ${[...new Set(this.library.problems.map(p => p.source))].join(', ')}. Run 'dashgen templates validate' for details.`);
+    }
+    this.refreshTemplates();
   }
 
-  // Generate dashboard from template
+  // this.templates holds the newest version of every template, resolved
+  refreshTemplates() {
+    this.library.list().forEach(({ id, version }) => {
+      const resolved = this.library.safeResolve({ id, version });
+      if (resolved) this.templates[id] = resolved;
+    });
+  }
+
+  // Generate dashboard from template. templateName may pin a version
+  // ('name@1.2.0'); options.parameters fill the template's ${parameters} and
+  // options.eventTypes lists the event types with data, for widget types that
+  // can read samples or metrics.
   generateFromTemplate(templateName, availableMetrics, options = {}) {
-    const template = this.templates[templateName];
-    if (!template) {
-      throw new Error(`Template '${templateName}' not found`);
-    }
+    const template = this.library.render(templateName, options.parameters);
 
     const dashboard = {
       name: options.name || template.name,
       description: options.description || template.description,
       permissions: options.permissions || 'PUBLIC_READ_WRITE',
-      pages: []
+      pages: [],
+      variables: []
     };
 
     // Generate pages based on template sections
@@ -239,7 +278,7 @@ class DashboardTemplateEngine {
 
       // Generate widgets for this section
       section.widgets.forEach(widgetDef => {
-        const widget = this.generateWidget(widgetDef, availableMetrics);
+        const widget = this.generateWidget(widgetDef, availableMetrics, options);
         if (widget) {
           page.widgets.push(widget);
         }
@@ -256,20 +295,26 @@ class DashboardTemplateEngine {
       this.optimizePageLayout(page)
     );
 
-    return dashboard;
+    // Add dimension variables and filter widget queries with them
+    if (options.variables === false) {
+      return dashboard;
+    }
+    return addDashboardVariables(dashboard, {
+      accountId: options.accountId || process.env.NEW_RELIC_ACCOUNT_ID || '3630072'
+    });
   }
 
   // Generate a single widget
-  generateWidget(widgetDef, availableMetrics) {
-    const widgetType = this.widgetTypes[widgetDef.type];
+  generateWidget(widgetDef, availableMetrics, options = {}) {
+    // Inline widgets carry their own query
+    const widgetType = widgetDef.query ? widgetDef : this.widgetTypes[widgetDef.type];
     if (!widgetType) return null;
 
-    // Build query
-    const query = widgetType.buildQuery(availableMetrics);
+    const query = this.buildWidgetQuery(widgetType, availableMetrics, options.eventTypes || []);
     if (!query) return null;
 
     return {
-      title: widgetType.title,
+      title: widgetDef.title || widgetType.title,
       visualization: {
         id: widgetType.visualization
       },
@@ -281,7 +326,7 @@ class DashboardTemplateEngine {
       },
       rawConfiguration: {
         nrqlQueries: [{
-          accountIds: [parseInt(process.env.NEW_RELIC_ACCOUNT_ID || '3630072')],
+          accountIds: [parseInt(options.accountId || process.env.NEW_RELIC_ACCOUNT_ID || '3630072')],
           query: query
         }],
         ...this.getVisualizationConfig(widgetType.visualization)
@@ -289,6 +334,37 @@ class DashboardTemplateEngine {
     };
   }
 
+  // Query for a widget type or inline widget, or null when the metrics and
+  // event types it reads have no data
+  buildWidgetQuery(widgetType, availableMetrics, eventTypes) {
+    if (widgetType.slots) {
+      return new QueryTemplate(widgetType).render(availableMetrics, eventTypes);
+    }
+    if (widgetType.sources) {
+      return this.buildSourceQuery(widgetType.sources, availableMetrics, eventTypes);
+    }
+    return widgetType.buildQuery ? widgetType.buildQuery(availableMetrics) : widgetType.query;
+  }
+
+  // Query from the first source with data: an event type in eventTypes, or
+  // metrics that all resolve to an available metric name
+  buildSourceQuery(sources, availableMetrics, eventTypes) {
+    const available = new Map(availableMetrics.map(name => [metricKey(name), name]));
+
+    for (const source of sources) {
+      if (source.eventType) {
+        if (eventTypes.includes(source.eventType)) return source.query();
+        continue;
+      }
+
+      const names = source.metrics.map(entry =>
+        [].concat(entry).map(name => available.get(metricKey(name))).find(Boolean)
+      );
+      if (names.every(Boolean)) return source.query(names);
+    }
+    return null;
+  }
+
   // Get visualization-specific configuration
   getVisualizationConfig(vizType) {
     const configs = {
@@ -310,6 +386,9 @@ class DashboardTemplateEngine {
       'viz.pie': {
         facet: { showOtherSeries: false },
         legend: { enabled: true }
+      },
+      'viz.bar': {
+        facet: { showOtherSeries: false }
       }
     };
 
@@ -366,8 +445,12 @@ class DashboardTemplateEngine {
   // Select best template based on metrics
   selectBestTemplate(classifiedMetrics) {
     const categories = Object.keys(classifiedMetrics.byCategory);
+    const names = Object.values(classifiedMetrics.byCategory)
+      .flatMap(category => Object.values(category).flat().map(m => m.name));
     
-    if (categories.includes('system')) {
+    if (names.some(name => /^kafka[._]/i.test(name))) {
+      return 'kafka-broker-health';
+    } else if (categories.includes('system')) {
       return 'system-health';
     } else if (categories.includes('application')) {
       return 'application-performance';
@@ -380,18 +463,74 @@ class DashboardTemplateEngine {
 
   // Create custom template
   createCustomTemplate(name, config) {
-    this.templates[name] = config;
+    this.library.register({ ...config, id: name, version: config.version || '1.0.0' }, 'custom');
+    this.refreshTemplates();
   }
 
-  // Export template for reuse
-  exportTemplate(templateName) {
-    const template = this.templates[templateName];
-    if (!template) return null;
-    
+  // Templates with their version and where they were loaded from
+  listTemplates() {
+    return this.library.list();
+  }
+
+  // Lint the file templates; see TemplateLibrary.lint
+  validateTemplates() {
+    return this.library.lint(this.widgetTypes);
+  }
+
+  // Event types and metric name prefixes a template's widgets can read, for
+  // discovering which have data before generating it
+  requirements(templateName) {
+    const entry = this.library.find(templateName);
+    if (!entry) return null;
+
+    const eventTypes = new Set();
+    const metricPrefixes = new Set();
+    this.library.resolve(templateName).sections.forEach(section => {
+      section.widgets.forEach(widgetDef => {
+        const widgetType = widgetDef.query ? widgetDef : this.widgetTypes[widgetDef.type];
+        if (!widgetType) return;
+        if (widgetType.slots) {
+          const read = new QueryTemplate(widgetType).requirements();
+          read.eventTypes.forEach(eventType => eventTypes.add(eventType));
+          read.metrics.forEach(name => metricPrefixes.add(name.split(/[._]/)[0]));
+        }
+        (widgetType.sources || []).forEach(source => {
+          if (source.eventType) eventTypes.add(source.eventType);
+          (source.metrics || []).flat().forEach(name => metricPrefixes.add(name.split(/[._]/)[0]));
+        });
+      });
+    });
+
+    return { source: entry.source, version: entry.version, eventTypes: [...eventTypes], metricPrefixes: [...metricPrefixes] };
+  }
+
+  // Export template for reuse, and write it as a template file when file is
+  // given (YAML for .yaml/.yml, otherwise JSON)
+  exportTemplate(templateName, file = null) {
+    const entry = this.library.find(templateName);
+    if (!entry) return null;
+    const template = this.library.resolve(templateName);
+
+    const definition = {
+      id: template.id,
+      name: template.name,
+      version: template.version,
+      description: template.description,
+      ...(Object.keys(template.parameters).length > 0 ? { parameters: template.parameters } : {}),
+      sections: template.sections
+    };
+
+    if (file) {
+      const content = /\.ya?ml$/i.test(file) ? yaml.dump(definition, { lineWidth: -1 }) : `${JSON.stringify(definition, null, 2)}\n`;
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      fs.writeFileSync(file, content);
+    }
+
     return {
       name: templateName,
-      template: JSON.parse(JSON.stringify(template)),
-      version: '1.0',
+      template: JSON.parse(JSON.stringify(definition)),
+      version: template.version,
+      source: entry.source,
       exportDate: new Date().toISOString()
     };
   }
@@ -0,0 +1,531 @@
+/**
+ * Dashboard Template Library
+ * Loads dashboard templates from directories of YAML/JSON files, validates
+ * them against the template schema and resolves `extends` inheritance,
+ * parameters and versions. Built-in templates are registered alongside the
+ * file templates so files can extend and shadow them.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Joi = require('joi');
+const yaml = require('js-yaml');
+const { tryParseNRQL } = require('nr-guardian/src/utils/nrql-parser.js');
+const QueryTemplate = require('./query-template');
+const { AGGREGATES } = require('./query-template');
+
+const TEMPLATE_EXTENSIONS = ['.yaml', '.yml', '.json'];
+const BUILT_IN_VERSION = '1.0.0';
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const VERSION_PATTERN = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+// extends: name, name@1.2.0 or name@1 (latest 1.x.x)
+const EXTENDS_PATTERN = /^([a-z0-9][a-z0-9-]*)(?:@(\d+(?:\.\d+){0,2}(?:-[0-9A-Za-z.-]+)?))?$/;
+// ${name} in template strings; {{name}} is left for dashboard variables
+const PARAMETER_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+const positionSchema = Joi.object({
+  col: Joi.number().integer().min(1).max(12).required(),
+  row: Joi.number().integer().min(1).required(),
+  width: Joi.number().integer().min(1).max(12).required(),
+  height: Joi.number().integer().min(1).required()
+});
+
+const aggregateSchema = Joi.string().valid(...AGGREGATES);
+
+// A slot candidate is a metric name or an event type attribute
+const candidateSchema = Joi.alternatives().try(
+  Joi.string(),
+  Joi.object({ metric: Joi.string().required(), aggregate: aggregateSchema }),
+  Joi.object({ eventType: Joi.string(), attribute: Joi.string().required(), aggregate: aggregateSchema })
+).messages({ 'alternatives.match': `a candidate is a metric name, or an object with metric or attribute (and eventType), and aggregate one of ${AGGREGATES.join(', ')}` });
+
+const slotSchema = Joi.alternatives().try(
+  Joi.array().items(candidateSchema).min(1),
+  Joi.object({
+    candidates: Joi.array().items(candidateSchema).min(1).required(),
+    required: Joi.boolean(),
+    aggregate: aggregateSchema
+  })
+);
+
+// A widget is a widget type of the engine or an inline NRQL widget, whose
+// query may be a template over metric slots
+const widgetSchema = Joi.object().when(Joi.object({ query: Joi.exist() }).unknown(), {
+  then: Joi.object({
+    title: Joi.string().required(),
+    visualization: Joi.string().pattern(/^viz\./).required(),
+    query: Joi.string().required(),
+    slots: Joi.object().pattern(/^[A-Za-z_][A-Za-z0-9_]*$/, slotSchema),
+    position: positionSchema.required()
+  }),
+  otherwise: Joi.object({
+    type: Joi.string().required()
+      .messages({ 'any.required': 'a widget needs either a type, or a title, visualization and query' }),
+    title: Joi.string(),
+    position: positionSchema.required()
+  })
+});
+
+const sectionSchema = Joi.object({
+  name: Joi.string().required(),
+  description: Joi.string().allow(''),
+  widgets: Joi.array().items(widgetSchema),
+  addWidgets: Joi.array().items(widgetSchema),
+  removeWidgets: Joi.array().items(Joi.string()),
+  remove: Joi.boolean()
+});
+
+const parameterSchema = Joi.object({
+  description: Joi.string().allow(''),
+  default: Joi.alternatives().try(Joi.string().allow(''), Joi.number(), Joi.boolean()),
+  required: Joi.boolean(),
+  // A regular expression the whole value must match
+  pattern: Joi.string().custom((value, helpers) => {
+    try {
+      new RegExp(value);
+    } catch (error) {
+      return helpers.message(`pattern is not a regular expression: ${error.message}`);
+    }
+    return value;
+  })
+});
+
+const templateSchema = Joi.object({
+  id: Joi.string().pattern(ID_PATTERN).messages({ 'string.pattern.base': 'id must be lower case letters, digits and dashes' }),
+  name: Joi.string().when('extends', { is: Joi.exist(), otherwise: Joi.required() }),
+  version: Joi.string().pattern(VERSION_PATTERN).required()
+    .messages({ 'string.pattern.base': 'version must be a semantic version such as 1.2.0' }),
+  description: Joi.string().allow(''),
+  extends: Joi.string().pattern(EXTENDS_PATTERN)
+    .messages({ 'string.pattern.base': 'extends must be a template id, optionally with @version' }),
+  parameters: Joi.object().pattern(/^[A-Za-z_][A-Za-z0-9_]*$/, parameterSchema),
+  sections: Joi.array().items(sectionSchema).when('extends', { is: Joi.exist(), otherwise: Joi.array().min(1).required() })
+});
+
+// Semantic version comparison; pre-releases sort before their release
+function compareVersions(a, b) {
+  const [, ...partsA] = a.match(VERSION_PATTERN);
+  const [, ...partsB] = b.match(VERSION_PATTERN);
+  for (let i = 0; i < 3; i++) {
+    const difference = Number(partsA[i]) - Number(partsB[i]);
+    if (difference !== 0) return difference;
+  }
+  if (partsA[3] === partsB[3]) return 0;
+  if (!partsA[3]) return 1;
+  if (!partsB[3]) return -1;
+  return partsA[3].localeCompare(partsB[3], undefined, { numeric: true });
+}
+
+// Directories searched when none are configured: the templates shipped with
+// the generator, ~/.dashgen/templates and DASHGEN_TEMPLATE_PATH
+function defaultTemplateDirs() {
+  return [
+    path.join(__dirname, '..', 'templates'),
+    path.join(os.homedir(), '.dashgen', 'templates'),
+    ...(process.env.DASHGEN_TEMPLATE_PATH || '').split(path.delimiter).filter(Boolean)
+  ];
+}
+
+// Replace ${name} in every string of value; widget queries go through
+// fillQuery
+function applyParameters(value, values, key = null) {
+  if (typeof value === 'string') {
+    if (key === 'query') return fillQuery(value, values);
+    return value.replace(PARAMETER_PATTERN, (match, name) => (name in values ? String(values[name]) : match));
+  }
+  if (Array.isArray(value)) return value.map(item => applyParameters(item, values));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, applyParameters(item, values, name)]));
+  }
+  return value;
+}
+
+// The quote character of the NRQL literal open at offset, or null
+function quoteAt(query, offset) {
+  let quote = null;
+  for (let i = 0; i < offset; i++) {
+    if (quote && query[i] === '\\') i++;
+    else if (quote ? query[i] === quote : ['\'', '"', '`'].includes(query[i])) quote = quote ? null : query[i];
+  }
+  return quote;
+}
+
+// Replace ${name} in a NRQL query. A value inside a quoted string has its
+// backslashes and quotes escaped, so it cannot end the string early
+function fillQuery(query, values) {
+  return query.replace(PARAMETER_PATTERN, (match, name, offset) => {
+    if (!(name in values)) return match;
+    const value = String(values[name]);
+    const quote = quoteAt(query, offset);
+    if (quote === '`') {
+      if (value.includes('`')) throw new Error(`Parameter '${name}' cannot contain a backtick, it is used in a quoted attribute name`);
+      return value;
+    }
+    return quote ? value.replace(/\\/g, '\\\\').replaceAll(quote, `\\${quote}`) : value;
+  });
+}
+
+function parameterReferences(value, found = new Set()) {
+  if (typeof value === 'string') {
+    for (const [, name] of value.matchAll(PARAMETER_PATTERN)) found.add(name);
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => parameterReferences(item, found));
+  }
+  return found;
+}
+
+function matchesPattern(value, pattern) {
+  return new RegExp(`^(?:${pattern})$`).test(String(value));
+}
+
+// removeWidgets entries name a widget type or an inline widget's title
+function widgetMatches(widget, key) {
+  return widget.type === key || widget.title === key;
+}
+
+// Child sections override parent sections of the same name
+function mergeSections(parentSections, childSections = []) {
+  const sections = parentSections.map(section => ({ ...section, widgets: [...(section.widgets || [])] }));
+
+  childSections.forEach(child => {
+    const index = sections.findIndex(section => section.name === child.name);
+    if (index === -1) {
+      if (!child.remove) {
+        sections.push({ name: child.name, description: child.description, widgets: [...(child.widgets || []), ...(child.addWidgets || [])] });
+      }
+      return;
+    }
+    if (child.remove) {
+      sections.splice(index, 1);
+      return;
+    }
+
+    const section = sections[index];
+    let widgets = child.widgets ? [...child.widgets] : section.widgets;
+    if (child.removeWidgets) {
+      widgets = widgets.filter(widget => !child.removeWidgets.some(key => widgetMatches(widget, key)));
+    }
+    sections[index] = {
+      ...section,
+      description: child.description !== undefined ? child.description : section.description,
+      widgets: [...widgets, ...(child.addWidgets || [])]
+    };
+  });
+
+  return sections;
+}
+
+class TemplateLibrary {
+  constructor() {
+    // id -> entries sorted by version, newest first
+    this.entries = new Map();
+    this.problems = [];
+  }
+
+  /**
+   * Register a template definition. source is a file path, 'built-in' or
+   * 'custom'. Returns the entry, or null when the same id and version is
+   * already registered.
+   */
+  register(definition, source) {
+    const entry = {
+      id: definition.id,
+      version: definition.version || BUILT_IN_VERSION,
+      source,
+      definition
+    };
+    const versions = this.entries.get(entry.id) || [];
+
+    const existing = versions.find(candidate => candidate.version === entry.version);
+    if (existing && existing.source !== 'built-in' && source !== 'custom') {
+      this.problems.push({
+        source,
+        template: `${entry.id}@${entry.version}`,
+        severity: 'error',
+        message: `Duplicate template ${entry.id}@${entry.version}, already defined in ${existing.source}`
+      });
+      return null;
+    }
+
+    const kept = versions.filter(candidate => candidate !== existing);
+    kept.push(entry);
+    kept.sort((a, b) => compareVersions(b.version, a.version));
+    this.entries.set(entry.id, kept);
+    return entry;
+  }
+
+  registerBuiltIns(templates) {
+    Object.entries(templates).forEach(([id, template]) => {
+      this.register({ ...template, id, version: template.version || BUILT_IN_VERSION }, 'built-in');
+    });
+  }
+
+  /**
+   * Load every template file in dir. Missing directories are skipped unless
+   * options.required is set; invalid files are recorded in problems.
+   */
+  loadDirectory(dir, options = {}) {
+    if (!fs.existsSync(dir)) {
+      if (options.required) {
+        this.problems.push({ source: dir, template: null, severity: 'error', message: 'Template directory does not exist' });
+      }
+      return [];
+    }
+
+    const files = fs.statSync(dir).isDirectory()
+      ? fs.readdirSync(dir)
+        .filter(file => TEMPLATE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .sort()
+        .map(file => path.join(dir, file))
+      : [dir];
+
+    return files.map(file => this.loadFile(file)).filter(Boolean);
+  }
+
+  loadFile(file) {
+    let definition;
+    try {
+      const content = fs.readFileSync(file, 'utf8');
+      definition = path.extname(file).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content);
+    } catch (error) {
+      this.problems.push({ source: file, template: null, severity: 'error', message: `Cannot parse template: ${error.message}` });
+      return null;
+    }
+
+    const { value, error } = templateSchema.validate(definition, { abortEarly: false });
+    if (error) {
+      error.details.forEach(detail => {
+        this.problems.push({
+          source: file,
+          template: definition && definition.id ? definition.id : path.basename(file, path.extname(file)),
+          severity: 'error',
+          message: `${detail.path.join('.') || 'template'}: ${detail.message.replace(/"/g, '')}`
+        });
+      });
+      return null;
+    }
+
+    return this.register({ ...value, id: value.id || path.basename(file, path.extname(file)) }, file);
+  }
+
+  has(ref) {
+    return Boolean(this.find(ref));
+  }
+
+  /**
+   * The entry for 'id', 'id@1.2.0' or 'id@1' (latest 1.x.x), or null
+   */
+  find(ref) {
+    const match = String(ref).match(EXTENDS_PATTERN);
+    if (!match) return null;
+    const [, id, version] = match;
+    const versions = this.entries.get(id) || [];
+    if (!version) return versions[0] || null;
+    return versions.find(entry => entry.version === version || entry.version.startsWith(`${version}.`)) || null;
+  }
+
+  /**
+   * Template with its extends chain applied: { id, version, source, name,
+   * description, parameters, sections, lineage }, lineage listing the
+   * id@version of each ancestor, nearest first.
+   */
+  resolve(ref, seen = []) {
+    const entry = this.find(ref);
+    if (!entry) {
+      throw new Error(`Template '${ref}' not found`);
+    }
+    const key = `${entry.id}@${entry.version}`;
+    if (seen.includes(key)) {
+      throw new Error(`Template inheritance cycle: ${[...seen, key].join(' -> ')}`);
+    }
+
+    const { definition } = entry;
+    const parent = definition.extends ? this.resolve(definition.extends, [...seen, key]) : null;
+
+    const parameters = { ...(parent ? parent.parameters : {}) };
+    Object.entries(definition.parameters || {}).forEach(([name, parameter]) => {
+      parameters[name] = { ...parameters[name], ...parameter };
+    });
+
+    return {
+      id: entry.id,
+      version: entry.version,
+      source: entry.source,
+      name: definition.name || parent.name,
+      description: definition.description !== undefined ? definition.description : (parent ? parent.description : ''),
+      parameters,
+      sections: parent ? mergeSections(parent.sections, definition.sections) : mergeSections([], definition.sections),
+      lineage: parent ? [`${parent.id}@${parent.version}`, ...parent.lineage] : []
+    };
+  }
+
+  /**
+   * Resolve ref and fill in its parameters from values and the parameter
+   * defaults. Throws when a required parameter has no value, or a value does
+   * not match its pattern or contains a ${placeholder}.
+   */
+  render(ref, values = {}) {
+    const template = this.resolve(ref);
+    const resolved = {};
+    Object.entries(template.parameters).forEach(([name, parameter]) => {
+      if (values[name] !== undefined) resolved[name] = values[name];
+      else if (parameter.default !== undefined) resolved[name] = parameter.default;
+    });
+
+    const missing = Object.entries(template.parameters)
+      .filter(([name, parameter]) => parameter.required && resolved[name] === undefined)
+      .map(([name]) => name);
+    if (missing.length > 0) {
+      throw new Error(`Template '${template.id}' needs parameter${missing.length > 1 ? 's' : ''} ${missing.join(', ')}`);
+    }
+    const mismatch = Object.entries(template.parameters)
+      .find(([name, parameter]) => parameter.pattern && resolved[name] !== undefined && !matchesPattern(resolved[name], parameter.pattern));
+    if (mismatch) {
+      const [name, parameter] = mismatch;
+      throw new Error(`Parameter '${name}' of template '${template.id}' must match ${parameter.pattern}, got '${resolved[name]}'`);
+    }
+
+    // Query templates fill ${slot} placeholders after the parameters, so a
+    // value must not bring its own
+    const placeholder = Object.entries(resolved).find(([, value]) => String(value).includes('${'));
+    if (placeholder) {
+      throw new Error(`Parameter '${placeholder[0]}' of template '${template.id}' cannot contain '\${'`);
+    }
+
+    return {
+      ...template,
+      name: applyParameters(template.name, resolved),
+      description: applyParameters(template.description, resolved),
+      sections: applyParameters(template.sections, resolved),
+      parameterValues: resolved
+    };
+  }
+
+  /**
+   * One row per template id, newest version: { id, version, versions, name,
+   * description, source, extends, parameters }, where parameters maps names
+   * to { description, default, required }
+   */
+  list() {
+    return [...this.entries.values()]
+      .map(([latest, ...older]) => ({
+        id: latest.id,
+        version: latest.version,
+        versions: [latest.version, ...older.map(entry => entry.version)],
+        name: latest.definition.name || (this.safeResolve(latest) || {}).name || latest.id,
+        description: latest.definition.description || '',
+        source: latest.source,
+        extends: latest.definition.extends || null,
+        parameters: (this.safeResolve(latest) || latest.definition).parameters || {}
+      }))
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  safeResolve(entry) {
+    try {
+      return this.resolve(`${entry.id}@${entry.version}`);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check every file template: inheritance resolves, widget types exist,
+   * layouts fit the grid, ${parameters} are declared, query templates are
+   * well formed and inline queries parse. Returns load problems followed by
+   * [{ source, template, severity, message }] for each finding.
+   */
+  lint(widgetTypes = {}) {
+    const problems = [...this.problems];
+
+    [...this.entries.values()].flat()
+      .filter(entry => entry.source !== 'built-in' && entry.source !== 'custom')
+      .forEach(entry => {
+        const template = `${entry.id}@${entry.version}`;
+        const report = (message, severity = 'error') => problems.push({ source: entry.source, template, severity, message });
+
+        let resolved;
+        try {
+          resolved = this.resolve(template);
+        } catch (error) {
+          report(error.message);
+          return;
+        }
+
+        const parent = entry.definition.extends && this.find(entry.definition.extends);
+        if (parent && parent.id === entry.id && compareVersions(parent.version, entry.version) >= 0) {
+          report(`extends ${parent.id}@${parent.version}, which is not older than itself`);
+        }
+        (entry.definition.sections || []).forEach(section => {
+          const inherited = parent && this.safeResolve(parent);
+          const overridden = inherited && inherited.sections.find(candidate => candidate.name === section.name);
+          if ((section.remove || section.removeWidgets) && !overridden) {
+            report(`Section '${section.name}' removes something the parent template does not have`, 'warning');
+          } else if (section.removeWidgets) {
+            section.removeWidgets
+              .filter(key => !overridden.widgets.some(widget => widgetMatches(widget, key)))
+              .forEach(key => report(`Section '${section.name}': removeWidgets '${key}' matches no widget type or title of the parent`, 'warning'));
+          }
+        });
+
+        // The query of a widget with slots is checked by QueryTemplate, where
+        // ${name} may also be a slot or ${from}. Parameters are filled in
+        // first, so one named like a slot or from would take its place
+        const declared = new Set(Object.keys(resolved.parameters));
+        const undeclared = new Set();
+        parameterReferences({ name: resolved.name, description: resolved.description }, undeclared);
+        resolved.sections.forEach(section => section.widgets.forEach(widget => {
+          parameterReferences(widget.slots ? { ...widget, query: '' } : widget, undeclared);
+          Object.keys(widget.slots || {})
+            .filter(name => declared.has(name))
+            .forEach(name => report(`Section '${section.name}' widget '${widget.title}': slot '${name}' has the name of a parameter`));
+          if (widget.slots && declared.has('from')) {
+            report(`Section '${section.name}' widget '${widget.title}': parameter 'from' would replace \${from} in the query template`);
+          }
+        }));
+        undeclared.forEach(name => {
+          if (!declared.has(name)) report(`\${${name}} is not a declared parameter`);
+        });
+        Object.entries(resolved.parameters)
+          .filter(([, parameter]) => parameter.pattern && parameter.default !== undefined && !matchesPattern(parameter.default, parameter.pattern))
+          .forEach(([name, parameter]) => report(`Parameter '${name}': default '${parameter.default}' does not match ${parameter.pattern}`));
+
+        if (resolved.sections.length === 0) report('Template has no sections');
+        const sample = Object.fromEntries(Object.entries(resolved.parameters)
+          .map(([name, parameter]) => [name, parameter.default !== undefined ? parameter.default : '0']));
+
+        resolved.sections.forEach(section => {
+          if (section.widgets.length === 0) report(`Section '${section.name}' has no widgets`, 'warning');
+          section.widgets.forEach(widget => {
+            const label = `Section '${section.name}' widget '${widget.title || widget.type}'`;
+            if (widget.type && !widgetTypes[widget.type]) {
+              report(`${label}: unknown widget type '${widget.type}'`);
+            }
+            if (widget.position.col + widget.position.width - 1 > 12) {
+              report(`${label}: extends past column 12`);
+            }
+            if (widget.query) {
+              let query = fillQuery(widget.query, sample);
+              if (widget.slots) {
+                const queryTemplate = new QueryTemplate({ ...widget, query });
+                queryTemplate.validate().forEach(problem => report(`${label}: ${problem.message}`, problem.severity));
+                query = queryTemplate.sample();
+              }
+              const { error } = tryParseNRQL(query);
+              if (error) report(`${label}: ${error.message}`);
+            }
+          });
+        });
+      });
+
+    return problems;
+  }
+}
+
+module.exports = TemplateLibrary;
+module.exports.compareVersions = compareVersions;
+module.exports.applyParameters = applyParameters;
+module.exports.fillQuery = fillQuery;
+module.exports.defaultTemplateDirs = defaultTemplateDirs;
@@ -0,0 +1,78 @@
+/**
+ * Webhook Target Check
+ * Job webhooks are POSTed by the server, so their URL must not point back
+ * into the network the server runs in: loopback, link-local (cloud metadata
+ * at 169.254.169.254), private and other reserved addresses are refused.
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+// Whether address is one a webhook may not be delivered to
+function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 addresses are checked as the IPv4 address they carry
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) address = mapped[1];
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Check that url is an http(s) URL whose host resolves only to public
+ * addresses. Resolves to null when it may be used, or to the reason it may
+ * not.
+ */
+async function checkWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url));
+  } catch (error) {
+    return 'webhook must be an http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'webhook must be an http(s) URL';
+  }
+
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host }]
+      : await dns.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    return `webhook host ${host} could not be resolved (${error.code || error.message})`;
+  }
+
+  const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+  if (blocked) {
+    return `webhook host ${host} resolves to ${blocked.address}, which is not a public address`;
+  }
+  return null;
+}
+
+module.exports = { checkWebhookUrl, isBlockedAddress };
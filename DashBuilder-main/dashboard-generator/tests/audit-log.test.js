@@ -0,0 +1,48 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AuditLog = require('../api/audit-log');
+
+describe('AuditLog', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('lists a tenant\'s entries newest first, including those written before a restart', async () => {
+    const file = path.join(dir, 'audit.jsonl');
+    const before = new AuditLog({ file });
+    await before.record({ tenant: 'payments', action: 'deploy', outcome: 'success' });
+    await before.record({ tenant: 'search', action: 'deploy', outcome: 'denied' });
+
+    const after = new AuditLog({ file });
+    await after.record({ tenant: 'payments', action: 'job-deploy', outcome: 'failure' });
+
+    const entries = await after.list('payments');
+    expect(entries.map(entry => entry.action)).toEqual(['job-deploy', 'deploy']);
+    expect(entries[0].timestamp).toEqual(expect.any(String));
+  });
+
+  test('keeps the entry in memory when the file cannot be written', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const log = new AuditLog({ file: path.join(dir, 'missing', 'audit.jsonl') });
+
+    await expect(log.record({ tenant: 'payments', action: 'deploy', outcome: 'denied' })).resolves.toMatchObject({ outcome: 'denied' });
+    expect(log.entries).toHaveLength(1);
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('Failed to write audit log'), expect.any(String));
+  });
+
+  test('keeps at most maxEntries in memory', async () => {
+    const log = new AuditLog({ maxEntries: 2 });
+    for (const action of ['a', 'b', 'c']) {
+      await log.record({ tenant: 'payments', action });
+    }
+    expect((await log.list('payments')).map(entry => entry.action)).toEqual(['c', 'b']);
+  });
+});
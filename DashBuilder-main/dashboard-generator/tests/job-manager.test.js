@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobManager = require('../lib/job-manager');
+
+const WEBHOOK_URL = 'https://93.184.216.34/hook';
+
+// Resolve once predicate holds, polling the event loop
+async function waitFor(predicate, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the job');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+// A run that only ends when its signal is aborted
+function untilAborted(seen) {
+  return (job, { signal }) => new Promise((resolve, reject) => {
+    seen.push(signal);
+    signal.addEventListener('abort', () => reject(signal.reason));
+  });
+}
+
+describe('JobManager', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-manager-'));
+    global.fetch = jest.fn(async () => ({ ok: true, status: 200 }));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('runs a job through its phases', async () => {
+    const jobs = new JobManager();
+    const job = jobs.submit(async (running, { onProgress }) => {
+      onProgress('discover', { metrics: 3 });
+      onProgress('template');
+      return { metadata: { widgets: 2 } };
+    }, { phases: ['discover', 'classify', 'template'] });
+
+    await waitFor(() => job.status === 'succeeded');
+    expect(job.progress).toBe(1);
+    expect(job.phases.map(phase => phase.status)).toEqual(['done', 'skipped', 'done']);
+    expect(job.phases[0].detail).toEqual({ metrics: 3 });
+  });
+
+  test('cancels a running job through its signal', async () => {
+    const jobs = new JobManager();
+    const signals = [];
+    const job = jobs.submit(untilAborted(signals));
+    await waitFor(() => signals.length === 1);
+
+    expect(jobs.cancel(job.id).status).toBe('cancelling');
+    expect(signals[0].aborted).toBe(true);
+    expect(signals[0].reason.message).toBe('Job cancelled');
+
+    await waitFor(() => job.status === 'cancelled');
+    expect(jobs.cancel(job.id)).toBeNull();
+  });
+
+  test('cancels a queued job without running it', async () => {
+    const jobs = new JobManager({ concurrency: 1 });
+    const signals = [];
+    const running = jobs.submit(untilAborted(signals));
+    const run = jest.fn();
+    const queued = jobs.submit(run);
+
+    expect(jobs.cancel(queued.id).status).toBe('cancelled');
+    jobs.cancel(running.id);
+    await waitFor(() => running.status === 'cancelled');
+    expect(run).not.toHaveBeenCalled();
+  });
+
+  test('signs the webhook of a submitted job with its secret', async () => {
+    const jobs = new JobManager();
+    const job = jobs.submit(async () => ({ metadata: {} }), { webhook: { url: WEBHOOK_URL, secret: 'tenant-secret' } });
+    await waitFor(() => job.webhook.deliveries.length === 1);
+
+    const [url, request] = global.fetch.mock.calls[0];
+    expect(url).toBe(WEBHOOK_URL);
+    expect(request.redirect).toBe('manual');
+    expect(request.headers['X-Dashgen-Signature'])
+      .toBe(`sha256=${crypto.createHmac('sha256', 'tenant-secret').update(request.body).digest('hex')}`);
+    expect(job.webhook.deliveries[0]).toMatchObject({ attempt: 1, ok: true, status: 200 });
+  });
+
+  test('does not deliver a webhook to a refused host', async () => {
+    const jobs = new JobManager();
+    const job = jobs.submit(async () => ({ metadata: {} }), { webhook: { url: 'http://169.254.169.254/hook', secret: 's' } });
+    await waitFor(() => job.webhook.deliveries.length === 1);
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(job.webhook.deliveries[0]).toMatchObject({ ok: false, error: expect.stringContaining('not a public address') });
+  });
+
+  describe('jobs reloaded after a restart', () => {
+    function saveInterruptedJob() {
+      const job = {
+        id: crypto.randomUUID(),
+        owner: 'payments',
+        status: 'running',
+        phase: 'discover',
+        progress: 0,
+        phases: [{ name: 'discover', status: 'running' }, { name: 'classify', status: 'pending' }],
+        request: {},
+        webhook: { url: WEBHOOK_URL, deliveries: [] },
+        result: null,
+        error: null,
+        createdAt: new Date().toISOString()
+      };
+      fs.writeFileSync(path.join(dir, `${job.id}.json`), JSON.stringify(job));
+      return job.id;
+    }
+
+    function savedJob(id) {
+      return JSON.parse(fs.readFileSync(path.join(dir, `${id}.json`), 'utf8'));
+    }
+
+    test('are marked failed and do not send an unsigned webhook without a secret', () => {
+      const id = saveInterruptedJob();
+      const jobs = new JobManager({ dir });
+
+      const job = jobs.get(id);
+      expect(job).toMatchObject({ status: 'failed', error: 'Interrupted by a restart of the server' });
+      expect(job.phases.map(phase => phase.status)).toEqual(['failed', 'skipped']);
+      expect(job.webhook.deliveries).toEqual([{ at: expect.any(String), ok: false, error: 'Not sent: no webhook secret for the job after a restart' }]);
+      expect(savedJob(id).webhook.deliveries).toHaveLength(1);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('sign their webhook with the secret the resolver gives', async () => {
+      const id = saveInterruptedJob();
+      const webhookSecret = jest.fn(job => (job.owner === 'payments' ? 'tenant-secret' : null));
+      const jobs = new JobManager({ dir, webhookSecret });
+      await waitFor(() => jobs.get(id).webhook.deliveries.length === 1);
+
+      expect(webhookSecret).toHaveBeenCalledWith(expect.objectContaining({ id }));
+      const [, request] = global.fetch.mock.calls[0];
+      expect(JSON.parse(request.body)).toMatchObject({ event: 'job.failed', job: { id } });
+      expect(request.headers['X-Dashgen-Signature'])
+        .toBe(`sha256=${crypto.createHmac('sha256', 'tenant-secret').update(request.body).digest('hex')}`);
+    });
+
+    test('never save the webhook secret of a submitted job', async () => {
+      const jobs = new JobManager({ dir });
+      const job = jobs.submit(async () => ({ metadata: {} }), { webhook: { url: WEBHOOK_URL, secret: 'tenant-secret' } });
+      await waitFor(() => job.webhook.deliveries.length === 1);
+      expect(fs.readFileSync(path.join(dir, `${job.id}.json`), 'utf8')).not.toContain('tenant-secret');
+    });
+  });
+});
@@ -0,0 +1,32 @@
+const QueryTemplate = require('../lib/query-template');
+
+const throughput = {
+  slots: {
+    bytesIn: {
+      candidates: [
+        'kafka.broker.IOInPerSecond',
+        { eventType: 'KafkaBrokerSample', attribute: 'broker.IOInPerSecond' }
+      ]
+    },
+    bytesOut: { candidates: ['kafka.broker.IOOutPerSecond'], required: false, aggregate: 'max' }
+  },
+  query: "SELECT ${bytesIn} AS 'Bytes in'[[, ${bytesOut} AS 'Bytes out']] FROM ${from} TIMESERIES"
+};
+
+describe('QueryTemplate', () => {
+  test('binds the first source with every required slot', () => {
+    const template = new QueryTemplate(throughput);
+    expect(template.render(['kafka.broker.IOInPerSecond', 'kafka.broker.IOOutPerSecond']))
+      .toBe("SELECT average(kafka.broker.IOInPerSecond) AS 'Bytes in', max(kafka.broker.IOOutPerSecond) AS 'Bytes out' FROM Metric TIMESERIES");
+    expect(template.render([], ['KafkaBrokerSample']))
+      .toBe("SELECT average(broker.IOInPerSecond) AS 'Bytes in' FROM KafkaBrokerSample TIMESERIES");
+    expect(template.render([], [])).toBeNull();
+  });
+
+  test('explains an unknown aggregate instead of failing with a TypeError', () => {
+    const template = new QueryTemplate({ slots: { lag: [{ metric: 'kafka.consumer.lag', aggregate: 'p99' }] }, query: 'SELECT ${lag} FROM ${from}' });
+    expect(template.validate()).toContainEqual({ severity: 'error', message: "slot 'lag': unknown aggregate 'p99'" });
+    expect(() => template.render(['kafka.consumer.lag']))
+      .toThrow("Slot 'lag' has unknown aggregate 'p99', expected one of average, sum, max, min, latest, rate, none");
+  });
+});
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { tryParseNRQL } = require('nr-guardian/src/utils/nrql-parser.js');
+const TemplateLibrary = require('../lib/template-library');
+const { fillQuery } = require('../lib/template-library');
+
+function team(parameters = { team: { required: true } }) {
+  return {
+    id: 'team-logs',
+    name: 'Logs - ${team}',
+    version: '1.0.0',
+    parameters,
+    sections: [{
+      name: 'Logs',
+      widgets: [{
+        title: 'Errors for ${team}',
+        visualization: 'viz.line',
+        query: "SELECT count(*) FROM Log WHERE team = '${team}' TIMESERIES",
+        position: { col: 1, row: 1, width: 6, height: 3 }
+      }]
+    }]
+  };
+}
+
+// Load definition the way a template file is loaded, schema included
+function load(definition) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'template-library-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'team-logs.json'), JSON.stringify(definition));
+    const library = new TemplateLibrary();
+    library.loadDirectory(dir);
+    return library;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+describe('fillQuery', () => {
+  test.each([
+    ["WHERE team = '${team}'", "o'brien", "WHERE team = 'o\\'brien'"],
+    ['WHERE team = "${team}"', 'say "hi"', 'WHERE team = "say \\"hi\\""'],
+    ["WHERE team = '${team}'", "x\\' OR true OR '", "WHERE team = 'x\\\\\\' OR true OR \\''"],
+    ["WHERE team = '${team}' LIMIT ${limit}", 'core', "WHERE team = 'core' LIMIT 5"]
+  ])('fills %s with %s', (query, value, expected) => {
+    expect(fillQuery(query, { team: value, limit: 5 })).toBe(expected);
+  });
+
+  test('keeps an injected quote inside the string literal', () => {
+    const query = fillQuery("SELECT count(*) FROM Log WHERE team = '${team}' AND level = 'error'", { team: "core' OR team = 'payments" });
+    const { ast, error } = tryParseNRQL(query);
+    expect(error).toBeNull();
+    expect(ast.where.left.right.value).toBe("core' OR team = 'payments");
+  });
+
+  test('leaves placeholders without a value for query templates', () => {
+    expect(fillQuery("SELECT ${heap} FROM ${from} WHERE team = '${team}'", { team: 'core' }))
+      .toBe("SELECT ${heap} FROM ${from} WHERE team = 'core'");
+  });
+
+  test('refuses a backtick inside a quoted attribute name', () => {
+    expect(() => fillQuery('FACET `${attribute}`', { attribute: 'a` , b' })).toThrow("Parameter 'attribute' cannot contain a backtick");
+  });
+});
+
+describe('TemplateLibrary parameters', () => {
+  test('escapes values in queries but not in titles', () => {
+    const rendered = load(team()).render('team-logs', { team: "o'brien" });
+    const [widget] = rendered.sections[0].widgets;
+    expect(rendered.name).toBe("Logs - o'brien");
+    expect(widget.title).toBe("Errors for o'brien");
+    expect(widget.query).toBe("SELECT count(*) FROM Log WHERE team = 'o\\'brien' TIMESERIES");
+  });
+
+  test('rejects values that do not match the parameter pattern', () => {
+    const library = load(team({ team: { required: true, pattern: '[a-z-]+' } }));
+    expect(library.render('team-logs', { team: 'core-platform' }).parameterValues).toEqual({ team: 'core-platform' });
+    expect(() => library.render('team-logs', { team: "core' OR true" }))
+      .toThrow("Parameter 'team' of template 'team-logs' must match [a-z-]+, got 'core' OR true'");
+  });
+
+  test('reports a pattern that is not a regular expression', () => {
+    const library = load(team({ team: { pattern: '[a-z' } }));
+    expect(library.has('team-logs')).toBe(false);
+    expect(library.problems[0].message).toMatch(/^parameters\.team\.pattern: pattern is not a regular expression/);
+  });
+
+  test('reports a default that does not match the pattern when linting', () => {
+    const library = load(team({ team: { default: 'Core', pattern: '[a-z-]+' } }));
+    expect(library.lint().map(problem => problem.message)).toContain("Parameter 'team': default 'Core' does not match [a-z-]+");
+  });
+
+  test('refuses values that would add query template placeholders', () => {
+    expect(() => load(team()).render('team-logs', { team: '${from}' }))
+      .toThrow("Parameter 'team' of template 'team-logs' cannot contain '${'");
+  });
+
+  test('reports parameters that would replace query template placeholders', () => {
+    const definition = team({ from: { default: 'Log' }, heap: { default: 'x' } });
+    definition.sections[0].widgets.push({
+      title: 'Heap',
+      visualization: 'viz.line',
+      slots: { heap: ['jvm.memory.used'] },
+      query: 'SELECT ${heap} FROM ${from} TIMESERIES',
+      position: { col: 7, row: 1, width: 6, height: 3 }
+    });
+    const messages = load(definition).lint().map(problem => problem.message);
+    expect(messages).toContain("Section 'Logs' widget 'Heap': slot 'heap' has the name of a parameter");
+    expect(messages).toContain("Section 'Logs' widget 'Heap': parameter 'from' would replace ${from} in the query template");
+  });
+});
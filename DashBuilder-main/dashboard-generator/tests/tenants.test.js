@@ -0,0 +1,122 @@
+const TenantRegistry = require('../api/tenants');
+
+function registry() {
+  return new TenantRegistry({
+    tenants: {
+      payments: {
+        scopes: ['read', 'generate'],
+        tokens: [{ name: 'ci', token: 'payments-token' }],
+        accounts: [{ accountId: 1111111, apiKey: 'NRAK-PAYMENTS' }, { accountId: 2222222, apiKey: 'NRAK-PAYMENTS-EU' }]
+      },
+      search: {
+        tokens: [{ name: 'ci', token: 'search-token' }],
+        accounts: [{ accountId: 3333333, apiKey: 'NRAK-SEARCH' }]
+      }
+    }
+  });
+}
+
+// Just enough of an Express request and response for the middleware
+function request(headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { get: name => lower[name.toLowerCase()] };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+function authenticate(headers) {
+  const req = request(headers);
+  const res = response();
+  const next = jest.fn();
+  registry().authenticate()(req, res, next);
+  return { req, res, next };
+}
+
+describe('TenantRegistry.authenticate', () => {
+  test('answers 401 without a bearer token', () => {
+    const { res, next } = authenticate({});
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toEqual({ success: false, error: 'Bearer token required' });
+    expect(res.headers['WWW-Authenticate']).toBe('Bearer realm="dashboard-generator"');
+  });
+
+  test('answers 401 for a token no tenant has', () => {
+    const { res, next } = authenticate({ Authorization: 'Bearer not-a-token' });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toEqual({ success: false, error: 'Invalid bearer token' });
+    expect(res.headers['WWW-Authenticate']).toBe('Bearer realm="dashboard-generator", error="invalid_token"');
+  });
+
+  test('answers 403 for an account of another tenant', () => {
+    const { res, next } = authenticate({ Authorization: 'Bearer payments-token', 'X-Account-Id': '3333333' });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toEqual({ success: false, error: "Tenant 'payments' has no access to account 3333333" });
+  });
+
+  test('resolves the tenant, token and chosen account', () => {
+    const { req, next } = authenticate({ Authorization: 'bearer payments-token', 'X-Account-Id': '2222222' });
+    expect(next).toHaveBeenCalledWith();
+    expect(req.tenant.id).toBe('payments');
+    expect(req.token).toBe('ci');
+    expect(req.account).toMatchObject({ accountId: '2222222', apiKey: 'NRAK-PAYMENTS-EU' });
+  });
+
+  test('defaults to the tenant\'s first account', () => {
+    const { req } = authenticate({ Authorization: 'Bearer search-token' });
+    expect(req.account.accountId).toBe('3333333');
+  });
+
+  test('answers 503 while no tenants are configured', () => {
+    const unconfigured = TenantRegistry.fromEnvironment({});
+    const res = response();
+    unconfigured.authenticate()(request({ Authorization: 'Bearer payments-token' }), res, jest.fn());
+    expect(res.statusCode).toBe(503);
+  });
+});
+
+describe('TenantRegistry.requireScope', () => {
+  test('answers 403 unless the tenant has the scope', () => {
+    const tenants = registry();
+    const res = response();
+    const next = jest.fn();
+    tenants.requireScope('deploy')({ tenant: tenants.tenants.get('payments') }, res, next);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error).toBe("Tenant 'payments' is not allowed to deploy");
+
+    tenants.requireScope('deploy')({ tenant: tenants.tenants.get('search') }, response(), next);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('TenantRegistry configuration', () => {
+  test('refuses a token shared by two tenants', () => {
+    expect(() => new TenantRegistry({
+      tenants: {
+        a: { tokens: [{ token: 'shared' }], accounts: [{ accountId: 1, apiKey: 'k' }] },
+        b: { tokens: [{ token: 'shared' }], accounts: [{ accountId: 2, apiKey: 'k' }] }
+      }
+    })).toThrow("Tenant 'b': token token-1 is already used by tenant 'a'");
+  });
+});
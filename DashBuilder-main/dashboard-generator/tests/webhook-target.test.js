@@ -0,0 +1,45 @@
+const { checkWebhookUrl, isBlockedAddress } = require('../lib/webhook-target');
+
+describe('checkWebhookUrl', () => {
+  test.each([
+    ['http://127.0.0.1:3001/hook', '127.0.0.1'],
+    ['http://localhost:3001/hook', '127.0.0.1'],
+    ['http://[::1]/hook', '::1'],
+    ['http://[::ffff:127.0.0.1]/hook', '::ffff:7f00:1'],
+    ['http://[::ffff:a9fe:a9fe]/latest/meta-data', '::ffff:a9fe:a9fe'],
+    ['http://2130706433/hook', '127.0.0.1'],
+    ['http://0x7f000001/hook', '127.0.0.1'],
+    ['http://0177.0.0.1/hook', '127.0.0.1'],
+    ['http://169.254.169.254/latest/meta-data', '169.254.169.254'],
+    ['https://10.1.2.3/hook', '10.1.2.3'],
+    ['https://[fd00::1]/hook', 'fd00::1']
+  ])('refuses %s', async (url, address) => {
+    expect(await checkWebhookUrl(url)).toMatch(new RegExp(`resolves to ${address.replace(/\./g, '\\.')}, which is not a public address$`));
+  });
+
+  test.each([
+    'ftp://93.184.216.34/hook',
+    'file:///etc/passwd',
+    'not a url'
+  ])('refuses %s as not http(s)', async (url) => {
+    expect(await checkWebhookUrl(url)).toBe('webhook must be an http(s) URL');
+  });
+
+  test.each([
+    'https://93.184.216.34/hook',
+    'http://[2606:2800:220:1::]/hook'
+  ])('accepts the public address %s', async (url) => {
+    expect(await checkWebhookUrl(url)).toBeNull();
+  });
+});
+
+describe('isBlockedAddress', () => {
+  test('checks IPv4-mapped addresses as IPv4', () => {
+    expect(isBlockedAddress('::ffff:192.168.1.10')).toBe(true);
+    expect(isBlockedAddress('::ffff:93.184.216.34')).toBe(false);
+  });
+
+  test('blocks what is not an address', () => {
+    expect(isBlockedAddress('example.com')).toBe(true);
+  });
+});
@@ -33,22 +33,22 @@ function getApiClient() {
 // Export service instances lazily
 const services = {
   get dashboard() {
-    return new DashboardService(getApiClient());
+    return new DashboardService(getConfig());
   },
   get nrql() {
-    return new NRQLService(getApiClient());
+    return new NRQLService(getConfig());
   },
   get entity() {
-    return new EntityService(getApiClient());
+    return new EntityService(getConfig());
   },
   get ingest() {
-    return new IngestService(getApiClient());
+    return new IngestService(getConfig());
   },
   get schema() {
-    return new SchemaService(getApiClient());
+    return new SchemaService(getConfig());
   },
   get llm() {
-    return new LLMEnhancementService(getApiClient());
+    return new LLMEnhancementService(getConfig());
   }
 };
 
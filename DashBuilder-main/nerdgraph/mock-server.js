@@ -0,0 +1,766 @@
+#!/usr/bin/env node
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { tryParseNRQL, getEventTypes, getTimeWindowMilliseconds, AGGREGATE_FUNCTIONS } = require('../scripts/src/utils/nrql-parser.js');
+const { normalizeNRQL } = require('../scripts/src/utils/nrql-formatter.js');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures');
+const DEFAULT_WINDOW_MS = 60 * 60 * 1000;
+
+// Root fields the mock knows how to answer, optionally aliased ("a: nrql(")
+const OPERATION_PATTERN = /(?:\b(\w+)\s*:\s*)?\b(nrqlQueryProgress|dashboardCreate|dashboardUpdate|dashboardDelete|entitySearch|entities|entity|nrql|user|policiesSearch|nrqlConditionsSearch|alertsPolicyCreate|alertsNrqlConditionStaticCreate|alertsNrqlConditionBaselineCreate|alertsNrqlConditionStaticUpdate|alertsNrqlConditionBaselineUpdate|alertsConditionDelete)\b\s*([({])/g;
+
+// Root fields that may be selected without arguments
+const BARE_FIELDS = new Set(['user', 'policiesSearch']);
+
+const CONDITION_MUTATIONS = {
+  alertsNrqlConditionStaticCreate: 'STATIC',
+  alertsNrqlConditionBaselineCreate: 'BASELINE',
+  alertsNrqlConditionStaticUpdate: 'STATIC',
+  alertsNrqlConditionBaselineUpdate: 'BASELINE'
+};
+
+/**
+ * Mock NerdGraph Server - Local stand-in for api.newrelic.com/graphql
+ * Answers nrql, nrqlQueryProgress, entitySearch, entity, dashboard
+ * mutations and alert policies/NRQL conditions from fixtures so clients can
+ * run without a live account.
+ */
+class MockNerdGraphServer {
+  constructor(options = {}) {
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 0;
+    this.apiKey = options.apiKey || null;
+    this.latency = options.latency || 0;
+    this.fixturesSource = options.fixtures === undefined ? DEFAULT_FIXTURES : options.fixtures;
+
+    this.server = null;
+    this.requests = [];
+    this.reset();
+  }
+
+  /**
+   * Restore fixtures and forget dashboards and alerts created since startup
+   */
+  reset() {
+    this.fixtures = loadFixtures(this.fixturesSource);
+    this.dashboards = new Map();
+    this.pendingQueries = new Map();
+    this.nextId = 1;
+    this.requests = [];
+
+    (this.fixtures.dashboards || []).forEach(dashboard => {
+      this.dashboards.set(dashboard.guid, clone(dashboard));
+    });
+
+    this.policies = new Map();
+    this.conditions = new Map();
+    (this.fixtures.policies || []).forEach(policy => {
+      this.policies.set(String(policy.id), { incidentPreference: 'PER_CONDITION', ...clone(policy), id: String(policy.id) });
+    });
+    (this.fixtures.nrqlConditions || []).forEach(condition => {
+      this.conditions.set(String(condition.id), { ...clone(condition), id: String(condition.id), policyId: String(condition.policyId) });
+    });
+  }
+
+  get endpoint() {
+    if (!this.server) return null;
+    const { port } = this.server.address();
+    return `http://${this.host}:${port}/graphql`;
+  }
+
+  async start() {
+    if (this.server) return this.endpoint;
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    return this.endpoint;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    await new Promise(resolve => server.close(() => resolve()));
+  }
+
+  addNrqlFixture(fixture) {
+    this.fixtures.nrql.unshift(fixture);
+  }
+
+  addEntity(entity) {
+    this.fixtures.entities.push(entity);
+  }
+
+  handleRequest(req, res) {
+    if (req.method === 'GET' && req.url === '/health') {
+      return this.send(res, 200, { status: 'ok' });
+    }
+    if (req.method !== 'POST' || !req.url.startsWith('/graphql')) {
+      return this.send(res, 404, { errors: [{ message: `Cannot ${req.method} ${req.url}` }] });
+    }
+    if (this.apiKey && req.headers['api-key'] !== this.apiKey) {
+      return this.send(res, 401, { errors: [{ message: 'Invalid API key' }] });
+    }
+
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        return this.send(res, 400, { errors: [{ message: `Invalid JSON body: ${error.message}` }] });
+      }
+      if (!payload || typeof payload !== 'object' || typeof payload.query !== 'string') {
+        return this.send(res, 400, { errors: [{ message: 'Request body must be a JSON object with a query string' }] });
+      }
+
+      // A document the mock cannot read is a GraphQL error, not a crash
+      let response;
+      try {
+        response = this.execute(payload.query, payload.variables || {});
+      } catch (error) {
+        response = { data: null, errors: [{ message: `Could not execute query: ${error.message}` }] };
+      }
+      setTimeout(() => this.send(res, 200, response), this.latency);
+    });
+  }
+
+  send(res, status, body) {
+    const json = JSON.stringify(body);
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(json)
+    });
+    res.end(json);
+  }
+
+  /**
+   * Answer one GraphQL document. Usable in-process without starting HTTP.
+   */
+  execute(query = '', variables = {}) {
+    this.requests.push({ query, variables, timestamp: Date.now() });
+
+    const recorded = (this.fixtures.graphql || []).find(entry => query.includes(entry.match));
+    if (recorded) {
+      return clone(recorded.response);
+    }
+
+    const isMutation = /^\s*mutation\b/.test(query);
+    const accountId = extractAccountId(query, variables);
+    const data = {};
+    const errors = [];
+
+    OPERATION_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = OPERATION_PATTERN.exec(query)) !== null) {
+      const [, alias, field, opener] = match;
+      // Selections like "relationships { source { entity { guid } } }" are not root fields
+      if (opener === '{' && !BARE_FIELDS.has(field)) continue;
+      const args = opener === '(' ? parseArguments(query, OPERATION_PATTERN.lastIndex, variables) : {};
+      const key = alias || field;
+
+      try {
+        switch (field) {
+          case 'nrql':
+            setPath(data, ['actor', 'account', key], this.runNrql(args, accountId));
+            break;
+          case 'nrqlQueryProgress':
+            if (isMutation) {
+              setPath(data, [key], this.startAsyncQuery(args.query, args.accountId || accountId));
+            } else {
+              setPath(data, ['actor', 'account', key], this.getQueryProgress(args.queryId));
+            }
+            break;
+          case 'entitySearch':
+            setPath(data, ['actor', key], this.searchEntities(args.query || ''));
+            break;
+          case 'entity':
+            setPath(data, ['actor', key], this.findEntity(args.guid));
+            break;
+          case 'entities':
+            setPath(data, ['actor', key], (args.guids || []).map(guid => this.findEntity(guid)).filter(Boolean));
+            break;
+          case 'dashboardCreate':
+            setPath(data, [key], this.createDashboard(args.accountId || accountId, args.dashboard));
+            break;
+          case 'dashboardUpdate':
+            setPath(data, [key], this.updateDashboard(args.guid, args.dashboard));
+            break;
+          case 'dashboardDelete':
+            setPath(data, [key], this.deleteDashboard(args.guid));
+            break;
+          case 'user':
+            setPath(data, ['actor', key], { id: 1, name: 'Mock User', email: 'mock@example.com' });
+            break;
+          case 'policiesSearch':
+            setPath(data, ['actor', 'account', 'alerts', key], { policies: this.searchPolicies(accountId) });
+            break;
+          case 'nrqlConditionsSearch':
+            setPath(data, ['actor', 'account', 'alerts', key], {
+              nextCursor: null,
+              nrqlConditions: this.searchConditions(accountId, args.searchCriteria || {})
+            });
+            break;
+          case 'alertsPolicyCreate':
+            setPath(data, [key], this.createPolicy(args.accountId || accountId, args.policy));
+            break;
+          case 'alertsNrqlConditionStaticCreate':
+          case 'alertsNrqlConditionBaselineCreate':
+            setPath(data, [key], this.createCondition(args.accountId || accountId, args.policyId, CONDITION_MUTATIONS[field], args.condition));
+            break;
+          case 'alertsNrqlConditionStaticUpdate':
+          case 'alertsNrqlConditionBaselineUpdate':
+            setPath(data, [key], this.updateCondition(args.id, CONDITION_MUTATIONS[field], args.condition));
+            break;
+          case 'alertsConditionDelete':
+            setPath(data, [key], this.deleteCondition(args.id));
+            break;
+        }
+      } catch (error) {
+        errors.push({ message: error.message, path: [key] });
+      }
+    }
+
+    if (Object.keys(data).length === 0 && errors.length === 0) {
+      errors.push({ message: 'Mock NerdGraph server does not support this operation' });
+    }
+
+    return errors.length > 0 ? { data: Object.keys(data).length ? data : null, errors } : { data };
+  }
+
+  runNrql(args, accountId) {
+    const query = args.query;
+    if (!query) {
+      throw new Error('NRQL query is required');
+    }
+
+    const { ast, error } = tryParseNRQL(query);
+    if (error) {
+      throw new Error(`NRQL Syntax Error: ${error.reason || error.message}`);
+    }
+
+    if (args.async) {
+      const progress = this.startAsyncQuery(query, accountId);
+      return {
+        results: null,
+        metadata: null,
+        queryProgress: {
+          queryId: progress.queryId,
+          completed: false,
+          retryAfter: 0,
+          retryDeadline: 60
+        }
+      };
+    }
+
+    return this.buildNrqlResult(query, ast, accountId);
+  }
+
+  buildNrqlResult(query, ast, accountId) {
+    const fixture = this.findNrqlFixture(query, ast);
+    if (fixture && fixture.error) {
+      throw new Error(fixture.error);
+    }
+
+    const windowMs = getTimeWindowMilliseconds(ast) || DEFAULT_WINDOW_MS;
+    const end = Date.now();
+
+    return {
+      results: fixture ? clone(fixture.results) : this.defaultResults(ast, accountId),
+      metadata: {
+        eventTypes: ast.kind === 'SELECT' ? getEventTypes(ast) : [],
+        facets: ast.facet ? ast.facet.items.map(item => item.alias || sourceText(ast, item.expression)) : null,
+        messages: [],
+        timeWindow: { begin: end - windowMs, end }
+      },
+      performanceStats: { wallClockTime: 1, inspectedCount: 0 },
+      totalResult: null
+    };
+  }
+
+  findNrqlFixture(query, ast) {
+    const normalized = normalizeQuery(query);
+    const eventTypes = ast.kind === 'SELECT' ? getEventTypes(ast) : [];
+
+    // Exact queries win over match/pattern fixtures from any file
+    const exact = this.fixtures.nrql.find(fixture => fixture.query && normalizeQuery(fixture.query) === normalized);
+    if (exact) return exact;
+
+    return this.fixtures.nrql.find(fixture => {
+      if (fixture.query) return false;
+      if (fixture.match) return normalized.toLowerCase().includes(fixture.match.toLowerCase());
+      if (fixture.pattern) return new RegExp(fixture.pattern, 'i').test(query);
+      if (fixture.eventType) return eventTypes.includes(fixture.eventType);
+      return false;
+    });
+  }
+
+  // Event types an account reports: accountEventTypes[accountId] when the
+  // fixtures give one, otherwise the shared eventTypes
+  schemaFor(accountId) {
+    const accountSchema = accountId ? this.fixtures.accountEventTypes[String(accountId)] : null;
+    return accountSchema || this.fixtures.eventTypes || {};
+  }
+
+  // Results shaped like NerdGraph's when no fixture matches: schema queries are
+  // answered from fixture event types, single-row aggregates return zeroes
+  defaultResults(ast, accountId) {
+    const schema = this.schemaFor(accountId);
+
+    if (ast.kind === 'SHOW') {
+      return Object.keys(schema).map(eventType => ({ eventType }));
+    }
+
+    const functions = ast.select.map(item => item.expression);
+    if (functions.length === 1 && functions[0].type === 'FunctionCall' && functions[0].name.toLowerCase() === 'keyset') {
+      const keys = getEventTypes(ast).flatMap(eventType => schema[eventType] || []);
+      return [{ allKeys: keys, stringKeys: keys, numericKeys: [], booleanKeys: [] }];
+    }
+
+    const isAggregate = functions.every(expr =>
+      expr.type === 'FunctionCall' && AGGREGATE_FUNCTIONS.has(expr.name.toLowerCase())
+    );
+    if (!isAggregate || ast.facet || ast.timeseries) {
+      return [];
+    }
+
+    const row = {};
+    ast.select.forEach(item => {
+      const expr = item.expression;
+      const arg = expr.args[0];
+      const key = item.alias || (arg && arg.type === 'Identifier' ? `${expr.name}.${arg.name}` : expr.name);
+      row[key] = 0;
+    });
+    return [row];
+  }
+
+  startAsyncQuery(query, accountId) {
+    const queryId = `mock-query-${this.nextId++}`;
+    this.pendingQueries.set(queryId, { query, accountId });
+    return { queryId, status: 'RUNNING', message: null };
+  }
+
+  // Async queries complete on the first poll
+  getQueryProgress(queryId) {
+    const pending = this.pendingQueries.get(queryId);
+    if (!pending) {
+      return { status: 'ERROR', message: `Unknown query ID ${queryId}`, results: null };
+    }
+
+    this.pendingQueries.delete(queryId);
+    const { ast } = tryParseNRQL(pending.query);
+    return {
+      ...this.buildNrqlResult(pending.query, ast, pending.accountId),
+      status: 'COMPLETE',
+      message: null,
+      queryProgress: { queryId, completed: true, retryAfter: 0 }
+    };
+  }
+
+  allEntities() {
+    const dashboards = [...this.dashboards.values()].map(dashboard => ({
+      ...dashboard,
+      type: 'DASHBOARD',
+      domain: 'VIZ',
+      entityType: 'DASHBOARD_ENTITY'
+    }));
+    return [...this.fixtures.entities, ...dashboards];
+  }
+
+  searchEntities(searchQuery) {
+    const predicates = parseEntitySearch(searchQuery);
+    const entities = this.allEntities().filter(entity => predicates.every(predicate => predicate(entity)));
+
+    return {
+      count: entities.length,
+      query: searchQuery,
+      results: { entities: clone(entities), nextCursor: null }
+    };
+  }
+
+  findEntity(guid) {
+    const entity = this.allEntities().find(candidate => candidate.guid === guid);
+    if (!entity) return null;
+
+    return {
+      tags: [],
+      relationships: [],
+      relatedEntities: { results: [] },
+      goldenMetrics: { metrics: [] },
+      ...clone(entity)
+    };
+  }
+
+  createDashboard(accountId, input) {
+    const errors = validateDashboardInput(input);
+    if (errors.length > 0) {
+      return { entityResult: null, errors };
+    }
+
+    const guid = createDashboardGuid(accountId, this.nextId++);
+    const now = new Date().toISOString();
+    const dashboard = {
+      ...toDashboardEntity(input),
+      guid,
+      accountId: parseInt(accountId),
+      createdAt: now,
+      updatedAt: now
+    };
+    this.dashboards.set(guid, dashboard);
+
+    return { entityResult: clone(dashboard), errors: [] };
+  }
+
+  updateDashboard(guid, input) {
+    const existing = this.dashboards.get(guid);
+    if (!existing) {
+      return { entityResult: null, errors: [{ type: 'INVALID_INPUT', description: `Dashboard ${guid} not found` }] };
+    }
+
+    const errors = validateDashboardInput(input);
+    if (errors.length > 0) {
+      return { entityResult: null, errors };
+    }
+
+    const dashboard = {
+      ...existing,
+      ...toDashboardEntity(input),
+      updatedAt: new Date().toISOString()
+    };
+    this.dashboards.set(guid, dashboard);
+
+    return { entityResult: clone(dashboard), errors: [] };
+  }
+
+  deleteDashboard(guid) {
+    if (!this.dashboards.delete(guid)) {
+      return { status: 'FAILURE', errors: [{ type: 'INVALID_INPUT', description: `Dashboard ${guid} not found` }] };
+    }
+    return { status: 'SUCCESS', errors: [] };
+  }
+
+  // Policies and conditions without an accountId belong to every account
+  searchPolicies(accountId) {
+    return Array.from(this.policies.values())
+      .filter(policy => !policy.accountId || !accountId || policy.accountId === parseInt(accountId))
+      .map(({ accountId: _, ...policy }) => clone(policy));
+  }
+
+  searchConditions(accountId, criteria) {
+    return Array.from(this.conditions.values())
+      .filter(condition => !condition.accountId || !accountId || condition.accountId === parseInt(accountId))
+      .filter(condition => !criteria.policyId || condition.policyId === String(criteria.policyId))
+      .map(({ accountId: _, ...condition }) => clone(condition));
+  }
+
+  createPolicy(accountId, input) {
+    if (!input || !input.name) {
+      throw new Error('Policy name is required');
+    }
+    const policy = {
+      id: String(this.nextId++),
+      name: input.name,
+      incidentPreference: input.incidentPreference || 'PER_POLICY',
+      accountId: parseInt(accountId)
+    };
+    this.policies.set(policy.id, policy);
+    return clone(policy);
+  }
+
+  createCondition(accountId, policyId, type, input) {
+    if (!this.policies.has(String(policyId))) {
+      throw new Error(`Policy ${policyId} not found`);
+    }
+    if (!input || !input.name || !input.nrql?.query || !Array.isArray(input.terms) || input.terms.length === 0) {
+      throw new Error('Condition name, nrql.query and terms are required');
+    }
+    const condition = {
+      enabled: true,
+      ...clone(input),
+      id: String(this.nextId++),
+      type,
+      policyId: String(policyId),
+      accountId: parseInt(accountId)
+    };
+    this.conditions.set(condition.id, condition);
+    return { id: condition.id, name: condition.name };
+  }
+
+  updateCondition(id, type, input) {
+    const existing = this.conditions.get(String(id));
+    if (!existing) {
+      throw new Error(`Condition ${id} not found`);
+    }
+    if (existing.type !== type) {
+      throw new Error(`Condition ${id} is a ${existing.type} condition`);
+    }
+    const condition = { ...existing, ...clone(input) };
+    this.conditions.set(condition.id, condition);
+    return { id: condition.id, name: condition.name };
+  }
+
+  deleteCondition(id) {
+    if (!this.conditions.delete(String(id))) {
+      throw new Error(`Condition ${id} not found`);
+    }
+    return { id: String(id) };
+  }
+}
+
+/**
+ * Load fixtures from a JSON file, a directory of JSON files (merged in name
+ * order) or an object. Missing sections default to empty.
+ */
+function loadFixtures(source) {
+  const fixtures = { eventTypes: {}, accountEventTypes: {}, nrql: [], entities: [], dashboards: [], graphql: [], policies: [], nrqlConditions: [] };
+  if (!source) return fixtures;
+
+  let documents;
+  if (typeof source === 'object') {
+    documents = [source];
+  } else if (fs.statSync(source).isDirectory()) {
+    documents = fs.readdirSync(source)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => JSON.parse(fs.readFileSync(path.join(source, file), 'utf8')));
+  } else {
+    documents = [JSON.parse(fs.readFileSync(source, 'utf8'))];
+  }
+
+  documents.forEach(document => {
+    Object.assign(fixtures.eventTypes, document.eventTypes || {});
+    Object.entries(document.accountEventTypes || {}).forEach(([accountId, eventTypes]) => {
+      fixtures.accountEventTypes[accountId] = { ...fixtures.accountEventTypes[accountId], ...eventTypes };
+    });
+    ['nrql', 'entities', 'dashboards', 'graphql', 'policies', 'nrqlConditions'].forEach(section => {
+      fixtures[section].push(...clone(document[section] || []));
+    });
+  });
+
+  return fixtures;
+}
+
+// Dashboard GUIDs follow the real "accountId|VIZ|DASHBOARD|id" encoding
+function createDashboardGuid(accountId, id) {
+  return Buffer.from(`${accountId}|VIZ|DASHBOARD|${id}`).toString('base64').replace(/=+$/, '');
+}
+
+function toDashboardEntity(input) {
+  return {
+    name: input.name,
+    description: input.description || null,
+    permissions: input.permissions || 'PUBLIC_READ_WRITE',
+    variables: input.variables || [],
+    pages: (input.pages || []).map((page, pageIndex) => ({
+      guid: `page-${pageIndex + 1}`,
+      name: page.name,
+      widgets: (page.widgets || []).map((widget, widgetIndex) => ({
+        id: String(widgetIndex + 1),
+        title: widget.title || '',
+        layout: widget.layout || null,
+        visualization: widget.visualization || null,
+        rawConfiguration: widget.rawConfiguration || widget.configuration || {},
+        linkedEntities: (widget.linkedEntityGuids || []).map(guid => ({ guid }))
+      }))
+    }))
+  };
+}
+
+function validateDashboardInput(input) {
+  const errors = [];
+  if (!input || !input.name) {
+    errors.push({ type: 'INVALID_INPUT', description: 'Dashboard name is required' });
+  }
+  if (!input || !Array.isArray(input.pages) || input.pages.length === 0) {
+    errors.push({ type: 'INVALID_INPUT', description: 'Dashboard must have at least one page' });
+  }
+  return errors;
+}
+
+// Supports the subset of entity search syntax the clients use:
+// field = 'x', field != 'x', field LIKE '%x%', field IN ('a', 'b') joined by AND
+function parseEntitySearch(searchQuery) {
+  const clauses = searchQuery
+    .replace(/^\s*\(|\)\s*$/g, '')
+    .split(/\s+AND\s+(?=(?:[^']*'[^']*')*[^']*$)/i)
+    .map(clause => clause.trim().replace(/^\(|\)$/g, ''))
+    .filter(Boolean);
+
+  return clauses.map(clause => {
+    const match = clause.match(/^([\w.]+)\s*(=|!=|LIKE|IN)\s*(.+)$/i);
+    if (!match) return () => true;
+
+    const [, field, operator, rawValue] = match;
+    const values = rawValue.replace(/^\(|\)$/g, '').split(',').map(value => value.trim().replace(/^'|'$/g, ''));
+    const read = entity => {
+      if (field.startsWith('tags.')) {
+        const tag = (entity.tags || []).find(t => t.key === field.slice(5));
+        return tag ? tag.values : [];
+      }
+      return [entity[field]];
+    };
+
+    return entity => {
+      const actual = read(entity).map(value => String(value ?? '').toLowerCase());
+      switch (operator.toUpperCase()) {
+        case '=': return actual.includes(values[0].toLowerCase());
+        case '!=': return !actual.includes(values[0].toLowerCase());
+        case 'IN': return values.some(value => actual.includes(value.toLowerCase()));
+        case 'LIKE': {
+          const pattern = new RegExp(`^${values[0].split('%').map(escapeRegExp).join('.*')}$`, 'i');
+          return actual.some(value => pattern.test(value));
+        }
+      }
+      return true;
+    };
+  });
+}
+
+// Parse "name: value" arguments starting just after an opening parenthesis.
+// Values may be variables, strings, numbers, enums, lists or input objects.
+function parseArguments(source, start, variables) {
+  let pos = start;
+
+  const skip = () => {
+    while (pos < source.length && /[\s,]/.test(source[pos])) pos++;
+  };
+
+  const readValue = () => {
+    skip();
+    const char = source[pos];
+
+    if (char === '$') {
+      const name = source.slice(pos + 1).match(/^\w+/)[0];
+      pos += name.length + 1;
+      return variables[name];
+    }
+    if (char === '"') {
+      let value = '';
+      pos++;
+      while (pos < source.length && source[pos] !== '"') {
+        if (source[pos] === '\\') {
+          const next = source[pos + 1];
+          value += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+          pos += 2;
+        } else {
+          value += source[pos++];
+        }
+      }
+      pos++;
+      return value;
+    }
+    if (char === '[') {
+      pos++;
+      const list = [];
+      skip();
+      while (source[pos] !== ']') {
+        list.push(readValue());
+        skip();
+      }
+      pos++;
+      return list;
+    }
+    if (char === '{') {
+      pos++;
+      const object = readFields('}');
+      pos++;
+      return object;
+    }
+
+    const word = source.slice(pos).match(/^[-\w.]+/)[0];
+    pos += word.length;
+    if (word === 'true' || word === 'false') return word === 'true';
+    if (word === 'null') return null;
+    if (/^-?\d+(\.\d+)?$/.test(word)) return Number(word);
+    return word;
+  };
+
+  const readFields = (terminator) => {
+    const fields = {};
+    skip();
+    while (pos < source.length && source[pos] !== terminator) {
+      const name = source.slice(pos).match(/^\w+/);
+      if (!name) break;
+      pos += name[0].length;
+      skip();
+      pos++; // ':'
+      fields[name[0]] = readValue();
+      skip();
+    }
+    return fields;
+  };
+
+  return readFields(')');
+}
+
+function extractAccountId(query, variables) {
+  const match = query.match(/account\s*\(\s*id\s*:\s*(\$?\w+)/);
+  if (!match) return variables.accountId;
+  return match[1].startsWith('$') ? variables[match[1].slice(1)] : parseInt(match[1]);
+}
+
+function normalizeQuery(query) {
+  try {
+    return normalizeNRQL(query);
+  } catch (error) {
+    return query.replace(/\s+/g, ' ').trim();
+  }
+}
+
+function sourceText(ast, node) {
+  return ast.source.slice(node.start, node.end);
+}
+
+function setPath(target, keys, value) {
+  let node = target;
+  keys.slice(0, -1).forEach(key => {
+    node[key] = node[key] || {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function clone(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : fallback;
+  };
+
+  const server = new MockNerdGraphServer({
+    port: parseInt(option('port', process.env.MOCK_NERDGRAPH_PORT || '4000')),
+    fixtures: option('fixtures', DEFAULT_FIXTURES),
+    apiKey: option('api-key', null),
+    latency: parseInt(option('latency', '0'))
+  });
+
+  server.start().then(endpoint => {
+    console.log(`Mock NerdGraph server listening on ${endpoint}`);
+    console.log(`Point clients at it with NEW_RELIC_NERDGRAPH_URL=${endpoint}`);
+  });
+
+  const shutdown = () => server.stop().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+module.exports = {
+  MockNerdGraphServer,
+  loadFixtures,
+  createDashboardGuid
+};
@@ -1,6 +1,7 @@
-const https = require('https');
 const WebSocket = require('ws');
 const { EventEmitter } = require('events');
+const { createTransport, resolveWebSocketEndpoint } = require('../scripts/src/core/transport.js');
+const { detectAnomalies, seriesFromResults } = require('../scripts/src/utils/anomaly-detection.js');
 
 /**
  * NerdGraph Super Client - Advanced GraphQL client for New Relic
@@ -11,14 +12,11 @@ class NerdGraphSuperClient extends EventEmitter {
     super();
     this.apiKey = config.apiKey;
     this.accountId = config.accountId;
-    this.endpoint = config.endpoint || 'https://api.newrelic.com/graphql';
-    this.wsEndpoint = config.wsEndpoint || 'wss://api.newrelic.com/graphql';
     
     // Advanced features
     this.batchQueue = [];
     this.batchTimer = null;
     this.subscriptions = new Map();
-    this.cache = new Map();
     this.queryAnalyzer = new QueryAnalyzer();
     
     // Configuration
@@ -30,30 +28,28 @@ class NerdGraphSuperClient extends EventEmitter {
       retryDelay: config.retryDelay || 1000,
       ...config
     };
+
+    // Caching, retries and rate limiting are handled by the shared transport
+    this.transport = createTransport({
+      apiKey: this.apiKey,
+      endpoint: config.endpoint,
+      region: config.region,
+      responseCache: this.config.cacheEnabled ? { ttl: 300000 } : false,
+      retryAttempts: this.config.retryAttempts - 1,
+      retryDelay: this.config.retryDelay
+    });
+    this.endpoint = this.transport.endpoint;
+    this.wsEndpoint = resolveWebSocketEndpoint({ ...config, endpoint: this.endpoint });
   }
 
   /**
    * Execute a single GraphQL query with optimizations
    */
   async query(query, variables = {}, options = {}) {
-    // Check cache first
-    if (this.config.cacheEnabled && options.cache !== false) {
-      const cached = this.getCached(query, variables);
-      if (cached) return cached;
-    }
-
     // Analyze and optimize query
     const optimized = this.queryAnalyzer.optimize(query);
     
-    // Execute query
-    const result = await this.execute(optimized, variables, options);
-    
-    // Cache result
-    if (this.config.cacheEnabled && options.cache !== false) {
-      this.setCached(query, variables, result, options.ttl);
-    }
-    
-    return result;
+    return this.execute(optimized, variables, options);
   }
 
   /**
@@ -228,73 +224,33 @@ class NerdGraphSuperClient extends EventEmitter {
   }
 
   /**
-   * Detect anomalies in metrics
+   * Detect anomalies in metrics by running the local detectors over their
+   * TIMESERIES history. options.detection is passed to the detectors.
    */
   async detectAnomalies(metrics, options = {}) {
     const queries = metrics.map(metric => `
-      SELECT anomaly(${metric.aggregation || 'average'}(${metric.name})) 
+      SELECT ${metric.aggregation || 'average'}(${metric.name}) 
       FROM ${metric.from || 'Metric'} 
       ${metric.where ? `WHERE ${metric.where}` : ''}
       ${metric.facet ? `FACET ${metric.facet}` : ''}
       SINCE ${options.since || '1 week ago'}
+      TIMESERIES ${options.bucket || '1 hour'}
     `);
     
     const results = await Promise.all(queries.map(q => this.nrql(q)));
     
-    return this.correlateAnomalies(results, metrics);
+    return this.correlateAnomalies(results.map(result => result.data.actor.account.nrql.results), metrics, options);
   }
 
   // Private methods
 
   async execute(query, variables = {}, options = {}) {
-    const payload = JSON.stringify({ query, variables });
-    
-    return this.retryableRequest(async () => {
-      return new Promise((resolve, reject) => {
-        const req = https.request({
-          hostname: 'api.newrelic.com',
-          path: '/graphql',
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Api-Key': this.apiKey,
-            'Content-Length': payload.length
-          }
-        }, (res) => {
-          let data = '';
-          res.on('data', chunk => data += chunk);
-          res.on('end', () => {
-            try {
-              const response = JSON.parse(data);
-              if (response.errors) {
-                reject(new GraphQLError(response.errors));
-              } else {
-                resolve(response);
-              }
-            } catch (error) {
-              reject(error);
-            }
-          });
-        });
-        
-        req.on('error', reject);
-        req.write(payload);
-        req.end();
-      });
-    }, options.retryAttempts || this.config.retryAttempts);
-  }
-
-  async retryableRequest(fn, attempts) {
-    for (let i = 0; i < attempts; i++) {
-      try {
-        return await fn();
-      } catch (error) {
-        if (i === attempts - 1) throw error;
-        
-        const delay = this.config.retryDelay * Math.pow(2, i);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
-    }
+    const data = await this.transport.request(query, variables, {
+      cache: options.cache,
+      ttl: options.ttl ? options.ttl * 1000 : undefined,
+      retries: options.retryAttempts ? options.retryAttempts - 1 : undefined
+    });
+    return { data };
   }
 
   scheduleBatchExecution() {
@@ -468,29 +424,6 @@ class NerdGraphSuperClient extends EventEmitter {
     this.subscriptions.delete(subscriptionId);
   }
 
-  getCached(query, variables) {
-    const key = this.getCacheKey(query, variables);
-    const cached = this.cache.get(key);
-    
-    if (cached && cached.expires > Date.now()) {
-      return cached.data;
-    }
-    
-    return null;
-  }
-
-  setCached(query, variables, data, ttl = 300) {
-    const key = this.getCacheKey(query, variables);
-    this.cache.set(key, {
-      data,
-      expires: Date.now() + (ttl * 1000)
-    });
-  }
-
-  getCacheKey(query, variables) {
-    return `${query}:${JSON.stringify(variables)}`;
-  }
-
   generateSubscriptionId() {
     return `sub_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
@@ -512,13 +445,17 @@ class NerdGraphSuperClient extends EventEmitter {
     return Math.sqrt(variance);
   }
 
-  correlateAnomalies(results, metrics) {
-    // Implement anomaly correlation logic
-    const anomalies = results.map((result, index) => ({
-      metric: metrics[index],
-      anomalies: result.actor.account.nrql.results,
-      severity: this.calculateAnomalySeverity(result)
-    }));
+  correlateAnomalies(results, metrics, options = {}) {
+    const anomalies = results.map((rows, index) => {
+      const windows = seriesFromResults(rows).flatMap(series =>
+        detectAnomalies(series.points, options.detection).windows.map(window => ({ series: series.name, ...window }))
+      );
+      return {
+        metric: metrics[index],
+        anomalies: windows,
+        severity: this.calculateAnomalySeverity(windows)
+      };
+    });
     
     // Find correlated anomalies
     const correlations = this.findCorrelations(anomalies);
@@ -530,20 +467,33 @@ class NerdGraphSuperClient extends EventEmitter {
     };
   }
 
-  calculateAnomalySeverity(result) {
-    // Implement severity calculation
-    return 'medium'; // Placeholder
+  // The worst window decides the metric's severity
+  calculateAnomalySeverity(windows) {
+    const levels = ['none', 'low', 'medium', 'high'];
+    return windows.reduce((worst, window) =>
+      levels.indexOf(window.severity) > levels.indexOf(worst) ? window.severity : worst, 'none');
   }
 
+  // Pairs of metrics with anomaly windows that overlap in time
   findCorrelations(anomalies) {
-    // Implement correlation detection
-    return []; // Placeholder
+    const correlations = [];
+    anomalies.forEach((first, i) => {
+      anomalies.slice(i + 1).forEach(second => {
+        const overlaps = first.anomalies.flatMap(a => second.anomalies
+          .filter(b => a.start <= b.end && b.start <= a.end)
+          .map(b => ({ start: Math.max(a.start, b.start), end: Math.min(a.end, b.end) })));
+        if (overlaps.length > 0) {
+          correlations.push({ metrics: [first.metric.name, second.metric.name], windows: overlaps });
+        }
+      });
+    });
+    return correlations;
   }
 
   generateAnomalySummary(anomalies, correlations) {
     return {
       totalAnomalies: anomalies.reduce((sum, a) => sum + a.anomalies.length, 0),
-      criticalMetrics: anomalies.filter(a => a.severity === 'critical').map(a => a.metric.name),
+      criticalMetrics: anomalies.filter(a => a.severity === 'high').map(a => a.metric.name),
       correlatedGroups: correlations.length
     };
   }
@@ -33,7 +33,7 @@ async function createIntelligentKafkaDashboard() {
   
   const client = new NerdGraphClient({
     apiKey: config.apiKey,
-    region: 'US'
+    region: process.env.NEW_RELIC_REGION || 'US'
   });
   
   const spinner = ora('Analyzing Kafka metrics...').start();
@@ -1,9 +1,9 @@
 #!/usr/bin/env node
 
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { createTransport, dashboardUrl } = require('./src/core/transport.js');
 
 const ACCOUNT_ID = process.env.NEW_RELIC_ACCOUNT_ID;
 const API_KEY = process.env.NEW_RELIC_API_KEY;
@@ -249,67 +249,55 @@ const dashboard = {
 };
 
 async function createDashboard() {
-  const apiEndpoint = REGION === 'EU' ? 'api.eu.newrelic.com' : 'api.newrelic.com';
+  const transport = createTransport({ apiKey: API_KEY, region: REGION });
   
   try {
     console.log('Creating NRDOT dashboard...');
     
-    const response = await axios.post(
-      `https://${apiEndpoint}/graphql`,
-      {
-        query: `
-          mutation CreateDashboard($accountId: Int!, $dashboard: DashboardInput!) {
-            dashboardCreate(accountId: $accountId, dashboard: $dashboard) {
-              entityResult {
-                guid
-                name
-                accountId
-                createdAt
-                updatedAt
-              }
-              errors {
-                description
-                type
-              }
-            }
+    const response = await transport.execute(`
+      mutation CreateDashboard($accountId: Int!, $dashboard: DashboardInput!) {
+        dashboardCreate(accountId: $accountId, dashboard: $dashboard) {
+          entityResult {
+            guid
+            name
+            accountId
+            createdAt
+            updatedAt
+          }
+          errors {
+            description
+            type
           }
-        `,
-        variables: {
-          accountId: parseInt(ACCOUNT_ID),
-          dashboard: dashboard
-        }
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'API-Key': API_KEY
         }
       }
-    );
+    `, {
+      accountId: parseInt(ACCOUNT_ID),
+      dashboard: dashboard
+    });
 
-    if (response.data.errors || (response.data.data?.dashboardCreate?.errors?.length > 0)) {
-      console.error('Dashboard creation failed:', response.data.errors || response.data.data.dashboardCreate.errors);
+    if (response.errors || (response.data?.dashboardCreate?.errors?.length > 0)) {
+      console.error('Dashboard creation failed:', response.errors || response.data.dashboardCreate.errors);
       process.exit(1);
     }
 
-    const result = response.data.data.dashboardCreate.entityResult;
+    const result = response.data.dashboardCreate.entityResult;
     console.log('✅ Dashboard created successfully!');
     console.log(`📊 Name: ${result.name}`);
     console.log(`🆔 GUID: ${result.guid}`);
     console.log(`📅 Created: ${result.createdAt}`);
     
     // Construct the dashboard URL
-    const dashboardUrl = `https://one.newrelic.com/dashboards/${result.guid}`;
-    console.log(`🔗 URL: ${dashboardUrl}`);
+    const url = dashboardUrl(result.guid, { region: REGION });
+    console.log(`🔗 URL: ${url}`);
     
     // Save dashboard info
     fs.writeFileSync(
       path.join(__dirname, '..', 'dashboards', 'nrdot-deployed.json'),
-      JSON.stringify({ dashboard: dashboard, deployment: result, url: dashboardUrl }, null, 2)
+      JSON.stringify({ dashboard: dashboard, deployment: result, url }, null, 2)
     );
     
   } catch (error) {
-    console.error('Error creating dashboard:', error.response?.data || error.message);
+    console.error('Error creating dashboard:', error.details || error.message);
     process.exit(1);
   }
 }
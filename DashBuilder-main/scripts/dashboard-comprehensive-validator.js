@@ -7,6 +7,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const { tryParseNRQL, getVariables } = require('./src/utils/nrql-parser');
+const { findUndefinedVariables } = require('./src/utils/dashboard-variables');
 
 class DashboardComprehensiveValidator {
   constructor() {
@@ -193,6 +195,11 @@ class DashboardComprehensiveValidator {
   // 4. Variables Validation
   validateVariables(dashboard) {
     console.log('\n🔤 Validating Variables...');
+
+    // Every {{placeholder}} needs a variable, or the query fails in New Relic
+    findUndefinedVariables(dashboard).forEach(({ location, variable }) => {
+      this.addError(`${location}: uses undefined variable {{${variable}}}`);
+    });
     
     if (!dashboard.variables || dashboard.variables.length === 0) {
       this.addInfo('No dashboard variables defined');
@@ -279,30 +286,28 @@ class DashboardComprehensiveValidator {
 
   // 6. NRQL Syntax Validation
   validateNrqlSyntax(query, context) {
-    // Basic NRQL validation rules
-    if (!query.match(/^(SELECT|FROM)/i)) {
-      this.addError(`${context}: NRQL query must start with SELECT or FROM`);
+    const { ast, error } = tryParseNRQL(query);
+    if (error) {
+      this.addError(`${context}: ${error.message}`);
+      return;
     }
 
-    if (!query.match(/FROM\s+\w+/i)) {
-      this.addError(`${context}: NRQL query must have a FROM clause`);
+    if (ast.kind !== 'SELECT') {
+      this.addError(`${context}: widget queries must be SELECT queries, not SHOW ${ast.show}`);
+      return;
     }
 
     // Check for common issues
-    if (query.includes('{{') && query.includes('}}')) {
-      const variablePattern = /\{\{(\w+)\}\}/g;
-      const matches = query.matchAll(variablePattern);
-      for (const match of matches) {
-        this.addInfo(`${context}: uses variable '${match[1]}'`);
-      }
-    }
+    getVariables(ast).forEach(name => {
+      this.addInfo(`${context}: uses variable '${name}'`);
+    });
 
     // Warn about performance issues
-    if (!query.match(/SINCE|UNTIL|LIMIT/i)) {
+    if (!ast.since && !ast.until && !ast.limit) {
       this.addWarning(`${context}: query has no time range or limit, may impact performance`);
     }
 
-    if (query.match(/SELECT\s+\*/i)) {
+    if (ast.select.some(item => item.expression.type === 'Wildcard')) {
       this.addWarning(`${context}: SELECT * may return too much data`);
     }
   }
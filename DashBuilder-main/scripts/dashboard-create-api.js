@@ -3,9 +3,9 @@
  * Create NRDOT Dashboard in New Relic
  */
 
-const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const { createTransport, dashboardUrl } = require('./src/core/transport.js');
 
 // Configuration
 const API_KEY = process.env.NEW_RELIC_API_KEY;
@@ -139,26 +139,15 @@ async function createDashboard() {
   `;
 
   try {
-    const response = await axios.post(
-      'https://api.newrelic.com/graphql',
-      {
-        query: mutation,
-        variables: { dashboard: dashboardTemplate }
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'API-Key': API_KEY
-        }
-      }
-    );
+    const transport = createTransport({ apiKey: API_KEY });
+    const response = await transport.execute(mutation, { dashboard: dashboardTemplate });
 
-    if (response.data.errors) {
-      console.error('GraphQL errors:', JSON.stringify(response.data.errors, null, 2));
+    if (response.errors) {
+      console.error('GraphQL errors:', JSON.stringify(response.errors, null, 2));
       process.exit(1);
     }
 
-    const result = response.data.data.dashboardCreate;
+    const result = response.data.dashboardCreate;
     if (result.errors && result.errors.length > 0) {
       console.error('Dashboard creation errors:', JSON.stringify(result.errors, null, 2));
       process.exit(1);
@@ -174,7 +163,7 @@ async function createDashboard() {
       name: result.entityResult.name,
       accountId: result.entityResult.accountId,
       createdAt: new Date().toISOString(),
-      url: `https://one.newrelic.com/dashboards/${result.entityResult.guid}`
+      url: dashboardUrl(result.entityResult.guid)
     };
     
     await fs.writeFile(
@@ -187,8 +176,8 @@ async function createDashboard() {
     
   } catch (error) {
     console.error('Failed to create dashboard:', error.message);
-    if (error.response) {
-      console.error('Response:', error.response.data);
+    if (error.details) {
+      console.error('Response:', error.details);
     }
     process.exit(1);
   }
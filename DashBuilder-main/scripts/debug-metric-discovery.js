@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 
-const https = require('https');
 const dotenv = require('dotenv');
+const { createTransport } = require('./src/core/transport.js');
 
 dotenv.config();
 
@@ -27,56 +27,22 @@ async function testMetricDiscovery() {
     }
   `;
 
-  const payload = JSON.stringify({
-    query,
-    variables: {
-      accountId: parseInt(ACCOUNT_ID),
-      nrql
-    }
+  const transport = createTransport({ apiKey: API_KEY });
+  const response = await transport.execute(query, {
+    accountId: parseInt(ACCOUNT_ID),
+    nrql
   });
 
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.newrelic.com',
-      path: '/graphql',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'API-Key': API_KEY,
-        'Content-Length': payload.length
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let data = '';
-
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-
-      res.on('end', () => {
-        try {
-          const response = JSON.parse(data);
-          console.log('Raw response:', JSON.stringify(response, null, 2));
-          
-          if (response.data?.actor?.account?.nrql?.results) {
-            console.log('\nResults:');
-            response.data.actor.account.nrql.results.forEach((result, index) => {
-              console.log(`Result ${index}:`, result);
-            });
-          }
-          
-          resolve(response);
-        } catch (error) {
-          reject(error);
-        }
-      });
+  console.log('Raw response:', JSON.stringify(response, null, 2));
+  
+  if (response.data?.actor?.account?.nrql?.results) {
+    console.log('\nResults:');
+    response.data.actor.account.nrql.results.forEach((result, index) => {
+      console.log(`Result ${index}:`, result);
     });
-
-    req.on('error', reject);
-    req.write(payload);
-    req.end();
-  });
+  }
+  
+  return response;
 }
 
 testMetricDiscovery().catch(console.error);
\ No newline at end of file
@@ -1,9 +1,9 @@
 #!/usr/bin/env node
 
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { createTransport, dashboardUrl } = require('./src/core/transport.js');
 
 const ACCOUNT_ID = process.env.NEW_RELIC_ACCOUNT_ID;
 const API_KEY = process.env.NEW_RELIC_API_KEY;
@@ -19,56 +19,43 @@ async function deployDashboard(dashboardPath) {
     
     console.log(`Deploying dashboard: ${dashboard.name}`);
     
-    const apiEndpoint = REGION === 'EU' ? 'api.eu.newrelic.com' : 'api.newrelic.com';
-    
-    const response = await axios.post(
-      `https://${apiEndpoint}/graphql`,
-      {
-        query: `
-          mutation CreateDashboard($accountId: Int!, $dashboard: DashboardInput!) {
-            dashboardCreate(accountId: $accountId, dashboard: $dashboard) {
-              entityResult {
-                guid
-                name
-                accountId
-                createdAt
-                updatedAt
-              }
-              errors {
-                description
-                type
-              }
-            }
+    const transport = createTransport({ apiKey: API_KEY, region: REGION });
+    const response = await transport.execute(`
+      mutation CreateDashboard($accountId: Int!, $dashboard: DashboardInput!) {
+        dashboardCreate(accountId: $accountId, dashboard: $dashboard) {
+          entityResult {
+            guid
+            name
+            accountId
+            createdAt
+            updatedAt
+          }
+          errors {
+            description
+            type
           }
-        `,
-        variables: {
-          accountId: parseInt(ACCOUNT_ID),
-          dashboard: dashboard
-        }
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'API-Key': API_KEY
         }
       }
-    );
+    `, {
+      accountId: parseInt(ACCOUNT_ID),
+      dashboard: dashboard
+    });
 
-    if (response.data.errors || (response.data.data?.dashboardCreate?.errors?.length > 0)) {
-      console.error('Dashboard creation failed:', response.data.errors || response.data.data.dashboardCreate.errors);
+    if (response.errors || (response.data?.dashboardCreate?.errors?.length > 0)) {
+      console.error('Dashboard creation failed:', response.errors || response.data.dashboardCreate.errors);
       return false;
     }
 
-    const result = response.data.data.dashboardCreate.entityResult;
+    const result = response.data.dashboardCreate.entityResult;
     console.log('✅ Dashboard created successfully!');
     console.log(`📊 Name: ${result.name}`);
     console.log(`🆔 GUID: ${result.guid}`);
-    console.log(`🔗 URL: https://one.newrelic.com/dashboards/${result.guid}`);
+    console.log(`🔗 URL: ${dashboardUrl(result.guid, { region: REGION })}`);
     
     return result;
     
   } catch (error) {
-    console.error('Error deploying dashboard:', error.response?.data || error.message);
+    console.error('Error deploying dashboard:', error.details || error.message);
     return false;
   }
 }
@@ -112,7 +99,7 @@ async function deployAll() {
     console.log(`✅ Successfully deployed: ${results.length} dashboards`);
     console.log('\nDashboard URLs:');
     results.forEach(r => {
-      console.log(`- ${r.name}: https://one.newrelic.com/dashboards/${r.guid}`);
+      console.log(`- ${r.name}: ${dashboardUrl(r.guid, { region: REGION })}`);
     });
   }
 }
@@ -28,7 +28,7 @@ async function discoverAllEvents() {
   
   const client = new NerdGraphClient({
     apiKey,
-    region: 'US'
+    region: process.env.NEW_RELIC_REGION || 'US'
   });
   
   try {
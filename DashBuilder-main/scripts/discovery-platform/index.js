@@ -18,6 +18,8 @@ const QueryOptimizer = require('./lib/query-optimizer');
 const DataAnalyzer = require('./lib/data-analyzer');
 const DashboardBuilder = require('./lib/dashboard-builder');
 const DashboardIntegration = require('./lib/dashboard-integration');
+const LagForecaster = require('./lib/lag-forecaster');
+const { timeToBreachMarkdown } = require('./lib/lag-forecaster');
 const ProgressManager = require('./lib/progress-manager');
 const RateLimiter = require('./lib/rate-limiter');
 const { logger } = require('./lib/logger');
@@ -33,6 +35,7 @@ class DiscoveryPlatform extends EventEmitter {
       apiKey: config.apiKey || process.env.NEW_RELIC_API_KEY || process.env.UKEY,
       accountId: config.accountId || process.env.NEW_RELIC_ACCOUNT_ID || process.env.ACC,
       region: config.region || process.env.NEW_RELIC_REGION || 'US',
+      endpoint: config.endpoint || process.env.NEW_RELIC_NERDGRAPH_URL,
       
       // Discovery options
       maxConcurrentQueries: config.maxConcurrentQueries || 10,
@@ -70,6 +73,12 @@ class DiscoveryPlatform extends EventEmitter {
       discoverCustomEvents: config.discoverCustomEvents !== false,
       discoverSyntheticData: config.discoverSyntheticData !== false,
       analyzeRelationships: config.analyzeRelationships !== false,
+      forecastLag: config.forecastLag !== false,
+      
+      // Lag forecast options
+      lagSlo: config.lagSlo || 10000, // records behind
+      lagSlos: config.lagSlos || {}, // per consumer group overrides
+      lagForecastHorizonHours: config.lagForecastHorizonHours || 24,
       generateDashboard: config.generateDashboard !== false,
       exportResults: config.exportResults !== false
     };
@@ -77,7 +86,8 @@ class DiscoveryPlatform extends EventEmitter {
     // Initialize components
     this.client = new NerdGraphClient({
       apiKey: this.config.apiKey,
-      region: this.config.region
+      region: this.config.region,
+      endpoint: this.config.endpoint
     });
     
     // Initialize NerdGraph Query Executor for long-running queries
@@ -131,6 +141,12 @@ class DiscoveryPlatform extends EventEmitter {
       config: this.config
     });
     
+    this.lagForecaster = new LagForecaster({
+      client: this.client,
+      config: this.config,
+      executeQuery: (query) => this.executeQuery(query)
+    });
+    
     this.dashboardIntegration = new DashboardIntegration({
       ...this.config,
       accountId: this.config.accountId
@@ -150,6 +166,7 @@ class DiscoveryPlatform extends EventEmitter {
         relationships: [],
         attributes: {},
         queries: [],
+        lagForecasts: [],
         insights: []
       },
       statistics: {
@@ -725,6 +742,35 @@ class DiscoveryPlatform extends EventEmitter {
     
     // Add data quality insights
     this.state.discoveries.insights.push(...dataQuality.insights);
+    
+    // Forecast Kafka consumer lag against the SLO
+    if (this.config.forecastLag) {
+      await this.forecastConsumerLag();
+    }
+  }
+  
+  async forecastConsumerLag() {
+    logger.info('Forecasting Kafka consumer lag...');
+    
+    try {
+      const forecasts = await this.lagForecaster.forecast(this.state.discoveries);
+      this.state.discoveries.lagForecasts = forecasts;
+      
+      forecasts
+        .filter(forecast => forecast.status === 'breached' || forecast.status === 'critical')
+        .forEach(forecast => {
+          this.state.discoveries.insights.push({
+            type: 'warning',
+            title: forecast.status === 'breached' ? 'Consumer Lag Over SLO' : 'Consumer Lag Breach Imminent',
+            description: forecast.status === 'breached'
+              ? `${forecast.group} on ${forecast.topic || 'all topics'} is ${Math.round(forecast.current).toLocaleString()} records behind (SLO ${forecast.slo.toLocaleString()})`
+              : `${forecast.group} on ${forecast.topic || 'all topics'} is forecast to reach the ${forecast.slo.toLocaleString()} record SLO at ${forecast.breachAt}`,
+            impact: 'high'
+          });
+        });
+    } catch (error) {
+      logger.error('Error forecasting consumer lag', error);
+    }
   }
   
   async generateInsights() {
@@ -853,6 +899,13 @@ class DiscoveryPlatform extends EventEmitter {
         report.push(`${i + 1}. ${et.name}: ${et.volume.toLocaleString()} events`);
       });
     
+    const lagForecasts = this.state.discoveries.lagForecasts || [];
+    if (lagForecasts.length > 0) {
+      report.push('\n## Consumer Lag Time to Breach');
+      report.push(`Forecast over the next ${lagForecasts[0].horizonHours}h; "Earliest" allows for the usual noise around the trend.\n`);
+      report.push(timeToBreachMarkdown(lagForecasts));
+    }
+    
     report.push('\n## Key Insights');
     this.state.discoveries.insights.slice(0, 10).forEach((insight, i) => {
       report.push(`${i + 1}. ${insight.title}: ${insight.description}`);
@@ -3,7 +3,7 @@
  * Provides deep metric analysis including seasonality, trends, and predictions
  */
 
-const logger = require('./logger');
+const { logger } = require('./logger');
 
 class AdvancedMetricAnalyzer {
   constructor(config = {}) {
@@ -53,9 +53,10 @@ class AdvancedMetricAnalyzer {
   }
 
   /**
-   * Perform advanced analysis on metrics
+   * Perform advanced analysis on metrics. lagForecasts from LagForecaster
+   * add time-to-breach predictions.
    */
-  async analyzeMetrics(metrics, historicalData = null) {
+  async analyzeMetrics(metrics, historicalData = null, lagForecasts = []) {
     logger.info('Performing advanced metric analysis');
     
     const analysis = {
@@ -66,6 +67,7 @@ class AdvancedMetricAnalyzer {
         anomalous: [],
         correlated: []
       },
+      lagForecasts,
       predictions: [],
       recommendations: [],
       alerts: []
@@ -120,6 +122,7 @@ class AdvancedMetricAnalyzer {
   async analyzeMetric(metric, historicalData) {
     const analysis = {
       name: metric.name,
+      eventType: metric.eventType || 'Metric',
       type: this.identifyMetricType(metric),
       behavior: this.identifyBehavior(metric),
       businessImpact: this.assessBusinessImpact(metric),
@@ -594,6 +597,20 @@ class AdvancedMetricAnalyzer {
       }
     }
     
+    // Predict consumer lag SLO breaches from the lag forecasts
+    for (const forecast of analysis.lagForecasts || []) {
+      if (forecast.timeToBreachMs === null) continue;
+      predictions.push({
+        metric: forecast.metric,
+        type: 'time-to-breach',
+        prediction: forecast.status === 'breached'
+          ? `${forecast.group} lag is already over its ${forecast.slo} SLO`
+          : `${forecast.group} lag is expected to reach its ${forecast.slo} SLO at ${forecast.breachAt}`,
+        confidence: forecast.confidence,
+        recommendation: 'Scale consumers or alert on the forecast before the SLO is breached'
+      });
+    }
+    
     return predictions;
   }
 
@@ -663,7 +680,9 @@ class AdvancedMetricAnalyzer {
   }
 
   /**
-   * Suggest alerts based on analysis
+   * Suggest alerts based on analysis. Besides the readable condition, each
+   * suggestion carries the metric, event type, operator and threshold that
+   * utils/alert-conditions.js compiles into a NRQL condition.
    */
   suggestAlerts(analysis) {
     const alerts = [];
@@ -673,10 +692,15 @@ class AdvancedMetricAnalyzer {
       if (metricAnalysis.businessImpact.criticality === 'high') {
         // Static threshold alert
         if (metricAnalysis.statistics?.mean) {
+          const threshold = Number((metricAnalysis.statistics.mean * 1.5).toFixed(2));
           alerts.push({
             name: `${metricName} threshold alert`,
             type: 'static',
-            condition: `${metricName} > ${(metricAnalysis.statistics.mean * 1.5).toFixed(2)}`,
+            metric: metricName,
+            eventType: metricAnalysis.eventType,
+            operator: 'ABOVE',
+            threshold,
+            condition: `${metricName} > ${threshold.toFixed(2)}`,
             window: '5 minutes',
             priority: 'critical',
             reason: 'High business impact metric'
@@ -688,6 +712,9 @@ class AdvancedMetricAnalyzer {
           alerts.push({
             name: `${metricName} anomaly alert`,
             type: 'anomaly',
+            metric: metricName,
+            eventType: metricAnalysis.eventType,
+            threshold: 3,
             condition: 'Baseline deviation > 3 standard deviations',
             window: '10 minutes',
             priority: 'high',
@@ -701,6 +728,10 @@ class AdvancedMetricAnalyzer {
         alerts.push({
           name: `${metricName} error rate alert`,
           type: 'percentage',
+          metric: metricName,
+          eventType: metricAnalysis.eventType,
+          operator: 'ABOVE',
+          threshold: 1,
           condition: 'Error rate > 1%',
           window: '5 minutes',
           priority: 'high',
@@ -713,6 +744,10 @@ class AdvancedMetricAnalyzer {
         alerts.push({
           name: `${metricName} saturation alert`,
           type: 'static',
+          metric: metricName,
+          eventType: metricAnalysis.eventType,
+          operator: 'ABOVE',
+          threshold: 80,
           condition: `${metricName} > 80`,
           window: '5 minutes',
           priority: 'medium',
@@ -727,6 +762,8 @@ class AdvancedMetricAnalyzer {
         alerts.push({
           name: `${correlation.metric1} vs ${correlation.metric2} deviation`,
           type: 'correlation',
+          metrics: [correlation.metric1, correlation.metric2],
+          eventType: analysis.metrics[correlation.metric1]?.eventType,
           condition: 'Correlation deviation > 20%',
           window: '15 minutes',
           priority: 'medium',
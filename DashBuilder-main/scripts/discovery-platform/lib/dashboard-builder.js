@@ -1,5 +1,7 @@
 const { logger } = require('./logger');
 const IntelligentDashboardBuilder = require('./intelligent-dashboard-builder');
+const { timeToBreachMarkdown } = require('./lag-forecaster');
+const { dashboardUrl } = require('nr-guardian/src/core/transport.js');
 
 class DashboardBuilder {
   constructor({ client, config }) {
@@ -78,6 +80,11 @@ class DashboardBuilder {
       pages.push(insightsPage);
     }
     
+    // Consumer lag forecast page
+    if (discoveries.lagForecasts && discoveries.lagForecasts.length > 0) {
+      pages.push(this.createLagForecastPage(discoveries));
+    }
+    
     dashboard.pages = pages.slice(0, this.maxPagesPerDashboard);
     
     // Deploy the dashboard
@@ -249,6 +256,35 @@ class DashboardBuilder {
     };
   }
   
+  createLagForecastPage(discoveries) {
+    const widgets = [{
+      title: 'Consumer Lag - Time to Breach',
+      configuration: {
+        markdown: { text: timeToBreachMarkdown(discoveries.lagForecasts) }
+      },
+      layout: { column: 1, row: 1, width: 12, height: 4 }
+    }];
+    
+    const queries = [...new Set(discoveries.lagForecasts.map(forecast => forecast.query))];
+    queries.forEach((query, index) => {
+      widgets.push({
+        title: `${discoveries.lagForecasts.find(forecast => forecast.query === query).metric} by group and topic`,
+        configuration: {
+          line: {
+            queries: [{ query, accountId: this.config.accountId }]
+          }
+        },
+        layout: { column: (index % 2) * 6 + 1, row: 5, width: 6, height: 3 }
+      });
+    });
+    
+    return {
+      name: 'Consumer Lag Forecast',
+      description: 'Time until consumer lag crosses the lag SLO',
+      widgets
+    };
+  }
+  
   createInsightsPage(discoveries) {
     const widgets = [];
     
@@ -334,7 +370,7 @@ class DashboardBuilder {
     try {
       const result = await this.client.createDashboard(this.config.accountId, dashboard);
       
-      const url = `https://one.newrelic.com/dashboards/${result.guid}`;
+      const url = dashboardUrl(result.guid, this.config);
       
       logger.info('Dashboard deployed successfully', { 
         guid: result.guid, 
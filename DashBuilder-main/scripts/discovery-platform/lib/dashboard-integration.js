@@ -6,6 +6,7 @@
 const path = require('path');
 const fs = require('fs');
 const { logger } = require('./logger');
+const { timeToBreachMarkdown } = require('./lag-forecaster');
 
 class DashboardIntegration {
   constructor(config = {}) {
@@ -78,7 +79,13 @@ class DashboardIntegration {
       dashboardConfig.pages.push(insightsPage);
     }
     
-    // Page 7: Relationships
+    // Page 7: Consumer Lag Forecast
+    if (discoveries.lagForecasts && discoveries.lagForecasts.length > 0) {
+      const lagForecastPage = this.createLagForecastPage(discoveries);
+      dashboardConfig.pages.push(lagForecastPage);
+    }
+    
+    // Page 8: Relationships
     if (discoveries.relationships && discoveries.relationships.length > 0) {
       const relationshipsPage = this.createRelationshipsPage(discoveries);
       dashboardConfig.pages.push(relationshipsPage);
@@ -448,6 +455,43 @@ class DashboardIntegration {
     };
   }
   
+  createLagForecastPage(discoveries) {
+    const widgets = [];
+    const forecasts = discoveries.lagForecasts;
+    
+    // Time to breach table, most urgent first
+    widgets.push({
+      title: 'Consumer Lag - Time to Breach',
+      configuration: {
+        markdown: { text: timeToBreachMarkdown(forecasts) }
+      },
+      layout: { column: 1, row: 1, width: 12, height: 4 }
+    });
+    
+    // Lag history behind each forecast
+    const queries = [...new Set(forecasts.map(forecast => forecast.query))];
+    queries.forEach((query, index) => {
+      widgets.push({
+        title: `${forecasts.find(forecast => forecast.query === query).metric} by group and topic`,
+        configuration: {
+          line: {
+            queries: [{
+              query,
+              accountId: this.config.accountId
+            }]
+          }
+        },
+        layout: { column: (index % 2) * 6 + 1, row: 5 + Math.floor(index / 2) * 3, width: 6, height: 3 }
+      });
+    });
+    
+    return {
+      name: 'Consumer Lag Forecast',
+      description: 'Forecast consumer lag and time until it crosses the lag SLO',
+      widgets
+    };
+  }
+  
   createRelationshipsPage(discoveries) {
     const widgets = [];
     let currentY = 0;
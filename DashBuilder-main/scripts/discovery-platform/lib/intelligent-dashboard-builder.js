@@ -4,7 +4,10 @@
  */
 
 const { logger } = require('./logger');
-const { NerdGraphClient } = require('../../src/core/api-client');
+const { NerdGraphClient } = require('nr-guardian/src/core/api-client.js');
+const { dashboardUrl } = require('nr-guardian/src/core/transport.js');
+const { addDashboardVariables } = require('nr-guardian/src/utils/dashboard-variables.js');
+const { timeToBreachMarkdown } = require('./lag-forecaster');
 
 class IntelligentDashboardBuilder {
   constructor(config = {}) {
@@ -15,12 +18,14 @@ class IntelligentDashboardBuilder {
       enableAnomalyDetection: config.enableAnomalyDetection !== false,
       enableCorrelations: config.enableCorrelations !== false,
       enablePredictions: config.enablePredictions !== false,
+      enableVariables: config.enableVariables !== false,
       ...config
     };
     
     this.client = new NerdGraphClient({
       apiKey: this.config.apiKey,
-      region: config.region || 'US'
+      region: this.config.region,
+      endpoint: this.config.endpoint
     });
     
     // Metric patterns for intelligent categorization
@@ -71,7 +76,7 @@ class IntelligentDashboardBuilder {
       const widgets = await this.createOptimizedWidgets(dashboardPlan, analysis);
       
       // Step 5: Build final dashboard configuration
-      const dashboardConfig = this.buildDashboardConfig(widgets, analysis);
+      const dashboardConfig = this.buildDashboardConfig(widgets, analysis, discoveryResults.lagForecasts);
       
       // Step 6: Deploy dashboard
       const dashboard = await this.deployDashboard(dashboardConfig);
@@ -699,7 +704,7 @@ class IntelligentDashboardBuilder {
   /**
    * Build final dashboard configuration
    */
-  buildDashboardConfig(widgetPages, analysis) {
+  buildDashboardConfig(widgetPages, analysis, lagForecasts = []) {
     const timestamp = new Date().toISOString().split('T')[0];
     
     // Add comprehensive metrics catalog page
@@ -711,14 +716,63 @@ class IntelligentDashboardBuilder {
       widgets: page.widgets
     }));
     
+    // Consumer lag time to breach, when lag was forecast
+    if (lagForecasts && lagForecasts.length > 0) {
+      allPages.push(this.buildLagForecastPage(lagForecasts));
+    }
+    
     // Add catalog page at the end
     allPages.push(catalogPage);
     
-    return {
+    const dashboard = {
       name: `Intelligent Dashboard - ${timestamp}`,
       description: `Auto-generated dashboard based on discovered metrics. Includes ${Object.keys(analysis.eventTypes).length} event types and ${Object.keys(analysis.metrics).length} metrics.`,
       permissions: 'PUBLIC_READ_WRITE',
-      pages: allPages
+      pages: allPages,
+      variables: []
+    };
+
+    // Cluster, broker, topic and consumer group filters for Kafka widgets
+    if (!this.config.enableVariables) {
+      return dashboard;
+    }
+    return addDashboardVariables(dashboard, { accountId: this.config.accountId });
+  }
+  
+  /**
+   * Build the consumer lag forecast page: a time to breach table over the
+   * lag history it was forecast from
+   */
+  buildLagForecastPage(lagForecasts) {
+    const widgets = [{
+      title: '⏳ Consumer Lag - Time to Breach',
+      visualization: { id: 'viz.markdown' },
+      layout: { column: 1, row: 1, height: 4, width: 12 },
+      rawConfiguration: {
+        text: timeToBreachMarkdown(lagForecasts)
+      }
+    }];
+    
+    const queries = [...new Set(lagForecasts.map(forecast => forecast.query))];
+    queries.forEach((query, index) => {
+      widgets.push({
+        title: `${lagForecasts.find(forecast => forecast.query === query).metric} history`,
+        configuration: {
+          line: {
+            nrql_queries: [{
+              query,
+              accountId: parseInt(this.config.accountId)
+            }]
+          }
+        },
+        layout: { column: (index % 2) * 6 + 1, row: 5, width: 6, height: 3 }
+      });
+    });
+    
+    return {
+      name: 'Consumer Lag Forecast',
+      description: 'Consumer lag forecast against the lag SLO',
+      widgets
     };
   }
   
@@ -1038,7 +1092,7 @@ class IntelligentDashboardBuilder {
       
       return {
         ...result,
-        url: `https://one.newrelic.com/dashboards/${result.guid}`
+        url: dashboardUrl(result.guid, this.config)
       };
       
     } catch (error) {
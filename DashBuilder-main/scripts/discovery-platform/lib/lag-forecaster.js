@@ -0,0 +1,246 @@
+/**
+ * Kafka Lag Forecaster
+ * Fits a trend + seasonal model to consumer lag per group and topic and
+ * estimates when it will cross the lag SLO
+ */
+
+const { logger } = require('./logger');
+const AdvancedMetricAnalyzer = require('./advanced-metric-analyzer');
+const {
+  seriesFromResults,
+  seriesStepMs,
+  detectPeriod,
+  decompose,
+  robustSigma
+} = require('nr-guardian/src/utils/anomaly-detection.js');
+
+const HOUR_MS = 3600000;
+
+// Where lag comes from: classic consumer groups and KIP-932 share groups
+const LAG_SOURCES = [
+  {
+    name: 'consumer',
+    label: 'consumer.lag',
+    available: discoveries => discoveries.eventTypes.some(et => et.name === 'KafkaConsumerSample'),
+    query: ({ since, bucket, limit }) =>
+      `SELECT max(consumer.lag) FROM KafkaConsumerSample FACET consumerGroup, topic LIMIT ${limit} SINCE ${since} TIMESERIES ${bucket}`
+  },
+  {
+    name: 'share-group',
+    label: 'records unacked',
+    available: discoveries => (discoveries.metrics || []).some(group =>
+      group.metrics.some(metric => metric.name === 'kafka_sharegroup_records_unacked')
+    ),
+    query: ({ since, bucket, limit }) =>
+      `SELECT max(kafka_sharegroup_records_unacked) FROM Metric WHERE kafka_sharegroup_records_unacked IS NOT NULL FACET group, topic LIMIT ${limit} SINCE ${since} TIMESERIES ${bucket}`
+  }
+];
+
+// Most urgent first
+const STATUS_ORDER = ['breached', 'critical', 'warning', 'at-risk', 'ok'];
+
+// Least squares line through the values at the given indexes
+function linearFit(xs, ys) {
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+  const covariance = xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0);
+  const variance = xs.reduce((sum, x) => sum + Math.pow(x - meanX, 2), 0);
+  const slope = variance === 0 ? 0 : covariance / variance;
+  return { slope, intercept: meanY - slope * meanX };
+}
+
+/**
+ * Fit lag = intercept + slope * step + seasonal[phase] to a series of
+ * { timestamp, value } points. The trend is fitted to the recent part of the
+ * history (options.trendPoints, default the last half) so it follows the
+ * current direction rather than last week's. Returns null for series too
+ * short to fit.
+ */
+function fitLagModel(points, options = {}) {
+  const values = points.map(point => point.value);
+  if (values.length < (options.minPoints || 12)) return null;
+
+  const stepMs = seriesStepMs(points);
+  if (!stepMs) return null;
+
+  // A steep trend swamps the cycle, both in the autocorrelation and in the
+  // rolling median, so look for it in what is left after a straight line
+  const overall = linearFit(values.map((_, i) => i), values);
+  const detrended = values.map((value, i) => value - (overall.intercept + overall.slope * i));
+  const detected = options.period ? null : detectPeriod(detrended);
+  const period = options.period || (detected && detected.period);
+  const profile = period && values.length >= period * 2 ? decompose(detrended, period).profile : null;
+  const deseasonalized = values.map((value, i) => value - (profile ? profile[i % period] : 0));
+
+  const trendPoints = Math.min(values.length, options.trendPoints || Math.max(12, Math.floor(values.length / 2)));
+  const start = values.length - trendPoints;
+  const xs = deseasonalized.slice(start).map((_, i) => start + i);
+  const ys = deseasonalized.slice(start);
+  const { slope, intercept } = linearFit(xs, ys);
+
+  return {
+    stepMs,
+    period: profile ? period : null,
+    profile,
+    slope,
+    intercept,
+    residualSigma: robustSigma(ys.map((y, i) => y - (intercept + slope * xs[i])), 0),
+    lastIndex: values.length - 1,
+    lastTimestamp: points[points.length - 1].timestamp,
+    current: values[values.length - 1]
+  };
+}
+
+// Modelled lag steps after the last point; lag never goes below zero
+function predictLag(model, steps, sigmas = 0) {
+  const index = model.lastIndex + steps;
+  const seasonal = model.profile ? model.profile[index % model.period] : 0;
+  return Math.max(0, model.intercept + model.slope * index + seasonal + sigmas * model.residualSigma);
+}
+
+// Milliseconds until the forecast first reaches slo, or null within the horizon
+function timeToCross(model, slo, horizonMs, sigmas = 0) {
+  const steps = Math.floor(horizonMs / model.stepMs);
+  for (let step = 1; step <= steps; step++) {
+    if (predictLag(model, step, sigmas) >= slo) return step * model.stepMs;
+  }
+  return null;
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '-';
+  if (ms === 0) return 'now';
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h${minutes % 60 ? ` ${minutes % 60}m` : ''}`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+class LagForecaster {
+  constructor({ client, config, executeQuery }) {
+    this.client = client;
+    this.config = config;
+    // The platform passes its rate-limited executeQuery; default to the client
+    this.executeQuery = executeQuery || (query => this.client.nrql(this.config.accountId, query));
+    this.analyzer = new AdvancedMetricAnalyzer(config);
+
+    this.options = {
+      slo: config.lagSlo || 10000,
+      slos: config.lagSlos || {}, // per consumer group overrides
+      since: config.lagForecastHistory || '7 days ago',
+      bucket: config.lagForecastBucket || '1 hour',
+      horizonMs: (config.lagForecastHorizonHours || 24) * HOUR_MS,
+      criticalMs: (config.lagCriticalHours || 1) * HOUR_MS,
+      limit: config.lagForecastGroups || 50
+    };
+  }
+
+  sloFor(group) {
+    return this.options.slos[group] || this.options.slo;
+  }
+
+  /**
+   * Forecast lag for every group and topic of the lag sources present in the
+   * discoveries, most urgent first
+   */
+  async forecast(discoveries) {
+    const sources = LAG_SOURCES.filter(source => source.available(discoveries));
+    if (sources.length === 0) {
+      logger.info('No Kafka consumer lag data discovered, skipping lag forecast');
+      return [];
+    }
+
+    const forecasts = [];
+    for (const source of sources) {
+      const query = source.query(this.options);
+      try {
+        const result = await this.executeQuery(query);
+        forecasts.push(...this.forecastResults(result.results, source, query));
+      } catch (error) {
+        logger.warn(`Lag forecast query failed for ${source.name}: ${error.message}`);
+      }
+    }
+
+    return forecasts.sort((a, b) =>
+      STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) ||
+      (a.timeToBreachMs ?? a.earliestBreachMs ?? Infinity) - (b.timeToBreachMs ?? b.earliestBreachMs ?? Infinity)
+    );
+  }
+
+  // One forecast per faceted series of TIMESERIES results
+  forecastResults(results, source, query) {
+    return seriesFromResults(results).map(series => {
+      const [group, topic] = series.facets;
+      const points = series.points.filter(point => typeof point.value === 'number');
+      return this.forecastSeries(points, {
+        source: source.name,
+        metric: source.label,
+        group: group || series.name,
+        topic: topic || null,
+        query
+      });
+    }).filter(Boolean);
+  }
+
+  forecastSeries(points, context) {
+    const model = fitLagModel(points);
+    if (!model) return null;
+
+    const slo = this.sloFor(context.group);
+    const breached = model.current >= slo;
+    const timeToBreachMs = breached ? 0 : timeToCross(model, slo, this.options.horizonMs);
+    // Upper edge of the forecast: when a bad day could get there
+    const earliestBreachMs = breached ? 0 : timeToCross(model, slo, this.options.horizonMs, 2);
+
+    let status = 'ok';
+    if (breached) {
+      status = 'breached';
+    } else if (timeToBreachMs !== null) {
+      status = timeToBreachMs <= this.options.criticalMs ? 'critical' : 'warning';
+    } else if (earliestBreachMs !== null) {
+      status = 'at-risk';
+    }
+
+    return {
+      ...context,
+      slo,
+      current: model.current,
+      forecast: Math.round(predictLag(model, Math.floor(this.options.horizonMs / model.stepMs))),
+      horizonHours: this.options.horizonMs / HOUR_MS,
+      trendPerHour: Math.round(model.slope * (HOUR_MS / model.stepMs) * 100) / 100,
+      seasonalPeriodHours: model.period ? Math.round((model.period * model.stepMs / HOUR_MS) * 10) / 10 : null,
+      timeToBreachMs,
+      earliestBreachMs,
+      breachAt: timeToBreachMs === null ? null : new Date(model.lastTimestamp + timeToBreachMs).toISOString(),
+      status,
+      confidence: Math.round(this.analyzer.assessForecastability(points) * 100) / 100
+    };
+  }
+}
+
+/**
+ * Markdown "time to breach" table for a dashboard widget or report, most
+ * urgent first
+ */
+function timeToBreachMarkdown(forecasts, options = {}) {
+  const rows = forecasts.slice(0, options.limit || 20);
+  const lines = [
+    '| Status | Group | Topic | Lag | SLO | Trend/h | Time to breach | Earliest |',
+    '|---|---|---|---:|---:|---:|---:|---:|',
+    ...rows.map(forecast => `| ${forecast.status} | ${forecast.group} | ${forecast.topic || '-'} | ` +
+      `${Math.round(forecast.current).toLocaleString()} | ${forecast.slo.toLocaleString()} | ` +
+      `${forecast.trendPerHour > 0 ? '+' : ''}${forecast.trendPerHour.toLocaleString()} | ` +
+      `${formatDuration(forecast.timeToBreachMs)} | ${formatDuration(forecast.earliestBreachMs)} |`)
+  ];
+  if (forecasts.length > rows.length) {
+    lines.push('', `_${forecasts.length - rows.length} more groups not shown_`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = LagForecaster;
+module.exports.fitLagModel = fitLagModel;
+module.exports.predictLag = predictLag;
+module.exports.timeToBreachMarkdown = timeToBreachMarkdown;
+module.exports.formatDuration = formatDuration;
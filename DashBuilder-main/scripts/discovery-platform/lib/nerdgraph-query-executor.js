@@ -1,5 +1,7 @@
 const { EventEmitter } = require('events');
 const { logger } = require('./logger');
+const { tryParseNRQL, getEventTypes, getTimeWindowMilliseconds } = require('nr-guardian/src/utils/nrql-parser.js');
+const { costQueries, facetGroups, estimateCost, formatBytes } = require('nr-guardian/src/utils/query-cost.js');
 
 /**
  * NerdGraph Query Executor
@@ -27,12 +29,12 @@ class NerdGraphQueryExecutor extends EventEmitter {
       }
     };
     
-    // Cost tracking
+    // Cost tracking, in GB scanned weighted by facet groups (see query-cost)
     this.costTracker = {
       totalCost: 0,
       costByEventType: new Map(),
-      warningThreshold: 100, // $100 warning threshold
-      criticalThreshold: 500 // $500 critical threshold
+      warningThreshold: 100, // 100 GB warning threshold
+      criticalThreshold: 500 // 500 GB critical threshold
     };
     
     // Initialize volume cache
@@ -481,17 +483,17 @@ class NerdGraphQueryExecutor extends EventEmitter {
       estimation.warnings.push('Wildcard queries can be expensive');
     }
     
-    // Estimate data points based on event types and time range
-    for (const eventType of eventTypes) {
-      const volume = await this.estimateEventVolume(eventType, timeRange);
-      estimation.estimatedDataPoints += volume;
+    // Measure the data the query covers over its window
+    const plan = costQueries(query);
+    const volume = await this.measureVolume(plan);
+    if (volume.error) {
+      estimation.warnings.push(`Could not measure query volume: ${volume.error}`);
     }
+    estimation.estimatedDataPoints = volume.events;
+    estimation.estimatedBytes = volume.bytes;
+    estimation.facetGroups = volume.facetGroups;
     
-    // Calculate estimated cost (simplified model)
-    estimation.estimatedCost = this.calculateQueryCost(
-      estimation.estimatedDataPoints,
-      estimation.complexity
-    );
+    estimation.estimatedCost = this.calculateQueryCost(volume, plan ? plan.windowMs : timeRange.milliseconds);
     
     // Determine execution method
     if (estimation.estimatedDuration > 60000) {
@@ -506,7 +508,7 @@ class NerdGraphQueryExecutor extends EventEmitter {
     
     // Add cost warnings
     if (estimation.estimatedCost > 10) {
-      estimation.warnings.push(`High query cost estimated: $${estimation.estimatedCost.toFixed(2)}`);
+      estimation.warnings.push(`High query cost estimated: scans ${formatBytes(volume.bytes)} across ${volume.facetGroups} facet groups`);
     }
     
     return estimation;
@@ -516,40 +518,26 @@ class NerdGraphQueryExecutor extends EventEmitter {
    * Extract event types from query
    */
   extractEventTypes(query) {
-    const eventTypes = [];
-    const fromMatch = query.match(/FROM\s+([^W\s]+(?:\s*,\s*[^W\s]+)*)/i);
-    
-    if (fromMatch) {
-      const types = fromMatch[1].split(',').map(t => t.trim());
-      eventTypes.push(...types);
+    const { ast, error } = tryParseNRQL(query);
+    if (error) {
+      logger.debug(`Could not parse query for event types: ${error.message}`);
+      return [];
     }
-    
-    return eventTypes;
+    return getEventTypes(ast);
   }
   
   /**
    * Extract time range from query
    */
   extractTimeRange(query) {
-    const sinceMatch = query.match(/SINCE\s+(\d+)\s+(second|minute|hour|day|week|month)s?\s+ago/i);
+    const { ast } = tryParseNRQL(query);
+    const since = ast && ast.since;
     
-    if (sinceMatch) {
-      const value = parseInt(sinceMatch[1]);
-      const unit = sinceMatch[2].toLowerCase();
-      
-      const multipliers = {
-        second: 1000,
-        minute: 60000,
-        hour: 3600000,
-        day: 86400000,
-        week: 604800000,
-        month: 2592000000
-      };
-      
+    if (since && since.type === 'RelativeTime') {
       return {
-        value,
-        unit,
-        milliseconds: value * (multipliers[unit] || 0)
+        value: since.value,
+        unit: since.unit,
+        milliseconds: getTimeWindowMilliseconds(ast)
       };
     }
     
@@ -557,50 +545,49 @@ class NerdGraphQueryExecutor extends EventEmitter {
   }
   
   /**
-   * Estimate event volume for cost calculation
+   * Measure bytes, events and facet groups a query covers in one run
    */
-  async estimateEventVolume(eventType, timeRange) {
+  async measureVolume(plan) {
+    if (!plan) {
+      return { bytes: 0, events: 0, facetGroups: 1, error: 'query does not parse or reads no event type' };
+    }
+    
     try {
       // Use cached volume if available
-      const cacheKey = `${eventType}-${timeRange.unit}-${timeRange.value}`;
-      const cached = this.volumeCache?.get(cacheKey);
+      const cached = this.volumeCache?.get(plan.volumeQuery);
       if (cached) return cached;
       
-      // Quick count query with sampling
-      const countQuery = `
-        SELECT count(*) 
-        FROM ${eventType} 
-        SINCE ${timeRange.value} ${timeRange.unit}s ago 
-        WITH SAMPLING
-      `;
+      const result = await this.client.nrql(this.config.accountId, plan.volumeQuery);
+      const row = result?.results?.[0] || {};
       
-      const result = await this.client.nrql(this.config.accountId, countQuery);
-      const count = result?.results?.[0]?.count || 0;
+      let cardinalities = [];
+      if (plan.facetQuery) {
+        const facetResult = await this.client.nrql(this.config.accountId, plan.facetQuery);
+        const facetRow = facetResult?.results?.[0] || {};
+        cardinalities = Array.from({ length: plan.facetCount }, (_, index) => Number(facetRow[`facet${index}`]) || 0);
+      }
+      
+      const volume = {
+        bytes: Number(row.bytes) || 0,
+        events: Number(row.events) || 0,
+        facetGroups: facetGroups(plan, cardinalities)
+      };
       
       // Cache the result
-      this.volumeCache?.set(cacheKey, count);
+      this.volumeCache?.set(plan.volumeQuery, volume);
       
-      return count;
+      return volume;
       
     } catch (error) {
-      // Default estimate if query fails
-      return 100000;
+      return { bytes: 0, events: 0, facetGroups: 1, error: error.message };
     }
   }
   
   /**
-   * Calculate query cost based on data points and complexity
+   * Calculate the cost of one query run from its measured volume
    */
-  calculateQueryCost(dataPoints, complexity) {
-    // Simplified cost model (adjust based on actual pricing)
-    const baseCostPerMillion = 0.25; // $0.25 per million data points
-    const complexityMultipliers = {
-      low: 1,
-      medium: 1.5,
-      high: 2.5
-    };
-    
-    const cost = (dataPoints / 1000000) * baseCostPerMillion * complexityMultipliers[complexity];
+  calculateQueryCost(volume, windowMs) {
+    const cost = estimateCost(volume, { windowMs, facetGroups: volume.facetGroups }).costPerRun;
     
     // Update cost tracking
     this.costTracker.totalCost += cost;
@@ -735,8 +722,14 @@ class NerdGraphQueryExecutor extends EventEmitter {
    */
   updateCostTracking(nrqlResult, estimation) {
     if (nrqlResult.performanceStats) {
-      const actualDataPoints = nrqlResult.performanceStats.inspectedCount || 0;
-      const actualCost = this.calculateQueryCost(actualDataPoints, estimation.complexity);
+      // Scale the measured bytes by the events the query actually inspected
+      const actualEvents = nrqlResult.performanceStats.inspectedCount || 0;
+      const bytesPerEvent = estimation.estimatedDataPoints > 0 ? estimation.estimatedBytes / estimation.estimatedDataPoints : 0;
+      const actualCost = this.calculateQueryCost({
+        bytes: actualEvents * bytesPerEvent,
+        events: actualEvents,
+        facetGroups: estimation.facetGroups
+      }, estimation.timeRange.milliseconds);
       
       // Update cost by event type
       estimation.eventTypes.forEach(eventType => {
@@ -25,7 +25,8 @@ program
   .version('1.0.0')
   .option('-a, --account <id>', 'New Relic account ID')
   .option('-k, --api-key <key>', 'New Relic API key')
-  .option('-r, --region <region>', 'New Relic region (US/EU)', 'US')
+  .option('-r, --region <region>', 'New Relic region (US/EU)', process.env.NEW_RELIC_REGION || 'US')
+  .option('--endpoint <url>', 'NerdGraph endpoint URL, e.g. a proxy (overrides region)')
   .option('--max-event-types <n>', 'Maximum event types to process', parseInt, 50)
   .option('--max-attributes <n>', 'Maximum attributes per event type', parseInt, 100)
   .option('--no-metrics', 'Skip metric discovery')
@@ -66,6 +67,7 @@ async function main() {
     apiKey,
     accountId,
     region: options.region,
+    endpoint: options.endpoint,
     
     // Discovery options
     maxEventTypesToProcess: options.maxEventTypes,
@@ -3,11 +3,17 @@
 const fs = require('fs');
 const path = require('path');
 const http = require('http');
+const { findUndefinedVariables } = require('./src/utils/dashboard-variables');
+const { parsePrometheus } = require('./src/utils/prometheus-parser');
+const { mapMetrics, findMetric } = require('./src/utils/metric-mapping');
+const { LocalValidationService } = require('./src/services/local-validation.service');
 
 class LocalDashboardValidator {
-  constructor() {
-    this.prometheusUrl = 'http://localhost:8889/metrics';
-    this.availableMetrics = new Set();
+  constructor(options = {}) {
+    this.prometheusUrl = options.url || 'http://localhost:8889/metrics';
+    // How the endpoint's metrics reach New Relic: otlp, remote-write or nri-flex
+    this.source = options.source || 'otlp';
+    this.availableMetrics = [];
     this.validationResults = {
       valid: [],
       warnings: [],
@@ -27,42 +33,15 @@ class LocalDashboardValidator {
     });
   }
 
-  // Parse Prometheus metrics
+  // Parse Prometheus metrics into the New Relic metrics they will become
   parseMetrics(prometheusData) {
-    const lines = prometheusData.split('\n');
-    const metrics = new Map();
-    
-    lines.forEach(line => {
-      if (line.startsWith('system_')) {
-        const match = line.match(/^([a-z_]+)(\{[^}]*\})?\s+([0-9.]+)/);
-        if (match) {
-          const metricName = match[1];
-          const labels = match[2] || '';
-          
-          if (!metrics.has(metricName)) {
-            metrics.set(metricName, new Set());
-          }
-          
-          // Extract label keys
-          const labelMatches = labels.matchAll(/([a-z_]+)="/g);
-          for (const labelMatch of labelMatches) {
-            metrics.get(metricName).add(labelMatch[1]);
-          }
-        }
-      }
-    });
-    
-    return metrics;
+    const { families, errors } = parsePrometheus(prometheusData, { strict: false });
+    errors.forEach(error => console.warn(`⚠️  Skipped line ${error.line}: ${error.message}`));
+    return mapMetrics(families, { source: this.source });
   }
 
-  // Convert Prometheus metric name to OTEL format
-  prometheusToOtel(prometheusName) {
-    // system_cpu_time_seconds_total -> system.cpu.time
-    return prometheusName
-      .replace(/_seconds_total$/, '')
-      .replace(/_total$/, '')
-      .replace(/_bytes$/, '')
-      .replace(/_/g, '.');
+  hasMetric(name) {
+    return findMetric(this.availableMetrics, name) !== null;
   }
 
   // Validate NRQL query against available metrics
@@ -78,32 +57,17 @@ class LocalDashboardValidator {
     };
 
     // Extract metric references from query
-    const metricRegex = /system\.[a-z_.]+/g;
+    const metricRegex = /system\.[a-z0-9_.]*[a-z0-9_]/g;
     const referencedMetrics = query.match(metricRegex) || [];
     
     referencedMetrics.forEach(metric => {
-      // Convert to Prometheus format for checking
-      const prometheusName = metric.replace(/\./g, '_');
-      
-      // Check exact match
-      let found = false;
-      this.availableMetrics.forEach((labels, name) => {
-        if (name.includes(prometheusName.replace('system_', ''))) {
-          found = true;
-        }
-      });
-
-      if (!found) {
+      if (!this.hasMetric(metric)) {
         validation.issues.push(`Metric '${metric}' not found`);
         
         // Suggest alternatives
-        const suggestions = [];
-        this.availableMetrics.forEach((labels, name) => {
-          const otelName = this.prometheusToOtel(name);
-          if (otelName.includes(metric.split('.')[1])) {
-            suggestions.push(otelName);
-          }
-        });
+        const suggestions = this.availableMetrics
+          .map(available => available.metricName)
+          .filter(name => name.includes(metric.split('.')[1]));
         
         if (suggestions.length > 0) {
           validation.suggestions.push(`Try: ${suggestions.join(', ')}`);
@@ -138,6 +102,23 @@ class LocalDashboardValidator {
     return validation;
   }
 
+  // Check that every {{placeholder}} in a query has a variable
+  validatePlaceholders(dashboard) {
+    const defined = (dashboard.variables || []).map(variable => variable.name);
+
+    findUndefinedVariables(dashboard).forEach(({ location, variable, query }) => {
+      console.log(`\n❌ ${location} uses undefined variable {{${variable}}}`);
+      this.validationResults.errors.push({
+        title: location,
+        query,
+        issues: [`Variable '${variable}' is not defined`],
+        suggestions: defined.length > 0
+          ? [`Defined variables: ${defined.join(', ')}`]
+          : [`Add a '${variable}' variable to the dashboard`]
+      });
+    });
+  }
+
   // Create corrected dashboard
   createCorrectedDashboard() {
     console.log('\n🔧 Creating corrected dashboard...\n');
@@ -164,7 +145,7 @@ class LocalDashboardValidator {
     const systemWidgets = dashboard.pages[0].widgets;
 
     // CPU Usage
-    if (this.availableMetrics.has('system_cpu_time_seconds_total')) {
+    if (this.hasMetric('system.cpu.time')) {
       systemWidgets.push({
         title: "CPU Usage by State",
         layout: { column: 1, row: 1, width: 4, height: 3 },
@@ -182,7 +163,7 @@ class LocalDashboardValidator {
     }
 
     // Memory Usage
-    if (this.availableMetrics.has('system_memory_usage_bytes')) {
+    if (this.hasMetric('system.memory.usage')) {
       systemWidgets.push({
         title: "Memory Usage by State",
         layout: { column: 5, row: 1, width: 4, height: 3 },
@@ -199,7 +180,7 @@ class LocalDashboardValidator {
     }
 
     // CPU Load Average
-    if (this.availableMetrics.has('system_cpu_load_average_15m')) {
+    if (this.hasMetric('system.cpu.load_average.15m')) {
       systemWidgets.push({
         title: "CPU Load Averages",
         layout: { column: 9, row: 1, width: 4, height: 3 },
@@ -218,7 +199,7 @@ class LocalDashboardValidator {
     }
 
     // Disk I/O
-    if (this.availableMetrics.has('system_disk_io_bytes_total')) {
+    if (this.hasMetric('system.disk.io')) {
       systemWidgets.push({
         title: "Disk I/O Rate",
         layout: { column: 1, row: 4, width: 4, height: 3 },
@@ -235,7 +216,7 @@ class LocalDashboardValidator {
     }
 
     // Network I/O
-    if (this.availableMetrics.has('system_network_io_bytes_total')) {
+    if (this.hasMetric('system.network.io')) {
       systemWidgets.push({
         title: "Network I/O Rate",
         layout: { column: 5, row: 4, width: 4, height: 3 },
@@ -252,7 +233,7 @@ class LocalDashboardValidator {
     }
 
     // Filesystem Usage
-    if (this.availableMetrics.has('system_filesystem_usage_bytes')) {
+    if (this.hasMetric('system.filesystem.usage')) {
       systemWidgets.push({
         title: "Filesystem Usage",
         layout: { column: 9, row: 4, width: 4, height: 3 },
@@ -330,6 +311,29 @@ class LocalDashboardValidator {
     return dashboard;
   }
 
+  // validate-local mode: check any dashboard file against any endpoint
+  async validateDashboardFile(dashboardPath) {
+    const service = new LocalValidationService();
+    const scrape = await service.scrape(this.prometheusUrl, { source: this.source });
+    console.log(`📊 ${this.prometheusUrl}: ${scrape.metrics.length} metrics as shipped by ${this.source}`);
+
+    const dashboard = JSON.parse(fs.readFileSync(dashboardPath, 'utf8'));
+    const report = service.validateDashboard(dashboard, scrape.metrics);
+
+    report.queries.filter(item => item.issues.length > 0).forEach(item => {
+      console.log(`\n${item.status === 'invalid' ? '❌' : '⚠️ '} ${item.page} / ${item.widget}`);
+      item.issues.forEach(issue => {
+        console.log(`   - ${issue.message}`);
+        if (issue.suggestions.length > 0) console.log(`     💡 Did you mean: ${issue.suggestions.join(', ')}`);
+      });
+    });
+
+    const { queries, valid, warning, invalid, skipped } = report.summary;
+    console.log(`\n${queries} queries: ${valid} valid, ${warning} with warnings, ${invalid} invalid, ${skipped} skipped (not Metric)`);
+    if (invalid > 0) process.exitCode = 1;
+    return report;
+  }
+
   // Main validation process
   async validate() {
     console.log('='.repeat(60));
@@ -341,7 +345,7 @@ class LocalDashboardValidator {
     try {
       const prometheusData = await this.fetchPrometheusMetrics();
       this.availableMetrics = this.parseMetrics(prometheusData);
-      console.log(`✅ Found ${this.availableMetrics.size} unique metrics`);
+      console.log(`✅ Found ${this.availableMetrics.length} unique metrics`);
       
       // Show metric categories
       const categories = {
@@ -353,7 +357,7 @@ class LocalDashboardValidator {
         other: 0
       };
       
-      this.availableMetrics.forEach((labels, name) => {
+      this.availableMetrics.forEach(({ metricName: name }) => {
         if (name.includes('cpu')) categories.cpu++;
         else if (name.includes('memory')) categories.memory++;
         else if (name.includes('disk')) categories.disk++;
@@ -389,6 +393,9 @@ class LocalDashboardValidator {
           }
         });
       });
+
+      // Every {{placeholder}} must be defined as a dashboard variable
+      this.validatePlaceholders(dashboard);
     }
 
     // Create corrected dashboard
@@ -403,6 +410,15 @@ class LocalDashboardValidator {
     console.log(`\n✅ Valid queries: ${this.validationResults.valid.length}`);
     console.log(`⚠️  Warnings: ${this.validationResults.warnings.length}`);
     console.log(`❌ Errors: ${this.validationResults.errors.length}`);
+
+    if (this.validationResults.errors.length > 0) {
+      console.log('\nErrors found:');
+      this.validationResults.errors.forEach(e => {
+        console.log(`\n${e.title}:`);
+        e.issues.forEach(issue => console.log(`  - ${issue}`));
+        e.suggestions.forEach(suggestion => console.log(`  💡 ${suggestion}`));
+      });
+    }
     
     if (this.validationResults.warnings.length > 0) {
       console.log('\nIssues found:');
@@ -425,6 +441,17 @@ class LocalDashboardValidator {
   }
 }
 
-// Run validator
-const validator = new LocalDashboardValidator();
-validator.validate().catch(console.error);
\ No newline at end of file
+// Run validator. With --dashboard <file>, checks that dashboard against
+// --endpoint <url> (default the local collector) instead:
+//   local-dashboard-validator.js validate-local --endpoint http://kafka-0:9404/metrics --dashboard kafka.json --source nri-flex
+const args = process.argv.slice(2);
+const option = name => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+const validator = new LocalDashboardValidator({ url: option('endpoint'), source: option('source') });
+const run = option('dashboard') ? validator.validateDashboardFile(option('dashboard')) : validator.validate();
+run.catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
\ No newline at end of file
@@ -7,7 +7,7 @@
  */
 
 require('dotenv').config();
-const https = require('https');
+const { createTransport } = require('./src/core/transport.js');
 const fs = require('fs');
 const path = require('path');
 
@@ -15,46 +15,13 @@ class NerdGraphDashboardCLI {
   constructor() {
     this.apiKey = process.env.NEW_RELIC_API_KEY || process.env.NEW_RELIC_USER_API_KEY;
     this.accountId = process.env.NEW_RELIC_ACCOUNT_ID || '3630072';
-    this.apiEndpoint = 'api.newrelic.com';
+    this.transport = createTransport({ apiKey: this.apiKey });
+    this.apiEndpoint = this.transport.endpoint;
   }
 
   // Core GraphQL request handler
   async graphQL(query, variables = {}) {
-    const data = JSON.stringify({ query, variables });
-    
-    const options = {
-      hostname: this.apiEndpoint,
-      path: '/graphql',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'API-Key': this.apiKey,
-        'Content-Length': data.length
-      }
-    };
-
-    return new Promise((resolve, reject) => {
-      const req = https.request(options, (res) => {
-        let body = '';
-        res.on('data', chunk => body += chunk);
-        res.on('end', () => {
-          try {
-            const response = JSON.parse(body);
-            if (response.errors) {
-              reject(new Error(JSON.stringify(response.errors)));
-            } else {
-              resolve(response.data);
-            }
-          } catch (e) {
-            reject(e);
-          }
-        });
-      });
-      
-      req.on('error', reject);
-      req.write(data);
-      req.end();
-    });
+    return await this.transport.request(query, variables);
   }
 
   // 1. List existing dashboards
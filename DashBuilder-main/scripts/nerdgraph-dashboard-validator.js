@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 
 require('dotenv').config();
-const https = require('https');
+const { createTransport } = require('./src/core/transport.js');
 const fs = require('fs');
 const path = require('path');
 
@@ -9,6 +9,7 @@ class NerdGraphDashboardValidator {
   constructor() {
     this.apiKey = process.env.NEW_RELIC_USER_API_KEY || process.env.NEW_RELIC_API_KEY;
     this.accountId = process.env.NEW_RELIC_ACCOUNT_ID || '3630072';
+    this.transport = createTransport({ apiKey: this.apiKey });
     this.validationResults = {
       queries: [],
       errors: [],
@@ -18,45 +19,12 @@ class NerdGraphDashboardValidator {
   }
 
   async graphqlRequest(query, variables = {}) {
-    const postData = JSON.stringify({
-      query,
-      variables
-    });
-
-    const options = {
-      hostname: 'api.newrelic.com',
-      path: '/graphql',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'API-Key': this.apiKey,
-        'Content-Length': postData.length
-      }
-    };
-
-    return new Promise((resolve, reject) => {
-      const req = https.request(options, (res) => {
-        let data = '';
-        res.on('data', (chunk) => data += chunk);
-        res.on('end', () => {
-          try {
-            const response = JSON.parse(data);
-            if (response.errors) {
-              console.error('GraphQL Errors:', response.errors);
-              reject(new Error(response.errors[0].message));
-            } else {
-              resolve(response.data);
-            }
-          } catch (e) {
-            reject(e);
-          }
-        });
-      });
-
-      req.on('error', reject);
-      req.write(postData);
-      req.end();
-    });
+    const response = await this.transport.execute(query, variables);
+    if (response.errors) {
+      console.error('GraphQL Errors:', response.errors);
+      throw new Error(response.errors[0].message);
+    }
+    return response.data;
   }
 
   // Step 1: Validate NRQL queries
@@ -6,7 +6,7 @@
  */
 
 require('dotenv').config();
-const https = require('https');
+const { createTransport } = require('./src/core/transport.js');
 const fs = require('fs');
 const path = require('path');
 
@@ -14,6 +14,7 @@ class NerdGraphSchemaValidator {
   constructor() {
     this.apiKey = process.env.NEW_RELIC_API_KEY;
     this.accountId = process.env.NEW_RELIC_ACCOUNT_ID;
+    this.transport = createTransport({ apiKey: this.apiKey });
     
     // NRQL Grammar Rules (based on New Relic documentation)
     this.nrqlGrammar = {
@@ -92,41 +93,7 @@ class NerdGraphSchemaValidator {
 
   // GraphQL request handler
   async graphQL(query, variables = {}) {
-    const data = JSON.stringify({ query, variables });
-    
-    const options = {
-      hostname: 'api.newrelic.com',
-      path: '/graphql',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'API-Key': this.apiKey,
-        'Content-Length': data.length
-      }
-    };
-
-    return new Promise((resolve, reject) => {
-      const req = https.request(options, (res) => {
-        let body = '';
-        res.on('data', chunk => body += chunk);
-        res.on('end', () => {
-          try {
-            const response = JSON.parse(body);
-            if (response.errors) {
-              reject(new Error(JSON.stringify(response.errors)));
-            } else {
-              resolve(response.data);
-            }
-          } catch (e) {
-            reject(e);
-          }
-        });
-      });
-      
-      req.on('error', reject);
-      req.write(data);
-      req.end();
-    });
+    return await this.transport.request(query, variables);
   }
 
   // 1. Get available metrics schema
@@ -29,7 +29,7 @@ async function discoverKafkaMonitoring() {
   
   const client = new NerdGraphClient({
     apiKey,
-    region: 'US'
+    region: process.env.NEW_RELIC_REGION || 'US'
   });
   
   const spinner = ora('Starting Kafka discovery...').start();
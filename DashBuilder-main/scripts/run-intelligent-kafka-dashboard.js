@@ -45,7 +45,7 @@ async function runIntelligentKafkaDashboard() {
     // Initialize NerdGraph client
     const client = new NerdGraphClient({
       apiKey: config.apiKey,
-      region: 'US'
+      region: process.env.NEW_RELIC_REGION || 'US'
     });
     
     // Initialize discovery engine
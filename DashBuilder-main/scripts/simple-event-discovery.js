@@ -27,7 +27,7 @@ async function simpleEventDiscovery() {
   
   const client = new NerdGraphClient({
     apiKey,
-    region: 'US'
+    region: process.env.NEW_RELIC_REGION || 'US'
   });
   
   // Common event types to check
@@ -10,6 +10,8 @@ const fs = require('fs').promises;
 const { SchemaCommand } = require('./commands/schema.js');
 const { NRQLCommand } = require('./commands/nrql.js');
 const { DashboardCommand } = require('./commands/dashboard.js');
+const { AlertsCommand } = require('./commands/alerts.js');
+const { AnomalyCommand } = require('./commands/anomaly.js');
 const { EntityCommand } = require('./commands/entity.js');
 const { IngestCommand } = require('./commands/ingest.js');
 const { LLMCommand } = require('./commands/llm.js');
@@ -39,12 +41,17 @@ async function main() {
     .option('--no-cache', 'Disable caching')
     .option('--api-key <key>', 'New Relic API key (overrides environment)')
     .option('--account-id <id>', 'New Relic account ID (overrides environment)')
-    .option('--region <region>', 'New Relic region: US or EU (overrides environment)');
+    .option('--region <region>', 'New Relic region: US or EU (overrides environment)')
+    .option('--endpoint <url>', 'NerdGraph endpoint URL, e.g. a local mock server (overrides region)')
+    .option('--record <dir>', 'Record NerdGraph requests and responses to a cassette directory')
+    .option('--replay <dir>', 'Serve NerdGraph responses from a recorded cassette directory');
 
   // Add module commands
   program.addCommand(new SchemaCommand().getCommand());
   program.addCommand(new NRQLCommand().getCommand());
   program.addCommand(new DashboardCommand().getCommand());
+  program.addCommand(new AlertsCommand().getCommand());
+  program.addCommand(new AnomalyCommand().getCommand());
   program.addCommand(new EntityCommand().getCommand());
   program.addCommand(new IngestCommand().getCommand());
   program.addCommand(new LLMCommand().getCommand());
@@ -0,0 +1,429 @@
+const { Command } = require('commander');
+const chalk = require('chalk');
+const fs = require('fs/promises');
+const path = require('path');
+const yaml = require('js-yaml');
+const { AlertService } = require('../services/alert.service.js');
+const { Config } = require('../core/config.js');
+const { Output } = require('../utils/output.js');
+const { toConditionInput, formatConditionChanges } = require('../utils/alert-conditions.js');
+const { parseAccountMap } = require('../utils/account-remap.js');
+const { CLIError, ValidationError, APIError, withCLIErrorHandler } = require('../utils/cli-error-handler.js');
+
+const DOCUMENT_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+class AlertsCommand {
+  getCommand() {
+    const alerts = new Command('alerts')
+      .description('Alert policies and NRQL conditions as code');
+
+    alerts
+      .command('compile <file>')
+      .description('Compile suggested alerts (an analysis JSON/YAML file) into NRQL condition definitions')
+      .option('--event-type <type>', 'Event type for suggestions that do not name one', 'Metric')
+      .option('-o, --output <file>', 'Write the conditions document to a file')
+      .action(withCLIErrorHandler(async (file, options) => {
+        await this.compileAlerts(file, options, alerts.parent.opts());
+      }));
+
+    alerts
+      .command('export')
+      .description('Export alert policies and their NRQL conditions to conditions documents')
+      .option('--policy <policy>', 'Alert policy ID or name to export (repeatable, default: all)', collect, [])
+      .option('--account-id <id>', 'Override default account ID')
+      .option('-d, --dir <dir>', 'Write one <policy>.json document per policy to this directory')
+      .action(withCLIErrorHandler(async (options) => {
+        await this.exportAlerts(options, alerts.parent.opts());
+      }));
+
+    alerts
+      .command('validate <path>')
+      .description('Validate the conditions in a document or a directory of documents')
+      .option('--account-id <id>', 'Account to run the queries in')
+      .option('--account-map <pairs>', 'Rewrite account IDs in queries before validating, as source:target pairs (default: document account to --account-id)')
+      .option('--offline', 'Only check the definitions and NRQL syntax, without running the queries')
+      .option('--event-type <type>', 'Event type for suggestions that do not name one', 'Metric')
+      .action(withCLIErrorHandler(async (target, options) => {
+        await this.validateAlerts(target, options, alerts.parent.opts());
+      }));
+
+    alerts
+      .command('apply <path>')
+      .description('Create or update the conditions in a document, a directory of documents or compiled suggestions in an alert policy')
+      .option('--policy <policy>', 'Alert policy ID or name (default: the policy the document defines)')
+      .option('--account-id <id>', 'Override default account ID')
+      .option('--account-map <pairs>', 'Rewrite account IDs in queries, as source:target pairs (default: document account to target account)')
+      .option('--create-policy', 'Create the policy if no policy has that name')
+      .option('--event-type <type>', 'Event type for suggestions that do not name one', 'Metric')
+      .option('--dry-run', 'Print the NerdGraph condition inputs without contacting New Relic')
+      .option('--diff', 'Show what would change in the policy without applying it')
+      .option('--exit-code', 'With --diff, exit with code 2 when there are pending changes')
+      .action(withCLIErrorHandler(async (target, options) => {
+        await this.applyAlerts(target, options, alerts.parent.opts());
+      }));
+
+    return alerts;
+  }
+
+  async compileAlerts(file, options, globalOptions) {
+    const config = new Config({ ...globalOptions, ...options });
+    const output = new Output(config.outputFormat, config.quiet);
+    const service = new AlertService(config);
+
+    const document = service.toConditions(await this.loadFile(file), { eventType: options.eventType });
+
+    if (options.output) {
+      await fs.writeFile(options.output, JSON.stringify(document, null, 2) + '\n');
+    }
+
+    if (output.isJSON || !options.output) {
+      output.json(document);
+    } else {
+      output.print(document.conditions.map(condition => ({
+        name: condition.name,
+        type: condition.type,
+        query: condition.nrql.query
+      })), { title: 'Compiled Conditions', table: true, columns: ['name', 'type', 'query'] });
+      output.success(`Wrote ${document.conditions.length} conditions to ${options.output}`);
+    }
+
+    this.printCompileNotes(document, output);
+  }
+
+  async exportAlerts(options, globalOptions) {
+    const config = new Config({ ...globalOptions, ...options });
+    const output = new Output(config.outputFormat, config.quiet);
+    const service = new AlertService(config);
+
+    let documents;
+    try {
+      output.startSpinner('Exporting alert policies...');
+      documents = await service.exportPolicies({ accountId: options.accountId, policies: options.policy });
+      output.stopSpinner(true, `Exported ${documents.length} policies`);
+    } catch (error) {
+      output.stopSpinner(false, 'Failed to export alert policies');
+      throw error instanceof CLIError ? error : new APIError(`Failed to export alert policies: ${error.message}`, error);
+    }
+
+    if (!options.dir) {
+      output.json(documents);
+      return;
+    }
+
+    await fs.mkdir(options.dir, { recursive: true });
+    const files = [];
+    for (const document of documents) {
+      const file = path.join(options.dir, `${this.fileName(document.policy.name, files)}.json`);
+      await fs.writeFile(file, JSON.stringify(document, null, 2) + '\n');
+      files.push({ policy: document.policy.name, conditions: document.conditions.length, file });
+    }
+
+    output.print(files, { title: 'Exported Policies', table: true, columns: ['policy', 'conditions', 'file'] });
+  }
+
+  async validateAlerts(target, options, globalOptions) {
+    const config = new Config({ ...globalOptions, ...options });
+    const output = new Output(config.outputFormat, config.quiet);
+    const service = new AlertService(config);
+
+    const accountId = options.accountId || config.accountId;
+    const documents = this.remapDocuments(await this.loadDocuments(target, service, options), accountId, options.accountMap, service, output);
+    const results = await this.validateDocuments(documents, service, output, { accountId, offline: options.offline });
+
+    const invalid = results.filter(result => !result.valid);
+    if (output.isJSON) {
+      output.json({ valid: invalid.length === 0, results });
+    } else {
+      this.printInvalid(invalid, output);
+      if (invalid.length === 0) {
+        output.success(`All ${results.length} conditions are valid`);
+      }
+    }
+
+    if (invalid.length > 0) {
+      throw new ValidationError(`${invalid.length} of ${results.length} conditions are invalid`);
+    }
+  }
+
+  async applyAlerts(target, options, globalOptions) {
+    const config = new Config({ ...globalOptions, ...options });
+    const output = new Output(config.outputFormat, config.quiet);
+    const service = new AlertService(config);
+
+    const documents = await this.loadDocuments(target, service, options);
+    if (options.policy && documents.length > 1) {
+      throw new ValidationError('--policy applies to a single document; each document in a directory names its own policy');
+    }
+
+    documents.forEach(({ file, document }) => {
+      if (document.conditions.length === 0) {
+        throw new ValidationError(`No conditions to apply in ${file}`);
+      }
+    });
+    const accountId = options.accountId || config.accountId;
+    const prepared = this.remapDocuments(documents, accountId, options.accountMap, service, output);
+
+    if (options.dryRun) {
+      const inputs = prepared.map(({ document }) => ({
+        policy: options.policy || document.policy?.name,
+        conditions: document.conditions.map(condition => ({
+          type: condition.type,
+          condition: toConditionInput(condition)
+        }))
+      }));
+      output.json(inputs.length === 1 ? inputs[0] : inputs);
+      prepared.forEach(({ document }) => this.printCompileNotes(document, output));
+      return;
+    }
+
+    // Remapped queries have to run in the target account before anything
+    // changes there
+    if (!options.diff) {
+      const results = await this.validateDocuments(prepared, service, output, { accountId });
+      const invalid = results.filter(result => !result.valid);
+      if (invalid.length > 0) {
+        if (!output.isJSON) this.printInvalid(invalid, output);
+        throw new ValidationError(`${invalid.length} of ${results.length} conditions are invalid in account ${accountId}; nothing was applied`, invalid);
+      }
+    }
+
+    const outcomes = [];
+    for (const { document } of prepared) {
+      outcomes.push(await this.applyDocument(document, service, output, options));
+    }
+
+    if (options.diff) {
+      if (output.isJSON) {
+        const plans = outcomes.map(({ plan }) => this.planSummary(plan));
+        output.json(plans.length === 1 ? plans[0] : plans);
+      }
+      const pending = outcomes.some(({ plan }) => plan.summary.create + plan.summary.update + plan.summary.replace > 0);
+      if (options.exitCode && pending) {
+        throw new CLIError('Alert conditions have pending changes', 2);
+      }
+      return;
+    }
+
+    if (output.isJSON) {
+      const applied = outcomes.map(({ plan, applied }) => ({
+        accountId: plan.accountId,
+        policyId: applied.policyId,
+        summary: plan.summary,
+        results: applied.results
+      }));
+      output.json(applied.length === 1 ? applied[0] : applied);
+    }
+
+    const results = outcomes.flatMap(({ applied }) => applied.results);
+    const failed = results.filter(result => !result.success);
+    if (failed.length > 0) {
+      throw new APIError(`Failed to apply ${failed.length} of ${results.length} conditions`);
+    }
+  }
+
+  async applyDocument(document, service, output, options) {
+    let plan;
+    try {
+      output.startSpinner('Comparing conditions with the policy...');
+      plan = await service.plan(document, {
+        accountId: options.accountId,
+        policy: options.policy,
+        createPolicy: options.createPolicy
+      });
+      output.stopSpinner(true, `Planned ${plan.items.length} conditions`);
+    } catch (error) {
+      output.stopSpinner(false, 'Failed to plan alert conditions');
+      throw error instanceof CLIError ? error : new APIError(`Failed to plan alert conditions: ${error.message}`, error);
+    }
+
+    this.printPlan(plan, output);
+    if (options.diff) {
+      return { plan };
+    }
+
+    let applied;
+    try {
+      output.startSpinner('Applying changes...');
+      applied = await service.apply(plan);
+      output.stopSpinner(applied.results.every(result => result.success), 'Apply finished');
+    } catch (error) {
+      output.stopSpinner(false, 'Failed to apply alert conditions');
+      throw error instanceof CLIError ? error : new APIError(`Failed to apply alert conditions: ${error.message}`, error);
+    }
+
+    if (!output.isJSON) {
+      output.print(applied.results.filter(result => result.action !== 'noop'), {
+        title: 'Apply Results',
+        table: true,
+        columns: ['name', 'action', 'success', 'id', 'error']
+      });
+      if (plan.policy.created) {
+        output.info(`Created policy "${plan.policy.name}" (${applied.policyId})`);
+      }
+    }
+
+    return { plan, applied };
+  }
+
+  // Point each document's queries at the target account
+  remapDocuments(documents, targetAccountId, spec, service, output) {
+    return documents.map(({ file, document }) => {
+      const remapped = service.remapDocument(document, this.accountMap(document, targetAccountId, spec));
+      if (remapped.replaced > 0) {
+        output.info(`${file}: rewrote ${remapped.replaced} account IDs in condition queries`);
+      }
+      return { file, document: remapped.document };
+    });
+  }
+
+  async validateDocuments(documents, service, output, options) {
+    const results = [];
+    try {
+      output.startSpinner('Validating alert conditions...');
+      for (const { file, document } of documents) {
+        const validation = await service.validate(document, options);
+        validation.forEach(result => results.push({ file, ...result }));
+      }
+      output.stopSpinner(results.every(result => result.valid), `Validated ${results.length} conditions`);
+    } catch (error) {
+      output.stopSpinner(false, 'Failed to validate alert conditions');
+      throw error instanceof CLIError ? error : new APIError(`Failed to validate alert conditions: ${error.message}`, error);
+    }
+    return results;
+  }
+
+  printInvalid(invalid, output) {
+    invalid.forEach(result => {
+      output.log(`${chalk.red('✗')} ${result.name} ${chalk.gray(`(${result.file})`)}`);
+      result.errors.forEach(error => output.log(`    ${error}`));
+    });
+  }
+
+  // Queries written for the document's account point at the target account
+  // unless --account-map says otherwise
+  accountMap(document, targetAccountId, spec) {
+    const map = new Map();
+    if (document.accountId && targetAccountId && parseInt(document.accountId) !== parseInt(targetAccountId)) {
+      map.set(parseInt(document.accountId), parseInt(targetAccountId));
+    }
+    parseAccountMap(spec, document.accountId).forEach((target, source) => map.set(source, target));
+    return map;
+  }
+
+  fileName(policyName, written) {
+    const base = policyName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'policy';
+    const taken = new Set(written.map(entry => path.basename(entry.file, '.json')));
+    let name = base;
+    for (let index = 2; taken.has(name); index++) {
+      name = `${base}-${index}`;
+    }
+    return name;
+  }
+
+  printCompileNotes(document, output) {
+    document.notes.forEach(({ name, note }) => output.warning(`${name}: ${note}`));
+    document.skipped.forEach(({ name, reason }) => output.warning(`Skipped ${name || 'unnamed suggestion'}: ${reason}`));
+  }
+
+  colorDiffLine(line) {
+    const symbol = line.trimStart()[0];
+    if (symbol === '+') return chalk.green(line);
+    if (symbol === '-') return chalk.red(line);
+    if (symbol === '~') return chalk.yellow(line);
+    return line;
+  }
+
+  planSummary(plan) {
+    return {
+      accountId: plan.accountId,
+      policy: plan.policy,
+      summary: plan.summary,
+      items: plan.items.map(({ condition, ...item }) => item),
+      unmanaged: plan.unmanaged
+    };
+  }
+
+  printPlan(plan, output) {
+    if (output.isJSON) return;
+
+    const symbols = {
+      create: chalk.green('+'),
+      update: chalk.yellow('~'),
+      replace: chalk.red('±'),
+      noop: chalk.gray('=')
+    };
+
+    const policyLabel = plan.policy.created ? `${plan.policy.name} (new)` : `${plan.policy.name} (${plan.policy.id})`;
+    output.header(`Alert Plan: ${policyLabel}`);
+    plan.items.forEach(item => {
+      const target = item.id ? chalk.gray(` (${item.id})`) : '';
+      output.log(`${symbols[item.action]} ${item.name} [${item.type}]${target}`);
+      item.notes.forEach(note => output.warning(`  ${note}`));
+      formatConditionChanges(item.changes).forEach(line => output.log(`    ${this.colorDiffLine(line)}`));
+    });
+
+    if (plan.unmanaged.length > 0) {
+      output.info(`${plan.unmanaged.length} conditions in the policy are not in the file and are left untouched`);
+    }
+
+    const { create, update, replace, noop } = plan.summary;
+    output.info(`\nPlan: ${create} to create, ${update} to update, ${replace} to replace, ${noop} unchanged`);
+  }
+
+  // A conditions document, or every document in a directory
+  async loadDocuments(target, service, options) {
+    let files = [target];
+    let stats;
+    try {
+      stats = await fs.stat(target);
+    } catch (error) {
+      throw new ValidationError(`Cannot read ${target}: ${error.message}`);
+    }
+
+    if (stats.isDirectory()) {
+      const entries = await fs.readdir(target, { withFileTypes: true });
+      files = entries
+        .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+        .filter(entry => DOCUMENT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+        .map(entry => path.join(target, entry.name))
+        .sort();
+      if (files.length === 0) {
+        throw new ValidationError(`No conditions documents in ${target}`);
+      }
+    }
+
+    const documents = [];
+    for (const file of files) {
+      const content = await this.loadFile(file);
+      // A file exported from several policies holds a list of documents
+      const entries = Array.isArray(content) && content.length > 0 && content.every(entry => Array.isArray(entry?.conditions))
+        ? content
+        : [content];
+      entries.forEach(entry => documents.push({ file, document: service.toConditions(entry, { eventType: options.eventType }) }));
+    }
+    return documents;
+  }
+
+  async loadFile(file) {
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf-8');
+    } catch (error) {
+      throw new ValidationError(`Cannot read ${file}: ${error.message}`);
+    }
+
+    try {
+      return /\.ya?ml$/i.test(file) ? yaml.load(content) : JSON.parse(content);
+    } catch (error) {
+      throw new ValidationError(`${file}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  AlertsCommand
+};
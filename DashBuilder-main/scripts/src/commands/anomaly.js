@@ -0,0 +1,135 @@
+const { Command } = require('commander');
+const { AnomalyService } = require('../services/anomaly.service.js');
+const { Config } = require('../core/config.js');
+const { Output } = require('../utils/output.js');
+const { DETECTORS, DEFAULT_THRESHOLD } = require('../utils/anomaly-detection.js');
+const { CLIError, ValidationError, APIError, withCLIErrorHandler } = require('../utils/cli-error-handler.js');
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toISOString().replace('.000Z', 'Z');
+}
+
+class AnomalyCommand {
+  getCommand() {
+    const anomaly = new Command('anomaly')
+      .description('Local anomaly detection over TIMESERIES data');
+
+    anomaly
+      .command('detect [query]')
+      .description('Find anomalous windows in a TIMESERIES query or a file of recorded results')
+      .option('--input <file>', 'Read TIMESERIES results or series from a JSON file instead of querying')
+      .option('--account-id <id>', 'Override default account ID')
+      .option('--attribute <name>', 'Result field to analyze (default: first numeric field)')
+      .option('--detectors <names>', `Comma-separated detectors (default: ${Object.keys(DETECTORS).join(',')})`)
+      .option('--threshold <score>', `Score a point must reach to be flagged (default: ${DEFAULT_THRESHOLD})`, parseFloat)
+      .option('--seasonality <duration>', "Seasonal cycle, e.g. '1 day' (default: detected)")
+      .option('--window <points>', 'Points in the MAD and change-point windows', parseInt)
+      .option('--alpha <n>', 'EWMA smoothing factor between 0 and 1', parseFloat)
+      .option('--min-severity <level>', 'Only report windows of at least this severity: low, medium, high', 'low')
+      .action(withCLIErrorHandler(async (query, options) => {
+        await this.detect(query, options, anomaly.parent.opts());
+      }));
+
+    anomaly
+      .command('detectors')
+      .description('List the available detectors')
+      .action(async (options) => {
+        await this.listDetectors(options, anomaly.parent.opts());
+      });
+
+    return anomaly;
+  }
+
+  async detect(query, options, globalOptions) {
+    if (!query === !options.input) {
+      throw new ValidationError('Give either a TIMESERIES query or --input <file>');
+    }
+    if (options.threshold !== undefined && !(options.threshold > 0)) {
+      throw new ValidationError('--threshold must be a positive number');
+    }
+    if (options.alpha !== undefined && !(options.alpha > 0 && options.alpha <= 1)) {
+      throw new ValidationError('--alpha must be between 0 and 1');
+    }
+    const detectors = options.detectors ? options.detectors.split(',').map(name => name.trim()).filter(Boolean) : undefined;
+    const unknown = (detectors || []).filter(name => !DETECTORS[name]);
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown detector ${unknown.join(', ')}. Available: ${Object.keys(DETECTORS).join(', ')}`);
+    }
+    if (!['low', 'medium', 'high'].includes(options.minSeverity)) {
+      throw new ValidationError('--min-severity must be one of low, medium, high');
+    }
+
+    // Files are analyzed offline, without credentials
+    const config = options.input ? null : new Config({ ...globalOptions, ...options });
+    const output = new Output(globalOptions.json ? 'json' : 'human', globalOptions.quiet);
+    const service = new AnomalyService(config);
+
+    try {
+      output.startSpinner(options.input ? 'Reading series...' : 'Querying series...');
+      const series = options.input
+        ? await service.loadSeries(options.input, { attribute: options.attribute })
+        : await service.fetchSeries(query, { accountId: options.accountId, attribute: options.attribute });
+
+      output.updateSpinner('Running detectors...');
+      const analysis = service.detect(series, {
+        detectors,
+        threshold: options.threshold,
+        seasonality: options.seasonality,
+        window: options.window,
+        alpha: options.alpha,
+        minSeverity: options.minSeverity
+      });
+      output.stopSpinner(true);
+
+      if (output.isJSON) {
+        output.json(analysis);
+        return;
+      }
+
+      analysis.series.forEach(result => {
+        output.header(`${result.name} (${result.points} points)`);
+        const applied = result.detectors.filter(detector => detector.applied).map(detector => detector.name);
+        output.info(`Detectors: ${applied.join(', ') || 'none'} (threshold ${result.threshold})`);
+
+        if (result.windows.length === 0) {
+          output.success('No anomalies found');
+          return;
+        }
+
+        output.printTable(result.windows.map(window => ({
+          start: formatTime(window.start),
+          end: formatTime(window.end),
+          points: window.points,
+          peak: window.peak.value,
+          expected: window.peak.expected === null ? '-' : Math.round(window.peak.expected * 100) / 100,
+          score: window.score,
+          severity: window.severity,
+          detectors: window.detectors.map(detector => detector.name).join(', ')
+        })), ['start', 'end', 'points', 'peak', 'expected', 'score', 'severity', 'detectors']);
+
+        result.windows.forEach((window, index) => {
+          output.info(`${index + 1}. ${window.explanation}`);
+        });
+      });
+    } catch (error) {
+      output.stopSpinner(false, 'Anomaly detection failed');
+      throw error instanceof CLIError ? error : new APIError(`Anomaly detection failed: ${error.message}`, error);
+    }
+  }
+
+  // Does not need an API key, so no Config is built here
+  async listDetectors(options, globalOptions) {
+    const output = new Output(globalOptions.json ? 'json' : 'human', globalOptions.quiet);
+    const detectors = Object.values(DETECTORS).map(({ name, description }) => ({ name, description }));
+
+    output.print(detectors, {
+      title: 'Anomaly Detectors',
+      table: true,
+      columns: ['name', 'description']
+    });
+  }
+}
+
+module.exports = {
+  AnomalyCommand
+};
@@ -1,10 +1,20 @@
 const { Command } = require('commander');
+const chalk = require('chalk');
 const fs = require('fs/promises');
 const path = require('path');
-const { DashboardService } = require('../services/dashboard.service.js');
+const yaml = require('js-yaml');
+const { DashboardService, describeIncompatibility } = require('../services/dashboard.service.js');
+const { DashboardSyncService } = require('../services/dashboard-sync.service.js');
+const { CostService } = require('../services/cost.service.js');
+const { LocalValidationService } = require('../services/local-validation.service.js');
 const { Config } = require('../core/config.js');
 const { Output } = require('../utils/output.js');
 const { validateEntityGuid, validateDashboard } = require('../utils/validators.js');
+const { formatDashboardJSON } = require('../utils/nrql-formatter.js');
+const { formatChanges, compareDashboards, formatComparison } = require('../utils/dashboard-diff.js');
+const { entityGuidAccountId } = require('../utils/account-remap.js');
+const { formatBytes } = require('../utils/query-cost.js');
+const { MAPPING_SOURCES } = require('../utils/metric-mapping.js');
 const { logger } = require('../utils/logger.js');
 const { CLIError, ValidationError, APIError, withCLIErrorHandler } = require('../utils/cli-error-handler.js');
 
@@ -40,9 +50,39 @@ class DashboardCommand {
         await this.importDashboard(filePath, options, dashboard.parent.opts());
       }));
 
+    dashboard
+      .command('plan <dir>')
+      .description('Show what apply would change for a directory of JSON/YAML dashboard definitions')
+      .option('--account-id <id>', 'Override default account ID')
+      .option('--state <file>', 'State file tracking deployed GUIDs (default: <dir>/.dashboard-state.json)')
+      .option('--no-adopt', 'Do not adopt existing dashboards with the same name')
+      .option('--exit-code', 'Exit with code 2 when changes are pending')
+      .action(withCLIErrorHandler(async (dir, options) => {
+        await this.planDashboards(dir, options, dashboard.parent.opts());
+      }));
+
+    dashboard
+      .command('apply <dir>')
+      .description('Create or update dashboards so they match a directory of definitions')
+      .option('--account-id <id>', 'Override default account ID')
+      .option('--state <file>', 'State file tracking deployed GUIDs (default: <dir>/.dashboard-state.json)')
+      .option('--no-adopt', 'Do not adopt existing dashboards with the same name')
+      .action(withCLIErrorHandler(async (dir, options) => {
+        await this.applyDashboards(dir, options, dashboard.parent.opts());
+      }));
+
+    dashboard
+      .command('diff <a> <b>')
+      .description('Compare two dashboards (GUIDs or JSON/YAML files) widget by widget')
+      .option('--exit-code', 'Exit with code 2 when the dashboards differ')
+      .action(withCLIErrorHandler(async (a, b, options) => {
+        await this.diffDashboards(a, b, options, dashboard.parent.opts());
+      }));
+
     dashboard
       .command('validate-json <filePath>')
       .description('Validate dashboard JSON structure')
+      .option('--format-queries', 'Rewrite all widget queries in canonical form in place')
       .action(withCLIErrorHandler(async (filePath, options) => {
         await this.validateJSON(filePath, options, dashboard.parent.opts());
       }));
@@ -56,6 +96,18 @@ class DashboardCommand {
         await this.validateWidgets(guidOrFile, options, dashboard.parent.opts());
       }));
 
+    dashboard
+      .command('validate-local')
+      .description('Check widget metric names and attributes against a local /metrics endpoint, without an account')
+      .option('--endpoint <url>', 'Prometheus or OpenMetrics endpoint, or a file with a saved scrape')
+      .requiredOption('--dashboard <file>', 'Dashboard JSON or YAML file')
+      .option('--source <name>', `How the metrics reach New Relic: ${MAPPING_SOURCES.join(', ')}`, 'otlp')
+      .option('--attributes <names>', 'Comma-separated attributes the shipper adds to every metric, e.g. nri-flex custom_attributes')
+      .option('--timeout <ms>', 'Scrape timeout in milliseconds', parseInt)
+      .action(withCLIErrorHandler(async (options) => {
+        await this.validateLocal(options, dashboard.parent.opts());
+      }));
+
     dashboard
       .command('find-broken-widgets <guidOrFile>')
       .description('Find widgets with errors or no data')
@@ -72,6 +124,16 @@ class DashboardCommand {
         await this.analyzePerformance(guidOrFile, options, dashboard.parent.opts());
       });
 
+    dashboard
+      .command('analyze-cost <guidOrFile>')
+      .description('Estimate data scanned per hour by each widget and rank the most expensive')
+      .option('--account-id <id>', 'Override default account ID')
+      .option('--refresh <seconds>', 'Refresh interval to assume instead of the per-window default', parseInt)
+      .option('--top <n>', 'Only list the n most expensive widgets', parseInt)
+      .action(withCLIErrorHandler(async (guidOrFile, options) => {
+        await this.analyzeCost(guidOrFile, options, dashboard.parent.opts());
+      }));
+
     dashboard
       .command('check-attribute-usage <guidOrFile>')
       .description('Verify attributes used in dashboard exist')
@@ -85,10 +147,13 @@ class DashboardCommand {
       .command('replicate <guid>')
       .description('Replicate dashboard to other accounts')
       .requiredOption('--targets <ids>', 'Comma-separated target account IDs')
-      .option('--update-queries', 'Update account IDs in queries')
-      .action(async (guid, options) => {
+      .option('--update-queries', 'Point account references at the target account (default)')
+      .option('--no-update-queries', 'Keep account references pointing at the source account')
+      .option('--force', 'Replicate even when widgets would have no data in the target account, or their data could not be checked')
+      .option('--dry-run', 'Only print the compatibility report')
+      .action(withCLIErrorHandler(async (guid, options) => {
         await this.replicateDashboard(guid, options, dashboard.parent.opts());
-      });
+      }));
 
     dashboard
       .command('delete <guid>')
@@ -194,6 +259,150 @@ class DashboardCommand {
     }
   }
 
+  async planDashboards(dir, options, globalOptions) {
+    const config = new Config({ ...globalOptions, ...options });
+    const output = new Output(config.outputFormat, config.quiet);
+    const service = new DashboardSyncService(config);
+
+    output.startSpinner('Comparing definitions with live dashboards...');
+    let plan;
+    try {
+      plan = await service.plan(dir, { stateFile: options.state, adopt: options.adopt });
+      output.stopSpinner(true, `Planned ${plan.items.length} dashboards`);
+    } catch (error) {
+      output.stopSpinner(false, 'Failed to plan dashboards');
+      throw error instanceof CLIError ? error : new APIError(`Failed to plan dashboards: ${error.message}`, error);
+    }
+
+    this.printPlan(plan, output);
+
+    if (options.exitCode && plan.summary.create + plan.summary.update > 0) {
+      throw new CLIError('Dashboards have pending changes', 2);
+    }
+  }
+
+  async applyDashboards(dir, options, globalOptions) {
+    const config = new Config({ ...globalOptions, ...options });
+    const output = new Output(config.outputFormat, config.quiet);
+    const service = new DashboardSyncService(config);
+
+    let plan;
+    let results;
+    try {
+      output.startSpinner('Comparing definitions with live dashboards...');
+      plan = await service.plan(dir, { stateFile: options.state, adopt: options.adopt });
+      output.stopSpinner(true, `Planned ${plan.items.length} dashboards`);
+
+      if (!output.isJSON) {
+        this.printPlan(plan, output);
+      }
+
+      output.startSpinner('Applying changes...');
+      results = await service.apply(plan);
+      output.stopSpinner(results.every(result => result.success), 'Apply finished');
+    } catch (error) {
+      output.stopSpinner(false, 'Failed to apply dashboards');
+      throw error instanceof CLIError ? error : new APIError(`Failed to apply dashboards: ${error.message}`, error);
+    }
+
+    if (output.isJSON) {
+      output.json({ summary: plan.summary, statePath: plan.statePath, results });
+    } else {
+      output.print(results.filter(result => result.action !== 'noop'), {
+        title: 'Apply Results',
+        table: true,
+        columns: ['key', 'action', 'success', 'guid', 'error']
+      });
+      output.info(`State saved to ${plan.statePath}`);
+    }
+
+    const failed = results.filter(result => !result.success);
+    if (failed.length > 0) {
+      throw new APIError(`Failed to apply ${failed.length} of ${results.length} dashboards`);
+    }
+  }
+
+  // Comparing two definition files is purely local, so API credentials are
+  // only needed when one side is a GUID
+  async diffDashboards(a, b, options, globalOptions) {
+    const local = isDashboardFile(a) && isDashboardFile(b);
+    const config = local ? null : new Config({ ...globalOptions, ...options });
+    const output = config
+      ? new Output(config.outputFormat, config.quiet)
+      : new Output(globalOptions.json ? 'json' : 'human', globalOptions.quiet);
+    const service = config ? new DashboardService(config) : null;
+
+    let before;
+    let after;
+    try {
+      output.startSpinner('Loading dashboards...');
+      [before, after] = await Promise.all([
+        this.loadDashboard(a, service),
+        this.loadDashboard(b, service)
+      ]);
+      output.stopSpinner(true);
+    } catch (error) {
+      output.stopSpinner(false, 'Failed to load dashboards');
+      throw error instanceof CLIError ? error : new APIError(`Failed to load dashboards: ${error.message}`, error);
+    }
+
+    const report = compareDashboards(before, after);
+
+    if (output.isJSON) {
+      output.json({ a, b, ...report });
+    } else {
+      output.header(`Dashboard Diff: ${before.name} → ${after.name}`);
+      formatComparison(report).forEach(line => output.log(this.colorDiffLine(line)));
+
+      const { added, removed, modified, moved, unchanged } = report.summary;
+      output.info(`\n${added} added, ${removed} removed, ${modified} modified, ${moved} moved, ${unchanged} unchanged widgets`);
+      if (report.identical) {
+        output.success('Dashboards are identical');
+      }
+    }
+
+    if (options.exitCode && !report.identical) {
+      throw new CLIError('Dashboards differ', 2);
+    }
+  }
+
+  colorDiffLine(line) {
+    const symbol = line.trimStart()[0];
+    if (symbol === '+') return chalk.green(line);
+    if (symbol === '-') return chalk.red(line);
+    if (symbol === '~') return chalk.yellow(line);
+    return line;
+  }
+
+  printPlan(plan, output) {
+    if (output.isJSON) {
+      output.json({
+        statePath: plan.statePath,
+        summary: plan.summary,
+        items: plan.items.map(({ dashboard, ...item }) => item),
+        orphans: plan.orphans
+      });
+      return;
+    }
+
+    const symbols = { create: chalk.green('+'), update: chalk.yellow('~'), noop: chalk.gray('=') };
+
+    output.header('Dashboard Plan');
+    plan.items.forEach(item => {
+      const target = item.guid ? ` (${item.guid}${item.adopted ? ', adopted' : ''})` : '';
+      output.log(`${symbols[item.action]} ${item.key}: ${item.name}${chalk.gray(target)}`);
+      item.notes.forEach(note => output.warning(`  ${note}`));
+      formatChanges(item.changes).forEach(line => output.log(`    ${this.colorDiffLine(line)}`));
+    });
+
+    plan.orphans.forEach(orphan => {
+      output.warning(`${orphan.key} is in the state file but has no definition; ${orphan.guid} is left untouched`);
+    });
+
+    const { create, update, noop } = plan.summary;
+    output.info(`\nPlan: ${create} to create, ${update} to update, ${noop} unchanged`);
+  }
+
   async validateJSON(filePath, options, globalOptions) {
     const config = new Config({ ...globalOptions, ...options });
     const output = new Output(config.outputFormat, config.quiet);
@@ -201,7 +410,18 @@ class DashboardCommand {
 
     try {
       const content = await fs.readFile(filePath, 'utf-8');
-      const dashboard = JSON.parse(content);
+      let dashboard = JSON.parse(content);
+
+      if (options.formatQueries) {
+        const formatted = formatDashboardJSON(content);
+        const { changes, errors } = formatted;
+        if (changes.length > 0) {
+          await fs.writeFile(filePath, formatted.content);
+          dashboard = formatted.dashboard;
+        }
+        output.info(`Formatted ${changes.length} widget queries in ${filePath}`);
+        errors.forEach(error => output.warning(`${error.location}: ${error.error}`));
+      }
 
       output.startSpinner('Validating dashboard structure...');
       const validation = await service.validateDashboard(dashboard);
@@ -262,6 +482,89 @@ class DashboardCommand {
     }
   }
 
+  // Offline, so no Config or API key is needed
+  async validateLocal(options, globalOptions) {
+    // --endpoint is also a global option, so commander may have parsed it there
+    const endpoint = options.endpoint || globalOptions.endpoint;
+    if (!endpoint) {
+      throw new ValidationError('--endpoint <url> is required');
+    }
+    if (!MAPPING_SOURCES.includes(options.source)) {
+      throw new ValidationError(`--source must be one of ${MAPPING_SOURCES.join(', ')}`);
+    }
+    if (!/\.(json|ya?ml)$/i.test(options.dashboard)) {
+      throw new ValidationError('--dashboard must be a .json or .yaml file');
+    }
+
+    const output = new Output(globalOptions.json ? 'json' : 'human', globalOptions.quiet);
+    const service = new LocalValidationService({ timeout: options.timeout });
+
+    let report;
+    let scrape;
+    try {
+      output.startSpinner('Loading dashboard...');
+      const dashboardConfig = await this.loadDashboard(options.dashboard, null);
+
+      output.updateSpinner(`Scraping ${endpoint}...`);
+      const attributes = (options.attributes || '').split(',').map(name => name.trim()).filter(Boolean);
+      scrape = await service.scrape(endpoint, {
+        source: options.source,
+        attributes: Object.fromEntries(attributes.map(name => [name, true]))
+      });
+
+      report = service.validateDashboard(dashboardConfig, scrape.metrics);
+      output.stopSpinner(true);
+    } catch (error) {
+      output.stopSpinner(false, 'Local validation failed');
+      throw error instanceof CLIError ? error : new APIError(`Local validation failed: ${error.message}`, error);
+    }
+
+    if (output.isJSON) {
+      output.json({
+        endpoint: scrape.endpoint,
+        format: scrape.format,
+        source: scrape.source,
+        metrics: scrape.metrics.length,
+        parseErrors: scrape.errors,
+        ...report
+      });
+    } else {
+      output.header(`Local Validation: ${report.dashboardName}`);
+      output.info(`${scrape.endpoint} (${scrape.format}): ${scrape.families} families, ${scrape.metrics.length} metrics as shipped by ${scrape.source}`);
+      if (scrape.errors.length > 0) {
+        output.warning(`${scrape.errors.length} malformed lines skipped, first at line ${scrape.errors[0].line}: ${scrape.errors[0].message}`);
+      }
+
+      const issues = report.queries.flatMap(item => item.issues.map(issue => ({
+        page: item.page,
+        widget: item.widget,
+        clause: issue.clause || '-',
+        name: issue.name || '-',
+        severity: issue.severity,
+        problem: issue.message,
+        didYouMean: issue.suggestions.join(', ') || '-'
+      })));
+      if (issues.length > 0) {
+        output.printTable(issues, ['page', 'widget', 'clause', 'name', 'severity', 'problem', 'didYouMean']);
+      }
+
+      const skipped = report.queries.filter(item => item.status === 'skipped');
+      if (skipped.length > 0) {
+        output.info(`Skipped ${skipped.length} queries: ${[...new Set(skipped.map(item => item.reason))].join('; ')}`);
+      }
+
+      const { queries, valid, warning, invalid } = report.summary;
+      output.info(`\n${queries} queries: ${valid} valid, ${warning} with warnings, ${invalid} invalid, ${skipped.length} skipped`);
+      if (invalid === 0) {
+        output.success('Every Metric query matches the endpoint');
+      }
+    }
+
+    if (report.summary.invalid > 0) {
+      throw new CLIError(`${report.summary.invalid} queries use names ${endpoint} does not expose`);
+    }
+  }
+
   async findBrokenWidgets(guidOrFile, options, globalOptions) {
     const config = new Config({ ...globalOptions, ...options });
     const output = new Output(config.outputFormat, config.quiet);
@@ -283,7 +586,7 @@ class DashboardCommand {
         output.print(brokenWidgets, {
           title: 'Broken Widgets',
           table: true,
-          columns: ['page', 'widget', 'error', 'suggestion']
+          columns: ['page', 'widget', 'accountId', 'error', 'suggestion']
         });
         throw new ValidationError(`Found ${brokenWidgets.length} broken widgets`, brokenWidgets);
       }
@@ -328,6 +631,64 @@ class DashboardCommand {
     }
   }
 
+  async analyzeCost(guidOrFile, options, globalOptions) {
+    const config = new Config({ ...globalOptions, ...options });
+    const output = new Output(config.outputFormat, config.quiet);
+    const service = new DashboardService(config);
+    const costService = new CostService(config);
+
+    if (options.refresh !== undefined && !(options.refresh > 0)) {
+      throw new ValidationError('--refresh must be a positive number of seconds');
+    }
+    if (options.top !== undefined && !(options.top > 0)) {
+      throw new ValidationError('--top must be a positive number');
+    }
+
+    try {
+      output.startSpinner('Loading dashboard...');
+      const dashboard = await this.loadDashboard(guidOrFile, service);
+
+      output.updateSpinner('Measuring query volume...');
+      const analysis = await costService.analyzeDashboard(dashboard, { refreshSeconds: options.refresh });
+      const widgets = options.top ? analysis.widgets.slice(0, options.top) : analysis.widgets;
+
+      output.stopSpinner(true);
+
+      if (output.isJSON) {
+        output.json({ ...analysis, widgets });
+        return;
+      }
+
+      output.header(`Query Cost: ${analysis.dashboardName}`);
+      output.info(`Data scanned: ${formatBytes(analysis.totals.bytesPerHour)}/hour across ${analysis.totals.widgets} widgets`);
+      output.info(`Events scanned: ${Math.round(analysis.totals.eventsPerHour).toLocaleString()}/hour`);
+
+      if (widgets.length > 0) {
+        output.printTable(widgets.map(widget => ({
+          rank: widget.rank,
+          page: widget.page,
+          widget: widget.widget,
+          scannedPerHour: formatBytes(widget.bytesPerHour),
+          eventsPerHour: Math.round(widget.eventsPerHour).toLocaleString(),
+          refresh: `${widget.refreshSeconds}s`,
+          facetGroups: widget.facetGroups,
+          cost: widget.cost,
+          share: `${widget.share}%`
+        })), ['rank', 'page', 'widget', 'scannedPerHour', 'eventsPerHour', 'refresh', 'facetGroups', 'cost', 'share']);
+      }
+
+      if (analysis.unmeasured.length > 0) {
+        output.warning(`${analysis.unmeasured.length} queries could not be measured:`);
+        analysis.unmeasured.forEach(item => {
+          output.warning(`  ${item.page} / ${item.widget} (query ${item.queryIndex}): ${item.reason}`);
+        });
+      }
+    } catch (error) {
+      output.stopSpinner(false, 'Failed to analyze cost');
+      throw error instanceof CLIError ? error : new APIError(`Failed to analyze cost: ${error.message}`, error);
+    }
+  }
+
   async checkAttributeUsage(guidOrFile, options, globalOptions) {
     const config = new Config({ ...globalOptions, ...options });
     const output = new Output(config.outputFormat, config.quiet);
@@ -368,24 +729,41 @@ class DashboardCommand {
       
       output.startSpinner('Exporting source dashboard...');
       const dashboard = await service.exportDashboard(guid);
+      const sourceAccountId = entityGuidAccountId(guid) || config.requireAccountId();
       
+      const reports = [];
       const results = [];
       
       for (const targetId of targetAccountIds) {
+        output.updateSpinner(`Checking compatibility with account ${targetId}...`);
+        const compatibility = await service.checkReplicationCompatibility(dashboard, sourceAccountId, targetId);
+        reports.push(compatibility);
+
+        if (options.dryRun) continue;
+        if (!compatibility.compatible && !options.force) {
+          results.push({
+            accountId: targetId,
+            success: false,
+            error: `${describeIncompatibility(compatibility)}; use --force to replicate anyway`
+          });
+          continue;
+        }
+
         output.updateSpinner(`Replicating to account ${targetId}...`);
-        
         try {
-          const result = await service.replicateDashboard(
-            dashboard,
-            targetId,
-            { updateQueries: options.updateQueries }
-          );
+          const result = await service.replicateDashboard(dashboard, targetId, {
+            sourceAccountId,
+            compatibility,
+            force: options.force,
+            updateQueries: options.updateQueries
+          });
           
           results.push({
             accountId: targetId,
             success: true,
             guid: result.guid,
-            name: result.name
+            name: result.name,
+            warnings: result.warnings
           });
         } catch (error) {
           results.push({
@@ -396,16 +774,31 @@ class DashboardCommand {
         }
       }
       
+      const incompatible = reports.filter(report => !report.compatible).length;
       const successCount = results.filter(r => r.success).length;
-      output.stopSpinner(successCount === targetAccountIds.length);
+      output.stopSpinner(options.dryRun ? incompatible === 0 : successCount === targetAccountIds.length);
 
-      output.print(results, {
-        title: 'Replication Results',
-        table: true,
-        columns: ['accountId', 'success', 'guid', 'error']
-      });
+      if (output.isJSON) {
+        output.json(options.dryRun ? { compatibility: reports } : { compatibility: reports, results });
+      } else {
+        this.printCompatibility(reports, output);
+        if (!options.dryRun) {
+          output.print(results, {
+            title: 'Replication Results',
+            table: true,
+            columns: ['accountId', 'success', 'guid', 'error']
+          });
+          results
+            .flatMap(result => (result.warnings || []).map(warning => `Account ${result.accountId}: ${warning}`))
+            .forEach(warning => output.warning(warning));
+        }
+      }
 
-      if (successCount < targetAccountIds.length) {
+      if (options.dryRun && incompatible > 0) {
+        output.error(`${incompatible} target accounts are missing data the dashboard uses or could not be checked`);
+        throw new CLIError("Operation failed");
+      }
+      if (!options.dryRun && successCount < targetAccountIds.length) {
         output.error(`Failed to replicate to ${targetAccountIds.length - successCount} accounts`);
         throw new CLIError("Operation failed");
       }
@@ -416,6 +809,26 @@ class DashboardCommand {
     }
   }
 
+  printCompatibility(reports, output) {
+    reports.forEach(report => {
+      output.header(`Compatibility: ${report.sourceAccountId} → ${report.targetAccountId}`);
+      output.printTable(report.eventTypes, ['eventType', 'checked', 'inSource', 'inTarget', 'missingAttributes', 'similarity']);
+
+      if (report.compatible) {
+        output.success('Every widget has the data it needs in the target account');
+        return;
+      }
+      report.brokenWidgets.forEach(broken => {
+        output.log(`${chalk.red('✗')} ${broken.page} / ${broken.widget}`);
+        broken.issues.forEach(issue => output.log(`    ${issue}`));
+      });
+      report.unchecked.forEach(({ eventType, error }) => {
+        output.log(`${chalk.yellow('?')} ${eventType} could not be checked: ${error}`);
+      });
+    });
+  }
+
+
   async deleteDashboard(guid, options, globalOptions) {
     const config = new Config({ ...globalOptions, ...options });
     const output = new Output(config.outputFormat, config.quiet);
@@ -454,6 +867,9 @@ class DashboardCommand {
     if (guidOrFile.endsWith('.json')) {
       const content = await fs.readFile(guidOrFile, 'utf-8');
       return JSON.parse(content);
+    } else if (/\.ya?ml$/i.test(guidOrFile)) {
+      const content = await fs.readFile(guidOrFile, 'utf-8');
+      return yaml.load(content);
     } else {
       validateEntityGuid(guidOrFile);
       return await service.exportDashboard(guidOrFile);
@@ -461,6 +877,11 @@ class DashboardCommand {
   }
 }
 
+// Dashboard arguments are a GUID or a JSON/YAML definition file
+function isDashboardFile(guidOrFile) {
+  return guidOrFile.endsWith('.json') || /\.ya?ml$/i.test(guidOrFile);
+}
+
 module.exports = {
   DashboardCommand
 };
\ No newline at end of file
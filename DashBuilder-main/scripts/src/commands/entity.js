@@ -0,0 +1,153 @@
+const { Command } = require('commander');
+const { EntityService } = require('../services/entity.service.js');
+const { Config } = require('../core/config.js');
+const { Output } = require('../utils/output.js');
+const { validateEntityGuid } = require('../utils/validators.js');
+
+class EntityCommand {
+  getCommand() {
+    const entity = new Command('entity')
+      .description('Entity search, relationships and golden metrics');
+
+    entity
+      .command('search [query]')
+      .description('Search entities by name or entity search expression')
+      .option('--type <type>', 'Filter by entity type (e.g. APPLICATION, HOST)')
+      .option('--domain <domain>', 'Filter by domain (e.g. APM, INFRA)')
+      .option('--limit <n>', 'Maximum number of results', '50')
+      .option('--account-id <id>', 'Restrict to an account ID')
+      .action(async (query, options) => {
+        await this.search(query, options, entity.parent.opts());
+      });
+
+    entity
+      .command('describe <guid>')
+      .description('Show details and tags for an entity')
+      .action(async (guid, options) => {
+        await this.describe(guid, options, entity.parent.opts());
+      });
+
+    entity
+      .command('relationships <guid>')
+      .description('List entities related to an entity')
+      .option('--limit <n>', 'Maximum number of relationships', '100')
+      .action(async (guid, options) => {
+        await this.relationships(guid, options, entity.parent.opts());
+      });
+
+    entity
+      .command('golden-metrics <guid>')
+      .description('Show golden metric queries for an entity')
+      .option('--values', 'Run each query and include its current value')
+      .option('--since <duration>', 'Time range used with --values', '1 hour ago')
+      .option('--account-id <id>', 'Account ID used with --values')
+      .action(async (guid, options) => {
+        await this.goldenMetrics(guid, options, entity.parent.opts());
+      });
+
+    return entity;
+  }
+
+  async search(query, options, globalOptions) {
+    const config = new Config({ ...globalOptions, ...options });
+    const output = new Output(config.outputFormat, config.quiet);
+    const service = new EntityService(config);
+
+    try {
+      output.startSpinner('Searching entities...');
+      const entities = await service.searchEntities(query, options.type, {
+        domain: options.domain,
+        accountId: options.accountId,
+        limit: parseInt(options.limit)
+      });
+      output.stopSpinner(true, `Found ${entities.length} entities`);
+
+      output.print(entities, {
+        title: 'Entities',
+        table: true,
+        columns: ['name', 'type', 'domain', 'guid']
+      });
+    } catch (error) {
+      output.stopSpinner(false, 'Entity search failed');
+      output.error(error.message, error);
+      process.exit(1);
+    }
+  }
+
+  async describe(guid, options, globalOptions) {
+    const config = new Config({ ...globalOptions, ...options });
+    const output = new Output(config.outputFormat, config.quiet);
+    const service = new EntityService(config);
+
+    try {
+      validateEntityGuid(guid);
+
+      output.startSpinner('Fetching entity...');
+      const entity = await service.describeEntity(guid);
+      output.stopSpinner(true);
+
+      output.print(entity, { title: `Entity: ${entity.name}` });
+    } catch (error) {
+      output.stopSpinner(false, 'Failed to describe entity');
+      output.error(error.message, error);
+      process.exit(1);
+    }
+  }
+
+  async relationships(guid, options, globalOptions) {
+    const config = new Config({ ...globalOptions, ...options });
+    const output = new Output(config.outputFormat, config.quiet);
+    const service = new EntityService(config);
+
+    try {
+      validateEntityGuid(guid);
+
+      output.startSpinner('Fetching relationships...');
+      const relationships = await service.getRelationships(guid, {
+        limit: parseInt(options.limit)
+      });
+      output.stopSpinner(true, `Found ${relationships.length} relationships`);
+
+      output.print(relationships, {
+        title: 'Relationships',
+        table: true,
+        columns: ['direction', 'type', 'name', 'entityType', 'guid']
+      });
+    } catch (error) {
+      output.stopSpinner(false, 'Failed to fetch relationships');
+      output.error(error.message, error);
+      process.exit(1);
+    }
+  }
+
+  async goldenMetrics(guid, options, globalOptions) {
+    const config = new Config({ ...globalOptions, ...options });
+    const output = new Output(config.outputFormat, config.quiet);
+    const service = new EntityService(config);
+
+    try {
+      validateEntityGuid(guid);
+
+      output.startSpinner('Fetching golden metrics...');
+      const metrics = await service.getGoldenMetrics(guid, {
+        includeValues: options.values,
+        since: options.since
+      });
+      output.stopSpinner(true, `Found ${metrics.length} golden metrics`);
+
+      output.print(metrics, {
+        title: 'Golden Metrics',
+        table: true,
+        columns: options.values ? ['title', 'value', 'unit'] : ['title', 'unit', 'query']
+      });
+    } catch (error) {
+      output.stopSpinner(false, 'Failed to fetch golden metrics');
+      output.error(error.message, error);
+      process.exit(1);
+    }
+  }
+}
+
+module.exports = {
+  EntityCommand
+};
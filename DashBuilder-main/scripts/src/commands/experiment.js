@@ -0,0 +1,46 @@
+const { Command } = require('commander');
+const { getFeatureFlags } = require('../core/config.js');
+const { Output } = require('../utils/output.js');
+
+class ExperimentCommand {
+  getCommand() {
+    const experiment = new Command('experiment')
+      .description('Dashboard experiments (experimental, feature-gated)');
+
+    experiment
+      .command('status')
+      .description('Show whether experiments are enabled')
+      .action(async (options) => {
+        await this.status(options, experiment.parent.opts());
+      });
+
+    return experiment;
+  }
+
+  // Does not need an API key, so no Config is built here
+  async status(options, globalOptions) {
+    const output = new Output(globalOptions.json ? 'json' : 'human', globalOptions.quiet);
+    const status = {
+      feature: 'experiments',
+      enabled: getFeatureFlags().experiments,
+      implemented: false,
+      enableWith: 'NR_GUARDIAN_ENABLE_EXPERIMENTS=true'
+    };
+
+    if (output.isJSON) {
+      output.json(status);
+      return;
+    }
+
+    if (status.enabled) {
+      output.success('Experiments are enabled');
+    } else {
+      output.warning(`Experiments are disabled (enable with ${status.enableWith})`);
+    }
+    output.info('No experiment commands are available yet');
+  }
+}
+
+module.exports = {
+  ExperimentCommand
+};
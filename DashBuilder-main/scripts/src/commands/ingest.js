@@ -0,0 +1,163 @@
+const { Command } = require('commander');
+const { IngestService } = require('../services/ingest.service.js');
+const { Config } = require('../core/config.js');
+const { Output } = require('../utils/output.js');
+
+function formatGB(value) {
+  return value > 0 && value < 0.01 ? value.toExponential(2) : value.toFixed(2);
+}
+
+class IngestCommand {
+  getCommand() {
+    const ingest = new Command('ingest')
+      .description('Data ingest volume and cost analysis')
+      .option('--since <duration>', 'Time range to analyze', '1 day ago');
+
+    ingest
+      .command('event-type <eventType>')
+      .description('Show data volume and top sources for an event type')
+      .option('--limit <n>', 'Number of top sources to show', '10')
+      .option('--account-id <id>', 'Override default account ID')
+      .action(async (eventType, options) => {
+        await this.analyzeEventType(eventType, options, ingest.parent.opts(), ingest.opts());
+      });
+
+    ingest
+      .command('all')
+      .description('Show data volume for every event type in the account')
+      .option('--account-id <id>', 'Override default account ID')
+      .action(async (options) => {
+        await this.analyzeAll(options, ingest.parent.opts(), ingest.opts());
+      });
+
+    ingest
+      .command('process-optimization')
+      .description('Find ProcessSample volume that can be reduced')
+      .option('--cpu-threshold <percent>', 'Processes below this average CPU are idle', '1')
+      .option('--limit <n>', 'Maximum number of processes to analyze', '200')
+      .option('--account-id <id>', 'Override default account ID')
+      .action(async (options) => {
+        await this.analyzeProcessOptimization(options, ingest.parent.opts(), ingest.opts());
+      });
+
+    return ingest;
+  }
+
+  async analyzeEventType(eventType, options, globalOptions, groupOptions) {
+    const config = new Config({ ...globalOptions, ...options });
+    const output = new Output(config.outputFormat, config.quiet);
+    const service = new IngestService(config);
+
+    try {
+      output.startSpinner(`Measuring ${eventType} volume...`);
+      const analysis = await service.analyzeEventType(eventType, groupOptions.since, {
+        limit: parseInt(options.limit)
+      });
+      output.stopSpinner(true);
+
+      if (output.isJSON) {
+        output.json(analysis);
+        return;
+      }
+
+      output.print({
+        events: analysis.events,
+        gigabytes: formatGB(analysis.gigabytes),
+        averageEventBytes: analysis.averageEventBytes,
+        estimatedMonthlyGB: formatGB(analysis.estimatedMonthlyGB)
+      }, { title: `Ingest: ${eventType} (since ${analysis.timeWindow})` });
+
+      if (analysis.topSources) {
+        output.print(analysis.topSources.sources, {
+          title: `Top sources by ${analysis.topSources.attribute}`,
+          table: true,
+          columns: ['name', 'events', 'bytes', 'percentage']
+        });
+      }
+    } catch (error) {
+      output.stopSpinner(false, 'Failed to analyze event type');
+      output.error(error.message, error);
+      process.exit(1);
+    }
+  }
+
+  async analyzeAll(options, globalOptions, groupOptions) {
+    const config = new Config({ ...globalOptions, ...options });
+    const output = new Output(config.outputFormat, config.quiet);
+    const service = new IngestService(config);
+
+    try {
+      output.startSpinner('Measuring volume for all event types...');
+      const analysis = await service.analyzeAllEventTypes(groupOptions.since);
+      output.stopSpinner(true, `Measured ${analysis.eventTypes.length} event types`);
+
+      if (output.isJSON) {
+        output.json(analysis);
+        return;
+      }
+
+      output.print(analysis.eventTypes.map(row => ({
+        eventType: row.eventType,
+        events: row.events,
+        gigabytes: formatGB(row.gigabytes),
+        percentage: row.percentage,
+        monthlyGB: formatGB(row.estimatedMonthlyGB)
+      })), {
+        title: `Ingest by event type (since ${analysis.timeWindow})`,
+        table: true
+      });
+      output.info(`Total: ${formatGB(analysis.totalGigabytes)} GB, ~${formatGB(analysis.estimatedMonthlyGB)} GB/month`);
+    } catch (error) {
+      output.stopSpinner(false, 'Failed to analyze ingest');
+      output.error(error.message, error);
+      process.exit(1);
+    }
+  }
+
+  async analyzeProcessOptimization(options, globalOptions, groupOptions) {
+    const config = new Config({ ...globalOptions, ...options });
+    const output = new Output(config.outputFormat, config.quiet);
+    const service = new IngestService(config);
+
+    try {
+      output.startSpinner('Analyzing ProcessSample volume...');
+      const analysis = await service.analyzeProcessOptimization(groupOptions.since, {
+        cpuThreshold: parseFloat(options.cpuThreshold),
+        limit: parseInt(options.limit)
+      });
+      output.stopSpinner(true, `Analyzed ${analysis.totalProcesses} processes`);
+
+      if (output.isJSON) {
+        output.json(analysis);
+        return;
+      }
+
+      output.print(analysis.topProcesses.map(proc => ({
+        name: proc.name,
+        category: proc.category,
+        priority: proc.priority,
+        bytes: proc.bytes,
+        averageCpu: proc.averageCpu.toFixed(2)
+      })), {
+        title: 'Top processes by volume',
+        table: true
+      });
+
+      output.info(`ProcessSample: ~${formatGB(analysis.estimatedMonthlyGB)} GB/month`);
+      if (analysis.recommendations.length === 0) {
+        output.success('No optimization opportunities found');
+      }
+      analysis.recommendations.forEach(rec => {
+        output.warning(`${rec.description} (~${rec.estimatedSavingsPercent}% of ProcessSample volume)`);
+      });
+    } catch (error) {
+      output.stopSpinner(false, 'Failed to analyze process optimization');
+      output.error(error.message, error);
+      process.exit(1);
+    }
+  }
+}
+
+module.exports = {
+  IngestCommand
+};
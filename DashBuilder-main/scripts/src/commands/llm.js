@@ -0,0 +1,41 @@
+const { Command } = require('commander');
+const { LLMEnhancementService } = require('../services/llm-enhancement.service.js');
+const { Output } = require('../utils/output.js');
+
+class LLMCommand {
+  getCommand() {
+    const llm = new Command('llm')
+      .description('LLM-assisted enhancements (experimental, feature-gated)');
+
+    llm
+      .command('status')
+      .description('Show whether LLM enhancements are enabled')
+      .action(async (options) => {
+        await this.status(options, llm.parent.opts());
+      });
+
+    return llm;
+  }
+
+  // Does not need an API key, so no Config is built here
+  async status(options, globalOptions) {
+    const output = new Output(globalOptions.json ? 'json' : 'human', globalOptions.quiet);
+    const status = new LLMEnhancementService().getStatus();
+
+    if (output.isJSON) {
+      output.json(status);
+      return;
+    }
+
+    if (status.enabled) {
+      output.success('LLM enhancements are enabled');
+    } else {
+      output.warning(`LLM enhancements are disabled (enable with ${status.enableWith})`);
+    }
+    output.info('No LLM commands are available yet');
+  }
+}
+
+module.exports = {
+  LLMCommand
+};
@@ -4,6 +4,12 @@ const { NRQLService } = require('../services/nrql.service.js');
 const { Config } = require('../core/config.js');
 const { Output } = require('../utils/output.js');
 const { validateNRQLQuery } = require('../utils/validators.js');
+const {
+  formatNRQL,
+  formatDashboardJSON,
+  formatNRQLDocument,
+  formatSourceQueries
+} = require('../utils/nrql-formatter.js');
 const { logger } = require('../utils/logger.js');
 
 class NRQLCommand {
@@ -66,6 +72,26 @@ class NRQLCommand {
         await this.autofixQuery(query, options, nrql.parent.opts());
       });
 
+    nrql
+      .command('format <query>')
+      .description('Print a query in canonical form')
+      .option('--compact', 'Print on a single line (widget style)')
+      .option('--keyword-case <case>', 'Keyword case: upper or lower', 'upper')
+      .action(async (query, options) => {
+        await this.formatQuery(query, options, nrql.parent.opts());
+      });
+
+    nrql
+      .command('format-file <filePath>')
+      .description('Format queries in a dashboard JSON, JavaScript or NRQL file')
+      .option('--write', 'Rewrite the file in place')
+      .option('--check', 'Exit with an error if any query is not formatted')
+      .option('--compact', 'Print NRQL file queries on a single line')
+      .option('--keyword-case <case>', 'Keyword case: upper or lower', 'upper')
+      .action(async (filePath, options) => {
+        await this.formatFile(filePath, options, nrql.parent.opts());
+      });
+
     return nrql;
   }
 
@@ -304,6 +330,72 @@ class NRQLCommand {
       process.exit(1);
     }
   }
+
+  // Formatting is purely local, so it does not require API credentials
+  async formatQuery(query, options, globalOptions) {
+    const output = new Output(globalOptions.json ? 'json' : 'human', globalOptions.quiet);
+
+    try {
+      const formatted = formatNRQL(query, {
+        compact: options.compact,
+        keywordCase: options.keywordCase
+      });
+
+      if (globalOptions.json) {
+        output.print({ query, formatted, changed: formatted !== query });
+      } else {
+        output.print(formatted);
+      }
+    } catch (error) {
+      output.error(error.message, error);
+      process.exit(1);
+    }
+  }
+
+  async formatFile(filePath, options, globalOptions) {
+    const output = new Output(globalOptions.json ? 'json' : 'human', globalOptions.quiet);
+    const formatOptions = { compact: options.compact, keywordCase: options.keywordCase };
+
+    try {
+      const content = await fs.readFile(filePath, 'utf-8');
+      let result;
+
+      if (filePath.endsWith('.json')) {
+        result = formatDashboardJSON(content, formatOptions);
+      } else if (filePath.endsWith('.js')) {
+        result = formatSourceQueries(content, formatOptions);
+      } else {
+        result = formatNRQLDocument(content, formatOptions);
+      }
+
+      result.errors.forEach(error => {
+        output.warning(`${error.location}: ${error.error}`);
+      });
+
+      if (options.write) {
+        if (result.changes.length > 0) {
+          await fs.writeFile(filePath, result.content);
+        }
+        output.success(`Formatted ${result.changes.length} queries in ${filePath}`);
+      } else if (options.check) {
+        result.changes.forEach(change => {
+          output.info(`${change.location}:\n  - ${change.before}\n  + ${change.after}`);
+        });
+      } else if (globalOptions.json) {
+        output.print({ file: filePath, changes: result.changes, errors: result.errors });
+      } else {
+        output.print(result.content);
+      }
+
+      if (options.check && result.changes.length > 0) {
+        output.error(`${result.changes.length} queries in ${filePath} are not formatted`);
+        process.exit(1);
+      }
+    } catch (error) {
+      output.error(`Failed to format file: ${error.message}`, error);
+      process.exit(1);
+    }
+  }
 }
 
 module.exports = {
@@ -1,83 +1,35 @@
-const { RateLimiter } = require('../utils/rate-limiter.js');
 const { logger } = require('../utils/logger.js');
 const { NRGuardianError, APIError, ValidationError } = require('../utils/errors.js');
+const { createTransport } = require('./transport.js');
+
+// NerdGraph has one create/update mutation per NRQL condition type
+const NRQL_CONDITION_MUTATIONS = {
+  STATIC: {
+    create: 'alertsNrqlConditionStaticCreate',
+    createInput: 'AlertsNrqlConditionStaticInput',
+    update: 'alertsNrqlConditionStaticUpdate',
+    updateInput: 'AlertsNrqlConditionUpdateStaticInput'
+  },
+  BASELINE: {
+    create: 'alertsNrqlConditionBaselineCreate',
+    createInput: 'AlertsNrqlConditionBaselineInput',
+    update: 'alertsNrqlConditionBaselineUpdate',
+    updateInput: 'AlertsNrqlConditionUpdateBaselineInput'
+  }
+};
 
 class NerdGraphClient {
   constructor(config) {
     this.apiKey = config.apiKey;
     this.region = config.region || 'US';
-    this.endpoint = this.region === 'EU' 
-      ? 'https://api.eu.newrelic.com/graphql'
-      : 'https://api.newrelic.com/graphql';
-    
-    this.rateLimiter = new RateLimiter({
-      maxRequests: config.rateLimitMax || 25,
-      interval: 60000 // 1 minute
-    });
 
-    this.retryConfig = {
-      maxRetries: 3,
-      baseDelay: 1000,
-      maxDelay: 10000
-    };
+    // Rate limiting, retries and record/replay live in the shared transport
+    this.transport = createTransport(config);
+    this.endpoint = this.transport.endpoint;
   }
 
   async query(gqlQuery, variables = {}) {
-    await this.rateLimiter.checkLimit();
-
-    const body = JSON.stringify({
-      query: gqlQuery,
-      variables
-    });
-
-    let lastError;
-    for (let attempt = 0; attempt <= this.retryConfig.maxRetries; attempt++) {
-      try {
-        const response = await fetch(this.endpoint, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'API-Key': this.apiKey
-          },
-          body
-        });
-
-        if (!response.ok) {
-          throw new APIError(`API request failed: ${response.status} ${response.statusText}`, response.status);
-        }
-
-        const data = await response.json();
-
-        if (data.errors) {
-          const errorMessage = data.errors.map(e => e.message).join(', ');
-          throw new APIError(`GraphQL errors: ${errorMessage}`, 200, data.errors);
-        }
-
-        return data.data;
-      } catch (error) {
-        lastError = error;
-        
-        if (error instanceof APIError && error.statusCode === 429) {
-          // Rate limited - wait longer
-          const delay = Math.min(
-            this.retryConfig.baseDelay * Math.pow(2, attempt + 2),
-            this.retryConfig.maxDelay
-          );
-          logger.warn(`Rate limited, waiting ${delay}ms before retry ${attempt + 1}`);
-          await this.sleep(delay);
-        } else if (attempt < this.retryConfig.maxRetries) {
-          // Other errors - exponential backoff
-          const delay = Math.min(
-            this.retryConfig.baseDelay * Math.pow(2, attempt),
-            this.retryConfig.maxDelay
-          );
-          logger.debug(`Request failed, retrying in ${delay}ms (attempt ${attempt + 1})`);
-          await this.sleep(delay);
-        }
-      }
-    }
-
-    throw lastError;
+    return await this.transport.request(gqlQuery, variables);
   }
 
   async nrql(accountId, nrqlQuery) {
@@ -117,7 +69,9 @@ class NerdGraphClient {
     try {
       const result = await this.nrql(accountId, nrqlQuery);
       if (result.results.length > 0) {
-        return Object.keys(result.results[0]);
+        // keyset() returns one row listing the attribute names under allKeys
+        const row = result.results[0];
+        return Array.isArray(row.allKeys) ? row.allKeys : Object.keys(row);
       }
       return [];
     } catch (error) {
@@ -163,9 +117,30 @@ class NerdGraphClient {
             guid
             name
             ... on DashboardEntity {
+              description
               createdAt
               updatedAt
               permissions
+              variables {
+                name
+                title
+                type
+                isMultiSelection
+                replacementStrategy
+                items {
+                  title
+                  value
+                }
+                defaultValues {
+                  value {
+                    string
+                  }
+                }
+                nrqlQuery {
+                  accountIds
+                  query
+                }
+              }
               pages {
                 name
                 widgets {
@@ -180,6 +155,9 @@ class NerdGraphClient {
                   visualization {
                     id
                   }
+                  linkedEntities {
+                    guid
+                  }
                 }
               }
             }
@@ -304,15 +282,20 @@ class NerdGraphClient {
 
   async getAlertConditions(accountId, policyId) {
     const gql = `
-      query($accountId: Int!, $policyId: ID!) {
+      query($accountId: Int!, $policyId: ID!, $cursor: String) {
         actor {
           account(id: $accountId) {
             alerts {
-              nrqlConditionsSearch(searchCriteria: {policyId: $policyId}) {
+              nrqlConditionsSearch(searchCriteria: {policyId: $policyId}, cursor: $cursor) {
+                nextCursor
                 nrqlConditions {
                   id
                   name
+                  type
                   enabled
+                  description
+                  runbookUrl
+                  policyId
                   nrql {
                     query
                   }
@@ -323,6 +306,23 @@ class NerdGraphClient {
                     operator
                     priority
                   }
+                  signal {
+                    aggregationWindow
+                    aggregationMethod
+                    aggregationDelay
+                    aggregationTimer
+                    fillOption
+                    fillValue
+                  }
+                  expiration {
+                    expirationDuration
+                    closeViolationsOnExpiration
+                    openViolationOnExpiration
+                  }
+                  violationTimeLimitSeconds
+                  ... on AlertsNrqlBaselineCondition {
+                    baselineDirection
+                  }
                 }
               }
             }
@@ -331,11 +331,98 @@ class NerdGraphClient {
       }
     `;
 
-    const result = await this.query(gql, { 
-      accountId: parseInt(accountId), 
-      policyId: policyId.toString() 
+    const conditions = [];
+    let cursor = null;
+    do {
+      const result = await this.query(gql, {
+        accountId: parseInt(accountId),
+        policyId: policyId.toString(),
+        cursor
+      });
+      const page = result.actor.account.alerts.nrqlConditionsSearch;
+      conditions.push(...page.nrqlConditions);
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    return conditions;
+  }
+
+  async createAlertPolicy(accountId, policy) {
+    const gql = `
+      mutation($accountId: Int!, $policy: AlertsPolicyInput!) {
+        alertsPolicyCreate(accountId: $accountId, policy: $policy) {
+          id
+          name
+          incidentPreference
+        }
+      }
+    `;
+
+    const result = await this.query(gql, {
+      accountId: parseInt(accountId),
+      policy: { incidentPreference: 'PER_CONDITION', ...policy }
     });
-    return result.actor.account.alerts.nrqlConditionsSearch.nrqlConditions;
+    return result.alertsPolicyCreate;
+  }
+
+  // type is STATIC or BASELINE, matching the NerdGraph condition type
+  async createNrqlCondition(accountId, policyId, type, condition) {
+    const mutation = NRQL_CONDITION_MUTATIONS[type];
+    if (!mutation) {
+      throw new ValidationError(`Unsupported NRQL condition type: ${type}`);
+    }
+
+    const gql = `
+      mutation($accountId: Int!, $policyId: ID!, $condition: ${mutation.createInput}!) {
+        ${mutation.create}(accountId: $accountId, policyId: $policyId, condition: $condition) {
+          id
+          name
+        }
+      }
+    `;
+
+    const result = await this.query(gql, {
+      accountId: parseInt(accountId),
+      policyId: policyId.toString(),
+      condition
+    });
+    return result[mutation.create];
+  }
+
+  async updateNrqlCondition(accountId, id, type, condition) {
+    const mutation = NRQL_CONDITION_MUTATIONS[type];
+    if (!mutation) {
+      throw new ValidationError(`Unsupported NRQL condition type: ${type}`);
+    }
+
+    const gql = `
+      mutation($accountId: Int!, $id: ID!, $condition: ${mutation.updateInput}!) {
+        ${mutation.update}(accountId: $accountId, id: $id, condition: $condition) {
+          id
+          name
+        }
+      }
+    `;
+
+    const result = await this.query(gql, {
+      accountId: parseInt(accountId),
+      id: id.toString(),
+      condition
+    });
+    return result[mutation.update];
+  }
+
+  async deleteAlertCondition(accountId, id) {
+    const gql = `
+      mutation($accountId: Int!, $id: ID!) {
+        alertsConditionDelete(accountId: $accountId, id: $id) {
+          id
+        }
+      }
+    `;
+
+    const result = await this.query(gql, { accountId: parseInt(accountId), id: id.toString() });
+    return result.alertsConditionDelete;
   }
 
   async getEntity(guid) {
@@ -375,6 +462,69 @@ class NerdGraphClient {
     return result.actor.entity;
   }
 
+  async getEntityRelationships(guid, limit = 100) {
+    const gql = `
+      query($guid: EntityGuid!) {
+        actor {
+          entity(guid: $guid) {
+            relatedEntities {
+              results {
+                type
+                source {
+                  entity {
+                    guid
+                    name
+                    type
+                    domain
+                  }
+                }
+                target {
+                  entity {
+                    guid
+                    name
+                    type
+                    domain
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const result = await this.query(gql, { guid });
+    if (!result.actor.entity) {
+      return [];
+    }
+    return result.actor.entity.relatedEntities.results.slice(0, limit);
+  }
+
+  async getEntityGoldenMetrics(guid) {
+    const gql = `
+      query($guid: EntityGuid!) {
+        actor {
+          entity(guid: $guid) {
+            goldenMetrics {
+              metrics {
+                name
+                title
+                unit
+                query
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const result = await this.query(gql, { guid });
+    if (!result.actor.entity) {
+      return [];
+    }
+    return result.actor.entity.goldenMetrics?.metrics || [];
+  }
+
   async searchEntities(query, limit = 100) {
     const gql = `
       query($query: String!, $limit: Int!) {
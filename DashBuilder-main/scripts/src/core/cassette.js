@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizeNRQL } = require('../utils/nrql-formatter.js');
+const { ConfigError, NRGuardianError } = require('../utils/errors.js');
+const { logger } = require('../utils/logger.js');
+
+const MODES = ['record', 'replay'];
+const SCRUBBED = '[SCRUBBED]';
+
+// User keys (NRAK-), license keys (...NRAL) and insert/query keys (NRII-/NRIQ-)
+const KEY_PATTERNS = [
+  /NRAK-[A-Z0-9]{27}/g,
+  /NRI[IQ]-[A-Za-z0-9_-]{32}/g,
+  /\b[a-f0-9]{36}NRAL\b/gi
+];
+const SENSITIVE_FIELDS = /^(api[-_]?key|license[-_]?key|insert[-_]?key|query[-_]?key|user[-_]?key|password|secret|token)$/i;
+
+// Epoch-millisecond literals (e.g. "timestamp > 1748947040128") change on
+// every run, so they are masked before hashing
+const EPOCH_MS = /\b1\d{12}\b/g;
+
+// One instance per directory so every client in the process shares the
+// replay position of each request
+const instances = new Map();
+
+/**
+ * Records NerdGraph requests and responses to a directory of JSON files and
+ * serves them back. Requests are keyed by their normalized GraphQL document
+ * and variables; repeated requests replay their responses in order, e.g. the
+ * successive polls of an async NRQL query.
+ */
+class Cassette {
+  constructor({ dir, mode }) {
+    if (!MODES.includes(mode)) {
+      throw new ConfigError(`Cassette mode must be one of ${MODES.join(', ')} (got '${mode}')`);
+    }
+    if (!dir) {
+      throw new ConfigError('Cassette directory is required');
+    }
+
+    this.dir = path.resolve(dir);
+    this.mode = mode;
+    this.recorded = new Map();
+    this.playback = new Map();
+
+    if (mode === 'record') {
+      fs.mkdirSync(this.dir, { recursive: true });
+    } else if (!fs.existsSync(this.dir)) {
+      throw new ConfigError(`Cassette directory ${this.dir} does not exist`);
+    }
+  }
+
+  static open(options) {
+    const id = `${options.mode}:${path.resolve(options.dir || '')}`;
+    if (!instances.has(id)) {
+      instances.set(id, new Cassette(options));
+    }
+    return instances.get(id);
+  }
+
+  // Cassette settings from client options, falling back to the environment
+  static fromConfig(config = {}) {
+    const options = config.cassette || {
+      mode: process.env.NR_GUARDIAN_CASSETTE_MODE,
+      dir: process.env.NR_GUARDIAN_CASSETTE_DIR
+    };
+    if (!options.mode || options.mode === 'off') {
+      return null;
+    }
+    return Cassette.open(options);
+  }
+
+  get isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  get isRecording() {
+    return this.mode === 'record';
+  }
+
+  key(query, variables = {}) {
+    return requestKey(query, variables);
+  }
+
+  filePath(query, key) {
+    return path.join(this.dir, `${operationLabel(query)}-${key}.json`);
+  }
+
+  record(query, variables, response) {
+    const key = this.key(query, variables);
+    const file = this.filePath(query, key);
+
+    // The first recording of a key in this run replaces any older cassette
+    const entry = this.recorded.get(key) || {
+      key,
+      recordedAt: new Date().toISOString(),
+      request: scrub({ query, variables }),
+      responses: []
+    };
+    entry.responses.push(scrub(response));
+    this.recorded.set(key, entry);
+
+    fs.writeFileSync(file, JSON.stringify(entry, null, 2));
+    logger.debug(`Recorded NerdGraph response to ${path.basename(file)}`);
+  }
+
+  replay(query, variables) {
+    const key = this.key(query, variables);
+    const file = this.filePath(query, key);
+
+    if (!fs.existsSync(file)) {
+      throw new NRGuardianError(
+        `No cassette recorded for this request (${path.basename(file)} in ${this.dir}). Re-record with NR_GUARDIAN_CASSETTE_MODE=record.`,
+        'CASSETTE_MISS'
+      );
+    }
+
+    const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const index = this.playback.get(key) || 0;
+    this.playback.set(key, index + 1);
+
+    // Past the end of the recording, keep serving the last response
+    return entry.responses[Math.min(index, entry.responses.length - 1)];
+  }
+}
+
+// Stable hash of a request, independent of whitespace, variable key order
+// and NRQL formatting
+function requestKey(query, variables = {}) {
+  const normalized = JSON.stringify({
+    query: normalizeGraphQL(query),
+    variables: normalizeValue(variables)
+  });
+  return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 16);
+}
+
+function normalizeGraphQL(query) {
+  return query
+    .replace(/#[^\n]*/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*([{}():,!$=[\]])\s*/g, '$1')
+    .replace(EPOCH_MS, '<epoch>')
+    .trim();
+}
+
+// Sort object keys and put NRQL strings in canonical form so formatting
+// differences between runs do not change the key
+function normalizeValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalizeValue);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((acc, key) => {
+      acc[key] = normalizeValue(value[key]);
+      return acc;
+    }, {});
+  }
+  if (typeof value === 'string') {
+    let text = value;
+    if (/^\s*(SELECT|FROM|SHOW)\b/i.test(text)) {
+      try {
+        text = normalizeNRQL(text);
+      } catch (error) {
+        text = text.replace(/\s+/g, ' ').trim();
+      }
+    }
+    return text.replace(EPOCH_MS, '<epoch>');
+  }
+  return value;
+}
+
+function scrub(value) {
+  if (Array.isArray(value)) {
+    return value.map(scrub);
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).reduce((acc, [key, item]) => {
+      acc[key] = SENSITIVE_FIELDS.test(key) && typeof item === 'string' ? SCRUBBED : scrub(item);
+      return acc;
+    }, {});
+  }
+  if (typeof value === 'string') {
+    return KEY_PATTERNS.reduce((text, pattern) => text.replace(pattern, SCRUBBED), value);
+  }
+  return value;
+}
+
+// Readable file name prefix: the main NerdGraph field, else the first field
+// that takes arguments
+function operationLabel(query) {
+  const known = query.match(/\b(nrqlQueryProgress|nrql|entitySearch|entities|entity|dashboard\w+)\s*\(/);
+  if (known) return known[1];
+  const field = query.match(/\b(\w+)\s*\(\s*\w+\s*:/);
+  return field ? field[1] : 'query';
+}
+
+module.exports = {
+  Cassette,
+  requestKey,
+  normalizeGraphQL,
+  operationLabel,
+  scrub
+};
@@ -1,17 +1,36 @@
 const { ValidationError } = require('../utils/errors.js');
 
+// Gated command groups that are not designed yet
+function getFeatureFlags() {
+  return {
+    llm: process.env.NR_GUARDIAN_ENABLE_LLM === 'true',
+    experiments: process.env.NR_GUARDIAN_ENABLE_EXPERIMENTS === 'true'
+  };
+}
+
 class Config {
   constructor(options = {}) {
     // API Configuration
     this.apiKey = options.apiKey || process.env.NEW_RELIC_API_KEY;
     this.accountId = options.accountId || process.env.NEW_RELIC_ACCOUNT_ID;
     this.region = options.region || process.env.NEW_RELIC_REGION || 'US';
+    this.endpoint = options.endpoint || process.env.NEW_RELIC_NERDGRAPH_URL || null;
+
+    // NerdGraph record/replay; the client falls back to NR_GUARDIAN_CASSETTE_* when unset
+    if (options.record) {
+      this.cassette = { mode: 'record', dir: options.record };
+    } else if (options.replay) {
+      this.cassette = { mode: 'replay', dir: options.replay };
+    } else {
+      this.cassette = null;
+    }
 
     // Guardian Configuration
     this.cacheTTL = parseInt(process.env.NR_GUARDIAN_CACHE_TTL || '3600');
     this.rateLimitMax = parseInt(process.env.NR_GUARDIAN_RATE_LIMIT_MAX || '25');
     this.logLevel = process.env.NR_GUARDIAN_LOG_LEVEL || 'info';
     this.enableCache = process.env.NR_GUARDIAN_ENABLE_CACHE !== 'false';
+    this.features = getFeatureFlags();
 
     // Output Configuration
     this.outputFormat = options.json ? 'json' : 'human';
@@ -27,7 +46,8 @@ class Config {
   }
 
   validate() {
-    if (!this.apiKey) {
+    // Replayed traffic never reaches New Relic, so no key is needed
+    if (!this.apiKey && !this.isReplaying()) {
       throw new ValidationError(
         'New Relic API key not found. Set NEW_RELIC_API_KEY environment variable or use --api-key flag'
       );
@@ -38,6 +58,15 @@ class Config {
     }
 
     this.region = this.region.toUpperCase();
+
+    if (this.endpoint && !/^https?:\/\//.test(this.endpoint)) {
+      throw new ValidationError('Endpoint must be an http(s) URL');
+    }
+  }
+
+  isReplaying() {
+    const mode = this.cassette ? this.cassette.mode : process.env.NR_GUARDIAN_CASSETTE_MODE;
+    return mode === 'replay';
   }
 
   requireAccountId() {
@@ -54,15 +83,18 @@ class Config {
       apiKey: this.apiKey ? '***' + this.apiKey.slice(-4) : undefined,
       accountId: this.accountId,
       region: this.region,
+      endpoint: this.endpoint,
+      cassette: this.cassette,
       cacheTTL: this.cacheTTL,
       rateLimitMax: this.rateLimitMax,
       logLevel: this.logLevel,
       enableCache: this.enableCache,
       outputFormat: this.outputFormat,
       verbose: this.verbose,
-      quiet: this.quiet
+      quiet: this.quiet,
+      features: this.features
     };
   }
 }
 
-module.exports = { Config };
+module.exports = { Config, getFeatureFlags };
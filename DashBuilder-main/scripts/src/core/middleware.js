@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const { RateLimiter } = require('../utils/rate-limiter.js');
+const { logger } = require('../utils/logger.js');
+const { requestKey, operationLabel } = require('./cassette.js');
+
+// Middleware for NerdGraphTransport. Each factory returns an async
+// (ctx, next) function that resolves to the GraphQL response body.
+
+function isMutation(query) {
+  return /^\s*mutation\b/.test(query);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait for a rate-limit slot before every attempt that reaches the network
+ */
+function rateLimit(options = {}) {
+  const limiter = options.limiter || new RateLimiter(options);
+
+  return async (ctx, next) => {
+    await limiter.checkLimit();
+    return next();
+  };
+}
+
+// NRDB timeouts and capacity problems come back as GraphQL errors on a 200
+function isTransientGraphQLError(errors) {
+  return errors.some(error => /timed? ?out|temporarily|try again|rate limit/i.test(error.message || ''));
+}
+
+// 4xx responses other than 429 fail the same way every time
+function isRetryableError(error) {
+  if (error.code === 'CASSETTE_MISS') return false;
+  if (!error.statusCode) return true;
+  return error.statusCode === 429 || error.statusCode >= 500;
+}
+
+/**
+ * Retry network failures, 429/5xx responses and transient GraphQL errors
+ * with exponential backoff. ctx.options.retries overrides maxRetries.
+ * Requests aborted through ctx.options.signal are not retried.
+ */
+function retry(options = {}) {
+  const maxRetries = options.maxRetries ?? 3;
+  const baseDelay = options.baseDelay || 1000;
+  const maxDelay = options.maxDelay || 10000;
+
+  return async (ctx, next) => {
+    const retries = ctx.options.retries ?? maxRetries;
+
+    for (let attempt = 0; ; attempt++) {
+      ctx.attempt = attempt;
+      let body;
+      try {
+        body = await next();
+      } catch (error) {
+        const aborted = ctx.options.signal && ctx.options.signal.aborted;
+        if (attempt >= retries || aborted || !isRetryableError(error)) {
+          throw error;
+        }
+
+        // Rate limited - wait longer
+        const exponent = error.statusCode === 429 ? attempt + 2 : attempt;
+        const delay = Math.min(baseDelay * Math.pow(2, exponent), maxDelay);
+        logger.debug(`NerdGraph request failed (${error.message}), retrying in ${delay}ms (attempt ${attempt + 1})`);
+        ctx.transport.stats.retries++;
+        await sleep(delay);
+        continue;
+      }
+
+      if (body.errors && attempt < retries && isTransientGraphQLError(body.errors)) {
+        const delay = Math.min(baseDelay * Math.pow(2, attempt), maxDelay);
+        logger.debug(`Transient GraphQL error, retrying in ${delay}ms (attempt ${attempt + 1})`);
+        ctx.transport.stats.retries++;
+        await sleep(delay);
+        continue;
+      }
+
+      return body;
+    }
+  };
+}
+
+/**
+ * In-memory response cache for queries. Mutations, error responses and
+ * requests with options.cache === false are never cached.
+ */
+function cache(options = {}) {
+  const ttl = options.ttl || 300000;
+  const maxEntries = options.maxEntries || 500;
+  const store = new Map();
+
+  const middleware = async (ctx, next) => {
+    if (ctx.options.cache === false || isMutation(ctx.query)) {
+      return next();
+    }
+
+    const key = requestKey(ctx.query, ctx.variables);
+    const cached = store.get(key);
+    if (cached && cached.expires > Date.now()) {
+      ctx.cacheHit = true;
+      return cached.body;
+    }
+
+    const body = await next();
+    if (!body.errors) {
+      if (store.size >= maxEntries) {
+        store.delete(store.keys().next().value);
+      }
+      store.set(key, { body, expires: Date.now() + (ctx.options.ttl || ttl) });
+    }
+    return body;
+  };
+
+  middleware.clear = () => store.clear();
+  return middleware;
+}
+
+/**
+ * Serve requests from a cassette when replaying, or record the final
+ * response of each request when recording
+ */
+function cassette(instance) {
+  return async (ctx, next) => {
+    if (instance.isReplaying) {
+      return instance.replay(ctx.query, ctx.variables);
+    }
+
+    const body = await next();
+    if (instance.isRecording) {
+      instance.record(ctx.query, ctx.variables, body);
+    }
+    return body;
+  };
+}
+
+/**
+ * Count requests, errors, cache hits and time on transport.stats
+ */
+function metrics() {
+  return async (ctx, next) => {
+    const stats = ctx.transport.stats;
+    const startTime = Date.now();
+    stats.requests++;
+
+    try {
+      const body = await next();
+      if (body.errors) stats.errors++;
+      if (ctx.cacheHit) stats.cacheHits++;
+      return body;
+    } catch (error) {
+      stats.errors++;
+      throw error;
+    } finally {
+      stats.totalTime += Date.now() - startTime;
+    }
+  };
+}
+
+/**
+ * Send a W3C traceparent header and report one span per request to
+ * options.onSpan (and the debug log)
+ */
+function tracing(options = {}) {
+  return async (ctx, next) => {
+    const traceId = crypto.randomBytes(16).toString('hex');
+    const spanId = crypto.randomBytes(8).toString('hex');
+    ctx.headers.traceparent = `00-${traceId}-${spanId}-01`;
+
+    const span = {
+      traceId,
+      spanId,
+      operation: operationLabel(ctx.query),
+      endpoint: ctx.transport.endpoint,
+      startTime: Date.now()
+    };
+
+    const finish = (status, error) => {
+      span.duration = Date.now() - span.startTime;
+      span.status = status;
+      span.attempts = ctx.attempt + 1;
+      span.cacheHit = Boolean(ctx.cacheHit);
+      if (error) span.error = error.message;
+
+      logger.debug(`NerdGraph ${span.operation} ${status} in ${span.duration}ms`, { traceId });
+      if (options.onSpan) options.onSpan(span);
+    };
+
+    try {
+      const body = await next();
+      finish(body.errors ? 'graphql_error' : 'ok');
+      return body;
+    } catch (error) {
+      finish('error', error);
+      throw error;
+    }
+  };
+}
+
+module.exports = {
+  rateLimit,
+  retry,
+  cache,
+  cassette,
+  metrics,
+  tracing
+};
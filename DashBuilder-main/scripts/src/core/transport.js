@@ -0,0 +1,224 @@
+const { APIError, ConfigError } = require('../utils/errors.js');
+const { RateLimiter } = require('../utils/rate-limiter.js');
+const { Cassette } = require('./cassette.js');
+const middleware = require('./middleware.js');
+
+const ENDPOINTS = {
+  US: 'https://api.newrelic.com/graphql',
+  EU: 'https://api.eu.newrelic.com/graphql'
+};
+
+// New Relic One UI, for dashboard links
+const UI_URLS = {
+  US: 'https://one.newrelic.com',
+  EU: 'https://one.eu.newrelic.com'
+};
+
+const REGIONS = Object.keys(ENDPOINTS);
+
+// Rate limits apply per API key, so every transport using the same key in
+// this process shares one limiter
+const sharedLimiters = new Map();
+
+function resolveRegion(config = {}) {
+  const region = (config.region || process.env.NEW_RELIC_REGION || 'US').toUpperCase();
+  if (!REGIONS.includes(region)) {
+    throw new ConfigError(`Region must be one of ${REGIONS.join(', ')} (got '${region}')`);
+  }
+  return region;
+}
+
+// An explicit endpoint (a proxy, FedRAMP or the local mock server) wins over
+// the region
+function resolveEndpoint(config = {}) {
+  const endpoint = config.endpoint || process.env.NEW_RELIC_NERDGRAPH_URL;
+  if (endpoint) {
+    if (!/^https?:\/\//.test(endpoint)) {
+      throw new ConfigError(`NerdGraph endpoint must be an http(s) URL (got '${endpoint}')`);
+    }
+    return endpoint;
+  }
+  return ENDPOINTS[resolveRegion(config)];
+}
+
+// Subscriptions use the same host as queries over ws(s)://, e.g.
+// https://api.eu.newrelic.com/graphql -> wss://api.eu.newrelic.com/graphql
+function resolveWebSocketEndpoint(config = {}, path) {
+  if (config.wsEndpoint) return config.wsEndpoint;
+
+  const url = new URL(resolveEndpoint(config));
+  url.protocol = url.protocol === 'http:' ? 'ws:' : 'wss:';
+  if (path) url.pathname = path;
+  return url.toString();
+}
+
+function dashboardUrl(guid, config = {}) {
+  return `${UI_URLS[resolveRegion(config)]}/dashboards/${guid}`;
+}
+
+// Abort after timeout milliseconds, or as soon as signal aborts
+function requestSignal(signal, timeout) {
+  const timer = AbortSignal.timeout(timeout);
+  if (!signal) return timer;
+  if (AbortSignal.any) return AbortSignal.any([signal, timer]);
+
+  // Node 18 has no AbortSignal.any
+  const controller = new AbortController();
+  const abort = source => controller.abort(source.reason);
+  [signal, timer].forEach(source => {
+    if (source.aborted) abort(source);
+    else source.addEventListener('abort', () => abort(source), { once: true });
+  });
+  return controller.signal;
+}
+
+/**
+ * The single HTTP path to NerdGraph. Requests pass through a middleware chain
+ * (tracing, metrics, caching, record/replay, retry, rate limiting) before
+ * being POSTed. Middleware are async (ctx, next) functions that return the
+ * GraphQL response body, or return one without calling next().
+ */
+class NerdGraphTransport {
+  constructor(options = {}) {
+    this.endpoint = options.endpoint || resolveEndpoint(options);
+    this.apiKey = options.apiKey;
+    this.timeout = options.timeout || 120000;
+    this.headers = options.headers || {};
+    this.middleware = [];
+    this.stats = {
+      requests: 0,
+      errors: 0,
+      retries: 0,
+      cacheHits: 0,
+      totalTime: 0
+    };
+  }
+
+  use(fn) {
+    this.middleware.push(fn);
+    return this;
+  }
+
+  /**
+   * Run a request through the chain and resolve to the raw response body
+   * ({ data, errors }). Only transport failures reject. options.signal
+   * aborts the request, options.timeout overrides the transport's timeout.
+   */
+  async execute(query, variables = {}, options = {}) {
+    const ctx = {
+      query,
+      variables,
+      options,
+      headers: { ...this.headers },
+      transport: this,
+      attempt: 0
+    };
+
+    const dispatch = (index) => {
+      if (index < this.middleware.length) {
+        return this.middleware[index](ctx, () => dispatch(index + 1));
+      }
+      return this.send(ctx);
+    };
+
+    return dispatch(0);
+  }
+
+  /**
+   * Like execute(), but resolve to response.data and reject on GraphQL errors
+   */
+  async request(query, variables = {}, options = {}) {
+    const body = await this.execute(query, variables, options);
+
+    if (body.errors && body.errors.length > 0) {
+      const errorMessage = body.errors.map(e => e.message).join(', ');
+      throw new APIError(`GraphQL errors: ${errorMessage}`, 200, body.errors);
+    }
+
+    return body.data;
+  }
+
+  async send(ctx) {
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'API-Key': this.apiKey,
+        'NewRelic-Requesting-Services': 'dashbuilder',
+        ...ctx.headers
+      },
+      body: JSON.stringify({ query: ctx.query, variables: ctx.variables }),
+      signal: requestSignal(ctx.options.signal, ctx.options.timeout || this.timeout)
+    });
+
+    if (!response.ok) {
+      throw new APIError(`API request failed: ${response.status} ${response.statusText}`, response.status);
+    }
+
+    return await response.json();
+  }
+
+  getMetrics() {
+    const { requests, errors, cacheHits, totalTime } = this.stats;
+    return {
+      ...this.stats,
+      averageTime: requests ? totalTime / requests : 0,
+      errorRate: requests ? errors / requests : 0,
+      cacheHitRate: requests ? cacheHits / requests : 0
+    };
+  }
+}
+
+/**
+ * Build a transport with the standard middleware stack from client config:
+ *   endpoint/region, apiKey, timeout, rateLimitMax, retryAttempts, retryDelay,
+ *   responseCache (true or { ttl, maxEntries }), cassette, onSpan
+ */
+function createTransport(config = {}) {
+  const apiKey = config.apiKey || process.env.NEW_RELIC_API_KEY;
+  const transport = new NerdGraphTransport({
+    endpoint: resolveEndpoint(config),
+    apiKey,
+    timeout: config.timeout,
+    headers: config.headers
+  });
+
+  transport.use(middleware.tracing({ onSpan: config.onSpan }));
+  transport.use(middleware.metrics());
+
+  if (config.responseCache) {
+    transport.use(middleware.cache(config.responseCache === true ? {} : config.responseCache));
+  }
+
+  const cassette = Cassette.fromConfig(config);
+  if (cassette) {
+    transport.use(middleware.cassette(cassette));
+  }
+
+  transport.use(middleware.retry({
+    maxRetries: config.retryAttempts ?? 3,
+    baseDelay: config.retryDelay || 1000
+  }));
+
+  if (config.rateLimit !== false) {
+    const maxRequests = config.rateLimitMax || 25;
+    const limiterKey = `${apiKey}:${maxRequests}`;
+    if (!sharedLimiters.has(limiterKey)) {
+      sharedLimiters.set(limiterKey, new RateLimiter({ maxRequests, interval: 60000 }));
+    }
+    transport.use(middleware.rateLimit({ limiter: sharedLimiters.get(limiterKey) }));
+  }
+
+  return transport;
+}
+
+module.exports = {
+  NerdGraphTransport,
+  createTransport,
+  resolveRegion,
+  resolveEndpoint,
+  resolveWebSocketEndpoint,
+  dashboardUrl,
+  ENDPOINTS,
+  UI_URLS
+};
@@ -5,7 +5,6 @@
  * Final state implementation focusing on pure dashboards with NerdGraph API
  */
 
-const axios = require('axios');
 const ora = require('ora');
 const chalk = require('chalk');
 
@@ -14,6 +13,7 @@ const EnhancedNRQLService = require('./enhanced-nrql-service');
 const SchemaService = require('./services/schema.service');
 const DashboardService = require('./services/dashboard.service');
 const NR1MigrationService = require('./nr1-migration-service');
+const { createTransport, dashboardUrl } = require('./core/transport');
 
 class DashboardFirstBuilder {
   constructor(config = {}) {
@@ -27,10 +27,9 @@ class DashboardFirstBuilder {
     this.dashboard = new DashboardService();
     this.migration = new NR1MigrationService();
     
-    // NerdGraph endpoint
-    this.graphqlEndpoint = this.region === 'EU' 
-      ? 'https://api.eu.newrelic.com/graphql'
-      : 'https://api.newrelic.com/graphql';
+    // NerdGraph transport
+    this.transport = createTransport({ apiKey: this.apiKey, region: this.region, endpoint: config.endpoint });
+    this.graphqlEndpoint = this.transport.endpoint;
     
     // Concurrent request management (25 limit)
     this.concurrentRequests = 0;
@@ -279,28 +278,16 @@ class DashboardFirstBuilder {
     try {
       this.concurrentRequests++;
       
-      const response = await axios.post(
-        this.graphqlEndpoint,
-        {
-          query: mutation,
-          variables: {
-            accountId: parseInt(this.accountId),
-            dashboard: dashboard
-          }
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'API-Key': this.apiKey
-          }
-        }
-      );
+      const response = await this.transport.execute(mutation, {
+        accountId: parseInt(this.accountId),
+        dashboard: dashboard
+      });
       
-      if (response.data.errors) {
-        throw new Error(`GraphQL errors: ${JSON.stringify(response.data.errors)}`);
+      if (response.errors) {
+        throw new Error(`GraphQL errors: ${JSON.stringify(response.errors)}`);
       }
       
-      const result = response.data.data.dashboardCreate;
+      const result = response.data.dashboardCreate;
       
       if (result.errors?.length > 0) {
         throw new Error(`Dashboard creation errors: ${JSON.stringify(result.errors)}`);
@@ -311,7 +298,7 @@ class DashboardFirstBuilder {
       console.log(chalk.green('\n✅ Dashboard deployed successfully!'));
       console.log(chalk.blue(`📊 Name: ${entity.name}`));
       console.log(chalk.blue(`🆔 GUID: ${entity.guid}`));
-      console.log(chalk.blue(`🔗 URL: https://one.newrelic.com/dashboards/${entity.guid}`));
+      console.log(chalk.blue(`🔗 URL: ${dashboardUrl(entity.guid, this)}`));
       
       return entity;
       
@@ -611,24 +598,12 @@ class DashboardFirstBuilder {
       }
     `;
     
-    const response = await axios.post(
-      this.graphqlEndpoint,
-      {
-        query,
-        variables: {
-          accountId: parseInt(this.accountId),
-          nrqlQuery: nrqlQuery
-        }
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'API-Key': this.apiKey
-        }
-      }
-    );
+    const response = await this.transport.execute(query, {
+      accountId: parseInt(this.accountId),
+      nrqlQuery: nrqlQuery
+    });
     
-    return response.data?.data?.actor?.account?.nrql;
+    return response.data?.actor?.account?.nrql;
   }
 }
 
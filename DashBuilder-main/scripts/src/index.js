@@ -11,6 +11,8 @@ const { IngestService } = require('./services/ingest.service.js');
 // Utilities
 const errors = require('./utils/errors.js');
 const validators = require('./utils/validators.js');
+const nrqlParser = require('./utils/nrql-parser.js');
+const nrqlFormatter = require('./utils/nrql-formatter.js');
 const { Cache } = require('./utils/cache.js');
 const { Output } = require('./utils/output.js');
 const { logger } = require('./utils/logger.js');
@@ -26,6 +28,8 @@ module.exports = {
   IngestService,
   ...errors,
   ...validators,
+  ...nrqlParser,
+  ...nrqlFormatter,
   Cache,
   Output,
   logger,
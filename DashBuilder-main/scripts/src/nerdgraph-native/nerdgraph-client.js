@@ -3,7 +3,7 @@
  * Advanced GraphQL client that exploits all NerdGraph capabilities
  */
 
-const { GraphQLClient } = require('graphql-request');
+const { createTransport, resolveWebSocketEndpoint } = require('../core/transport.js');
 const { SubscriptionClient } = require('subscriptions-transport-ws');
 const WebSocket = require('ws');
 const { print } = require('graphql');
@@ -18,26 +18,17 @@ class NerdGraphClient extends EventEmitter {
     this.accountId = config.accountId || process.env.NEW_RELIC_ACCOUNT_ID;
     this.region = config.region || process.env.NEW_RELIC_REGION || 'US';
     
-    // Endpoints
-    this.httpEndpoint = this.region === 'EU' 
-      ? 'https://api.eu.newrelic.com/graphql'
-      : 'https://api.newrelic.com/graphql';
-      
-    this.wsEndpoint = this.region === 'EU'
-      ? 'wss://api.eu.newrelic.com/graphql-ws'
-      : 'wss://api.newrelic.com/graphql-ws';
-    
-    // HTTP client for queries/mutations
-    this.httpClient = new GraphQLClient(this.httpEndpoint, {
-      headers: {
-        'API-Key': this.apiKey,
-        'Content-Type': 'application/json',
-        'NewRelic-Requesting-Services': 'dashbuilder-platform'
-      },
-      timeout: 120000, // 2 minutes for complex queries
-      retries: 3,
-      retryDelay: 1000
+    // HTTP transport for queries/mutations (shared retry, rate limiting and
+    // endpoint handling)
+    this.transport = createTransport({
+      apiKey: this.apiKey,
+      region: this.region,
+      endpoint: config.endpoint,
+      timeout: 120000 // 2 minutes for complex queries
     });
+    this.httpEndpoint = this.transport.endpoint;
+      
+    this.wsEndpoint = resolveWebSocketEndpoint({ ...config, endpoint: this.httpEndpoint }, '/graphql-ws');
     
     // WebSocket client for subscriptions
     this.wsClient = null;
@@ -445,9 +436,9 @@ class NerdGraphClient extends EventEmitter {
    * Advanced error handling
    */
   handleError(error) {
-    // Extract GraphQL errors
-    if (error.response?.errors) {
-      const errors = error.response.errors;
+    // Extract GraphQL errors (APIError keeps them in details)
+    if (Array.isArray(error.details)) {
+      const errors = error.details;
       
       // Check for specific error types
       errors.forEach(err => {
@@ -465,7 +456,6 @@ class NerdGraphClient extends EventEmitter {
         `GraphQL Error: ${errors.map(e => e.message).join(', ')}`
       );
       detailedError.graphQLErrors = errors;
-      detailedError.requestId = error.response.headers?.['x-request-id'];
       
       throw detailedError;
     }
@@ -475,31 +465,10 @@ class NerdGraphClient extends EventEmitter {
   }
 
   /**
-   * Execute with retry logic
+   * Execute through the shared transport, which retries transient failures
    */
   async executeWithRetry(query, variables, retries = 3) {
-    let lastError;
-    
-    for (let i = 0; i <= retries; i++) {
-      try {
-        return await this.httpClient.request(query, variables);
-      } catch (error) {
-        lastError = error;
-        
-        // Don't retry on client errors
-        if (error.response?.status >= 400 && error.response?.status < 500) {
-          throw error;
-        }
-        
-        // Exponential backoff
-        if (i < retries) {
-          const delay = Math.min(1000 * Math.pow(2, i), 10000);
-          await this.delay(delay);
-        }
-      }
-    }
-    
-    throw lastError;
+    return await this.transport.request(query, variables, { retries });
   }
 
   /**
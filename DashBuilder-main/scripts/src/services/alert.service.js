@@ -0,0 +1,220 @@
+const { NerdGraphClient } = require('../core/api-client.js');
+const { NRQLService } = require('./nrql.service.js');
+const {
+  compileSuggestions,
+  planConditions,
+  toConditionInput,
+  toConditionDefinition,
+  validateConditionDefinition,
+  CONDITIONS_VERSION
+} = require('../utils/alert-conditions.js');
+const { remapAccountId, remapQueryAccounts } = require('../utils/account-remap.js');
+const { ValidationError } = require('../utils/errors.js');
+const { logger } = require('../utils/logger.js');
+
+/**
+ * Alerts-as-code: turns suggested alerts into NRQL conditions, exports
+ * policies to conditions documents and keeps an alert policy in line with a
+ * conditions document.
+ */
+class AlertService {
+  constructor(config) {
+    this.config = config;
+    this.client = new NerdGraphClient(config);
+  }
+
+  /**
+   * Accept a conditions document ({ conditions }), an analysis with suggested
+   * alerts ({ alerts }) or a bare list of suggestions, and return a conditions
+   * document. Suggestions are compiled on the way.
+   */
+  toConditions(input, options = {}) {
+    if (Array.isArray(input?.conditions)) {
+      if (input.version !== undefined && input.version !== CONDITIONS_VERSION) {
+        throw new ValidationError(`Unsupported conditions document version: ${input.version}`);
+      }
+      return { version: CONDITIONS_VERSION, skipped: [], notes: [], ...input };
+    }
+
+    const suggestions = Array.isArray(input) ? input : input?.alerts;
+    if (!Array.isArray(suggestions)) {
+      throw new ValidationError('Expected a conditions document, an analysis with alerts, or a list of suggested alerts');
+    }
+    return compileSuggestions(suggestions, options);
+  }
+
+  /**
+   * Find a policy by ID or exact name. With create, a missing named policy is
+   * created; otherwise it is reported as missing.
+   */
+  async resolvePolicy(accountId, policy, options = {}) {
+    const policies = await this.client.getAlertPolicies(accountId);
+    const match = policies.find(candidate => String(candidate.id) === String(policy)) ||
+      policies.find(candidate => candidate.name === policy);
+
+    if (match) return { ...match, created: false };
+    if (/^\d+$/.test(String(policy))) {
+      throw new ValidationError(`Alert policy ${policy} not found in account ${accountId}`);
+    }
+    if (!options.create) {
+      throw new ValidationError(`Alert policy "${policy}" not found in account ${accountId}. Use --create-policy to create it`);
+    }
+
+    return { id: null, name: policy, created: true };
+  }
+
+  /**
+   * Export policies and their NRQL conditions as conditions documents, one
+   * per policy. policies filters by ID or name; by default all are exported.
+   */
+  async exportPolicies(options = {}) {
+    const accountId = parseInt(options.accountId || this.config.requireAccountId());
+    const policies = await this.client.getAlertPolicies(accountId);
+
+    let selected = policies;
+    if (options.policies && options.policies.length > 0) {
+      selected = options.policies.map(wanted => {
+        const match = policies.find(candidate => String(candidate.id) === String(wanted) || candidate.name === wanted);
+        if (!match) throw new ValidationError(`Alert policy "${wanted}" not found in account ${accountId}`);
+        return match;
+      });
+    }
+
+    const documents = [];
+    for (const policy of selected) {
+      const conditions = await this.client.getAlertConditions(accountId, policy.id);
+      // Only NRQL conditions can be expressed in a conditions document
+      const nrqlConditions = conditions.filter(condition => condition.nrql?.query);
+      if (nrqlConditions.length < conditions.length) {
+        logger.debug(`Skipped ${conditions.length - nrqlConditions.length} non-NRQL conditions in policy ${policy.name}`);
+      }
+
+      documents.push({
+        version: CONDITIONS_VERSION,
+        accountId,
+        policy: { name: policy.name, incidentPreference: policy.incidentPreference },
+        conditions: nrqlConditions
+          .map(toConditionDefinition)
+          .sort((a, b) => a.name.localeCompare(b.name))
+      });
+    }
+
+    return documents;
+  }
+
+  /**
+   * Rewrite account IDs in a document's condition queries for another
+   * account. Returns the new document and the number of literals replaced.
+   */
+  remapDocument(document, accountMap) {
+    let replaced = 0;
+    const conditions = document.conditions.map(condition => {
+      // Malformed conditions are left for validate to report
+      if (typeof condition?.nrql?.query !== 'string') return condition;
+      const result = remapQueryAccounts(condition.nrql.query, accountMap);
+      replaced += result.replaced;
+      return result.replaced > 0 ? { ...condition, nrql: { ...condition.nrql, query: result.query } } : condition;
+    });
+
+    return {
+      document: {
+        ...document,
+        accountId: document.accountId ? remapAccountId(document.accountId, accountMap) : document.accountId,
+        conditions
+      },
+      replaced
+    };
+  }
+
+  /**
+   * Check every condition in a document. Queries that pass the local checks
+   * are run through NRQLService.validateQuery, in options.accountId or the
+   * configured account, unless offline is set.
+   * Returns [{ name, valid, errors }].
+   */
+  async validate(document, options = {}) {
+    const nrqlService = options.offline ? null : new NRQLService(this.config);
+    const results = [];
+
+    for (const condition of document.conditions) {
+      const errors = validateConditionDefinition(condition);
+      if (errors.length === 0 && nrqlService) {
+        const validation = await nrqlService.validateQuery(condition.nrql.query, { accountId: options.accountId });
+        if (!validation.valid) errors.push(`nrql.query: ${validation.error}`);
+      }
+      results.push({ name: condition.name || 'unnamed condition', valid: errors.length === 0, errors });
+    }
+
+    return results;
+  }
+
+  /**
+   * Compare a conditions document with the policy's live conditions. The
+   * policy comes from options.policy or, failing that, the document; a policy
+   * the document defines is created when missing.
+   */
+  async plan(document, options = {}) {
+    const accountId = parseInt(options.accountId || this.config.requireAccountId());
+    const policyName = options.policy || document.policy?.name;
+    if (!policyName) {
+      throw new ValidationError('No alert policy given and the document does not define one');
+    }
+
+    const create = options.createPolicy || (!options.policy && Boolean(document.policy));
+    const policy = await this.resolvePolicy(accountId, policyName, { create });
+    if (policy.created && document.policy?.incidentPreference) {
+      policy.incidentPreference = document.policy.incidentPreference;
+    }
+    const live = policy.id ? await this.client.getAlertConditions(accountId, policy.id) : [];
+
+    return {
+      accountId,
+      policy,
+      ...planConditions(live, document.conditions)
+    };
+  }
+
+  /**
+   * Create, update or replace the conditions a plan marks as changed.
+   * Conditions that are not in the document are left alone.
+   */
+  async apply(plan) {
+    let policyId = plan.policy.id;
+    if (!policyId) {
+      const { name, incidentPreference } = plan.policy;
+      const created = await this.client.createAlertPolicy(plan.accountId, incidentPreference ? { name, incidentPreference } : { name });
+      policyId = created.id;
+      logger.debug(`Created alert policy ${created.name} (${policyId})`);
+    }
+
+    const results = [];
+    for (const item of plan.items) {
+      if (item.action === 'noop') {
+        results.push({ name: item.name, action: 'noop', id: item.id, success: true });
+        continue;
+      }
+
+      try {
+        const input = toConditionInput(item.condition);
+        let condition;
+        if (item.action === 'update') {
+          condition = await this.client.updateNrqlCondition(plan.accountId, item.id, item.type, input);
+        } else {
+          // A condition's type cannot change, so replacing means delete then create
+          if (item.action === 'replace') {
+            await this.client.deleteAlertCondition(plan.accountId, item.id);
+          }
+          condition = await this.client.createNrqlCondition(plan.accountId, policyId, item.type, input);
+        }
+        results.push({ name: item.name, action: item.action, id: condition.id, success: true });
+      } catch (error) {
+        logger.debug(`Failed to ${item.action} condition ${item.name}: ${error.message}`);
+        results.push({ name: item.name, action: item.action, id: item.id, success: false, error: error.message });
+      }
+    }
+
+    return { policyId, results };
+  }
+}
+
+module.exports = { AlertService };
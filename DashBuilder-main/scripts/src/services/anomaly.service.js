@@ -0,0 +1,114 @@
+const fs = require('fs/promises');
+const { NerdGraphClient } = require('../core/api-client.js');
+const { tryParseNRQL, durationToMilliseconds } = require('../utils/nrql-parser.js');
+const { ValidationError } = require('../utils/errors.js');
+const { detectAnomalies, seriesFromResults, seriesStepMs } = require('../utils/anomaly-detection.js');
+
+const SEVERITIES = ['low', 'medium', 'high'];
+
+/**
+ * Runs the local anomaly detectors over TIMESERIES data, either queried
+ * through NerdGraph (live, or replayed from a cassette) or read from a file
+ * of recorded results. Only querying needs a config.
+ */
+class AnomalyService {
+  constructor(config = null) {
+    this.config = config;
+    this.client = config ? new NerdGraphClient(config) : null;
+  }
+
+  async fetchSeries(query, options = {}) {
+    const { ast, error } = tryParseNRQL(query);
+    if (error) {
+      throw new ValidationError(`Invalid NRQL: ${error.message}`);
+    }
+    if (ast.kind !== 'SELECT' || !ast.timeseries) {
+      throw new ValidationError('Anomaly detection needs a TIMESERIES query');
+    }
+
+    const accountId = options.accountId || this.config.requireAccountId();
+    const result = await this.client.nrql(accountId, query);
+    return seriesFromResults(result.results, options);
+  }
+
+  /**
+   * Read series from a file holding NRQL TIMESERIES results (a results
+   * array, { results }, a NerdGraph nrql response or a mock server fixture
+   * document) or series already in [{ name, points: [{ timestamp, value }] }]
+   * form.
+   */
+  async loadSeries(filePath, options = {}) {
+    let document;
+    try {
+      document = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      throw new ValidationError(`Cannot read series from ${filePath}: ${error.message}`);
+    }
+
+    const nrql = document && document.data && document.data.actor
+      ? document.data.actor.account.nrql
+      : document;
+    const fixtureResults = Array.isArray(nrql.nrql) ? nrql.nrql.flatMap(fixture => fixture.results || []) : null;
+    const content = Array.isArray(nrql) ? nrql : nrql.series || nrql.results || fixtureResults;
+    if (!Array.isArray(content)) {
+      throw new ValidationError(`${filePath} has no results or series array`);
+    }
+
+    const isSeries = content.length > 0 && Array.isArray(content[0].points);
+    const series = isSeries
+      ? content.map((item, index) => ({ name: item.name || `series ${index + 1}`, points: item.points }))
+      : seriesFromResults(content, options);
+    if (series.length === 0) {
+      throw new ValidationError(`${filePath} has no TIMESERIES data points`);
+    }
+    return series;
+  }
+
+  // Points per seasonal cycle for a duration such as '1 day'
+  seasonalPeriod(points, seasonality) {
+    const match = String(seasonality).trim().match(/^(\d+)\s*([a-z]+)$/i);
+    const cycleMs = match ? durationToMilliseconds(parseInt(match[1]), match[2]) : null;
+    if (!cycleMs) {
+      throw new ValidationError(`Seasonality must be a duration like '1 day' (got '${seasonality}')`);
+    }
+    const stepMs = seriesStepMs(points);
+    return stepMs ? Math.round(cycleMs / stepMs) : null;
+  }
+
+  /**
+   * Detect anomalies in every series. options are passed to the detectors
+   * (detectors, threshold, window, alpha, mergeGap); options.seasonality
+   * fixes the seasonal cycle instead of detecting it, and
+   * options.minSeverity drops milder windows.
+   */
+  detect(series, options = {}) {
+    const { seasonality, minSeverity = 'low', ...detectorOptions } = options;
+    if (!SEVERITIES.includes(minSeverity)) {
+      throw new ValidationError(`Minimum severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+
+    const results = series.map(item => {
+      const period = seasonality ? this.seasonalPeriod(item.points, seasonality) : undefined;
+      const result = detectAnomalies(item.points, { ...detectorOptions, ...(period ? { period } : {}) });
+      return {
+        name: item.name,
+        ...result,
+        windows: result.windows.filter(window => SEVERITIES.indexOf(window.severity) >= SEVERITIES.indexOf(minSeverity))
+      };
+    });
+
+    const windows = results.flatMap(result => result.windows);
+    return {
+      series: results,
+      summary: {
+        series: results.length,
+        windows: windows.length,
+        high: windows.filter(window => window.severity === 'high').length,
+        medium: windows.filter(window => window.severity === 'medium').length,
+        low: windows.filter(window => window.severity === 'low').length
+      }
+    };
+  }
+}
+
+module.exports = { AnomalyService };
@@ -0,0 +1,136 @@
+const { NerdGraphClient } = require('../core/api-client.js');
+const { Cache } = require('../utils/cache.js');
+const { logger } = require('../utils/logger.js');
+const { widgetQueries } = require('../utils/widget-queries.js');
+const { costQueries, facetGroups, estimateCost } = require('../utils/query-cost.js');
+
+/**
+ * Measures what dashboard queries cost against the account's real ingest:
+ * event volume over each query's window, facet cardinality and refresh rate.
+ */
+class CostService {
+  constructor(config) {
+    this.config = config;
+    this.client = new NerdGraphClient(config);
+    this.cache = new Cache({
+      enabled: config.enableCache,
+      ttl: config.cacheTTL
+    });
+  }
+
+  async measure(accountId, query) {
+    const cacheKey = this.cache.generateKey('cost', accountId, query);
+    return await this.cache.get(cacheKey, async () => {
+      const result = await this.client.nrql(accountId, query);
+      return result.results[0] || {};
+    });
+  }
+
+  /**
+   * Cost of one query, measured in each account it runs in.
+   * options.accountIds - accounts the query reads (default: configured account)
+   * options.refreshSeconds - refresh interval override
+   */
+  async estimateQuery(query, options = {}) {
+    const plan = costQueries(query);
+    if (!plan) {
+      return { query, measured: false, error: 'Query does not parse or reads no event type' };
+    }
+
+    const accountIds = options.accountIds && options.accountIds.length > 0
+      ? options.accountIds
+      : [this.config.requireAccountId()];
+
+    let bytes = 0;
+    let events = 0;
+    let groups = 1;
+    for (const accountId of accountIds) {
+      const volume = await this.measure(accountId, plan.volumeQuery);
+      bytes += Number(volume.bytes) || 0;
+      events += Number(volume.events) || 0;
+
+      if (plan.facetQuery) {
+        const cardinality = await this.measure(accountId, plan.facetQuery);
+        const values = Array.from({ length: plan.facetCount }, (_, index) => Number(cardinality[`facet${index}`]) || 0);
+        groups = Math.max(groups, facetGroups(plan, values));
+      } else {
+        groups = Math.max(groups, facetGroups(plan));
+      }
+    }
+
+    return {
+      query,
+      measured: true,
+      accountIds: accountIds.map(id => parseInt(id)),
+      eventTypes: plan.eventTypes,
+      ...estimateCost({ bytes, events }, {
+        windowMs: plan.windowMs,
+        refreshSeconds: options.refreshSeconds,
+        facetGroups: groups
+      })
+    };
+  }
+
+  /**
+   * Cost of every widget on a dashboard, most expensive first. Returns
+   * { dashboardName, totals, widgets, unmeasured }.
+   */
+  async analyzeDashboard(dashboard, options = {}) {
+    const widgets = [];
+    const unmeasured = [];
+
+    for (const page of dashboard.pages) {
+      for (const widget of page.widgets) {
+        const queries = [];
+        for (const { query, accountIds, index } of widgetQueries(widget, this.config.accountId)) {
+          try {
+            const estimate = await this.estimateQuery(query, { accountIds, refreshSeconds: options.refreshSeconds });
+            if (estimate.measured) {
+              queries.push({ index, ...estimate });
+            } else {
+              unmeasured.push({ page: page.name, widget: widget.title, queryIndex: index, reason: estimate.error });
+            }
+          } catch (error) {
+            logger.debug(`Failed to measure widget ${widget.title}: ${error.message}`);
+            unmeasured.push({ page: page.name, widget: widget.title, queryIndex: index, reason: error.message });
+          }
+        }
+        if (queries.length === 0) continue;
+
+        const sum = field => queries.reduce((total, estimate) => total + estimate[field], 0);
+        widgets.push({
+          page: page.name,
+          widget: widget.title,
+          refreshSeconds: Math.min(...queries.map(estimate => estimate.refreshSeconds)),
+          bytesPerRun: sum('bytesPerRun'),
+          bytesPerHour: sum('bytesPerHour'),
+          eventsPerHour: sum('eventsPerHour'),
+          facetGroups: Math.max(...queries.map(estimate => estimate.facetGroups)),
+          cost: Math.round(sum('cost') * 1000) / 1000,
+          queries
+        });
+      }
+    }
+
+    widgets.sort((a, b) => b.cost - a.cost);
+    const totalCost = widgets.reduce((total, widget) => total + widget.cost, 0);
+    widgets.forEach((widget, index) => {
+      widget.rank = index + 1;
+      widget.share = totalCost > 0 ? Math.round((widget.cost / totalCost) * 1000) / 10 : 0;
+    });
+
+    return {
+      dashboardName: dashboard.name,
+      totals: {
+        widgets: widgets.length,
+        bytesPerHour: widgets.reduce((total, widget) => total + widget.bytesPerHour, 0),
+        eventsPerHour: widgets.reduce((total, widget) => total + widget.eventsPerHour, 0),
+        cost: Math.round(totalCost * 1000) / 1000
+      },
+      widgets,
+      unmeasured
+    };
+  }
+}
+
+module.exports = { CostService };
@@ -0,0 +1,290 @@
+const fs = require('fs/promises');
+const path = require('path');
+const yaml = require('js-yaml');
+const { NerdGraphClient } = require('../core/api-client.js');
+const { DashboardService } = require('./dashboard.service.js');
+const { diffDashboards } = require('../utils/dashboard-diff.js');
+const { ValidationError } = require('../utils/errors.js');
+const { logger } = require('../utils/logger.js');
+
+const DEFINITION_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const STATE_FILE = '.dashboard-state.json';
+const STATE_VERSION = 1;
+
+/**
+ * Dashboard-as-code: plans and applies a directory of dashboard definitions
+ * against an account. The GUID each definition was deployed to is kept in a
+ * state file so re-applying updates the same dashboard instead of creating
+ * another copy.
+ */
+class DashboardSyncService {
+  constructor(config) {
+    this.config = config;
+    this.client = new NerdGraphClient(config);
+    this.dashboardService = new DashboardService(config);
+  }
+
+  async loadDefinitions(dir) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      throw new ValidationError(`Cannot read dashboard directory ${dir}: ${error.message}`);
+    }
+
+    const files = entries
+      .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+      .filter(entry => DEFINITION_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+      .map(entry => entry.name)
+      .sort();
+
+    const definitions = [];
+    for (const name of files) {
+      const file = path.join(dir, name);
+      const content = await fs.readFile(file, 'utf-8');
+
+      let parsed;
+      try {
+        parsed = path.extname(name).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content);
+      } catch (error) {
+        throw new ValidationError(`${name}: ${error.message}`);
+      }
+
+      if (!parsed || typeof parsed !== 'object' || !parsed.name) {
+        throw new ValidationError(`${name}: dashboard definition must have a name`);
+      }
+      if (!Array.isArray(parsed.pages) || parsed.pages.length === 0) {
+        throw new ValidationError(`${name}: dashboard definition must have at least one page`);
+      }
+
+      // An accountId in the file targets that account instead of the default
+      const { accountId, ...dashboard } = parsed;
+      definitions.push({ key: name, file, accountId: accountId ? parseInt(accountId) : null, dashboard });
+    }
+
+    return definitions;
+  }
+
+  statePath(dir, stateFile) {
+    return stateFile || path.join(dir, STATE_FILE);
+  }
+
+  async loadState(file) {
+    let state;
+    try {
+      state = JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { version: STATE_VERSION, dashboards: {} };
+      }
+      throw new ValidationError(`Cannot read state file ${file}: ${error.message}`);
+    }
+
+    if (state.version !== STATE_VERSION || !state.dashboards) {
+      throw new ValidationError(`Unsupported state file format in ${file}`);
+    }
+    return state;
+  }
+
+  async saveState(file, state) {
+    await fs.writeFile(file, JSON.stringify(state, null, 2) + '\n');
+  }
+
+  async fetchLive(guid) {
+    try {
+      return await this.dashboardService.exportDashboard(guid);
+    } catch (error) {
+      if (error instanceof ValidationError) return null;
+      throw error;
+    }
+  }
+
+  // Untracked definitions adopt an existing dashboard with the same name so
+  // the first apply does not add yet another copy. With duplicates, the most
+  // recently updated one wins.
+  async findByName(name, accountId, listings) {
+    if (!listings.has(accountId)) {
+      listings.set(accountId, await this.client.getDashboards(accountId, 1000));
+    }
+
+    const matches = listings.get(accountId)
+      .filter(dashboard => dashboard.name === name)
+      .sort((a, b) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')));
+
+    return { match: matches[0] || null, duplicates: matches.length };
+  }
+
+  /**
+   * Compare every definition in dir with its live dashboard.
+   * Each item's action is create, update or noop.
+   */
+  async plan(dir, options = {}) {
+    const defaultAccountId = parseInt(this.config.requireAccountId());
+    const statePath = this.statePath(dir, options.stateFile);
+    const state = await this.loadState(statePath);
+    const definitions = await this.loadDefinitions(dir);
+    const listings = new Map();
+    const items = [];
+
+    for (const definition of definitions) {
+      const accountId = definition.accountId || defaultAccountId;
+      const tracked = state.dashboards[definition.key];
+      const notes = [];
+      let guid = tracked?.guid || null;
+      let live = null;
+      let adopted = false;
+
+      if (guid) {
+        live = await this.fetchLive(guid);
+        if (!live) {
+          notes.push(`Tracked dashboard ${guid} no longer exists and will be recreated`);
+          guid = null;
+        }
+      }
+
+      if (!live && options.adopt !== false) {
+        const { match, duplicates } = await this.findByName(definition.dashboard.name, accountId, listings);
+        if (match) {
+          guid = match.guid;
+          live = await this.fetchLive(guid);
+          adopted = Boolean(live);
+          if (duplicates > 1) {
+            notes.push(`${duplicates} dashboards are named "${definition.dashboard.name}"; adopting the most recently updated (${guid})`);
+          }
+        }
+      }
+
+      const diff = live ? diffDashboards(live, definition.dashboard, { accountId }) : null;
+      let action = 'create';
+      if (live) {
+        action = diff.identical ? 'noop' : 'update';
+      }
+
+      items.push({
+        key: definition.key,
+        file: definition.file,
+        name: definition.dashboard.name,
+        accountId,
+        action,
+        guid: live ? guid : null,
+        adopted,
+        changes: diff ? diff.changes : [],
+        notes,
+        dashboard: definition.dashboard
+      });
+    }
+
+    const orphans = Object.entries(state.dashboards)
+      .filter(([key]) => !definitions.some(definition => definition.key === key))
+      .map(([key, entry]) => ({ key, ...entry }));
+
+    return {
+      dir,
+      statePath,
+      items,
+      orphans,
+      summary: {
+        create: items.filter(item => item.action === 'create').length,
+        update: items.filter(item => item.action === 'update').length,
+        noop: items.filter(item => item.action === 'noop').length
+      }
+    };
+  }
+
+  /**
+   * Create or update the dashboards a plan marks as changed and record their
+   * GUIDs. State is saved after every dashboard so a failure part way through
+   * does not lose track of what was already created.
+   */
+  async apply(plan) {
+    const state = await this.loadState(plan.statePath);
+    const results = [];
+
+    for (const item of plan.items) {
+      if (item.action === 'noop') {
+        if (item.guid && state.dashboards[item.key]?.guid !== item.guid) {
+          state.dashboards[item.key] = this.stateEntry(item, item.guid);
+          await this.saveState(plan.statePath, state);
+        }
+        results.push({ key: item.key, name: item.name, action: 'noop', guid: item.guid, success: true });
+        continue;
+      }
+
+      try {
+        const input = toDashboardInput(item.dashboard, item.accountId);
+        const entity = item.action === 'create'
+          ? await this.client.createDashboard(item.accountId, input)
+          : await this.client.updateDashboard(item.guid, input);
+
+        state.dashboards[item.key] = this.stateEntry(item, entity.guid);
+        await this.saveState(plan.statePath, state);
+        results.push({ key: item.key, name: item.name, action: item.action, guid: entity.guid, success: true });
+      } catch (error) {
+        logger.debug(`Failed to ${item.action} ${item.key}: ${error.message}`);
+        results.push({ key: item.key, name: item.name, action: item.action, guid: item.guid, success: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  stateEntry(item, guid) {
+    return {
+      guid,
+      name: item.name,
+      accountId: item.accountId,
+      appliedAt: new Date().toISOString()
+    };
+  }
+}
+
+// DashboardInput only accepts these fields, and every NRQL query needs an account
+function toDashboardInput(dashboard, accountId) {
+  const withAccount = (nrqlQueries) => nrqlQueries.map(nrqlQuery =>
+    nrqlQuery.accountId || nrqlQuery.accountIds ? nrqlQuery : { ...nrqlQuery, accountId }
+  );
+
+  const widgetInput = (widget) => {
+    const input = {
+      title: widget.title,
+      visualization: widget.visualization
+    };
+    if (widget.layout) input.layout = widget.layout;
+    if (widget.linkedEntityGuids) input.linkedEntityGuids = widget.linkedEntityGuids;
+
+    if (widget.rawConfiguration) {
+      input.rawConfiguration = { ...widget.rawConfiguration };
+      if (Array.isArray(input.rawConfiguration.nrqlQueries)) {
+        input.rawConfiguration.nrqlQueries = withAccount(input.rawConfiguration.nrqlQueries);
+      }
+    } else if (widget.configuration) {
+      input.configuration = Object.entries(widget.configuration).reduce((acc, [type, settings]) => {
+        acc[type] = settings && Array.isArray(settings.nrqlQueries)
+          ? { ...settings, nrqlQueries: withAccount(settings.nrqlQueries) }
+          : settings;
+        return acc;
+      }, {});
+    }
+    return input;
+  };
+
+  const input = {
+    name: dashboard.name,
+    permissions: dashboard.permissions || 'PUBLIC_READ_WRITE',
+    pages: dashboard.pages.map(page => ({
+      name: page.name,
+      ...(page.description ? { description: page.description } : {}),
+      widgets: (page.widgets || []).map(widgetInput)
+    }))
+  };
+  if (dashboard.description) input.description = dashboard.description;
+  if (dashboard.variables) input.variables = dashboard.variables;
+
+  return input;
+}
+
+module.exports = {
+  DashboardSyncService,
+  toDashboardInput,
+  STATE_FILE
+};
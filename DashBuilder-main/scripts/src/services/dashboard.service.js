@@ -1,10 +1,14 @@
 const { NerdGraphClient } = require('../core/api-client.js');
 const { NRQLService } = require('./nrql.service.js');
 const { SchemaService } = require('./schema.service.js');
+const { CostService } = require('./cost.service.js');
 const { Cache } = require('../utils/cache.js');
 const { logger } = require('../utils/logger.js');
-const { validateDashboard, isValidVisualization, extractAttributesFromQuery, calculateQueryComplexity } = require('../utils/validators.js');
+const { validateDashboard, isValidVisualization, extractAttributesFromQuery, calculateQueryComplexity, suggestCorrection } = require('../utils/validators.js');
 const { ValidationError } = require('../utils/errors.js');
+const { widgetQueries, mapWidgetQueries } = require('../utils/widget-queries.js');
+const { remapDashboardAccounts, linkedEntityGuids, entityGuidAccountId } = require('../utils/account-remap.js');
+const { tryParseNRQL, getEventTypes, getAttributes } = require('../utils/nrql-parser.js');
 
 class DashboardService {
   constructor(config) {
@@ -12,6 +16,7 @@ class DashboardService {
     this.client = new NerdGraphClient(config);
     this.nrqlService = new NRQLService(config);
     this.schemaService = new SchemaService(config);
+    this.costService = new CostService(config);
     this.cache = new Cache({ 
       enabled: config.enableCache, 
       ttl: config.cacheTTL 
@@ -19,20 +24,6 @@ class DashboardService {
     
     // NRDOT v2: Load profile configurations
     this.profiles = this.loadMonitoringProfiles();
-    
-    // NRDOT v2: Process metrics cost factors
-    this.costFactors = {
-      processMetrics: {
-        baseCostPerQuery: 0.05,
-        costPerProcess: 0.001,
-        costPerAttribute: 0.0005
-      },
-      queryComplexity: {
-        low: 1.0,
-        medium: 1.5,
-        high: 2.5
-      }
-    };
   }
 
   // NRDOT v2: Monitoring profile definitions
@@ -105,14 +96,19 @@ class DashboardService {
     // Transform to importable format
     return {
       name: dashboard.name,
+      description: dashboard.description || null,
       permissions: dashboard.permissions,
+      variables: dashboard.variables || [],
       pages: dashboard.pages.map(page => ({
         name: page.name,
         widgets: page.widgets.map(widget => ({
           title: widget.title,
           visualization: widget.visualization,
-          configuration: widget.configuration,
-          layout: widget.layout
+          rawConfiguration: widget.rawConfiguration,
+          layout: widget.layout,
+          ...(widget.linkedEntities?.length > 0
+            ? { linkedEntityGuids: widget.linkedEntities.map(entity => entity.guid) }
+            : {})
         }))
       }))
     };
@@ -163,15 +159,17 @@ class DashboardService {
           warnings.push(`Widget '${widget.title}' uses unknown visualization type: ${widget.visualization.id}`);
         }
 
-        // Validate NRQL if present
-        if (widget.configuration?.nrql?.query) {
+        // Validate every NRQL query on the widget
+        const queries = widgetQueries(widget, this.config.accountId);
+        for (const { query, accountIds, index } of queries) {
+          const label = queries.length > 1 ? `Widget '${widget.title}' query ${index + 1}` : `Widget '${widget.title}'`;
           try {
-            const validation = await this.nrqlService.validateQuery(widget.configuration.nrql.query);
+            const validation = await this.nrqlService.validateQuery(query, { accountId: accountIds[0] });
             if (!validation.valid) {
-              errors.push(`Widget '${widget.title}' has invalid query: ${validation.error}`);
+              errors.push(`${label} has invalid query: ${validation.error}`);
             }
           } catch (error) {
-            errors.push(`Widget '${widget.title}' query validation failed: ${error.message}`);
+            errors.push(`${label} query validation failed: ${error.message}`);
           }
         }
 
@@ -231,27 +229,29 @@ class DashboardService {
           warnings: []
         };
 
-        // Validate NRQL query
-        if (widget.configuration?.nrql?.query) {
+        // Validate each NRQL query
+        const queries = widgetQueries(widget, this.config.accountId);
+        for (const { query, accountIds, index } of queries) {
+          const prefix = queries.length > 1 ? `Query ${index + 1}: ` : '';
           try {
-            const validation = await this.nrqlService.validateQuery(widget.configuration.nrql.query);
+            const validation = await this.nrqlService.validateQuery(query, { accountId: accountIds[0] });
             
             if (!validation.valid) {
               widgetResult.valid = false;
-              widgetResult.errors.push(validation.error);
+              widgetResult.errors.push(`${prefix}${validation.error}`);
 
               if (options.includeSuggestions && validation.suggestions?.length > 0) {
-                widgetResult.suggestions = validation.suggestions;
+                widgetResult.suggestions = (widgetResult.suggestions || []).concat(validation.suggestions);
               }
             } else {
               // Check for warnings
               if (validation.warnings?.length > 0) {
-                widgetResult.warnings = validation.warnings;
+                widgetResult.warnings.push(...validation.warnings.map(warning => `${prefix}${warning}`));
               }
             }
           } catch (error) {
             widgetResult.valid = false;
-            widgetResult.errors.push(`Query validation error: ${error.message}`);
+            widgetResult.errors.push(`${prefix}Query validation error: ${error.message}`);
           }
         }
 
@@ -290,41 +290,41 @@ class DashboardService {
 
   async findBrokenWidgets(dashboard) {
     const brokenWidgets = [];
+    const defaultAccountId = this.config.accountId;
 
     for (const page of dashboard.pages) {
       for (const widget of page.widgets) {
-        if (widget.configuration?.nrql?.query) {
-          try {
-            const validation = await this.nrqlService.validateQuery(
-              widget.configuration.nrql.query,
-              { expectNoError: true, minResults: 1 }
-            );
-            
-            if (!validation.valid || validation.resultCount === 0) {
-              const broken = {
-                page: page.name,
-                widget: widget.title,
-                query: widget.configuration.nrql.query,
-                error: validation.error || 'No data returned'
-              };
-
-              // Get suggestions for fix
-              if (validation.suggestions?.length > 0) {
-                broken.suggestion = validation.suggestions[0];
-              } else if (validation.resultCount === 0) {
-                broken.suggestion = 'Check time range or WHERE conditions';
-              }
+        for (const { query, accountIds, index } of widgetQueries(widget, defaultAccountId)) {
+          // A query spanning several accounts has to return data in each of them
+          const targets = accountIds.length > 0 ? accountIds : [undefined];
+          for (const accountId of targets) {
+            const location = { page: page.name, widget: widget.title, queryIndex: index, accountId, query };
+            try {
+              const validation = await this.nrqlService.validateQuery(query, {
+                accountId,
+                expectNoError: true,
+                minResults: 1
+              });
+
+              if (!validation.valid || validation.resultCount === 0) {
+                const broken = { ...location, error: validation.error || 'No data returned' };
+
+                // Get suggestions for fix
+                if (validation.suggestions?.length > 0) {
+                  broken.suggestion = validation.suggestions[0];
+                } else if (validation.resultCount === 0) {
+                  broken.suggestion = 'Check time range or WHERE conditions';
+                }
 
-              brokenWidgets.push(broken);
+                brokenWidgets.push(broken);
+              }
+            } catch (error) {
+              brokenWidgets.push({
+                ...location,
+                error: error.message,
+                suggestion: 'Check query syntax and permissions'
+              });
             }
-          } catch (error) {
-            brokenWidgets.push({
-              page: page.name,
-              widget: widget.title,
-              query: widget.configuration.nrql.query,
-              error: error.message,
-              suggestion: 'Check query syntax and permissions'
-            });
           }
         }
       }
@@ -353,16 +353,19 @@ class DashboardService {
       for (const widget of page.widgets) {
         analysis.totalWidgets++;
         
-        if (widget.configuration?.nrql?.query) {
+        for (const { query, accountIds, index } of widgetQueries(widget, this.config.accountId)) {
+          // Cross-account queries are timed in their first account
+          const accountId = accountIds[0];
           const widgetAnalysis = {
             widget: widget.title,
-            page: page.name
+            page: page.name,
+            queryIndex: index
           };
 
           try {
             // Validate and time the query
             const startTime = Date.now();
-            const validation = await this.nrqlService.validateQuery(widget.configuration.nrql.query);
+            const validation = await this.nrqlService.validateQuery(query, { accountId });
             const executionTime = Date.now() - startTime;
             
             widgetAnalysis.queryTime = executionTime;
@@ -370,7 +373,7 @@ class DashboardService {
             queryTimes.push(executionTime);
 
             // Analyze query for performance issues
-            const queryAnalysis = await this.nrqlService.explainQuery(widget.configuration.nrql.query);
+            const queryAnalysis = await this.nrqlService.explainQuery(query);
             
             // Check for performance issues
             if (queryAnalysis.complexity === 'High') {
@@ -382,7 +385,8 @@ class DashboardService {
               for (const facet of queryAnalysis.components.facets) {
                 const cardinality = await this.estimateFacetCardinality(
                   queryAnalysis.components.eventType,
-                  facet
+                  facet,
+                  accountId
                 );
                 if (cardinality > 1000) {
                   highCardinalityFacets.push({
@@ -395,7 +399,7 @@ class DashboardService {
               }
             }
 
-            if (!queryAnalysis.components.timeWindow) {
+            if (!queryAnalysis.components.timeWindow && !missingTimeWindows.includes(widget.title)) {
               missingTimeWindows.push(widget.title);
               analysis.performanceScore -= 2;
             }
@@ -413,6 +417,7 @@ class DashboardService {
             analysis.widgetAnalysis.push({
               widget: widget.title,
               page: page.name,
+              queryIndex: index,
               error: error.message
             });
             analysis.performanceScore -= 10;
@@ -422,15 +427,15 @@ class DashboardService {
     }
 
     // Calculate estimated load time
-    analysis.estimatedLoadTime = Math.max(...queryTimes) + (analysis.totalWidgets * 50); // 50ms overhead per widget
+    analysis.estimatedLoadTime = Math.max(0, ...queryTimes) + (analysis.totalWidgets * 50); // 50ms overhead per widget
 
     // Generate recommendations
     if (highCardinalityFacets.length > 0) {
       analysis.recommendations.push({
-        issue: `${highCardinalityFacets.length} widgets use high-cardinality facets`,
+        issue: `${new Set(highCardinalityFacets.map(f => f.widget)).size} widgets use high-cardinality facets`,
         impact: 'Slow query execution and increased memory usage',
         solution: 'Consider using FACET cases() to bucket values or remove high-cardinality facets',
-        widgets: highCardinalityFacets.map(f => f.widget)
+        widgets: [...new Set(highCardinalityFacets.map(f => f.widget))]
       });
     }
 
@@ -445,10 +450,10 @@ class DashboardService {
 
     if (largeDataQueries.length > 0) {
       analysis.recommendations.push({
-        issue: `${largeDataQueries.length} widgets return large result sets`,
+        issue: `${new Set(largeDataQueries.map(q => q.widget)).size} widgets return large result sets`,
         impact: 'Increased data transfer and rendering time',
         solution: 'Add LIMIT clauses or use aggregations to reduce data points',
-        widgets: largeDataQueries.map(q => q.widget)
+        widgets: [...new Set(largeDataQueries.map(q => q.widget))]
       });
     }
 
@@ -487,9 +492,9 @@ class DashboardService {
 
     for (const page of dashboard.pages) {
       for (const widget of page.widgets) {
-        if (widget.configuration?.nrql?.query) {
+        for (const { query, index } of widgetQueries(widget)) {
           try {
-            const usedAttributes = extractAttributesFromQuery(widget.configuration.nrql.query);
+            const usedAttributes = extractAttributesFromQuery(query);
             const invalidAttrs = usedAttributes.filter(attr => !attributeSet.has(attr));
             
             if (invalidAttrs.length > 0) {
@@ -499,6 +504,7 @@ class DashboardService {
               usage.widgets.push({
                 page: page.name,
                 widget: widget.title,
+                queryIndex: index,
                 invalidAttributes: invalidAttrs,
                 suggestions: invalidAttrs.map(attr => {
                   const suggestions = suggestCorrection(attr, availableAttributes, 3);
@@ -522,41 +528,154 @@ class DashboardService {
     return usage;
   }
 
+  /**
+   * Copy a dashboard to another account. Account references are rewritten
+   * from the source to the target account unless updateQueries is false, and
+   * the copy is refused when the compatibility check finds widgets that would
+   * have no data in the target account, or event types it could not check,
+   * unless force is set.
+   *
+   * options.sourceAccountId - account the dashboard lives in (default: config)
+   * options.compatibility - a report from checkReplicationCompatibility to reuse
+   */
   async replicateDashboard(dashboard, targetAccountId, options = {}) {
-    // Update account IDs in queries if requested
-    if (options.updateQueries) {
-      const sourceAccountId = this.config.requireAccountId();
-      dashboard = this.updateAccountIdsInDashboard(dashboard, sourceAccountId, targetAccountId);
+    const sourceAccountId = parseInt(options.sourceAccountId || this.config.requireAccountId());
+
+    const compatibility = options.compatibility ||
+      await this.checkReplicationCompatibility(dashboard, sourceAccountId, targetAccountId);
+    if (!compatibility.compatible && !options.force) {
+      throw new ValidationError(`${describeIncompatibility(compatibility)} in account ${targetAccountId}`, compatibility);
     }
 
-    // Import to target account
-    return await this.client.createDashboard(targetAccountId, dashboard);
+    const { dashboard: replica, warnings } = options.updateQueries === false
+      ? { dashboard, warnings: [] }
+      : await this.updateAccountIdsInDashboard(dashboard, sourceAccountId, targetAccountId);
+
+    const result = await this.client.createDashboard(targetAccountId, replica);
+    return { ...result, compatibility, warnings };
   }
 
-  // Helper methods
-  updateAccountIdsInDashboard(dashboard, sourceId, targetId) {
-    const updated = JSON.parse(JSON.stringify(dashboard)); // Deep clone
-    
-    for (const page of updated.pages) {
+  /**
+   * Check that every event type and attribute the dashboard's queries use in
+   * the source account also has data in the target account, using
+   * SchemaService.compareSchemas. Queries that run in other accounts are not
+   * checked. Event types whose comparison fails are listed as unchecked and
+   * make the dashboard incompatible, since nothing is known about them.
+   * Returns { sourceAccountId, targetAccountId, compatible, eventTypes,
+   * brokenWidgets, unchecked }.
+   */
+  async checkReplicationCompatibility(dashboard, sourceAccountId, targetAccountId, since = '1 day ago') {
+    sourceAccountId = parseInt(sourceAccountId);
+    targetAccountId = parseInt(targetAccountId);
+    const comparisons = new Map();
+    const failures = new Map();
+
+    const compare = async (eventType) => {
+      if (!comparisons.has(eventType)) {
+        try {
+          comparisons.set(eventType, await this.schemaService.compareSchemas(eventType, sourceAccountId, targetAccountId, since));
+        } catch (error) {
+          logger.debug(`Failed to compare ${eventType} schemas: ${error.message}`);
+          comparisons.set(eventType, null);
+          failures.set(eventType, error.message);
+        }
+      }
+      return comparisons.get(eventType);
+    };
+
+    const brokenWidgets = [];
+    for (const page of dashboard.pages) {
       for (const widget of page.widgets) {
-        if (widget.configuration?.nrql?.query) {
-          widget.configuration.nrql.query = widget.configuration.nrql.query.replace(
-            new RegExp(`account\\s*=\\s*${sourceId}`, 'gi'),
-            `account = ${targetId}`
-          );
+        const issues = [];
+
+        for (const { query, accountIds } of widgetQueries(widget, sourceAccountId)) {
+          if (!accountIds.includes(sourceAccountId)) continue;
+          const { ast, error } = tryParseNRQL(query);
+          if (error || ast.kind !== 'SELECT') continue;
+
+          const targetAttributes = new Set();
+          const missingAttributes = new Set();
+          for (const eventType of getEventTypes(ast)) {
+            const comparison = await compare(eventType);
+            // Without data in the source there is nothing to compare against
+            if (!comparison || comparison.onlyInA.length + comparison.common.length === 0) continue;
+
+            if (comparison.common.length + comparison.onlyInB.length === 0) {
+              issues.push(`${eventType} has no data in account ${targetAccountId}`);
+              continue;
+            }
+            comparison.common.concat(comparison.onlyInB).forEach(attribute => targetAttributes.add(attribute));
+            comparison.onlyInA.forEach(attribute => missingAttributes.add(attribute));
+          }
+
+          getAttributes(ast)
+            .filter(attribute => missingAttributes.has(attribute) && !targetAttributes.has(attribute))
+            .forEach(attribute => issues.push(`${attribute} is missing in account ${targetAccountId}`));
+        }
+
+        if (issues.length > 0) {
+          brokenWidgets.push({ page: page.name, widget: widget.title, issues: [...new Set(issues)] });
         }
       }
     }
-    
-    return updated;
+
+    const eventTypes = Array.from(comparisons.entries()).map(([eventType, comparison]) => ({
+      eventType,
+      checked: !failures.has(eventType),
+      inSource: Boolean(comparison) && comparison.onlyInA.length + comparison.common.length > 0,
+      inTarget: Boolean(comparison) && comparison.onlyInB.length + comparison.common.length > 0,
+      missingAttributes: comparison ? comparison.onlyInA.length : null,
+      similarity: comparison && Number.isFinite(comparison.similarity) ? Math.round(comparison.similarity * 100) : null
+    }));
+
+    return {
+      sourceAccountId,
+      targetAccountId,
+      compatible: brokenWidgets.length === 0 && failures.size === 0,
+      eventTypes,
+      brokenWidgets,
+      unchecked: Array.from(failures, ([eventType, error]) => ({ eventType, error }))
+    };
+  }
+
+  // Helper methods
+  async updateAccountIdsInDashboard(dashboard, sourceId, targetId) {
+    const accountMap = new Map([[parseInt(sourceId), parseInt(targetId)]]);
+    const entityMap = await this.resolveLinkedEntities(dashboard, accountMap);
+    const { dashboard: remapped, warnings } = remapDashboardAccounts(dashboard, accountMap, entityMap);
+    return { dashboard: remapped, warnings };
+  }
+
+  // Find each linked entity of a mapped account by name and type in the
+  // account it maps to. Entities without a single match are left out.
+  async resolveLinkedEntities(dashboard, accountMap) {
+    const entityMap = new Map();
+
+    for (const guid of linkedEntityGuids(dashboard, accountMap)) {
+      try {
+        const entity = await this.client.getEntity(guid);
+        if (!entity) continue;
+
+        const targetAccountId = accountMap.get(entityGuidAccountId(guid));
+        const name = entity.name.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+        const matches = (await this.client.searchEntities(
+          `accountId = ${targetAccountId} AND type = '${entity.type}' AND name = '${name}'`, 2
+        )).filter(match => match.name === entity.name && match.type === entity.type);
+        if (matches.length === 1) entityMap.set(guid, matches[0].guid);
+      } catch (error) {
+        logger.debug(`Failed to resolve linked entity ${guid}: ${error.message}`);
+      }
+    }
+
+    return entityMap;
   }
 
-  async estimateFacetCardinality(eventType, facet) {
+  async estimateFacetCardinality(eventType, facet, accountId = null) {
     if (!eventType || !facet) return 0;
     
     try {
       const query = `SELECT uniqueCount(${facet}) FROM ${eventType} SINCE 1 hour ago`;
-      const result = await this.client.nrql(this.config.requireAccountId(), query);
+      const result = await this.client.nrql(accountId || this.config.requireAccountId(), query);
       if (result.results.length > 0) {
         return result.results[0][`uniqueCount.${facet}`] || 0;
       }
@@ -591,12 +710,10 @@ class DashboardService {
       );
     }
 
-    // Analyze each widget for process metrics
+    // Analyze each widget query for process metrics
     for (const page of dashboard.pages) {
       for (const widget of page.widgets) {
-        if (widget.configuration?.nrql?.query) {
-          const query = widget.configuration.nrql.query;
-          
+        for (const { query, accountIds } of widgetQueries(widget, this.config.accountId)) {
           // Check if this is a process metrics query
           if (query.includes('ProcessSample') || query.includes('processDisplayName')) {
             validation.processMetrics.totalProcessQueries++;
@@ -621,9 +738,8 @@ class DashboardService {
             }
           }
           
-          // Calculate query complexity and cost
-          const complexity = calculateQueryComplexity(query);
-          validation.costEstimate += this.calculateQueryCost(query, complexity, profileConfig);
+          // Data scanned at the profile's refresh rate
+          validation.costEstimate += await this.calculateQueryCost(query, profileConfig, accountIds);
         }
       }
     }
@@ -702,23 +818,18 @@ class DashboardService {
     }
   }
 
-  // NRDOT v2: Calculate query cost
-  calculateQueryCost(query, complexity, profileConfig) {
-    const baseCost = this.costFactors.processMetrics.baseCostPerQuery;
-    const complexityMultiplier = this.costFactors.queryComplexity[complexity.level.toLowerCase()];
-    
-    // Estimate data points
-    const processCount = query.includes('ProcessSample') ? 100 : 10;
-    const attributeCount = (query.match(/,/g) || []).length + 1;
-    
-    const cost = baseCost * complexityMultiplier +
-                 (processCount * this.costFactors.processMetrics.costPerProcess) +
-                 (attributeCount * this.costFactors.processMetrics.costPerAttribute);
-    
-    // Apply refresh interval factor
-    const refreshMultiplier = 3600 / profileConfig.refreshInterval; // Queries per hour
-    
-    return cost * refreshMultiplier;
+  // NRDOT v2: Query cost (GB scanned per hour) at the profile's refresh rate
+  async calculateQueryCost(query, profileConfig, accountIds = []) {
+    try {
+      const estimate = await this.costService.estimateQuery(query, {
+        accountIds,
+        refreshSeconds: profileConfig.refreshInterval
+      });
+      return estimate.measured ? estimate.cost : 0;
+    } catch (error) {
+      logger.debug(`Failed to estimate query cost: ${error.message}`);
+      return 0;
+    }
   }
 
   // NRDOT v2: Generate process-optimized dashboard
@@ -921,30 +1032,36 @@ class DashboardService {
       for (let i = 0; i < page.widgets.length; i++) {
         const widget = page.widgets[i];
         
-        if (widget.configuration?.nrql?.query) {
-          const query = widget.configuration.nrql.query;
-          const complexity = calculateQueryComplexity(query);
-          
-          // Remove high complexity queries in conservative profiles
-          if (profileConfig.complexity === 'low' && complexity.level === 'High') {
-            widgetsToRemove.push(i);
-            optimizationLog.push(`Removed high-complexity widget: ${widget.title}`);
-            continue;
-          }
-          
+        const queries = widgetQueries(widget);
+        if (queries.length === 0) continue;
+
+        // Remove high complexity queries in conservative profiles
+        if (profileConfig.complexity === 'low' &&
+            queries.some(({ query }) => calculateQueryComplexity(query).level === 'High')) {
+          widgetsToRemove.push(i);
+          optimizationLog.push(`Removed high-complexity widget: ${widget.title}`);
+          continue;
+        }
+
+        page.widgets[i] = mapWidgetQueries(widget, nrqlQuery => {
+          if (typeof nrqlQuery.query !== 'string') return nrqlQuery;
+          let query = nrqlQuery.query;
+
           // Optimize time windows
           if (!query.includes('SINCE')) {
-            widget.configuration.nrql.query += ` SINCE ${profileConfig.queryTimeRange} ago`;
+            query += ` SINCE ${profileConfig.queryTimeRange} ago`;
             optimizationLog.push(`Added time window to widget: ${widget.title}`);
           }
-          
+
           // Add LIMIT for process queries
           if (query.includes('ProcessSample') && !query.includes('LIMIT')) {
             const limit = Math.min(profileConfig.maxProcessesPerWidget, 100);
-            widget.configuration.nrql.query += ` LIMIT ${limit}`;
+            query += ` LIMIT ${limit}`;
             optimizationLog.push(`Added LIMIT ${limit} to widget: ${widget.title}`);
           }
-        }
+
+          return { ...nrqlQuery, query };
+        });
       }
       
       // Remove widgets in reverse order to maintain indices
@@ -975,6 +1092,20 @@ class DashboardService {
   }
 }
 
+// Why a compatibility report refuses replication, e.g. "2 widgets would be
+// broken and 1 event type could not be checked"
+function describeIncompatibility(report) {
+  const reasons = [];
+  if (report.brokenWidgets.length > 0) {
+    reasons.push(`${report.brokenWidgets.length} widgets would be broken`);
+  }
+  if (report.unchecked.length > 0) {
+    reasons.push(`${report.unchecked.length} event types could not be checked`);
+  }
+  return reasons.join(' and ');
+}
+
 module.exports = {
-  DashboardService
+  DashboardService,
+  describeIncompatibility
 };
\ No newline at end of file
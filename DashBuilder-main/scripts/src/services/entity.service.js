@@ -0,0 +1,144 @@
+const { NerdGraphClient } = require('../core/api-client.js');
+const { Cache } = require('../utils/cache.js');
+const { logger } = require('../utils/logger.js');
+const { tryParseNRQL } = require('../utils/nrql-parser.js');
+const { ValidationError } = require('../utils/errors.js');
+
+class EntityService {
+  constructor(config) {
+    this.config = config;
+    this.client = new NerdGraphClient(config);
+    this.cache = new Cache({
+      enabled: config.enableCache,
+      ttl: config.cacheTTL
+    });
+  }
+
+  // Plain text searches by name; anything that already looks like an entity
+  // search expression (name = 'x', domain IN (...)) is passed through as-is
+  buildSearchQuery(query, options = {}) {
+    const clauses = [];
+
+    if (query && /\s(=|!=|LIKE|IN)\s|\s(AND|OR)\s/i.test(query)) {
+      clauses.push(`(${query})`);
+    } else if (query) {
+      clauses.push(`name LIKE '%${query.replace(/'/g, '\\\'')}%'`);
+    }
+
+    if (options.type) {
+      clauses.push(`type = '${options.type.toUpperCase()}'`);
+    }
+    if (options.domain) {
+      clauses.push(`domain = '${options.domain.toUpperCase()}'`);
+    }
+    if (options.accountId) {
+      clauses.push(`accountId = ${parseInt(options.accountId)}`);
+    }
+
+    if (clauses.length === 0) {
+      throw new ValidationError('Entity search needs a query, type or domain');
+    }
+    return clauses.join(' AND ');
+  }
+
+  async searchEntities(query, type = null, options = {}) {
+    const searchQuery = this.buildSearchQuery(query, {
+      type,
+      domain: options.domain,
+      accountId: options.accountId
+    });
+    const limit = options.limit || 50;
+    const cacheKey = this.cache.generateKey('entity-search', searchQuery, limit);
+
+    return await this.cache.get(cacheKey, async () => {
+      const entities = await this.client.searchEntities(searchQuery, limit);
+      return entities.map(entity => ({
+        guid: entity.guid,
+        name: entity.name,
+        type: entity.type,
+        domain: entity.domain,
+        tags: this.flattenTags(entity.tags)
+      }));
+    });
+  }
+
+  async describeEntity(guid) {
+    const entity = await this.client.getEntity(guid);
+    if (!entity) {
+      throw new ValidationError(`Entity '${guid}' not found`);
+    }
+
+    return {
+      guid: entity.guid,
+      name: entity.name,
+      type: entity.type,
+      domain: entity.domain,
+      tags: this.flattenTags(entity.tags),
+      relationshipCount: entity.relationships?.length || 0
+    };
+  }
+
+  async getRelationships(guid, options = {}) {
+    const relationships = await this.client.getEntityRelationships(guid, options.limit || 100);
+
+    return relationships.map(relationship => {
+      const source = relationship.source?.entity || {};
+      const target = relationship.target?.entity || {};
+      const outgoing = source.guid === guid;
+      const related = outgoing ? target : source;
+
+      return {
+        direction: outgoing ? 'outgoing' : 'incoming',
+        type: relationship.type,
+        guid: related.guid,
+        name: related.name,
+        entityType: related.type,
+        domain: related.domain
+      };
+    });
+  }
+
+  // Golden metrics come back as NRQL; optionally run each one to get a
+  // current value for the entity
+  async getGoldenMetrics(guid, options = {}) {
+    const metrics = await this.client.getEntityGoldenMetrics(guid);
+    if (!options.includeValues) {
+      return metrics;
+    }
+
+    const accountId = this.config.requireAccountId();
+    const since = options.since || '1 hour ago';
+
+    return await Promise.all(metrics.map(async (metric) => {
+      const query = this.withTimeWindow(metric.query, since);
+      try {
+        const result = await this.client.nrql(accountId, query);
+        const row = result.results[0] || {};
+        const value = Object.entries(row).find(([key]) => key !== 'facet' && !key.startsWith('timestamp'));
+        return { ...metric, value: value ? value[1] : null };
+      } catch (error) {
+        logger.debug(`Failed to evaluate golden metric ${metric.name}: ${error.message}`);
+        return { ...metric, value: null, error: error.message };
+      }
+    }));
+  }
+
+  withTimeWindow(query, since) {
+    const { ast } = tryParseNRQL(query);
+    if (ast && ast.since) {
+      return query;
+    }
+    return `${query} SINCE ${since}`;
+  }
+
+  flattenTags(tags = []) {
+    return (tags || []).reduce((acc, tag) => {
+      acc[tag.key] = tag.values.length === 1 ? tag.values[0] : tag.values;
+      return acc;
+    }, {});
+  }
+}
+
+module.exports = {
+  EntityService
+};
@@ -0,0 +1,211 @@
+const { NerdGraphClient } = require('../core/api-client.js');
+const { Cache } = require('../utils/cache.js');
+const { logger } = require('../utils/logger.js');
+const { tryParseNRQL, getTimeWindowMilliseconds } = require('../utils/nrql-parser.js');
+const { ValidationError } = require('../utils/errors.js');
+const { validateEventType } = require('../utils/validators.js');
+const { SchemaService } = require('./schema.service.js');
+
+const BYTES_PER_GB = 1e9;
+const MONTH_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Attributes that identify where data comes from, in order of preference
+const SOURCE_ATTRIBUTES = [
+  'entity.name', 'appName', 'hostname', 'host', 'entityName', 'service.name',
+  'instrumentation.provider', 'collector.name', 'clusterName'
+];
+
+// Event types are queried together in one FROM clause per batch
+const EVENT_TYPE_BATCH_SIZE = 25;
+
+class IngestService {
+  constructor(config) {
+    this.config = config;
+    this.client = new NerdGraphClient(config);
+    this.schemaService = new SchemaService(config);
+    this.cache = new Cache({
+      enabled: config.enableCache,
+      ttl: config.cacheTTL
+    });
+  }
+
+  // Length of a "SINCE" window such as '1 day ago', used to project volumes
+  // to a 30-day month
+  getWindowMilliseconds(timeWindow) {
+    const { ast } = tryParseNRQL(`SELECT count(*) FROM Transaction SINCE ${timeWindow}`);
+    const milliseconds = getTimeWindowMilliseconds(ast);
+    if (!milliseconds) {
+      throw new ValidationError(`Time window must be relative, like '1 day ago' (got '${timeWindow}')`);
+    }
+    return milliseconds;
+  }
+
+  projectMonthly(bytes, timeWindow) {
+    return (bytes / this.getWindowMilliseconds(timeWindow)) * MONTH_MS;
+  }
+
+  async analyzeEventType(eventType, timeWindow = '1 day ago', options = {}) {
+    validateEventType(eventType);
+    const accountId = this.config.requireAccountId();
+    const cacheKey = this.cache.generateKey('ingest-event-type', accountId, eventType, timeWindow, options);
+
+    return await this.cache.get(cacheKey, async () => {
+      const volumeQuery = `SELECT bytecountestimate() AS 'bytes', count(*) AS 'events' FROM ${eventType} SINCE ${timeWindow}`;
+      const volume = await this.client.nrql(accountId, volumeQuery);
+      const row = volume.results[0] || {};
+      const bytes = row.bytes || 0;
+      const events = row.events || 0;
+
+      const analysis = {
+        eventType,
+        timeWindow,
+        events,
+        bytes,
+        gigabytes: bytes / BYTES_PER_GB,
+        averageEventBytes: events > 0 ? Math.round(bytes / events) : 0,
+        estimatedMonthlyGB: this.projectMonthly(bytes, timeWindow) / BYTES_PER_GB,
+        topSources: null
+      };
+
+      if (events > 0) {
+        analysis.topSources = await this.getTopSources(accountId, eventType, timeWindow, bytes, options.limit || 10);
+      }
+
+      return analysis;
+    });
+  }
+
+  async getTopSources(accountId, eventType, timeWindow, totalBytes, limit = 10) {
+    const attributes = await this.client.getEventAttributes(accountId, eventType, timeWindow);
+    const attribute = SOURCE_ATTRIBUTES.find(candidate => attributes.includes(candidate));
+    if (!attribute) {
+      logger.debug(`No source attribute found for ${eventType}`);
+      return null;
+    }
+
+    const query = `SELECT bytecountestimate() AS 'bytes', count(*) AS 'events' FROM ${eventType} FACET \`${attribute}\` SINCE ${timeWindow} LIMIT ${limit}`;
+    const result = await this.client.nrql(accountId, query);
+
+    return {
+      attribute,
+      sources: result.results.map(row => ({
+        name: Array.isArray(row.facet) ? row.facet.join(', ') : row.facet,
+        events: row.events || 0,
+        bytes: row.bytes || 0,
+        percentage: totalBytes > 0 ? Math.round(((row.bytes || 0) / totalBytes) * 1000) / 10 : 0
+      }))
+    };
+  }
+
+  async analyzeAllEventTypes(timeWindow = '1 day ago') {
+    const accountId = this.config.requireAccountId();
+    const cacheKey = this.cache.generateKey('ingest-all', accountId, timeWindow);
+
+    return await this.cache.get(cacheKey, async () => {
+      const eventTypes = await this.client.getEventTypes(accountId, timeWindow);
+      const rows = [];
+
+      for (let i = 0; i < eventTypes.length; i += EVENT_TYPE_BATCH_SIZE) {
+        const batch = eventTypes.slice(i, i + EVENT_TYPE_BATCH_SIZE).map(type => `\`${type}\``);
+        const query = `SELECT bytecountestimate() AS 'bytes', count(*) AS 'events' FROM ${batch.join(', ')} FACET eventType() SINCE ${timeWindow} LIMIT MAX`;
+        try {
+          const result = await this.client.nrql(accountId, query);
+          rows.push(...result.results);
+        } catch (error) {
+          logger.warn(`Failed to measure volume for ${batch.length} event types: ${error.message}`);
+        }
+      }
+
+      const totalBytes = rows.reduce((sum, row) => sum + (row.bytes || 0), 0);
+      const totalEvents = rows.reduce((sum, row) => sum + (row.events || 0), 0);
+
+      const byEventType = rows
+        .map(row => ({
+          eventType: Array.isArray(row.facet) ? row.facet[0] : row.facet,
+          events: row.events || 0,
+          bytes: row.bytes || 0,
+          gigabytes: (row.bytes || 0) / BYTES_PER_GB,
+          percentage: totalBytes > 0 ? Math.round(((row.bytes || 0) / totalBytes) * 1000) / 10 : 0,
+          estimatedMonthlyGB: this.projectMonthly(row.bytes || 0, timeWindow) / BYTES_PER_GB
+        }))
+        .sort((a, b) => b.bytes - a.bytes);
+
+      return {
+        timeWindow,
+        totalEvents,
+        totalBytes,
+        totalGigabytes: totalBytes / BYTES_PER_GB,
+        estimatedMonthlyGB: this.projectMonthly(totalBytes, timeWindow) / BYTES_PER_GB,
+        eventTypes: byEventType
+      };
+    });
+  }
+
+  // NRDOT v2: Find ProcessSample data that costs more than it is worth.
+  // Processes that are idle and not in a critical category are candidates
+  // for exclusion; the remaining volume drives a sample-rate recommendation.
+  async analyzeProcessOptimization(timeWindow = '1 day ago', options = {}) {
+    const accountId = this.config.requireAccountId();
+    const cpuThreshold = options.cpuThreshold ?? 1;
+    const memoryThreshold = options.memoryThreshold ?? 50 * 1024 * 1024;
+
+    const query = `SELECT bytecountestimate() AS 'bytes', count(*) AS 'samples', average(cpuPercent) AS 'cpu', average(memoryResidentSizeBytes) AS 'memory' FROM ProcessSample FACET processDisplayName SINCE ${timeWindow} LIMIT ${options.limit || 200}`;
+    const result = await this.client.nrql(accountId, query);
+
+    const processes = result.results.map(row => {
+      const name = Array.isArray(row.facet) ? row.facet[0] : row.facet;
+      const classification = this.schemaService.classifyProcess(name || '');
+      return {
+        name,
+        category: classification.category,
+        priority: classification.priority,
+        samples: row.samples || 0,
+        bytes: row.bytes || 0,
+        averageCpu: row.cpu || 0,
+        averageMemoryBytes: row.memory || 0
+      };
+    });
+
+    const totalBytes = processes.reduce((sum, proc) => sum + proc.bytes, 0);
+    const candidates = processes.filter(proc =>
+      proc.priority !== 'high' &&
+      proc.averageCpu < cpuThreshold &&
+      proc.averageMemoryBytes < memoryThreshold
+    );
+    const candidateBytes = candidates.reduce((sum, proc) => sum + proc.bytes, 0);
+
+    const recommendations = [];
+    if (candidates.length > 0) {
+      recommendations.push({
+        type: 'exclude-idle-processes',
+        description: `Exclude ${candidates.length} idle low-priority processes from ProcessSample collection`,
+        estimatedSavingsPercent: totalBytes > 0 ? Math.round((candidateBytes / totalBytes) * 1000) / 10 : 0,
+        processes: candidates.map(proc => proc.name)
+      });
+    }
+
+    const monthlyGB = this.projectMonthly(totalBytes, timeWindow) / BYTES_PER_GB;
+    if (monthlyGB > 100) {
+      recommendations.push({
+        type: 'reduce-sample-rate',
+        description: 'Raise metrics_process_sample_rate from 20 to 60 seconds to cut ProcessSample volume by roughly two thirds',
+        estimatedSavingsPercent: 66.7
+      });
+    }
+
+    return {
+      timeWindow,
+      totalProcesses: processes.length,
+      totalBytes,
+      estimatedMonthlyGB: monthlyGB,
+      optimizationCandidates: candidates.length,
+      estimatedMonthlySavingsGB: this.projectMonthly(candidateBytes, timeWindow) / BYTES_PER_GB,
+      topProcesses: [...processes].sort((a, b) => b.bytes - a.bytes).slice(0, 20),
+      recommendations
+    };
+  }
+}
+
+module.exports = {
+  IngestService
+};
@@ -0,0 +1,48 @@
+const { NRGuardianError } = require('../utils/errors.js');
+const { getFeatureFlags } = require('../core/config.js');
+
+// LLM-assisted query and dashboard suggestions. Nothing here talks to a model
+// yet; the service exists so callers can check the feature gate and get a
+// clear error instead of a missing module.
+class LLMEnhancementService {
+  constructor(config = {}) {
+    this.config = config;
+    this.features = config.features || getFeatureFlags();
+  }
+
+  isEnabled() {
+    return this.features.llm === true;
+  }
+
+  getStatus() {
+    return {
+      feature: 'llm',
+      enabled: this.isEnabled(),
+      implemented: false,
+      enableWith: 'NR_GUARDIAN_ENABLE_LLM=true'
+    };
+  }
+
+  requireEnabled() {
+    if (!this.isEnabled()) {
+      throw new NRGuardianError(
+        'LLM enhancements are disabled. Set NR_GUARDIAN_ENABLE_LLM=true to enable them.',
+        'FEATURE_DISABLED'
+      );
+    }
+  }
+
+  async enhanceQuery(query) {
+    this.requireEnabled();
+    throw new NRGuardianError('LLM query enhancement is not implemented yet', 'NOT_IMPLEMENTED');
+  }
+
+  async enhanceDashboard(dashboard) {
+    this.requireEnabled();
+    throw new NRGuardianError('LLM dashboard enhancement is not implemented yet', 'NOT_IMPLEMENTED');
+  }
+}
+
+module.exports = {
+  LLMEnhancementService
+};
@@ -0,0 +1,239 @@
+const fs = require('fs/promises');
+const axios = require('axios');
+const { tryParseNRQL, getEventTypes, walk } = require('../utils/nrql-parser.js');
+const { widgetQueries } = require('../utils/widget-queries.js');
+const { parsePrometheus } = require('../utils/prometheus-parser.js');
+const { mapMetrics, findMetric, metricKey, suggestNames } = require('../utils/metric-mapping.js');
+const { ValidationError } = require('../utils/errors.js');
+
+// Attributes every Metric data point has, whatever the exporter emits
+const METRIC_ATTRIBUTES = [
+  'metricName', 'timestamp', 'endTimestamp', 'newrelic.source', 'entity.guid', 'entity.name', 'entity.type'
+];
+
+// Functions whose arguments are attributes rather than metric values
+const ATTRIBUTE_FUNCTIONS = new Set(['uniques', 'uniquecount', 'keyset', 'filter']);
+
+function likePattern(pattern) {
+  const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/%/g, '.*').replace(/_/g, '.')}$`, 'i');
+}
+
+/**
+ * Validates dashboard queries offline against the metrics a local Prometheus
+ * or OpenMetrics endpoint exposes (a Kafka JMX exporter, an OpenTelemetry
+ * Collector, any /metrics), predicting how each series will be named in New
+ * Relic's Metric event type. Needs no account or API key.
+ */
+class LocalValidationService {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 10000;
+  }
+
+  /**
+   * Read exposition text from an http(s) endpoint or a file holding a saved
+   * scrape and predict the New Relic metrics. options.source and
+   * options.attributes go to mapMetrics.
+   */
+  async scrape(endpoint, options = {}) {
+    let text;
+    if (/^https?:\/\//i.test(endpoint)) {
+      const response = await axios.get(endpoint, {
+        timeout: this.timeout,
+        responseType: 'text',
+        transformResponse: data => data,
+        headers: { Accept: 'application/openmetrics-text;version=1.0.0,text/plain;version=0.0.4;q=0.9' }
+      });
+      text = response.data;
+    } else {
+      try {
+        text = await fs.readFile(endpoint, 'utf-8');
+      } catch (error) {
+        throw new ValidationError(`Cannot read metrics from ${endpoint}: ${error.message}`);
+      }
+    }
+
+    const { format, families, errors } = parsePrometheus(text, { strict: false });
+    const metrics = mapMetrics(families, options);
+    if (metrics.length === 0) {
+      throw new ValidationError(`${endpoint} exposes no metrics`);
+    }
+    return { endpoint, format, source: options.source || 'otlp', families: families.length, metrics, errors };
+  }
+
+  /**
+   * Check one query's metric names, FACET attributes and WHERE attributes.
+   * Returns { status, issues, reason }: status is 'skipped' for queries that
+   * do not read Metric, 'invalid' when a name is not exposed, 'warning' for
+   * issues that may still return data, otherwise 'valid'. Each issue is
+   * { kind, clause, name, message, suggestions, severity }.
+   */
+  validateQuery(query, metrics) {
+    const { ast, error } = tryParseNRQL(query);
+    if (error) {
+      return { status: 'invalid', reason: null, issues: [{ kind: 'syntax', clause: null, name: null, message: error.message, suggestions: [], severity: 'error' }] };
+    }
+    if (ast.kind !== 'SELECT') {
+      return { status: 'skipped', reason: 'Not a SELECT query', issues: [] };
+    }
+    const eventTypes = getEventTypes(ast);
+    if (!eventTypes.includes('Metric')) {
+      return { status: 'skipped', reason: `Reads ${eventTypes.join(', ') || 'no event type'}, not Metric`, issues: [] };
+    }
+
+    const metricNames = metrics.map(metric => metric.metricName);
+    const aliases = new Set(ast.select.map(item => item.alias).filter(Boolean));
+    const issues = [];
+    const referenced = new Map();
+    const references = [];
+
+    // metricName = 'x', metricName IN ('x', 'y') and metricName LIKE 'x%'
+    walk(ast.where, node => {
+      if (node.type === 'Subquery') return false;
+      const isMetricName = expression => expression && expression.type === 'Identifier' && expression.name === 'metricName';
+      if (node.type === 'BinaryExpression' && isMetricName(node.left) && node.right.type === 'StringLiteral') {
+        if (node.operator === '=') {
+          this.checkMetricName(node.right.value, metrics, referenced, issues);
+        } else if (/^LIKE$/i.test(node.operator)) {
+          const pattern = likePattern(node.right.value);
+          const matches = metrics.filter(metric => pattern.test(metric.metricName));
+          matches.forEach(metric => referenced.set(metric.metricName, metric));
+          if (matches.length === 0) {
+            issues.push({
+              kind: 'metric',
+              clause: 'WHERE',
+              name: node.right.value,
+              message: `No metric matches LIKE '${node.right.value}'`,
+              suggestions: suggestNames(node.right.value.replace(/%/g, ''), metricNames),
+              severity: 'error'
+            });
+          }
+        }
+        return false;
+      }
+      if (node.type === 'InExpression' && isMetricName(node.expression) && !node.negated && !node.subquery) {
+        node.values
+          .filter(value => value.type === 'StringLiteral')
+          .forEach(value => this.checkMetricName(value.value, metrics, referenced, issues));
+        return false;
+      }
+      return true;
+    });
+
+    // Every other name: a metric when the endpoint exposes one by that name,
+    // otherwise an attribute
+    const collect = (node, clause) => walk(node, (child, parent) => {
+      if (child.type === 'Subquery') return false;
+      if (child.type === 'Identifier' && !aliases.has(child.name) && child.name !== 'metricName') {
+        const attributeOnly = clause === 'FACET' ||
+          (parent && parent.type === 'FunctionCall' && ATTRIBUTE_FUNCTIONS.has(parent.name.toLowerCase()));
+        references.push({ name: child.name, clause, attributeOnly });
+      }
+      return true;
+    });
+    ast.select.forEach(item => collect(item.expression, 'SELECT'));
+    collect(ast.where, 'WHERE');
+    if (ast.facet) ast.facet.items.forEach(item => collect(item.expression, 'FACET'));
+
+    references.filter(reference => !reference.attributeOnly).forEach(reference => {
+      const metric = findMetric(metrics, reference.name);
+      if (metric) {
+        reference.metric = metric;
+        referenced.set(metric.metricName, metric);
+      }
+    });
+
+    // Attributes of the metrics the query reads, or of all metrics when it
+    // names none the endpoint exposes
+    const scope = referenced.size > 0 ? [...referenced.values()] : metrics;
+    const attributes = [...new Set([...METRIC_ATTRIBUTES, ...scope.flatMap(metric => metric.attributes)])];
+    const attributeKeys = new Set(attributes.map(metricKey));
+    const seen = new Set();
+
+    references.filter(reference => !reference.metric).forEach(({ name, clause, attributeOnly }) => {
+      if (attributeKeys.has(metricKey(name)) || seen.has(`${clause}:${name}`)) return;
+      seen.add(`${clause}:${name}`);
+
+      if (name === 'value') {
+        issues.push({
+          kind: 'attribute',
+          clause,
+          name,
+          message: 'Dimensional metrics have no value attribute; aggregate the metric by name, e.g. latest(<metric>)',
+          suggestions: [...referenced.keys()].slice(0, 3),
+          severity: 'warning'
+        });
+        return;
+      }
+
+      issues.push({
+        kind: attributeOnly ? 'attribute' : 'name',
+        clause,
+        name,
+        message: attributeOnly
+          ? `Attribute '${name}' is not on ${referenced.size > 0 ? [...referenced.keys()].join(', ') : 'any exposed metric'}`
+          : `'${name}' is neither an exposed metric nor an attribute`,
+        suggestions: suggestNames(name, attributeOnly ? attributes : [...metricNames, ...attributes]),
+        severity: 'error'
+      });
+    });
+
+    const status = issues.some(issue => issue.severity === 'error')
+      ? 'invalid'
+      : issues.length > 0 ? 'warning' : 'valid';
+    return { status, reason: null, issues };
+  }
+
+  checkMetricName(name, metrics, referenced, issues) {
+    const metric = findMetric(metrics, name);
+    if (metric) {
+      referenced.set(metric.metricName, metric);
+      return;
+    }
+    issues.push({
+      kind: 'metric',
+      clause: 'WHERE',
+      name,
+      message: `Metric '${name}' is not exposed`,
+      suggestions: suggestNames(name, metrics.map(item => item.metricName)),
+      severity: 'error'
+    });
+  }
+
+  /**
+   * Validate every widget query of a dashboard. Returns { dashboardName,
+   * queries: [{ page, widget, queryIndex, query, status, reason, issues }],
+   * summary: { queries, valid, warning, invalid, skipped } }.
+   */
+  validateDashboard(dashboard, metrics) {
+    const queries = [];
+    (dashboard.pages || []).forEach(page => {
+      (page.widgets || []).forEach(widget => {
+        widgetQueries(widget).forEach(({ query, index }) => {
+          queries.push({
+            page: page.name,
+            widget: widget.title || '(untitled)',
+            queryIndex: index,
+            query,
+            ...this.validateQuery(query, metrics)
+          });
+        });
+      });
+    });
+
+    const count = status => queries.filter(item => item.status === status).length;
+    return {
+      dashboardName: dashboard.name,
+      queries,
+      summary: {
+        queries: queries.length,
+        valid: count('valid'),
+        warning: count('warning'),
+        invalid: count('invalid'),
+        skipped: count('skipped')
+      }
+    };
+  }
+}
+
+module.exports = { LocalValidationService };
@@ -4,19 +4,22 @@ const { logger } = require('../utils/logger.js');
 const { 
   validateNRQLQuery, 
   extractEventTypeFromQuery, 
-  extractAttributesFromQuery,
   isValidNRQLFunction,
   suggestCorrection,
   calculateQueryComplexity
 } = require('../utils/validators.js');
 const { NRQLError } = require('../utils/errors.js');
+const { parseNRQL, nodeText, getEventTypes, getAttributes, flattenConditions } = require('../utils/nrql-parser.js');
 const { SchemaService } = require('./schema.service.js');
+const { CostService } = require('./cost.service.js');
+const { formatBytes } = require('../utils/query-cost.js');
 
 class NRQLService {
   constructor(config) {
     this.config = config;
     this.client = new NerdGraphClient(config);
     this.schemaService = new SchemaService(config);
+    this.costService = new CostService(config);
     this.cache = new Cache({ 
       enabled: config.enableCache, 
       ttl: 300 // 5 minute cache for NRQL validation
@@ -72,8 +75,9 @@ class NRQLService {
     };
   }
 
+  // options.accountId runs the query in another account than the configured one
   async validateQuery(query, options = {}) {
-    const accountId = this.config.requireAccountId();
+    const accountId = options.accountId || this.config.requireAccountId();
     
     try {
       validateNRQLQuery(query);
@@ -303,7 +307,7 @@ class NRQLService {
       suggestions,
       complexity,
       estimatedImprovement: this.estimateImprovement(suggestions),
-      costImpact: this.estimateCostImpact(complexity, suggestions)
+      costImpact: await this.estimateCostImpact(query)
     };
   }
 
@@ -325,39 +329,56 @@ class NRQLService {
     return 'Query is already optimized';
   }
 
-  // NRDOT v2: Estimate cost impact
-  estimateCostImpact(complexity, suggestions) {
-    const hasHighCardinalityFacet = suggestions.some(s => 
-      s.description.includes('high cardinality')
-    );
-    
-    const hasLargeTimeWindow = suggestions.some(s => 
-      s.description.includes('Large time windows')
-    );
-    
-    if (complexity.score > 10 || hasHighCardinalityFacet || hasLargeTimeWindow) {
+  // NRDOT v2: Estimate cost impact from the data the query scans
+  async estimateCostImpact(query) {
+    let estimate = null;
+    try {
+      estimate = await this.costService.estimateQuery(query);
+    } catch (error) {
+      logger.debug(`Failed to measure query volume: ${error.message}`);
+    }
+
+    if (!estimate || !estimate.measured) {
+      return {
+        level: 'unknown',
+        description: 'Data volume could not be measured',
+        recommendation: 'Check the query and account access'
+      };
+    }
+
+    const impact = {
+      level: estimate.level,
+      bytesPerRun: estimate.bytesPerRun,
+      bytesPerHour: estimate.bytesPerHour,
+      facetGroups: estimate.facetGroups,
+      cost: estimate.cost
+    };
+    const scanned = `${formatBytes(estimate.bytesPerRun)} per run, ${formatBytes(estimate.bytesPerHour)} per hour on a dashboard`;
+
+    if (estimate.level === 'high') {
       return {
-        level: 'high',
-        description: 'Query may consume significant resources',
-        recommendation: 'Consider the suggested optimizations to reduce costs'
+        ...impact,
+        description: `Query scans ${scanned}`,
+        recommendation: 'Narrow the time window or WHERE clause, or reduce facet cardinality'
       };
     }
     
-    if (complexity.score > 5) {
+    if (estimate.level === 'medium') {
       return {
-        level: 'medium',
-        description: 'Query has moderate resource consumption',
+        ...impact,
+        description: `Query scans ${scanned}`,
         recommendation: 'Optimizations available but not critical'
       };
     }
     
     return {
-      level: 'low',
-      description: 'Query is cost-efficient',
+      ...impact,
+      description: `Query is cost-efficient (${scanned})`,
       recommendation: 'No significant cost concerns'
     };
   }
 
+
   // NRDOT v2: Get important attributes for an event type
   async getImportantAttributes(eventType) {
     try {
@@ -410,7 +431,7 @@ class NRQLService {
       complexity,
       warnings: [],
       executionPlan: await this.generateExecutionPlan(analysis),
-      estimatedCost: this.estimateCostImpact(complexity, [])
+      estimatedCost: await this.estimateCostImpact(query)
     };
 
     // Performance warnings
@@ -763,7 +784,7 @@ class NRQLService {
   async analyzeQuery(query) {
     const analysis = {
       query: query,
-      action: query.match(/^(\w+)/i)?.[1]?.toUpperCase(),
+      action: null,
       eventType: null,
       attributes: [],
       conditions: [],
@@ -771,67 +792,54 @@ class NRQLService {
       timeWindow: null,
       limit: null,
       orderBy: null,
-      complexity: calculateQueryComplexity(query)
+      complexity: calculateQueryComplexity(query),
+      parseError: null,
+      ast: null
     };
 
+    let ast;
     try {
-      analysis.eventType = extractEventTypeFromQuery(query);
-      analysis.attributes = extractAttributesFromQuery(query);
+      ast = parseNRQL(query);
     } catch (error) {
-      logger.debug(`Failed to extract query components: ${error.message}`);
+      logger.debug(`Failed to parse query: ${error.message}`);
+      analysis.parseError = { message: error.message, line: error.line, column: error.column };
+      return analysis;
     }
 
-    // Extract WHERE conditions
-    const whereMatch = query.match(/WHERE\s+(.+?)(?:\s+FACET|\s+SINCE|\s+UNTIL|\s+LIMIT|\s+ORDER\s+BY|\s*$)/is);
-    if (whereMatch) {
-      analysis.conditions = this.parseConditions(whereMatch[1]);
+    analysis.ast = ast;
+    analysis.action = ast.kind;
+    analysis.eventType = getEventTypes(ast)[0] || null;
+    analysis.attributes = getAttributes(ast);
+
+    if (ast.where) {
+      analysis.conditions = this.parseConditions(ast.where, query);
     }
 
-    // Extract FACET
-    const facetMatch = query.match(/FACET\s+(.+?)(?:\s+SINCE|\s+UNTIL|\s+LIMIT|\s+ORDER\s+BY|\s*$)/is);
-    if (facetMatch) {
-      analysis.facets = facetMatch[1].split(/\s*,\s*/).map(f => f.trim());
+    if (ast.facet) {
+      analysis.facets = ast.facet.items.map(item => nodeText(item, query));
     }
 
-    // Extract ORDER BY
-    const orderMatch = query.match(/ORDER\s+BY\s+(.+?)(?:\s+ASC|\s+DESC|\s+SINCE|\s+UNTIL|\s+LIMIT|\s*$)/is);
-    if (orderMatch) {
-      analysis.orderBy = orderMatch[1].trim();
+    if (ast.orderBy) {
+      analysis.orderBy = ast.orderBy.map(item => nodeText(item.expression, query)).join(', ');
     }
 
-    // Extract time window
-    const sinceMatch = query.match(/SINCE\s+(.+?)(?:\s+UNTIL|\s+LIMIT|\s+ORDER\s+BY|\s*$)/is);
-    if (sinceMatch) {
-      analysis.timeWindow = sinceMatch[1].trim();
+    if (ast.since) {
+      analysis.timeWindow = nodeText(ast.since, query);
     }
 
-    // Extract LIMIT
-    const limitMatch = query.match(/LIMIT\s+(\d+)/i);
-    if (limitMatch) {
-      analysis.limit = parseInt(limitMatch[1]);
+    if (ast.limit) {
+      analysis.limit = ast.limit.type === 'NumberLiteral' ? ast.limit.value : nodeText(ast.limit, query);
     }
 
     return analysis;
   }
 
-  // NRDOT v2: Parse WHERE conditions
-  parseConditions(whereClause) {
-    const conditions = [];
-    
-    // Simple parser for conditions (doesn't handle all cases but covers common ones)
-    const parts = whereClause.split(/\s+(AND|OR)\s+/i);
-    
-    for (let i = 0; i < parts.length; i += 2) {
-      const condition = parts[i].trim();
-      if (condition) {
-        conditions.push({
-          text: condition,
-          operator: parts[i + 1] || null
-        });
-      }
-    }
-    
-    return conditions;
+  // NRDOT v2: Split a parsed WHERE expression into its top-level conditions
+  parseConditions(whereNode, query) {
+    return flattenConditions(whereNode).map(({ node, operator }) => ({
+      text: nodeText(node, query),
+      operator
+    }));
   }
 
   async getQuerySuggestions(query, error) {
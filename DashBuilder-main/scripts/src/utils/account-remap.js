@@ -0,0 +1,198 @@
+const { tryParseNRQL, walk } = require('./nrql-parser.js');
+const { ValidationError } = require('./errors.js');
+const { mapWidgetQueries } = require('./widget-queries.js');
+
+// Rewrites account references when alert conditions or dashboards are copied
+// from one account to another.
+
+const ACCOUNT_ATTRIBUTES = new Set(['accountid', 'account']);
+
+/**
+ * Parse "123:456,789:1011" (source:target pairs) into a Map. A bare target
+ * ID maps defaultSource to it.
+ */
+function parseAccountMap(spec, defaultSource = null) {
+  const map = new Map();
+  if (!spec) return map;
+
+  String(spec).split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+    const match = pair.match(/^(\d+)\s*:\s*(\d+)$/);
+    if (match) {
+      map.set(parseInt(match[1]), parseInt(match[2]));
+    } else if (defaultSource && /^\d+$/.test(pair)) {
+      map.set(parseInt(defaultSource), parseInt(pair));
+    } else {
+      throw new ValidationError(`Invalid account mapping '${pair}', expected source:target`);
+    }
+  });
+  return map;
+}
+
+function remapAccountId(accountId, accountMap) {
+  const id = parseInt(accountId);
+  return accountMap.has(id) ? accountMap.get(id) : id;
+}
+
+// The accountId attribute or the accountId() function
+function isAccountAttribute(node) {
+  if (!node) return false;
+  if (node.type === 'FunctionCall') return node.name.toLowerCase() === 'accountid' && node.args.length === 0;
+  return node.type === 'Identifier' && ACCOUNT_ATTRIBUTES.has(node.name.toLowerCase());
+}
+
+/**
+ * Rewrite accountId = N and accountId IN (...) literals, quoted ('N') as
+ * well as bare, the same comparisons on accountId(), and WITH ACCOUNT N
+ * options in a NRQL query. Returns { query, replaced } with the number of
+ * account references changed. Queries that do not parse are returned
+ * unchanged.
+ */
+function remapQueryAccounts(query, accountMap) {
+  const { ast, error } = tryParseNRQL(query);
+  if (error || accountMap.size === 0) return { query, replaced: 0 };
+
+  const edits = [];
+  const collect = node => {
+    if (node && node.type === 'NumberLiteral' && accountMap.has(node.value)) {
+      edits.push({ start: node.start, end: node.end, text: String(accountMap.get(node.value)) });
+    } else if (node && node.type === 'StringLiteral' && /^\d+$/.test(node.value) && accountMap.has(parseInt(node.value))) {
+      // Keep the quotes the query used
+      const text = query.slice(node.start, node.end);
+      edits.push({ start: node.start, end: node.end, text: text.replace(node.value, String(accountMap.get(parseInt(node.value)))) });
+    }
+  };
+
+  walk(ast, node => {
+    if (node.type === 'BinaryExpression' && ['=', '!='].includes(node.operator)) {
+      if (isAccountAttribute(node.left)) collect(node.right);
+      if (isAccountAttribute(node.right)) collect(node.left);
+    } else if (node.type === 'InExpression' && isAccountAttribute(node.expression)) {
+      node.values.forEach(collect);
+    }
+    return true;
+  });
+
+  // The option node spans the whole clause, so swap the ID inside its text
+  (ast.options || [])
+    .filter(option => option.name === 'ACCOUNT' && accountMap.has(parseInt(option.value)))
+    .forEach(option => {
+      const text = query.slice(option.start, option.end);
+      const target = String(accountMap.get(parseInt(option.value)));
+      edits.push({ start: option.start, end: option.end, text: text.replace(/\d+(?=\D*$)/, target) });
+    });
+
+  // Replace from the end so earlier positions stay valid
+  let rewritten = query;
+  edits
+    .sort((a, b) => b.start - a.start)
+    .forEach(edit => {
+      rewritten = rewritten.slice(0, edit.start) + edit.text + rewritten.slice(edit.end);
+    });
+
+  return { query: rewritten, replaced: edits.length };
+}
+
+// Entity GUIDs are unpadded base64 of "accountId|domain|type|id"
+function entityGuidAccountId(guid) {
+  const decoded = Buffer.from(String(guid), 'base64').toString('utf-8');
+  const match = decoded.match(/^(\d+)\|/);
+  return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * The linked entity GUIDs of a dashboard that live in a mapped account and
+ * so have to be looked up again in the target account.
+ */
+function linkedEntityGuids(dashboard, accountMap) {
+  const guids = new Set();
+  (dashboard.pages || []).forEach(page => (page.widgets || []).forEach(widget => {
+    (widget.linkedEntityGuids || [])
+      .filter(guid => accountMap.has(entityGuidAccountId(guid)))
+      .forEach(guid => guids.add(guid));
+  }));
+  return [...guids];
+}
+
+function remapAccountIds(ids, accountMap, counts) {
+  return ids.map(id => {
+    const remapped = remapAccountId(id, accountMap);
+    if (remapped !== parseInt(id)) counts.accountIds++;
+    return remapped;
+  });
+}
+
+/**
+ * Point every account reference in a dashboard definition at another
+ * account: widget and variable query accountIds, account literals and WITH
+ * ACCOUNT options in NRQL, and linkedEntityGuids. Entity GUIDs differ per
+ * account, so linked entities are swapped for the ones entityMap (source
+ * GUID to target GUID) resolved; links in a mapped account it has no target
+ * for are dropped. Returns { dashboard, replaced, warnings } where replaced
+ * counts the changes by kind.
+ */
+function remapDashboardAccounts(dashboard, accountMap, entityMap = new Map()) {
+  const replaced = { queries: 0, accountIds: 0, linkedEntityGuids: 0, variables: 0 };
+  const warnings = [];
+
+  const remapNrqlQuery = nrqlQuery => {
+    const updated = { ...nrqlQuery };
+    if (typeof nrqlQuery.query === 'string') {
+      const result = remapQueryAccounts(nrqlQuery.query, accountMap);
+      updated.query = result.query;
+      replaced.queries += result.replaced;
+    }
+    if (Array.isArray(nrqlQuery.accountIds)) {
+      updated.accountIds = remapAccountIds(nrqlQuery.accountIds, accountMap, replaced);
+    }
+    if (nrqlQuery.accountId) {
+      [updated.accountId] = remapAccountIds([nrqlQuery.accountId], accountMap, replaced);
+    }
+    return updated;
+  };
+
+  const remapWidget = widget => {
+    const updated = mapWidgetQueries(widget, remapNrqlQuery);
+    if (Array.isArray(widget.linkedEntityGuids)) {
+      updated.linkedEntityGuids = widget.linkedEntityGuids.flatMap(guid => {
+        if (!accountMap.has(entityGuidAccountId(guid))) return [guid];
+        if (!entityMap.get(guid)) {
+          warnings.push(`Widget '${widget.title}': dropped linked entity ${guid}, it has no match in account ${accountMap.get(entityGuidAccountId(guid))}`);
+          return [];
+        }
+        replaced.linkedEntityGuids++;
+        return [entityMap.get(guid)];
+      });
+    }
+    return updated;
+  };
+
+  const variables = (dashboard.variables || []).map(variable => {
+    if (!variable.nrqlQuery) return variable;
+    const before = replaced.queries + replaced.accountIds;
+    const nrqlQuery = remapNrqlQuery(variable.nrqlQuery);
+    if (replaced.queries + replaced.accountIds > before) replaced.variables++;
+    return { ...variable, nrqlQuery };
+  });
+
+  return {
+    dashboard: {
+      ...dashboard,
+      ...(dashboard.variables ? { variables } : {}),
+      pages: (dashboard.pages || []).map(page => ({
+        ...page,
+        widgets: (page.widgets || []).map(remapWidget)
+      }))
+    },
+    replaced,
+    warnings
+  };
+}
+
+module.exports = {
+  parseAccountMap,
+  remapAccountId,
+  remapQueryAccounts,
+  entityGuidAccountId,
+  linkedEntityGuids,
+  remapDashboardAccounts
+};
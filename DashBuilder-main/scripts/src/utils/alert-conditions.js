@@ -0,0 +1,446 @@
+const { compactNRQL } = require('./nrql-formatter.js');
+const { tryParseNRQL, durationToMilliseconds } = require('./nrql-parser.js');
+
+// Compiles AdvancedMetricAnalyzer alert suggestions into NerdGraph NRQL
+// condition definitions, and compares definitions with live conditions.
+
+const CONDITIONS_VERSION = 1;
+
+const DEFAULT_SIGNAL = {
+  aggregationWindow: 60,
+  aggregationMethod: 'EVENT_FLOW',
+  aggregationDelay: 120,
+  fillOption: 'NONE'
+};
+
+const VIOLATION_TIME_LIMIT = 86400;
+
+// NerdGraph terms only know CRITICAL and WARNING
+const PRIORITIES = {
+  critical: 'CRITICAL',
+  high: 'CRITICAL',
+  medium: 'WARNING',
+  low: 'WARNING'
+};
+
+const OPERATORS = {
+  '>': 'ABOVE',
+  '>=': 'ABOVE_OR_EQUALS',
+  '<': 'BELOW',
+  '<=': 'BELOW_OR_EQUALS',
+  '=': 'EQUALS',
+  '==': 'EQUALS',
+  '!=': 'NOT_EQUALS'
+};
+
+// Suggestion names end with these; what is left is the metric name
+const NAME_SUFFIXES = [' threshold alert', ' anomaly alert', ' error rate alert', ' saturation alert'];
+
+function quoteAttribute(name) {
+  return /^[A-Za-z_][A-Za-z0-9_.]*$/.test(name) ? name : `\`${name.replace(/`/g, '')}\``;
+}
+
+function windowSeconds(window, aggregationWindow) {
+  const match = String(window || '').trim().match(/^(\d+)\s*([a-z]+)$/i);
+  const milliseconds = match ? durationToMilliseconds(parseInt(match[1]), match[2]) : null;
+  const seconds = milliseconds ? milliseconds / 1000 : 300;
+
+  // Threshold durations must be a multiple of the aggregation window
+  return Math.max(aggregationWindow, Math.round(seconds / aggregationWindow) * aggregationWindow);
+}
+
+/**
+ * Pull metric, operator and threshold out of a suggestion. Structured fields
+ * win; older suggestions only have the free-text condition.
+ */
+function parseSuggestion(suggestion) {
+  const text = String(suggestion.condition || '');
+  const match = text.match(/^(.+?)\s*(>=|<=|==|!=|>|<|=)\s*(-?[\d.]+)\s*(%|standard deviations?)?\s*$/i);
+
+  let metric = suggestion.metric || null;
+  if (!metric && match && !/^(error rate|baseline deviation|correlation deviation)$/i.test(match[1].trim())) {
+    metric = match[1].trim();
+  }
+  if (!metric && suggestion.name) {
+    const suffix = NAME_SUFFIXES.find(candidate => suggestion.name.endsWith(candidate));
+    if (suffix) metric = suggestion.name.slice(0, -suffix.length);
+  }
+
+  return {
+    metric,
+    operator: suggestion.operator || (match ? OPERATORS[match[2]] : 'ABOVE'),
+    threshold: suggestion.threshold !== undefined ? Number(suggestion.threshold) : (match ? parseFloat(match[3]) : null)
+  };
+}
+
+function signalQuery(metric, eventType, aggregation) {
+  return `SELECT ${aggregation}(${quoteAttribute(metric)}) FROM ${eventType}`;
+}
+
+function baseCondition(suggestion, type, options) {
+  return {
+    name: suggestion.name,
+    type,
+    enabled: options.enabled !== false,
+    description: suggestion.reason || '',
+    nrql: null,
+    terms: [],
+    signal: { ...DEFAULT_SIGNAL, ...(options.signal || {}) },
+    violationTimeLimitSeconds: VIOLATION_TIME_LIMIT
+  };
+}
+
+function term(parsed, suggestion, signal) {
+  return {
+    threshold: parsed.threshold,
+    thresholdDuration: windowSeconds(suggestion.window, signal.aggregationWindow),
+    thresholdOccurrences: 'ALL',
+    operator: parsed.operator,
+    priority: PRIORITIES[String(suggestion.priority || '').toLowerCase()] || 'WARNING'
+  };
+}
+
+/**
+ * Compile one suggestion. Returns { condition, notes } or { skipped } with
+ * the reason it cannot become a NRQL condition.
+ *
+ * options.eventType - event type for suggestions that do not name one (default: Metric)
+ */
+function compileSuggestion(suggestion, options = {}) {
+  const parsed = parseSuggestion(suggestion);
+  const eventType = suggestion.eventType || options.eventType || 'Metric';
+  const aggregation = suggestion.aggregation || 'average';
+  const notes = [];
+
+  if (!suggestion.name) {
+    return { skipped: 'Suggestion has no name' };
+  }
+  if (parsed.threshold === null || Number.isNaN(parsed.threshold)) {
+    return { skipped: `Cannot read a threshold from "${suggestion.condition}"` };
+  }
+
+  const type = ['anomaly', 'correlation'].includes(suggestion.type) ? 'BASELINE' : 'STATIC';
+  const condition = baseCondition(suggestion, type, options);
+
+  switch (suggestion.type) {
+    case 'static': {
+      if (!parsed.metric) return { skipped: 'Suggestion does not name a metric' };
+      condition.nrql = { query: signalQuery(parsed.metric, eventType, aggregation) };
+      condition.terms = [term(parsed, suggestion, condition.signal)];
+      break;
+    }
+
+    case 'percentage': {
+      if (!parsed.metric) return { skipped: 'Suggestion does not name a metric' };
+      if (eventType === 'Metric') {
+        // Dimensional metrics have no per-event denominator, so the
+        // suggestion has to name the metric that counts the total
+        if (!suggestion.totalMetric) {
+          return { skipped: `${parsed.metric} is a dimensional metric; a percentage needs a totalMetric to divide by` };
+        }
+        condition.nrql = {
+          query: `SELECT sum(${quoteAttribute(parsed.metric)}) / sum(${quoteAttribute(suggestion.totalMetric)}) * 100 FROM Metric`
+        };
+      } else {
+        condition.nrql = { query: `SELECT percentage(count(*), WHERE ${quoteAttribute(parsed.metric)} > 0) FROM ${eventType}` };
+      }
+      condition.terms = [term(parsed, suggestion, condition.signal)];
+      break;
+    }
+
+    case 'anomaly': {
+      if (!parsed.metric) return { skipped: 'Suggestion does not name a metric' };
+      condition.baselineDirection = suggestion.direction || 'UPPER_AND_LOWER';
+      condition.nrql = { query: signalQuery(parsed.metric, eventType, aggregation) };
+      // Baseline thresholds are standard deviations from the predicted value
+      condition.terms = [{ ...term(parsed, suggestion, condition.signal), operator: 'ABOVE' }];
+      break;
+    }
+
+    case 'correlation': {
+      const metrics = suggestion.metrics || [];
+      if (metrics.length !== 2) {
+        return { skipped: 'Correlation suggestions need exactly two metrics' };
+      }
+      condition.baselineDirection = 'UPPER_AND_LOWER';
+      condition.nrql = {
+        query: `SELECT ${aggregation}(${quoteAttribute(metrics[0])}) / ${aggregation}(${quoteAttribute(metrics[1])}) FROM ${eventType}`
+      };
+      // The ratio of correlated metrics is stable, so watch it against its baseline
+      condition.terms = [{ ...term({ ...parsed, threshold: 3 }, suggestion, condition.signal), operator: 'ABOVE' }];
+      notes.push(`Correlation deviation is watched as a baseline on ${metrics[0]} / ${metrics[1]} at 3 standard deviations`);
+      break;
+    }
+
+    default:
+      return { skipped: `Unsupported suggestion type '${suggestion.type}'` };
+  }
+
+  return { condition, notes };
+}
+
+/**
+ * Compile a list of suggestions into a conditions document:
+ * { version, conditions, skipped: [{ name, reason }], notes: [{ name, note }] }
+ */
+function compileSuggestions(suggestions, options = {}) {
+  const document = { version: CONDITIONS_VERSION, conditions: [], skipped: [], notes: [] };
+  const names = new Set();
+
+  suggestions.forEach(suggestion => {
+    const result = compileSuggestion(suggestion, options);
+    if (result.skipped) {
+      document.skipped.push({ name: suggestion.name || null, reason: result.skipped });
+      return;
+    }
+    if (names.has(result.condition.name)) {
+      document.skipped.push({ name: result.condition.name, reason: 'Duplicate condition name' });
+      return;
+    }
+
+    names.add(result.condition.name);
+    document.conditions.push(result.condition);
+    result.notes.forEach(note => document.notes.push({ name: result.condition.name, note }));
+  });
+
+  return document;
+}
+
+const CONDITION_TYPES = ['STATIC', 'BASELINE'];
+const TERM_OPERATORS = Object.values(OPERATORS).filter((operator, index, all) => all.indexOf(operator) === index);
+const TERM_PRIORITIES = ['CRITICAL', 'WARNING'];
+
+// Clauses NRQL alert conditions reject; the signal settings replace them
+const UNSUPPORTED_CLAUSES = [
+  ['since', 'SINCE'],
+  ['until', 'UNTIL'],
+  ['timeseries', 'TIMESERIES'],
+  ['compareWith', 'COMPARE WITH'],
+  ['limit', 'LIMIT'],
+  ['orderBy', 'ORDER BY']
+];
+
+function withoutEmpty(object) {
+  return Object.entries(object).reduce((acc, [key, value]) => {
+    if (value !== null && value !== undefined) acc[key] = value;
+    return acc;
+  }, {});
+}
+
+/**
+ * Turn a condition returned by getAlertConditions into a definition for a
+ * conditions document: no IDs, and unset settings left out.
+ */
+function toConditionDefinition(live) {
+  const definition = {
+    name: live.name,
+    type: live.type,
+    enabled: live.enabled !== false,
+    description: live.description || '',
+    nrql: { query: live.nrql?.query },
+    terms: normalizeTerms(live.terms)
+  };
+
+  if (live.runbookUrl) definition.runbookUrl = live.runbookUrl;
+  if (live.signal) definition.signal = withoutEmpty(live.signal);
+  if (live.expiration && Object.keys(withoutEmpty(live.expiration)).length > 0) {
+    definition.expiration = withoutEmpty(live.expiration);
+  }
+  if (live.violationTimeLimitSeconds) definition.violationTimeLimitSeconds = live.violationTimeLimitSeconds;
+  if (live.type === 'BASELINE' && live.baselineDirection) definition.baselineDirection = live.baselineDirection;
+
+  return definition;
+}
+
+/**
+ * Offline checks of a condition definition. Returns a list of error messages.
+ */
+function validateConditionDefinition(condition) {
+  const errors = [];
+
+  if (!condition.name) errors.push('name is required');
+  if (!CONDITION_TYPES.includes(condition.type)) {
+    errors.push(`type must be one of ${CONDITION_TYPES.join(', ')}`);
+  }
+
+  const query = condition.nrql?.query;
+  if (!query) {
+    errors.push('nrql.query is required');
+  } else {
+    const { ast, error } = tryParseNRQL(query);
+    if (error) {
+      errors.push(`nrql.query: ${error.message}`);
+    } else if (ast.kind !== 'SELECT') {
+      errors.push('nrql.query must be a SELECT query');
+    } else {
+      UNSUPPORTED_CLAUSES.forEach(([field, clause]) => {
+        if (ast[field]) errors.push(`nrql.query: ${clause} is not allowed in alert conditions`);
+      });
+    }
+  }
+
+  const aggregationWindow = condition.signal?.aggregationWindow || DEFAULT_SIGNAL.aggregationWindow;
+  if (!Array.isArray(condition.terms) || condition.terms.length === 0) {
+    errors.push('at least one term is required');
+  } else {
+    condition.terms.forEach((entry, index) => {
+      const label = `terms[${index}]`;
+      if (typeof entry.threshold !== 'number' || Number.isNaN(entry.threshold)) errors.push(`${label}: threshold must be a number`);
+      if (!TERM_OPERATORS.includes(entry.operator)) errors.push(`${label}: invalid operator '${entry.operator}'`);
+      if (!TERM_PRIORITIES.includes(entry.priority)) errors.push(`${label}: priority must be CRITICAL or WARNING`);
+      if (!entry.thresholdDuration || entry.thresholdDuration % aggregationWindow !== 0) {
+        errors.push(`${label}: thresholdDuration must be a multiple of the ${aggregationWindow}s aggregation window`);
+      }
+    });
+
+    const priorities = condition.terms.map(entry => entry.priority);
+    if (new Set(priorities).size !== priorities.length) {
+      errors.push('terms: only one term per priority is allowed');
+    }
+  }
+
+  if (condition.type === 'BASELINE' && condition.baselineDirection &&
+      !['UPPER_ONLY', 'LOWER_ONLY', 'UPPER_AND_LOWER'].includes(condition.baselineDirection)) {
+    errors.push(`invalid baselineDirection '${condition.baselineDirection}'`);
+  }
+
+  return errors;
+}
+
+// NerdGraph condition input; the type selects the mutation instead
+function toConditionInput(condition) {
+  const { type, id, policyId, ...input } = condition;
+  if (type !== 'BASELINE') delete input.baselineDirection;
+  return input;
+}
+
+function canonicalQuery(query) {
+  try {
+    return compactNRQL(query);
+  } catch (error) {
+    return String(query || '').replace(/\s+/g, ' ').trim();
+  }
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+const TERM_FIELDS = ['priority', 'operator', 'threshold', 'thresholdDuration', 'thresholdOccurrences'];
+
+function normalizeTerms(terms = []) {
+  return terms
+    .map(entry => TERM_FIELDS.reduce((acc, field) => {
+      acc[field] = field === 'threshold' || field === 'thresholdDuration' ? Number(entry[field]) : entry[field];
+      return acc;
+    }, {}))
+    .sort((a, b) => a.priority.localeCompare(b.priority));
+}
+
+/**
+ * Field changes needed to turn a live condition into the desired one.
+ * Optional settings are only compared when the definition declares them.
+ */
+function diffCondition(live, desired) {
+  const changes = [];
+  const compare = (field, before, after) => {
+    if (!sameValue(before, after)) changes.push({ field, before, after });
+  };
+
+  compare('enabled', live.enabled, desired.enabled !== false);
+  compare('nrql.query', canonicalQuery(live.nrql?.query), canonicalQuery(desired.nrql?.query));
+  compare('terms', normalizeTerms(live.terms), normalizeTerms(desired.terms));
+
+  ['description', 'runbookUrl', 'violationTimeLimitSeconds', 'baselineDirection'].forEach(field => {
+    if (desired[field] !== undefined) compare(field, live[field] ?? null, desired[field]);
+  });
+
+  ['signal', 'expiration'].forEach(group => {
+    Object.entries(desired[group] || {}).forEach(([field, value]) => {
+      compare(`${group}.${field}`, live[group]?.[field] ?? null, value);
+    });
+  });
+
+  return changes;
+}
+
+/**
+ * Match desired conditions with a policy's live conditions by name.
+ * Each item's action is create, update, replace (the type changed, which
+ * NerdGraph cannot update in place) or noop.
+ */
+function planConditions(liveConditions, desiredConditions) {
+  const items = desiredConditions.map(desired => {
+    const matches = liveConditions.filter(live => live.name === desired.name);
+    const live = matches[0];
+    const notes = matches.length > 1
+      ? [`${matches.length} conditions are named "${desired.name}"; comparing with ${live.id}`]
+      : [];
+
+    if (!live) {
+      return { name: desired.name, type: desired.type, action: 'create', id: null, changes: [], notes, condition: desired };
+    }
+    if (live.type !== desired.type) {
+      return {
+        name: desired.name,
+        type: desired.type,
+        action: 'replace',
+        id: live.id,
+        changes: [{ field: 'type', before: live.type, after: desired.type }],
+        notes,
+        condition: desired
+      };
+    }
+
+    const changes = diffCondition(live, desired);
+    return {
+      name: desired.name,
+      type: desired.type,
+      action: changes.length > 0 ? 'update' : 'noop',
+      id: live.id,
+      changes,
+      notes,
+      condition: desired
+    };
+  });
+
+  const unmanaged = liveConditions
+    .filter(live => !desiredConditions.some(desired => desired.name === live.name))
+    .map(live => ({ id: live.id, name: live.name, type: live.type }));
+
+  const summary = ['create', 'update', 'replace', 'noop'].reduce((acc, action) => {
+    acc[action] = items.filter(item => item.action === action).length;
+    return acc;
+  }, {});
+
+  return { items, unmanaged, summary };
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '(none)';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Render condition changes as plain text lines prefixed with ~
+ */
+function formatConditionChanges(changes) {
+  return changes.flatMap(change => [
+    `~ ${change.field}`,
+    `    - ${formatValue(change.before)}`,
+    `    + ${formatValue(change.after)}`
+  ]);
+}
+
+module.exports = {
+  CONDITIONS_VERSION,
+  DEFAULT_SIGNAL,
+  compileSuggestion,
+  compileSuggestions,
+  toConditionInput,
+  toConditionDefinition,
+  validateConditionDefinition,
+  diffCondition,
+  planConditions,
+  formatConditionChanges
+};
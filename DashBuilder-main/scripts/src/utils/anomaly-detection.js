@@ -0,0 +1,449 @@
+const { ValidationError } = require('./errors.js');
+
+// Local anomaly detection over TIMESERIES data. Detectors score every point
+// as a signed deviation from what they expected, in robust standard
+// deviations; points scoring past the threshold are grouped into windows and
+// explained. Everything here is pure so recorded or fixture series can be
+// replayed while tuning.
+
+// MAD to standard deviation for normally distributed data
+const MAD_SCALE = 1.4826;
+// Scores are capped so flat series do not produce Infinity
+const MAX_SCORE = 100;
+
+const DEFAULT_THRESHOLD = 5;
+const TIME_FIELDS = new Set(['beginTimeSeconds', 'endTimeSeconds', 'timestamp', 'facet']);
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// Robust spread: scaled median absolute deviation
+function robustSigma(values, center = median(values)) {
+  return MAD_SCALE * median(values.map(value => Math.abs(value - center)));
+}
+
+function toScore(deviation, sigma) {
+  if (deviation === 0) return 0;
+  if (!(sigma > 0)) return Math.sign(deviation) * MAX_SCORE;
+  return Math.max(-MAX_SCORE, Math.min(MAX_SCORE, deviation / sigma));
+}
+
+function formatNumber(value) {
+  return Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+function formatScore(score) {
+  return `${score >= 0 ? '+' : ''}${score.toFixed(1)}σ`;
+}
+
+// Normalized by the number of overlapping pairs, so long lags are not
+// penalized for having fewer of them
+function autocorrelation(values, lag) {
+  const n = values.length;
+  const mean = values.reduce((sum, value) => sum + value, 0) / n;
+  let covariance = 0;
+  let variance = 0;
+  for (let i = 0; i < n; i++) {
+    variance += Math.pow(values[i] - mean, 2);
+    if (i + lag < n) covariance += (values[i] - mean) * (values[i + lag] - mean);
+  }
+  return variance === 0 || lag >= n ? 0 : (covariance / (n - lag)) / (variance / n);
+}
+
+// Median absolute difference between points lag apart; unlike the
+// autocorrelation it is not swayed by a few large outliers
+function lagDifference(values, lag) {
+  return median(values.slice(lag).map((value, i) => Math.abs(value - values[i])));
+}
+
+/**
+ * Strongest repeating period in the series, in points: the highest
+ * autocorrelation peak of at least minCorrelation with two full cycles of
+ * data, refined to the nearby lag whose points differ least. Returns null
+ * when nothing repeats.
+ */
+function detectPeriod(series, options = {}) {
+  const minCorrelation = options.minCorrelation || 0.3;
+  const maxLag = Math.floor(series.length / 2);
+
+  // Clip outliers first, or one incident outweighs every cycle
+  const center = median(series);
+  const limit = 5 * robustSigma(series, center);
+  const values = limit > 0 ? series.map(value => Math.max(center - limit, Math.min(center + limit, value))) : series;
+
+  const correlations = [];
+  for (let lag = 0; lag <= maxLag + 1; lag++) {
+    correlations[lag] = lag <= maxLag ? autocorrelation(values, lag) : -Infinity;
+  }
+
+  let best = null;
+  for (let lag = 2; lag <= maxLag; lag++) {
+    const isPeak = correlations[lag] >= correlations[lag - 1] && correlations[lag] >= correlations[lag + 1];
+    if (isPeak && correlations[lag] >= minCorrelation && (!best || correlations[lag] > best.correlation)) {
+      best = { period: lag, correlation: correlations[lag] };
+    }
+  }
+  if (!best) return null;
+
+  // Autocorrelation peaks are broad, so noise can move the maximum a point
+  // or two off the true cycle
+  let period = best.period;
+  const from = Math.max(2, Math.floor(best.period * 0.95));
+  const to = Math.min(maxLag, Math.ceil(best.period * 1.05));
+  for (let lag = from; lag <= to; lag++) {
+    if (lagDifference(series, lag) < lagDifference(series, period)) period = lag;
+  }
+  return { period, correlation: correlations[period] };
+}
+
+// Centered rolling median; near the edges the window slides inward so it
+// always spans a full width (a truncated window would cover part of a cycle)
+function rollingMedian(values, width) {
+  const half = Math.floor(width / 2);
+  return values.map((_, i) => {
+    const start = Math.max(0, Math.min(i - half, values.length - width));
+    return median(values.slice(start, start + width));
+  });
+}
+
+// The given period, or the detected one when the series has two full cycles
+function seasonalPeriod(values, options) {
+  const detected = options.period ? null : detectPeriod(values);
+  const period = options.period || (detected && detected.period);
+  return period && values.length >= period * 2 ? { period, detected } : null;
+}
+
+// Trend and seasonal component of a series; profile holds the seasonal
+// offset for each phase of the cycle
+function decompose(values, period) {
+  const trend = rollingMedian(values, period);
+  const detrended = values.map((value, i) => value - trend[i]);
+  const profile = Array.from({ length: period }, (_, phase) =>
+    median(detrended.filter((_, i) => i % period === phase))
+  );
+  return { trend, profile, seasonal: values.map((_, i) => profile[i % period]) };
+}
+
+/**
+ * Built-in detectors. A detector is { name, description, score(values,
+ * options), explain(point) }: score returns { scores, expected, info } with
+ * one signed score and expected value per point (0 and null where it cannot
+ * judge), or null when the series does not suit it. explain describes one
+ * flagged point { value, expected, score, info }.
+ */
+const DETECTORS = {
+  seasonal: {
+    name: 'seasonal',
+    description: 'Seasonal decomposition: trend (rolling median) plus per-phase seasonal profile; scores the residual',
+    score(values, options = {}) {
+      const seasonality = seasonalPeriod(values, options);
+      if (!seasonality) return null;
+
+      const { period, detected } = seasonality;
+      const { trend, seasonal } = decompose(values, period);
+      const expected = values.map((_, i) => trend[i] + seasonal[i]);
+      const residuals = values.map((value, i) => value - expected[i]);
+      const sigma = robustSigma(residuals, 0);
+
+      return {
+        scores: residuals.map(residual => toScore(residual, sigma)),
+        expected,
+        info: { period, correlation: detected ? Math.round(detected.correlation * 100) / 100 : null }
+      };
+    },
+    explain: ({ value, expected, score, info }) =>
+      `${formatNumber(value)} vs seasonal baseline ${formatNumber(expected)} over a ${info.period}-point cycle (${formatScore(score)})`
+  },
+
+  ewma: {
+    name: 'ewma',
+    description: 'Exponentially weighted moving average and variance; outliers are clipped before they update the baseline',
+    score(values, options = {}) {
+      const alpha = options.alpha || 0.3;
+      const warmup = options.warmup || 10;
+      const clip = options.threshold || DEFAULT_THRESHOLD;
+      if (values.length <= warmup) return null;
+
+      const scores = new Array(values.length).fill(0);
+      const expected = new Array(values.length).fill(null);
+      let mean = values[0];
+      let variance = 0;
+
+      for (let i = 1; i < values.length; i++) {
+        const sigma = Math.sqrt(variance);
+        const deviation = values[i] - mean;
+        if (i >= warmup) {
+          scores[i] = toScore(deviation, sigma);
+          expected[i] = mean;
+        }
+        // Clip so one spike does not drag the baseline after it
+        const bounded = sigma > 0 ? Math.max(-clip * sigma, Math.min(clip * sigma, deviation)) : deviation;
+        mean += alpha * bounded;
+        variance = (1 - alpha) * (variance + alpha * bounded * bounded);
+      }
+
+      return { scores, expected, info: { alpha } };
+    },
+    explain: ({ value, expected, score }) =>
+      `${formatNumber(value)} vs moving average ${formatNumber(expected)} (${formatScore(score)})`
+  },
+
+  mad: {
+    name: 'mad',
+    description: 'Median absolute deviation of the preceding window of points',
+    score(values, options = {}) {
+      const window = options.window || 30;
+      const minimum = Math.max(5, Math.floor(window / 2));
+      if (values.length <= minimum) return null;
+
+      const scores = new Array(values.length).fill(0);
+      const expected = new Array(values.length).fill(null);
+      for (let i = minimum; i < values.length; i++) {
+        const previous = values.slice(Math.max(0, i - window), i);
+        const center = median(previous);
+        scores[i] = toScore(values[i] - center, robustSigma(previous, center));
+        expected[i] = center;
+      }
+
+      return { scores, expected, info: { window } };
+    },
+    explain: ({ value, expected, score, info }) =>
+      `${formatNumber(value)} vs median ${formatNumber(expected)} of the previous ${info.window} points (${formatScore(score)})`
+  },
+
+  changepoint: {
+    name: 'changepoint',
+    description: 'Level shifts: compares the median of the points before and after each point, keeping the strongest shift per window',
+    score(series, options = {}) {
+      const window = Math.max(3, Math.floor((options.window || 30) / 3));
+      if (series.length < window * 2) return null;
+
+      // Remove the seasonal cycle so its slopes are not read as shifts
+      const seasonality = seasonalPeriod(series, options);
+      const seasonal = seasonality ? decompose(series, seasonality.period).seasonal : series.map(() => 0);
+      const values = series.map((value, i) => value - seasonal[i]);
+
+      // Noise from differences of neighbouring points, which a shift or a
+      // burst barely moves, unlike the spread inside a window that holds it
+      const differences = values.slice(1).map((value, i) => value - values[i]);
+      const spread = robustSigma(differences) / Math.SQRT2;
+
+      const shifts = new Array(values.length).fill(0);
+      const before = new Array(values.length).fill(null);
+      const after = new Array(values.length).fill(null);
+      for (let i = window; i <= values.length - window; i++) {
+        const left = values.slice(i - window, i);
+        const right = values.slice(i, i + window);
+        shifts[i] = toScore(median(right) - median(left), spread);
+        // Levels are reported on the original scale
+        before[i] = median(series.slice(i - window, i));
+        after[i] = median(series.slice(i, i + window));
+      }
+
+      // A shift scores on every point near it; keep only the local maximum
+      const scores = shifts.map((shift, i) => {
+        const neighbourhood = shifts.slice(Math.max(0, i - window), i + window + 1);
+        return Math.abs(shift) > 0 && Math.abs(shift) === Math.max(...neighbourhood.map(Math.abs)) ? shift : 0;
+      });
+
+      return { scores, expected: before, info: { window, after } };
+    },
+    explain: ({ expected, score, info, index }) =>
+      `level shift from ${formatNumber(expected)} to ${formatNumber(info.after[index])} (${formatScore(score)})`
+  }
+};
+
+function resolveDetectors(detectors) {
+  if (!detectors || detectors.length === 0) return Object.values(DETECTORS);
+  return detectors.map(detector => {
+    if (typeof detector === 'object') return detector;
+    const builtIn = DETECTORS[detector];
+    if (!builtIn) {
+      throw new ValidationError(`Unknown detector '${detector}'. Available: ${Object.keys(DETECTORS).join(', ')}`);
+    }
+    return builtIn;
+  });
+}
+
+function severity(score, threshold) {
+  if (score >= threshold * 2.5) return 'high';
+  if (score >= threshold * 1.5) return 'medium';
+  return 'low';
+}
+
+function describeWindow(window, points, peak, explanations) {
+  const span = window.startIndex === window.endIndex
+    ? `At ${new Date(peak.timestamp).toISOString()}`
+    : `${window.points} points from ${new Date(window.start).toISOString()} to ${new Date(window.end).toISOString()}`;
+  const direction = window.direction === 'mixed' ? 'away from' : window.direction;
+  return `${span} the series ran ${direction} expected, peaking at ${formatNumber(peak.value)}: ${explanations.join('; ')}`;
+}
+
+/**
+ * Run detectors over one series of { timestamp, value } points (timestamps
+ * in milliseconds; null values are skipped). Returns { points, threshold,
+ * detectors, windows } where each window is a run of flagged points, scored
+ * by its strongest deviation and sorted most anomalous first.
+ *
+ * options.detectors - detector names or detector objects (default: all)
+ * options.threshold - score a point must reach to be flagged
+ * options.mergeGap - flagged points this many points apart share a window
+ * Remaining options (period, window, alpha, warmup) go to the detectors.
+ */
+function detectAnomalies(series, options = {}) {
+  const threshold = options.threshold || DEFAULT_THRESHOLD;
+  const mergeGap = options.mergeGap === undefined ? 1 : options.mergeGap;
+  const points = series.filter(point => typeof point.value === 'number' && Number.isFinite(point.value));
+  const values = points.map(point => point.value);
+
+  const runs = resolveDetectors(options.detectors).map(detector => ({
+    detector,
+    result: detector.score(values, { ...options, threshold })
+  }));
+  const applied = runs.filter(run => run.result);
+
+  // Flagged points with the detectors that flagged them
+  const flagged = [];
+  values.forEach((value, index) => {
+    const hits = applied
+      .filter(({ result }) => Math.abs(result.scores[index]) >= threshold)
+      .map(({ detector, result }) => ({
+        detector,
+        score: result.scores[index],
+        expected: result.expected[index],
+        info: result.info
+      }));
+    if (hits.length > 0) flagged.push({ index, hits });
+  });
+
+  const groups = [];
+  flagged.forEach(point => {
+    const last = groups[groups.length - 1];
+    if (last && point.index - last[last.length - 1].index <= mergeGap + 1) {
+      last.push(point);
+    } else {
+      groups.push([point]);
+    }
+  });
+
+  const windows = groups.map(group => {
+    // Capped scores tie, so the larger deviation breaks ties
+    const deviation = hit => Math.abs(values[hit.index] - (hit.expected === null ? values[hit.index] : hit.expected));
+    const strongest = group
+      .flatMap(point => point.hits.map(hit => ({ ...hit, index: point.index })))
+      .sort((a, b) => Math.abs(b.score) - Math.abs(a.score) || deviation(b) - deviation(a));
+    const peak = strongest[0];
+    const signs = new Set(strongest.map(hit => Math.sign(hit.score)));
+
+    // Each detector explains its own strongest point in the window
+    const byDetector = new Map();
+    strongest.forEach(hit => {
+      if (!byDetector.has(hit.detector.name)) byDetector.set(hit.detector.name, hit);
+    });
+    const detectorHits = [...byDetector.values()].map(hit => ({
+      name: hit.detector.name,
+      score: Math.round(hit.score * 100) / 100,
+      timestamp: points[hit.index].timestamp,
+      explanation: hit.detector.explain({ ...hit, value: values[hit.index] })
+    }));
+
+    const window = {
+      start: points[group[0].index].timestamp,
+      end: points[group[group.length - 1].index].timestamp,
+      startIndex: group[0].index,
+      endIndex: group[group.length - 1].index,
+      points: group.length,
+      score: Math.round(Math.abs(peak.score) * 100) / 100,
+      direction: signs.size > 1 ? 'mixed' : peak.score > 0 ? 'above' : 'below',
+      peak: {
+        timestamp: points[peak.index].timestamp,
+        value: values[peak.index],
+        expected: peak.expected
+      },
+      detectors: detectorHits
+    };
+    window.severity = severity(window.score, threshold);
+    window.explanation = describeWindow(window, points, window.peak, detectorHits.map(hit => `${hit.name}: ${hit.explanation}`));
+    return window;
+  });
+
+  return {
+    points: points.length,
+    threshold,
+    detectors: runs.map(({ detector, result }) => ({
+      name: detector.name,
+      applied: Boolean(result),
+      ...(result ? { info: summarizeInfo(result.info) } : {})
+    })),
+    windows: windows.sort((a, b) => b.score - a.score)
+  };
+}
+
+// Detector info without per-point arrays
+function summarizeInfo(info = {}) {
+  return Object.fromEntries(Object.entries(info).filter(([, value]) => !Array.isArray(value)));
+}
+
+function numericValue(value) {
+  if (typeof value === 'number') return value;
+  // percentile() and similar return { '95': value }
+  if (value && typeof value === 'object') {
+    const nested = Object.values(value).find(item => typeof item === 'number');
+    return nested === undefined ? null : nested;
+  }
+  return null;
+}
+
+/**
+ * Group NRQL TIMESERIES results into series: [{ name, facets, attribute,
+ * points }]. Faceted results become one series per facet, with the facet
+ * values in facets. The value is options.attribute or the first numeric
+ * field of each row.
+ */
+function seriesFromResults(results, options = {}) {
+  const series = new Map();
+
+  (results || []).forEach(row => {
+    const facet = row.facet === undefined ? null : [].concat(row.facet).join(', ');
+    // Faceted rows repeat the facet values under their attribute names
+    const facetNames = facet === null ? [] : Object.keys(row).filter(field => [].concat(row.facet).includes(row[field]));
+    const key = options.attribute || Object.keys(row).find(field =>
+      !TIME_FIELDS.has(field) && !facetNames.includes(field) && numericValue(row[field]) !== null
+    );
+    const timestamp = row.beginTimeSeconds !== undefined ? row.beginTimeSeconds * 1000 : row.timestamp;
+    if (!key || timestamp === undefined) return;
+
+    const name = facet === null ? key : facet;
+    if (!series.has(name)) {
+      series.set(name, { name, facets: facet === null ? [] : [].concat(row.facet).map(String), attribute: key, points: [] });
+    }
+    series.get(name).points.push({ timestamp, value: numericValue(row[key]) });
+  });
+
+  return [...series.values()].map(item => ({
+    ...item,
+    points: item.points.sort((a, b) => a.timestamp - b.timestamp)
+  }));
+}
+
+// Median spacing between points, in milliseconds
+function seriesStepMs(points) {
+  const steps = points.slice(1).map((point, i) => point.timestamp - points[i].timestamp).filter(step => step > 0);
+  return steps.length > 0 ? median(steps) : null;
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  DETECTORS,
+  median,
+  robustSigma,
+  detectPeriod,
+  decompose,
+  detectAnomalies,
+  seriesFromResults,
+  seriesStepMs
+};
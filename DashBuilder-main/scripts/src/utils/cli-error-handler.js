@@ -0,0 +1,54 @@
+const chalk = require('chalk');
+const { NRGuardianError } = require('./errors.js');
+
+// Errors thrown from command actions. Each carries the process exit code
+// used by withCLIErrorHandler.
+class CLIError extends NRGuardianError {
+  constructor(message, exitCode = 1) {
+    super(message, 'CLI_ERROR');
+    this.name = 'CLIError';
+    this.exitCode = exitCode;
+  }
+}
+
+class ValidationError extends CLIError {
+  constructor(message, details = null) {
+    super(message, 2);
+    this.name = 'ValidationError';
+    this.code = 'VALIDATION_ERROR';
+    this.details = details;
+  }
+}
+
+class APIError extends CLIError {
+  constructor(message, cause = null) {
+    super(message, 3);
+    this.name = 'APIError';
+    this.code = 'API_ERROR';
+    this.cause = cause;
+    this.statusCode = cause?.statusCode;
+  }
+}
+
+// Wrap a commander action so thrown errors end the process with a message
+// and a meaningful exit code instead of an unhandled rejection
+function withCLIErrorHandler(action) {
+  return async (...args) => {
+    try {
+      await action(...args);
+    } catch (error) {
+      console.error(chalk.red(`✗ ${error.message}`));
+      if (process.env.NR_GUARDIAN_LOG_LEVEL === 'debug' && error.stack) {
+        console.error(chalk.gray(error.stack));
+      }
+      process.exit(error.exitCode || 1);
+    }
+  };
+}
+
+module.exports = {
+  CLIError,
+  ValidationError,
+  APIError,
+  withCLIErrorHandler
+};
@@ -0,0 +1,604 @@
+const { normalizeNRQL, nrqlClauses } = require('./nrql-formatter.js');
+
+// Structured comparison of two dashboard definitions (e.g. the live export
+// and a file on disk). diffDashboards matches widgets by page and title for
+// plan/apply; compareDashboards matches them by title and query similarity
+// across pages for reviews.
+
+const LAYOUT_FIELDS = ['row', 'column', 'width', 'height'];
+
+// Typed configuration ({ line: { nrqlQueries } }) and rawConfiguration carry
+// the same settings, so widgets are always compared as rawConfiguration
+function widgetRawConfiguration(widget) {
+  if (widget.rawConfiguration) return widget.rawConfiguration;
+  const typed = widget.configuration && Object.values(widget.configuration)[0];
+  return typed && typeof typed === 'object' ? typed : {};
+}
+
+function canonicalQuery(query) {
+  if (typeof query !== 'string') return query;
+  try {
+    return normalizeNRQL(query);
+  } catch (error) {
+    return query.replace(/\s+/g, ' ').trim();
+  }
+}
+
+function queryAccounts(nrqlQuery, defaultAccountId) {
+  if (Array.isArray(nrqlQuery.accountIds)) return nrqlQuery.accountIds.map(Number);
+  if (nrqlQuery.accountId) return [Number(nrqlQuery.accountId)];
+  return defaultAccountId ? [Number(defaultAccountId)] : [];
+}
+
+// Key order independent equality for plain JSON values
+function isEqual(a, b) {
+  return JSON.stringify(sortKeys(a)) === JSON.stringify(sortKeys(b));
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((acc, key) => {
+      acc[key] = sortKeys(value[key]);
+      return acc;
+    }, {});
+  }
+  return value === undefined ? null : value;
+}
+
+// Pair items by key, in order, so duplicate titles match first-to-first.
+// Returns [before, after] pairs with null for unmatched items.
+function matchByKey(beforeItems, afterItems, keyOf) {
+  const remaining = beforeItems.map((item, index) => ({ item, index }));
+  const pairs = [];
+
+  afterItems.forEach((after, index) => {
+    const position = remaining.findIndex(candidate => keyOf(candidate.item) === keyOf(after));
+    if (position === -1) {
+      pairs.push({ before: null, after, beforeIndex: null, afterIndex: index });
+    } else {
+      const [match] = remaining.splice(position, 1);
+      pairs.push({ before: match.item, after, beforeIndex: match.index, afterIndex: index });
+    }
+  });
+  remaining.forEach(({ item, index }) => {
+    pairs.push({ before: item, after: null, beforeIndex: index, afterIndex: null });
+  });
+
+  return pairs;
+}
+
+/**
+ * Compare a widget's queries, visualization, layout and settings. The
+ * desired side only manages the layout and settings it declares; anything
+ * New Relic fills in on the live side (auto layout, default legend, ...) is
+ * not drift.
+ */
+function diffWidget(live, desired, context) {
+  const changes = [];
+  const push = (field, before, after) => changes.push({
+    type: 'change',
+    target: 'widget',
+    page: context.page,
+    widget: desired.title,
+    field,
+    before,
+    after
+  });
+
+  if (live.visualization?.id !== desired.visualization?.id) {
+    push('visualization', live.visualization?.id || null, desired.visualization?.id || null);
+  }
+
+  const liveConfig = widgetRawConfiguration(live);
+  const desiredConfig = widgetRawConfiguration(desired);
+  const liveQueries = liveConfig.nrqlQueries || [];
+  const desiredQueries = desiredConfig.nrqlQueries || [];
+  const queryCount = Math.max(liveQueries.length, desiredQueries.length);
+
+  for (let i = 0; i < queryCount; i++) {
+    const before = liveQueries[i];
+    const after = desiredQueries[i];
+    const field = queryCount > 1 ? `query[${i}]` : 'query';
+
+    if (!before || !after) {
+      push(field, before ? before.query : null, after ? after.query : null);
+      continue;
+    }
+    if (canonicalQuery(before.query) !== canonicalQuery(after.query)) {
+      push(field, before.query, after.query);
+    }
+    const beforeAccounts = queryAccounts(before, context.accountId);
+    const afterAccounts = queryAccounts(after, context.accountId);
+    if (!isEqual(beforeAccounts, afterAccounts)) {
+      push(`${field}.accountIds`, beforeAccounts, afterAccounts);
+    }
+  }
+
+  if (desired.layout) {
+    const moved = LAYOUT_FIELDS.filter(key =>
+      desired.layout[key] !== undefined && live.layout?.[key] !== desired.layout[key]
+    );
+    if (moved.length > 0) {
+      push('layout', pick(live.layout || {}, LAYOUT_FIELDS), pick(desired.layout, LAYOUT_FIELDS));
+    }
+  }
+
+  Object.keys(desiredConfig)
+    .filter(key => key !== 'nrqlQueries')
+    .forEach(key => {
+      if (!isEqual(liveConfig[key], desiredConfig[key])) {
+        push(`settings.${key}`, liveConfig[key] ?? null, desiredConfig[key]);
+      }
+    });
+
+  return changes;
+}
+
+function pick(object, keys) {
+  return keys.reduce((acc, key) => {
+    if (object[key] !== undefined) acc[key] = object[key];
+    return acc;
+  }, {});
+}
+
+function diffVariables(liveVariables = [], desiredVariables = []) {
+  const changes = [];
+
+  matchByKey(liveVariables, desiredVariables, variable => variable.name).forEach(({ before, after }) => {
+    if (!before) {
+      changes.push({ type: 'add', target: 'variable', variable: after.name, after });
+    } else if (!after) {
+      changes.push({ type: 'remove', target: 'variable', variable: before.name, before });
+    } else {
+      const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(field => field !== 'name')
+        .filter(field => {
+          if (field === 'nrqlQuery' && before.nrqlQuery && after.nrqlQuery) {
+            return canonicalQuery(before.nrqlQuery.query) !== canonicalQuery(after.nrqlQuery.query) ||
+              !isEqual(before.nrqlQuery.accountIds, after.nrqlQuery.accountIds);
+          }
+          return !isEqual(before[field], after[field]);
+        });
+      fields.forEach(field => changes.push({
+        type: 'change',
+        target: 'variable',
+        variable: after.name,
+        field,
+        before: before[field] ?? null,
+        after: after[field] ?? null
+      }));
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Diff a live dashboard against the desired definition.
+ * options.accountId is assumed for NRQL queries that do not name an account.
+ * Returns { identical, changes, summary }.
+ */
+function diffDashboards(live, desired, options = {}) {
+  const changes = [];
+
+  ['name', 'description', 'permissions'].forEach(field => {
+    const before = live[field] ?? null;
+    const after = desired[field] ?? null;
+    // Omitting description/permissions in a definition leaves them alone
+    if (field !== 'name' && desired[field] === undefined) return;
+    if (before !== after) {
+      changes.push({ type: 'change', target: 'dashboard', field, before, after });
+    }
+  });
+
+  if (desired.variables !== undefined) {
+    changes.push(...diffVariables(live.variables || [], desired.variables || []));
+  }
+
+  matchByKey(live.pages || [], desired.pages || [], page => page.name).forEach(({ before, after }) => {
+    if (!before) {
+      changes.push({ type: 'add', target: 'page', page: after.name, widgets: (after.widgets || []).length });
+      return;
+    }
+    if (!after) {
+      changes.push({ type: 'remove', target: 'page', page: before.name, widgets: (before.widgets || []).length });
+      return;
+    }
+
+    const context = { page: after.name, accountId: options.accountId };
+    matchByKey(before.widgets || [], after.widgets || [], widget => widget.title || '').forEach(pair => {
+      if (!pair.before) {
+        changes.push({ type: 'add', target: 'widget', page: after.name, widget: pair.after.title, after: pair.after });
+      } else if (!pair.after) {
+        changes.push({ type: 'remove', target: 'widget', page: after.name, widget: pair.before.title, before: pair.before });
+      } else {
+        changes.push(...diffWidget(pair.before, pair.after, context));
+      }
+    });
+  });
+
+  return {
+    identical: changes.length === 0,
+    changes,
+    summary: summarizeChanges(changes)
+  };
+}
+
+function summarizeChanges(changes) {
+  return changes.reduce((summary, change) => {
+    summary[change.type] = (summary[change.type] || 0) + 1;
+    return summary;
+  }, { add: 0, remove: 0, change: 0 });
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '(none)';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Render changes as plain text lines prefixed with +, - or ~
+ */
+function formatChanges(changes) {
+  const lines = [];
+
+  changes.forEach(change => {
+    const location = [
+      change.page !== undefined ? `page "${change.page}"` : null,
+      change.widget !== undefined ? `widget "${change.widget}"` : null,
+      change.variable !== undefined ? `variable "${change.variable}"` : null
+    ].filter(Boolean).join(' / ') || 'dashboard';
+
+    if (change.type === 'add') {
+      lines.push(`+ ${location}${change.widgets !== undefined ? ` (${change.widgets} widgets)` : ''}`);
+    } else if (change.type === 'remove') {
+      lines.push(`- ${location}${change.widgets !== undefined ? ` (${change.widgets} widgets)` : ''}`);
+    } else {
+      lines.push(`~ ${location}: ${change.field}`);
+      lines.push(`    - ${formatValue(change.before)}`);
+      lines.push(`    + ${formatValue(change.after)}`);
+    }
+  });
+
+  return lines;
+}
+
+// Widgets scoring below this are reported as removed + added, not modified
+const MATCH_THRESHOLD = 0.5;
+
+function widgetQueries(widget) {
+  return (widgetRawConfiguration(widget).nrqlQueries || []).map(nrqlQuery => nrqlQuery.query).filter(Boolean);
+}
+
+// Dice coefficient over character bigrams: tolerant of small title edits
+function textSimilarity(a, b) {
+  const normalize = text => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  const left = normalize(a);
+  const right = normalize(b);
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const bigrams = text => {
+    const counts = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+      const bigram = text.slice(i, i + 2);
+      counts.set(bigram, (counts.get(bigram) || 0) + 1);
+    }
+    return counts;
+  };
+  const leftBigrams = bigrams(left);
+  const rightBigrams = bigrams(right);
+  let overlap = 0;
+  leftBigrams.forEach((count, bigram) => {
+    overlap += Math.min(count, rightBigrams.get(bigram) || 0);
+  });
+  return (2 * overlap) / (left.length + right.length - 2);
+}
+
+// Jaccard similarity of the canonical query tokens
+function querySimilarity(a, b) {
+  const tokens = queries => new Set(
+    queries.map(canonicalQuery).join(' ').toLowerCase().split(/[\s,()=<>']+/).filter(Boolean)
+  );
+  const left = tokens(a);
+  const right = tokens(b);
+  if (left.size === 0 && right.size === 0) return 1;
+  let shared = 0;
+  left.forEach(token => { if (right.has(token)) shared++; });
+  return shared / (left.size + right.size - shared);
+}
+
+// The query says more about what a widget shows than its title, so it
+// weighs twice as much
+function widgetSimilarity(a, b) {
+  const title = textSimilarity(a.widget.title, b.widget.title);
+  const aQueries = widgetQueries(a.widget);
+  const bQueries = widgetQueries(b.widget);
+  if (aQueries.length === 0 && bQueries.length === 0) return title;
+  if (aQueries.length === 0 || bQueries.length === 0) return title * 0.5;
+  return (title + 2 * querySimilarity(aQueries, bQueries)) / 3;
+}
+
+// Same page, same position and same visualization: the same widget even
+// when its title and query both changed
+function samePlacement(a, b) {
+  const before = a.widget.layout;
+  const after = b.widget.layout;
+  return a.page === b.page && Boolean(before && after) &&
+    before.row === after.row && before.column === after.column &&
+    (a.widget.visualization?.id || null) === (b.widget.visualization?.id || null);
+}
+
+function flattenWidgets(dashboard) {
+  return (dashboard.pages || []).flatMap((page, pageIndex) =>
+    (page.widgets || []).map((widget, index) => ({ page: page.name, pageIndex, index, widget }))
+  );
+}
+
+/**
+ * Clause-level diff of two NRQL queries. Falls back to a whole-query change
+ * when either side does not parse.
+ */
+function diffQueryClauses(before, after) {
+  let beforeClauses;
+  let afterClauses;
+  try {
+    beforeClauses = nrqlClauses(before);
+    afterClauses = nrqlClauses(after);
+  } catch (error) {
+    return [{ clause: 'query', type: 'change', before, after }];
+  }
+
+  const group = clauses => clauses.reduce((acc, { clause, text }) => {
+    acc[clause] = acc[clause] ? `${acc[clause]} ${text}` : text;
+    return acc;
+  }, {});
+  const left = group(beforeClauses);
+  const right = group(afterClauses);
+  const order = [...new Set([...beforeClauses, ...afterClauses].map(entry => entry.clause))];
+
+  return order.flatMap(clause => {
+    if (left[clause] === right[clause]) return [];
+    if (!left[clause]) return [{ clause, type: 'add', after: right[clause] }];
+    if (!right[clause]) return [{ clause, type: 'remove', before: left[clause] }];
+    return [{ clause, type: 'change', before: left[clause], after: right[clause] }];
+  });
+}
+
+function widgetSummary(entry) {
+  return {
+    page: entry.page,
+    title: entry.widget.title,
+    visualization: entry.widget.visualization?.id || null,
+    queries: widgetQueries(entry.widget),
+    layout: entry.widget.layout ? pick(entry.widget.layout, LAYOUT_FIELDS) : null
+  };
+}
+
+function compareWidget(a, b) {
+  const changes = [];
+  const before = a.widget;
+  const after = b.widget;
+
+  if ((before.title || '') !== (after.title || '')) {
+    changes.push({ field: 'title', before: before.title, after: after.title });
+  }
+  if (before.visualization?.id !== after.visualization?.id) {
+    changes.push({ field: 'visualization', before: before.visualization?.id || null, after: after.visualization?.id || null });
+  }
+
+  const beforeQueries = widgetRawConfiguration(before).nrqlQueries || [];
+  const afterQueries = widgetRawConfiguration(after).nrqlQueries || [];
+  const count = Math.max(beforeQueries.length, afterQueries.length);
+  for (let i = 0; i < count; i++) {
+    const field = count > 1 ? `query[${i}]` : 'query';
+    const left = beforeQueries[i];
+    const right = afterQueries[i];
+    if (!left || !right) {
+      changes.push({ field, before: left ? left.query : null, after: right ? right.query : null });
+    } else if (canonicalQuery(left.query) !== canonicalQuery(right.query)) {
+      changes.push({ field, before: left.query, after: right.query, clauses: diffQueryClauses(left.query, right.query) });
+    }
+  }
+
+  const beforeConfig = widgetRawConfiguration(before);
+  const afterConfig = widgetRawConfiguration(after);
+  [...new Set([...Object.keys(beforeConfig), ...Object.keys(afterConfig)])]
+    .filter(key => key !== 'nrqlQueries')
+    .forEach(key => {
+      if (!isEqual(beforeConfig[key], afterConfig[key])) {
+        changes.push({ field: `settings.${key}`, before: beforeConfig[key] ?? null, after: afterConfig[key] ?? null });
+      }
+    });
+
+  // A definition without a layout leaves placement to New Relic, so only
+  // compare positions when both sides have one
+  const bothLaidOut = Boolean(before.layout && after.layout);
+  const moved = a.page !== b.page || (bothLaidOut &&
+    (before.layout.row !== after.layout.row || before.layout.column !== after.layout.column));
+  const resized = bothLaidOut &&
+    (before.layout.width !== after.layout.width || before.layout.height !== after.layout.height);
+
+  return { changes, moved, resized };
+}
+
+/**
+ * Semantic comparison of dashboard a (before) with b (after). Widgets are
+ * paired across pages by title and query similarity, then by position, so
+ * reordering, moving a widget to another page or retitling it is not
+ * reported as remove + add.
+ * Returns a JSON-serializable report.
+ */
+function compareDashboards(a, b) {
+  const dashboard = ['name', 'description', 'permissions']
+    .filter(field => (a[field] ?? null) !== (b[field] ?? null))
+    .map(field => ({ field, before: a[field] ?? null, after: b[field] ?? null }));
+
+  const aPages = (a.pages || []).map(page => page.name);
+  const bPages = (b.pages || []).map(page => page.name);
+  const pages = {
+    added: bPages.filter(name => !aPages.includes(name)),
+    removed: aPages.filter(name => !bPages.includes(name))
+  };
+
+  const variables = diffVariables(a.variables || [], b.variables || []);
+
+  // Exact matches first, then the best remaining pairs by similarity
+  const left = flattenWidgets(a);
+  const right = flattenWidgets(b);
+  const pairs = [];
+  const used = { left: new Set(), right: new Set() };
+  const sameWidget = (x, y) => x.widget.title === y.widget.title &&
+    isEqual(widgetQueries(x.widget).map(canonicalQuery), widgetQueries(y.widget).map(canonicalQuery));
+
+  left.forEach((x, i) => {
+    const j = right.findIndex((y, index) => !used.right.has(index) && sameWidget(x, y));
+    if (j !== -1) {
+      used.left.add(i);
+      used.right.add(j);
+      pairs.push({ x, y: right[j], similarity: 1 });
+    }
+  });
+
+  const candidates = [];
+  left.forEach((x, i) => {
+    if (used.left.has(i)) return;
+    right.forEach((y, j) => {
+      if (used.right.has(j)) return;
+      const similarity = widgetSimilarity(x, y);
+      if (similarity >= MATCH_THRESHOLD) candidates.push({ i, j, similarity });
+    });
+  });
+  candidates
+    .sort((p, q) => q.similarity - p.similarity)
+    .forEach(({ i, j, similarity }) => {
+      if (used.left.has(i) || used.right.has(j)) return;
+      used.left.add(i);
+      used.right.add(j);
+      pairs.push({ x: left[i], y: right[j], similarity });
+    });
+
+  // Widgets too different to pair by content still pair by placement
+  left.forEach((x, i) => {
+    if (used.left.has(i)) return;
+    const j = right.findIndex((y, index) => !used.right.has(index) && samePlacement(x, y));
+    if (j !== -1) {
+      used.left.add(i);
+      used.right.add(j);
+      pairs.push({ x, y: right[j], similarity: widgetSimilarity(x, right[j]) });
+    }
+  });
+
+  const widgets = [];
+  pairs
+    .sort((p, q) => p.y.pageIndex - q.y.pageIndex || p.y.index - q.y.index)
+    .forEach(({ x, y, similarity }) => {
+      const { changes, moved, resized } = compareWidget(x, y);
+      if (changes.length === 0 && !moved && !resized) return;
+      widgets.push({
+        status: changes.length > 0 ? 'modified' : 'moved',
+        similarity: Math.round(similarity * 100) / 100,
+        moved,
+        resized,
+        before: widgetSummary(x),
+        after: widgetSummary(y),
+        changes
+      });
+    });
+  left.forEach((x, i) => {
+    if (!used.left.has(i)) widgets.push({ status: 'removed', before: widgetSummary(x) });
+  });
+  right.forEach((y, j) => {
+    if (!used.right.has(j)) widgets.push({ status: 'added', after: widgetSummary(y) });
+  });
+
+  const count = status => widgets.filter(widget => widget.status === status).length;
+  const summary = {
+    added: count('added'),
+    removed: count('removed'),
+    modified: count('modified'),
+    moved: widgets.filter(widget => widget.moved).length,
+    unchanged: pairs.length - count('modified') - count('moved'),
+    variables: variables.length,
+    pages: pages.added.length + pages.removed.length
+  };
+
+  return {
+    identical: dashboard.length === 0 && variables.length === 0 && widgets.length === 0 &&
+      summary.pages === 0,
+    summary,
+    dashboard,
+    pages,
+    variables,
+    widgets
+  };
+}
+
+/**
+ * Render a compareDashboards report as plain text lines
+ */
+function formatComparison(report) {
+  const lines = [];
+  const position = summary => `"${summary.page}"` +
+    (summary.layout ? ` row ${summary.layout.row}, column ${summary.layout.column}` : '');
+  const place = summary => `"${summary.title}" on ${position(summary)}`;
+
+  report.dashboard.forEach(change => {
+    lines.push(`~ dashboard ${change.field}: ${formatValue(change.before)} -> ${formatValue(change.after)}`);
+  });
+  report.pages.added.forEach(name => lines.push(`+ page "${name}"`));
+  report.pages.removed.forEach(name => lines.push(`- page "${name}"`));
+
+  formatChanges(report.variables).forEach(line => lines.push(line));
+
+  report.widgets.forEach(widget => {
+    if (widget.status === 'added') {
+      lines.push(`+ widget ${place(widget.after)} (${widget.after.visualization})`);
+      widget.after.queries.forEach(query => lines.push(`    + ${query}`));
+      return;
+    }
+    if (widget.status === 'removed') {
+      lines.push(`- widget ${place(widget.before)} (${widget.before.visualization})`);
+      widget.before.queries.forEach(query => lines.push(`    - ${query}`));
+      return;
+    }
+
+    lines.push(`~ widget "${widget.after.title}" on "${widget.after.page}"`);
+    if (widget.moved) {
+      lines.push(`    moved from ${position(widget.before)} to ${position(widget.after)}`);
+    }
+    if (widget.resized) {
+      const size = layout => (layout ? `${layout.width}x${layout.height}` : 'auto');
+      lines.push(`    resized from ${size(widget.before.layout)} to ${size(widget.after.layout)}`);
+    }
+    widget.changes.forEach(change => {
+      if (change.clauses) {
+        lines.push(`    ${change.field}:`);
+        change.clauses.forEach(clause => {
+          if (clause.type !== 'add') lines.push(`      - ${clause.before}`);
+          if (clause.type !== 'remove') lines.push(`      + ${clause.after}`);
+        });
+      } else {
+        lines.push(`    ${change.field}: ${formatValue(change.before)} -> ${formatValue(change.after)}`);
+      }
+    });
+  });
+
+  return lines;
+}
+
+module.exports = {
+  diffDashboards,
+  compareDashboards,
+  diffWidget,
+  diffVariables,
+  diffQueryClauses,
+  summarizeChanges,
+  formatChanges,
+  formatComparison,
+  widgetRawConfiguration,
+  canonicalQuery,
+  textSimilarity,
+  querySimilarity
+};
@@ -0,0 +1,253 @@
+const { tryParseNRQL, walk, getEventTypes, getAttributes, getVariables } = require('./nrql-parser.js');
+const { widgetQueries, mapWidgetQueries } = require('./widget-queries.js');
+
+// Dashboard template variables for common dimensions. Generators call
+// addDashboardVariables to attach NRQL-backed variables and filter every
+// widget query that can be filtered with a {{variable}} placeholder.
+
+// Where each dimension lives, per event type. Metric sources only apply to
+// queries that reference a matching dimensional metric.
+const DIMENSIONS = [
+  {
+    name: 'cluster',
+    title: 'Cluster',
+    sources: [
+      { eventType: 'KafkaBrokerSample', attribute: 'clusterName' },
+      { eventType: 'KafkaTopicSample', attribute: 'clusterName' },
+      { eventType: 'KafkaOffsetSample', attribute: 'clusterName' },
+      { eventType: 'KafkaProducerSample', attribute: 'clusterName' },
+      { eventType: 'KafkaConsumerSample', attribute: 'clusterName' },
+      { eventType: 'Metric', attribute: 'kafka.cluster', metricPrefixes: ['kafka.', 'kafka_'] }
+    ]
+  },
+  {
+    name: 'broker',
+    title: 'Broker',
+    sources: [
+      { eventType: 'KafkaBrokerSample', attribute: 'entity.name' }
+    ]
+  },
+  {
+    name: 'topic',
+    title: 'Topic',
+    sources: [
+      { eventType: 'KafkaTopicSample', attribute: 'topic' },
+      { eventType: 'KafkaOffsetSample', attribute: 'topic' },
+      { eventType: 'Metric', attribute: 'topic', metricPrefixes: ['kafka.topic.', 'kafka.partition.', 'kafka.consumer_group.'] }
+    ]
+  },
+  {
+    name: 'consumerGroup',
+    title: 'Consumer Group',
+    sources: [
+      { eventType: 'KafkaOffsetSample', attribute: 'consumerGroup' },
+      { eventType: 'Metric', attribute: 'group', metricPrefixes: ['kafka.consumer_group.'] }
+    ]
+  }
+];
+
+const VALUES_SINCE = '1 day ago';
+
+function dimensionsByName(names) {
+  if (!names) return DIMENSIONS;
+  return names.map(name => {
+    const dimension = DIMENSIONS.find(candidate => candidate.name === name);
+    if (!dimension) {
+      throw new Error(`Unknown dashboard variable dimension '${name}'. Known: ${DIMENSIONS.map(d => d.name).join(', ')}`);
+    }
+    return dimension;
+  });
+}
+
+// The source a query can be filtered on for a dimension. Every event type in
+// FROM must carry the same attribute, otherwise the filter would drop rows.
+function sourceForQuery(dimension, ast) {
+  const eventTypes = getEventTypes(ast);
+  if (eventTypes.length === 0) return null;
+
+  const attributes = getAttributes(ast);
+  const sources = eventTypes.map(eventType => dimension.sources.find(source =>
+    source.eventType === eventType &&
+    (!source.metricPrefixes || attributes.some(attribute => source.metricPrefixes.some(prefix => attribute.startsWith(prefix))))
+  ));
+
+  if (sources.some(source => !source)) return null;
+  if (new Set(sources.map(source => source.attribute)).size !== 1) return null;
+  return sources[0];
+}
+
+// A query that already filters on the attribute keeps its own filter
+function filtersOn(ast, attribute) {
+  let found = false;
+  walk(ast.where, node => {
+    if (node.type === 'Subquery') return false;
+    if (node.type === 'Identifier' && node.name === attribute) found = true;
+    return !found;
+  });
+  return found;
+}
+
+function addCondition(query, ast, condition) {
+  let rewritten;
+  if (ast.where) {
+    const where = query.slice(ast.where.start, ast.where.end);
+    const needsParens = ast.where.type === 'LogicalExpression' && ast.where.operator === 'OR';
+    const combined = `${needsParens ? `(${where})` : where} AND ${condition}`;
+    rewritten = query.slice(0, ast.where.start) + combined + query.slice(ast.where.end);
+  } else {
+    const fromEnd = ast.from[ast.from.length - 1].end;
+    rewritten = `${query.slice(0, fromEnd)} WHERE ${condition}${query.slice(fromEnd)}`;
+  }
+
+  // Leave the query alone rather than emit something NRDB cannot parse
+  return tryParseNRQL(rewritten).error ? query : rewritten;
+}
+
+/**
+ * Rewrite one query to filter on every applicable dimension.
+ * Returns { query, variables, sources } where sources maps each variable
+ * name to the { eventType, attribute } it filtered on.
+ */
+function applyVariablesToQuery(query, dimensions = DIMENSIONS) {
+  const { ast, error } = tryParseNRQL(query);
+  // Nested aggregations and joins would need the filter on an inner query
+  if (error || ast.kind !== 'SELECT' || ast.joins.length > 0 || ast.from.some(source => source.type !== 'EventType')) {
+    return { query, variables: [], sources: {} };
+  }
+
+  const used = new Set(getVariables(ast));
+  const sources = {};
+  let rewritten = query;
+
+  for (const dimension of dimensions) {
+    const source = sourceForQuery(dimension, ast);
+    if (!source || used.has(dimension.name) || filtersOn(ast, source.attribute)) continue;
+
+    // Positions refer to the query being edited, so parse again after each change
+    const current = tryParseNRQL(rewritten).ast;
+    const next = addCondition(rewritten, current, `${source.attribute} IN ({{${dimension.name}}})`);
+    if (next !== rewritten) {
+      rewritten = next;
+      sources[dimension.name] = source;
+    }
+  }
+
+  return { query: rewritten, variables: Object.keys(sources), sources };
+}
+
+function variableQuery(source, scope) {
+  const conditions = [];
+  if (source.metricPrefixes) {
+    const likes = source.metricPrefixes.map(prefix => `metricName LIKE '${prefix}%'`);
+    conditions.push(likes.length > 1 ? `(${likes.join(' OR ')})` : likes[0]);
+  }
+  if (scope) conditions.push(`${scope.attribute} IN ({{${scope.name}}})`);
+
+  const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+  return `SELECT uniques(${source.attribute}) FROM ${source.eventType}${where} SINCE ${VALUES_SINCE}`;
+}
+
+/**
+ * NRQL variable definition listing the values of a dimension. Values are
+ * narrowed to the selected cluster when the same event type carries it.
+ */
+function buildVariable(dimension, source, accountIds, clusterSource) {
+  const scope = clusterSource && dimension.name !== 'cluster' && clusterSource.eventType === source.eventType
+    ? { name: 'cluster', attribute: clusterSource.attribute }
+    : null;
+
+  return {
+    name: dimension.name,
+    title: dimension.title,
+    type: 'NRQL',
+    isMultiSelection: true,
+    replacementStrategy: 'STRING',
+    nrqlQuery: {
+      accountIds,
+      query: variableQuery(source, scope)
+    },
+    defaultValues: [{ value: { string: '*' } }]
+  };
+}
+
+/**
+ * Return a copy of dashboard with {{variable}} filters in its widget queries
+ * and a variable definition for every dimension a query now uses. Variables
+ * the dashboard already defines are kept as they are.
+ *
+ * options.accountId - account the variable queries run in
+ * options.dimensions - dimension names to consider (default: all)
+ */
+function addDashboardVariables(dashboard, options = {}) {
+  const dimensions = dimensionsByName(options.dimensions);
+  const existing = dashboard.variables || [];
+  const usedSources = {};
+
+  const pages = (dashboard.pages || []).map(page => ({
+    ...page,
+    widgets: (page.widgets || []).map(widget => mapWidgetQueries(widget, nrqlQuery => {
+      if (typeof nrqlQuery.query !== 'string') return nrqlQuery;
+
+      const result = applyVariablesToQuery(nrqlQuery.query, dimensions);
+      Object.entries(result.sources).forEach(([name, source]) => {
+        if (!usedSources[name]) usedSources[name] = source;
+      });
+      return result.query === nrqlQuery.query ? nrqlQuery : { ...nrqlQuery, query: result.query };
+    }))
+  }));
+
+  const accountIds = options.accountId ? [parseInt(options.accountId)] : [];
+  const added = dimensions
+    .filter(dimension => usedSources[dimension.name])
+    .filter(dimension => !existing.some(variable => variable.name === dimension.name))
+    .map(dimension => buildVariable(dimension, usedSources[dimension.name], accountIds, usedSources.cluster));
+
+  return {
+    ...dashboard,
+    pages,
+    variables: [...existing, ...added]
+  };
+}
+
+/**
+ * Placeholders used by widget or variable queries that no variable defines.
+ * Returns [{ location, page, widget, variable, query }]; page and widget are
+ * null for placeholders in another variable's query.
+ */
+function findUndefinedVariables(dashboard) {
+  const defined = new Set((dashboard.variables || []).map(variable => variable.name));
+  const missing = [];
+
+  const check = (query, location, page, widget) => {
+    if (typeof query !== 'string') return;
+    const { ast, error } = tryParseNRQL(query);
+    const names = error
+      ? Array.from(query.matchAll(/\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g), match => match[1])
+      : getVariables(ast);
+
+    new Set(names).forEach(name => {
+      if (!defined.has(name)) missing.push({ location, page, widget, variable: name, query });
+    });
+  };
+
+  (dashboard.variables || []).forEach(variable => {
+    if (variable.nrqlQuery) check(variable.nrqlQuery.query, `Variable '${variable.name}'`, null, null);
+  });
+
+  (dashboard.pages || []).forEach(page => {
+    (page.widgets || []).forEach(widget => {
+      widgetQueries(widget).forEach(({ query }) =>
+        check(query, `Widget '${widget.title}' on page '${page.name}'`, page.name, widget.title)
+      );
+    });
+  });
+
+  return missing;
+}
+
+module.exports = {
+  DIMENSIONS,
+  applyVariablesToQuery,
+  addDashboardVariables,
+  findUndefinedVariables
+};
@@ -47,11 +47,34 @@ class NRQLError extends NRGuardianError {
   }
 }
 
+class NRQLSyntaxError extends NRQLError {
+  constructor(message, query, line, column) {
+    super(`${message} at line ${line}, column ${column}`, query);
+    this.name = 'NRQLSyntaxError';
+    this.code = 'NRQL_SYNTAX_ERROR';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+class PrometheusParseError extends NRGuardianError {
+  constructor(message, line, column) {
+    super(`${message} at line ${line}, column ${column}`, 'PROMETHEUS_PARSE_ERROR');
+    this.name = 'PrometheusParseError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+  }
+}
+
 module.exports = {
   NRGuardianError,
   ValidationError,
   APIError,
   ConfigError,
   SchemaError,
-  NRQLError
+  NRQLError,
+  NRQLSyntaxError,
+  PrometheusParseError
 };
\ No newline at end of file
@@ -0,0 +1,235 @@
+const { familySeries } = require('./prometheus-parser.js');
+const { ValidationError } = require('./errors.js');
+
+// Predicts how Prometheus metric families show up in New Relic's Metric event
+// type for each way of shipping them, so a local /metrics endpoint can stand
+// in for an account when checking dashboard queries:
+//
+//   remote-write - Prometheus remote write. Names and labels are kept;
+//                  counters, histogram buckets, _sum and _count become count
+//                  metrics.
+//   nri-flex     - nri-flex scraping the endpoint. Every sample is kept
+//                  under its own name as a gauge of the scraped value, with
+//                  the integration's custom_attributes added.
+//   otlp         - an OpenTelemetry Collector whose Prometheus exporter
+//                  serves the endpoint and which exports OTLP to New Relic.
+//                  The exporter's name and label translation is undone:
+//                  system_cpu_time_seconds_total is system.cpu.time,
+//                  histograms are one distribution metric.
+
+const MAPPING_SOURCES = ['remote-write', 'nri-flex', 'otlp'];
+
+// Unit suffixes the Collector's Prometheus exporter appends to names
+const UNIT_SUFFIXES = [
+  '_bytes_per_second', '_per_second', '_seconds', '_milliseconds', '_microseconds', '_nanoseconds',
+  '_bytes', '_kilobytes', '_megabytes', '_bits', '_ratio', '_percent', '_hertz', '_meters', '_celsius'
+];
+
+// OpenTelemetry name segments that contain an underscore themselves
+const COMPOUND_SEGMENTS = [
+  'load_average', 'io_time', 'operation_time', 'weighted_io_time', 'pending_operations',
+  'open_file_descriptors', 'context_switches', 'availability_zone'
+];
+
+// Resource and scope attributes the exporter flattens into labels
+const OTEL_ATTRIBUTES = [
+  'host.id', 'host.name', 'host.arch', 'host.type', 'os.type', 'os.description',
+  'service.name', 'service.namespace', 'service.instance.id', 'service.version',
+  'deployment.environment', 'cloud.provider', 'cloud.platform', 'cloud.region', 'cloud.account.id',
+  'cloud.availability_zone', 'container.id', 'container.name', 'container.image.name',
+  'k8s.cluster.name', 'k8s.namespace.name', 'k8s.node.name', 'k8s.pod.name', 'k8s.pod.uid',
+  'k8s.container.name', 'k8s.deployment.name', 'k8s.statefulset.name', 'k8s.daemonset.name',
+  'process.pid', 'process.executable.name', 'process.command', 'telemetry.sdk.language',
+  'telemetry.sdk.name', 'telemetry.sdk.version', 'otel.scope.name', 'otel.scope.version'
+];
+
+// job and instance are how the exporter carries the service identity
+const OTEL_LABEL_RENAMES = {
+  job: 'service.name',
+  instance: 'service.instance.id'
+};
+
+/**
+ * Key two spellings of a metric or attribute name share when they can be the
+ * same series: lower case with dots, colons and dashes as underscores.
+ * system.cpu.load_average.15m and system_cpu_load_average_15m both key to
+ * system_cpu_load_average_15m.
+ */
+function metricKey(name) {
+  return String(name).toLowerCase().replace(/[.:-]/g, '_');
+}
+
+const OTEL_ATTRIBUTE_KEYS = new Map(OTEL_ATTRIBUTES.map(name => [metricKey(name), name]));
+
+function stripSuffix(name, suffixes) {
+  const suffix = suffixes.find(candidate => name.endsWith(candidate) && name.length > candidate.length);
+  return suffix ? name.slice(0, -suffix.length) : name;
+}
+
+// OpenTelemetry name for a family the Collector's Prometheus exporter serves
+function otelMetricName(family) {
+  let name = stripSuffix(family.name, ['_total']);
+  name = family.unit ? stripSuffix(name, [`_${family.unit}`]) : stripSuffix(name, UNIT_SUFFIXES);
+
+  let dotted = name.replace(/_/g, '.');
+  COMPOUND_SEGMENTS.forEach(segment => {
+    dotted = dotted.split(segment.replace(/_/g, '.')).join(segment);
+  });
+  return dotted;
+}
+
+function otelAttributeName(label) {
+  return OTEL_LABEL_RENAMES[label] || OTEL_ATTRIBUTE_KEYS.get(label) || label;
+}
+
+// Predicted metrics for one family: [{ metricName, type, omit, notes }], where
+// omit are labels that do not become attributes
+function familyMetrics(family, source) {
+  const type = family.type;
+  const sampleNames = [...new Set(family.samples.filter(sample => sample.suffix !== '_created').map(sample => sample.name))];
+
+  if (source === 'otlp') {
+    const metricType = {
+      counter: 'count',
+      histogram: 'distribution',
+      gaugehistogram: 'distribution',
+      summary: 'summary'
+    }[type] || 'gauge';
+    const notes = metricType === 'distribution'
+      ? ['Histogram: query with percentile(), average(), count() or histogram() on the metric']
+      : metricType === 'summary'
+        ? ['Summary: quantiles are dropped, use average(), count(), min() and max()']
+        : [];
+    return [{ metricName: otelMetricName(family), type: metricType, omit: ['le', 'quantile'], notes }];
+  }
+
+  if (source === 'nri-flex') {
+    return sampleNames.map(name => ({
+      metricName: name,
+      type: 'gauge',
+      omit: [],
+      notes: type === 'counter' || name.endsWith('_bucket') || name.endsWith('_count') || name.endsWith('_sum')
+        ? ['Cumulative value: use latest() or derivative(), not sum()']
+        : []
+    }));
+  }
+
+  // remote-write
+  return sampleNames.map(name => {
+    const sample = family.samples.find(candidate => candidate.name === name);
+    const isCount = type === 'counter' || ['_bucket', '_sum', '_count'].includes(sample.suffix);
+    return {
+      metricName: name,
+      type: isCount ? 'count' : 'gauge',
+      omit: [],
+      notes: sample.suffix === '_bucket'
+        ? [`Histogram buckets: query with bucketPercentile(${name}, 95)`]
+        : []
+    };
+  });
+}
+
+/**
+ * Predict the New Relic metrics for parsed families (see parsePrometheus).
+ * Returns [{ metricName, type, prometheusName, attributes, series, help,
+ * notes }] sorted by name, where attributes are the attribute names the
+ * metric will carry.
+ *
+ * options.source - 'otlp' (default), 'remote-write' or 'nri-flex'
+ * options.attributes - extra attributes the shipper adds, such as nri-flex
+ *   custom_attributes or the remote write prometheus_server
+ */
+function mapMetrics(families, options = {}) {
+  const source = options.source || 'otlp';
+  if (!MAPPING_SOURCES.includes(source)) {
+    throw new ValidationError(`Unknown metric source '${source}'. Use one of ${MAPPING_SOURCES.join(', ')}`);
+  }
+
+  const extraAttributes = Object.keys(options.attributes || {});
+  if (source === 'remote-write') {
+    extraAttributes.push('instrumentation.provider', 'instrumentation.name', 'instrumentation.source', 'prometheus_server');
+  }
+
+  const metrics = new Map();
+  families.forEach(family => {
+    const series = familySeries(family);
+    familyMetrics(family, source).forEach(({ metricName, type, omit, notes }) => {
+      const labels = new Set();
+      family.samples
+        .filter(sample => source === 'otlp' || sample.name === metricName)
+        .forEach(sample => Object.keys(sample.labels)
+          .filter(label => !omit.includes(label))
+          .forEach(label => labels.add(source === 'otlp' ? otelAttributeName(label) : label)));
+
+      metrics.set(metricName, {
+        metricName,
+        type,
+        prometheusName: family.name,
+        attributes: [...new Set([...labels, ...extraAttributes])].sort(),
+        series: series.length,
+        help: family.help,
+        notes
+      });
+    });
+  });
+
+  return [...metrics.values()].sort((a, b) => a.metricName.localeCompare(b.metricName));
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Names from candidates closest to name, best first. Names are compared by
+ * metricKey, so case and dot/underscore differences cost nothing; a
+ * candidate qualifies when its edit distance is at most options.maxDistance
+ * (default 0.4) of the longer name, or when the shorter name is a run of
+ * whole segments of the longer one (group for consumer_group).
+ */
+function suggestNames(name, candidates, options = {}) {
+  const limit = options.limit || 3;
+  const maxDistance = options.maxDistance || 0.4;
+  const key = metricKey(name);
+
+  return [...new Set(candidates)]
+    .map(candidate => {
+      const candidateKey = metricKey(candidate);
+      const distance = editDistance(key, candidateKey) / Math.max(key.length, candidateKey.length, 1);
+      const [shorter, longer] = key.length <= candidateKey.length ? [key, candidateKey] : [candidateKey, key];
+      const contains = shorter.length >= 4 && `_${longer}_`.includes(`_${shorter}_`);
+      return { candidate, score: contains ? Math.min(distance, maxDistance) : distance };
+    })
+    .filter(({ score }) => score <= maxDistance)
+    .sort((a, b) => a.score - b.score || a.candidate.localeCompare(b.candidate))
+    .slice(0, limit)
+    .map(({ candidate }) => candidate);
+}
+
+// The mapped metric a query's metric name refers to, exact names first
+function findMetric(metrics, name) {
+  return metrics.find(metric => metric.metricName === name) ||
+    metrics.find(metric => metricKey(metric.metricName) === metricKey(name)) ||
+    null;
+}
+
+module.exports = {
+  MAPPING_SOURCES,
+  metricKey,
+  otelMetricName,
+  mapMetrics,
+  findMetric,
+  suggestNames
+};
@@ -0,0 +1,484 @@
+const { parseNRQL, tryParseNRQL } = require('./nrql-parser.js');
+
+// Canonical NRQL printer built on the parser AST. Clauses are always emitted
+// in the same order, keywords share one case, aliases are single-quoted and
+// time phrases are lower case ("3 hours ago", "today"). Comments stay with
+// the clause they followed and quotes in strings are escaped the way the
+// query escaped them. The normalize option instead prints the form used to
+// compare queries: no comments, backslash escapes and no UNTIL NOW.
+
+// WITH ... AS definitions follow FROM, where NRQL documents them
+const CLAUSE_ORDER = [
+  'select', 'from', 'with', 'joins', 'where', 'facet', 'orderBy', 'limit', 'offset',
+  'since', 'until', 'compareWith', 'timeseries', 'extrapolate', 'options'
+];
+
+const PLAIN_IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_.$]*$/;
+
+const RESERVED_WORDS = new Set([
+  'SELECT', 'FROM', 'WHERE', 'FACET', 'SINCE', 'UNTIL', 'LIMIT', 'OFFSET',
+  'TIMESERIES', 'COMPARE', 'WITH', 'ORDER', 'EXTRAPOLATE', 'SLIDE', 'JOIN',
+  'ON', 'AS', 'AND', 'OR', 'NOT', 'IN', 'LIKE', 'RLIKE', 'IS', 'SHOW',
+  'TRUE', 'FALSE', 'NULL'
+]);
+
+class NRQLFormatter {
+  constructor(options = {}) {
+    this.compact = options.compact || false;
+    this.keywordCase = options.keywordCase === 'lower' ? 'lower' : 'upper';
+    this.indent = options.indent || '  ';
+    this.normalize = options.normalize || false;
+    this.quoteEscape = 'backslash';
+  }
+
+  kw(word) {
+    return this.keywordCase === 'lower' ? word.toLowerCase() : word.toUpperCase();
+  }
+
+  format(ast) {
+    this.quoteEscape = !this.normalize && ast.quoteEscape === 'doubled' ? 'doubled' : 'backslash';
+    const comments = this.normalize ? [] : ast.comments || [];
+    if (comments.length === 0) {
+      return this.formatQuery(ast, 0, this.compact);
+    }
+
+    // Each comment follows the last clause that starts before it
+    const entries = ast.kind === 'SHOW'
+      ? this.showClauses(ast).map(text => ({ text, start: null }))
+      : this.selectClauseEntries(ast, 0, this.compact);
+    const leading = [];
+    comments.forEach(comment => {
+      const owner = entries.filter(entry => entry.start !== null && entry.start <= comment.start)
+        .reduce((last, entry) => (!last || entry.start > last.start ? entry : last), null);
+      const text = this.comment(comment);
+      if (owner) {
+        owner.text += ` ${text}`;
+      } else {
+        leading.push(text);
+      }
+    });
+
+    return [...leading, ...entries.map(entry => entry.text)].join(this.compact ? ' ' : '\n');
+  }
+
+  // Line comments would swallow the rest of a one-line query, so compact
+  // output turns them into block comments
+  comment(comment) {
+    if (comment.block || !this.compact) return comment.text;
+    return `/* ${comment.text.replace(/^(--|\/\/)\s*/, '').replace(/\*\//g, '* /')} */`;
+  }
+
+  formatQuery(query, depth, compact) {
+    const clauses = query.kind === 'SHOW' ? this.showClauses(query) : this.selectClauses(query, depth, compact);
+    if (compact) {
+      return clauses.join(' ');
+    }
+    const pad = this.indent.repeat(depth);
+    return clauses.map((clause, index) => (index === 0 ? clause : pad + clause)).join('\n');
+  }
+
+  showClauses(query) {
+    const clauses = [this.kw('SHOW EVENT TYPES')];
+    if (query.since) clauses.push(`${this.kw('SINCE')} ${this.time(query.since)}`);
+    if (query.until && !this.isDefaultUntil(query.until)) clauses.push(`${this.kw('UNTIL')} ${this.time(query.until)}`);
+    return clauses;
+  }
+
+  selectClauses(query, depth, compact) {
+    return this.selectClauseEntries(query, depth, compact).map(entry => entry.text);
+  }
+
+  // The clauses of a SELECT query in canonical order as { clause, text,
+  // start }, start being the source offset of the clause's first node (null
+  // for EXTRAPOLATE); joins and WITH options produce one entry each
+  selectClauseEntries(query, depth, compact) {
+    const entries = [];
+    let current = null;
+    const add = (text, node) => {
+      const first = Array.isArray(node) ? node[0] : node;
+      entries.push({ clause: current, text, start: first && first.start !== undefined ? first.start : null });
+    };
+
+    CLAUSE_ORDER.forEach(clause => {
+      current = clause;
+      switch (clause) {
+        case 'with':
+          if (query.with.length > 0) {
+            add(`${this.kw('WITH')} ${query.with.map(def => this.withDefinition(def)).join(', ')}`, query.with);
+          }
+          break;
+        case 'select':
+          add(`${this.kw('SELECT')} ${query.select.map(item => this.aliased(item.expression, item.alias)).join(', ')}`, query.select);
+          break;
+        case 'from':
+          add(`${this.kw('FROM')} ${query.from.map(source => this.source(source, depth, compact)).join(', ')}`, query.from);
+          break;
+        case 'joins':
+          query.joins.forEach(join => {
+            const joinKeyword = join.joinType === 'INNER' ? 'JOIN' : `${join.joinType} JOIN`;
+            add(`${this.kw(joinKeyword)} ${this.source(join.source, depth, compact)} ${this.kw('ON')} ${this.expr(join.on)}`, join);
+          });
+          break;
+        case 'where':
+          if (query.where) add(`${this.kw('WHERE')} ${this.expr(query.where)}`, query.where);
+          break;
+        case 'facet':
+          if (query.facet) {
+            add(`${this.kw('FACET')} ${query.facet.items.map(item => this.aliased(item.expression, item.alias)).join(', ')}`, query.facet);
+          }
+          break;
+        case 'orderBy':
+          if (query.orderBy) {
+            const items = query.orderBy.map(item =>
+              (item.direction ? `${this.expr(item.expression)} ${this.kw(item.direction)}` : this.expr(item.expression)));
+            add(`${this.kw('ORDER BY')} ${items.join(', ')}`, query.orderBy);
+          }
+          break;
+        case 'limit':
+          if (query.limit) add(`${this.kw('LIMIT')} ${this.expr(query.limit)}`, query.limit);
+          break;
+        case 'offset':
+          if (query.offset) add(`${this.kw('OFFSET')} ${this.expr(query.offset)}`, query.offset);
+          break;
+        case 'since':
+          if (query.since) add(`${this.kw('SINCE')} ${this.time(query.since)}`, query.since);
+          break;
+        case 'until':
+          if (query.until && !this.isDefaultUntil(query.until)) add(`${this.kw('UNTIL')} ${this.time(query.until)}`, query.until);
+          break;
+        case 'compareWith':
+          if (query.compareWith) add(`${this.kw('COMPARE WITH')} ${this.time(query.compareWith)}`, query.compareWith);
+          break;
+        case 'timeseries':
+          if (query.timeseries) add(this.timeseries(query.timeseries), query.timeseries);
+          break;
+        case 'extrapolate':
+          if (query.extrapolate) add(this.kw('EXTRAPOLATE'));
+          break;
+        case 'options':
+          query.options.forEach(option => {
+            const value = option.value === null ? '' : ` ${typeof option.value === 'string' ? this.quote(option.value) : option.value}`;
+            add(`${this.kw('WITH')} ${this.kw(option.name)}${value}`, option);
+          });
+          break;
+        default:
+          break;
+      }
+    });
+
+    return entries;
+  }
+
+  withDefinition(definition) {
+    const expression = definition.expression;
+    const isAparse = expression.type === 'FunctionCall' && expression.name.toLowerCase() === 'aparse';
+    const names = definition.aliases.map(alias => this.identifier(alias));
+    const aliases = names.length === 1 && !isAparse ? names[0] : `(${names.join(', ')})`;
+    return `${this.expr(expression)} ${this.kw('AS')} ${aliases}`;
+  }
+
+  source(source, depth, compact) {
+    if (source.type === 'EventType') {
+      return source.quoted || !PLAIN_IDENTIFIER.test(source.name) ? `\`${source.name}\`` : source.name;
+    }
+    if (source.type === 'Subquery') {
+      return this.subquery(source.query, depth, compact);
+    }
+    return this.expr(source);
+  }
+
+  subquery(query, depth, compact) {
+    if (compact) {
+      return `(${this.formatQuery(query, 0, true)})`;
+    }
+    const inner = this.formatQuery(query, depth + 1, false);
+    return `(\n${this.indent.repeat(depth + 1)}${inner}\n${this.indent.repeat(depth)})`;
+  }
+
+  aliased(expression, alias) {
+    const text = this.expr(expression);
+    return alias === null || alias === undefined ? text : `${text} ${this.kw('AS')} ${this.quote(alias)}`;
+  }
+
+  identifier(name) {
+    if (PLAIN_IDENTIFIER.test(name) && !RESERVED_WORDS.has(name.toUpperCase())) {
+      return name;
+    }
+    return `\`${name}\``;
+  }
+
+  // An explicit UNTIL NOW is kept, except when normalizing: it is the default
+  isDefaultUntil(node) {
+    return this.normalize && node.type === 'NamedTime' && node.name === 'NOW';
+  }
+
+  quote(value) {
+    const escaped = this.quoteEscape === 'doubled' ? '\'\'' : '\\\'';
+    return `'${String(value).replace(/'/g, escaped)}'`;
+  }
+
+  duration(node) {
+    return `${node.value} ${node.unit}${node.value === 1 ? '' : 's'}`;
+  }
+
+  time(node) {
+    switch (node.type) {
+      case 'RelativeTime':
+        return `${this.duration(node)} ago`;
+      case 'AbsoluteTime':
+        return typeof node.value === 'string' ? this.quote(node.value) : String(node.value);
+      case 'NamedTime':
+        return node.name.toLowerCase();
+      default:
+        return this.expr(node);
+    }
+  }
+
+  timeseries(node) {
+    let text = this.kw('TIMESERIES');
+    if (node.bucket) {
+      text += ` ${node.bucket.type === 'Keyword' ? this.kw(node.bucket.value) : this.duration(node.bucket)}`;
+    }
+    if (node.slideBy) {
+      const slide = node.slideBy.type === 'Keyword' ? this.kw(node.slideBy.value) : this.duration(node.slideBy);
+      text += ` ${this.kw('SLIDE BY')} ${slide}`;
+    }
+    return text;
+  }
+
+  expr(node) {
+    switch (node.type) {
+      case 'Identifier':
+        return node.quoted ? `\`${node.name}\`` : this.identifier(node.name);
+      case 'NumberLiteral':
+        return String(node.value);
+      case 'StringLiteral':
+        return node.raw ? `r'${node.value}'` : this.quote(node.value);
+      case 'BooleanLiteral':
+        return this.kw(node.value ? 'TRUE' : 'FALSE');
+      case 'NullLiteral':
+        return this.kw('NULL');
+      case 'Variable':
+        return `{{${node.name}}}`;
+      case 'Keyword':
+        return this.kw(node.value);
+      case 'Wildcard':
+        return '*';
+      case 'Duration':
+        return this.duration(node);
+      case 'Group':
+        return `(${this.expr(node.expression)})`;
+      case 'Subquery':
+        return this.subquery(node.query, 0, true);
+      case 'FunctionCall':
+        return `${node.name}(${node.args.map(arg => this.expr(arg)).join(', ')})`;
+      case 'Condition':
+        return this.aliased({ type: 'ConditionBody', condition: node.condition }, node.alias);
+      case 'ConditionBody':
+        return `${this.kw('WHERE')} ${this.expr(node.condition)}`;
+      case 'AliasedArgument':
+        return this.aliased(node.expression, node.alias);
+      case 'IndexExpression':
+        return `${this.expr(node.object)}[${this.expr(node.index)}]`;
+      case 'UnaryExpression': {
+        const argument = this.expr(node.argument);
+        if (node.operator === 'NOT') return `${this.kw('NOT')} ${argument}`;
+        // Keep "- -x" from turning into a "--" comment
+        return /^[-+]/.test(argument) ? `${node.operator} ${argument}` : `${node.operator}${argument}`;
+      }
+      case 'LogicalExpression':
+        return `${this.expr(node.left)} ${this.kw(node.operator)} ${this.expr(node.right)}`;
+      case 'BinaryExpression': {
+        const operator = /^[A-Z ]+$/.test(node.operator) ? this.kw(node.operator) : node.operator;
+        return `${this.expr(node.left)} ${operator} ${this.expr(node.right)}`;
+      }
+      case 'InExpression': {
+        const operator = this.kw(node.negated ? 'NOT IN' : 'IN');
+        const list = node.subquery
+          ? this.subquery(node.subquery.query, 0, true)
+          : `(${node.values.map(value => this.expr(value)).join(', ')})`;
+        return `${this.expr(node.expression)} ${operator} ${list}`;
+      }
+      case 'IsExpression':
+        return `${this.expr(node.expression)} ${this.kw(node.negated ? 'IS NOT' : 'IS')} ${this.kw(node.value)}`;
+      default:
+        throw new Error(`Cannot format NRQL node of type ${node.type}`);
+    }
+  }
+}
+
+// Format a query string. Throws NRQLSyntaxError when the query does not parse.
+function formatNRQL(query, options = {}) {
+  return new NRQLFormatter(options).format(parseNRQL(query));
+}
+
+// Compact single-line form used for widget queries
+function compactNRQL(query, options = {}) {
+  return formatNRQL(query, { ...options, compact: true });
+}
+
+// Compact form that only differs between queries that differ in meaning,
+// for comparing queries and keying recorded requests
+function normalizeNRQL(query) {
+  return formatNRQL(query, { compact: true, normalize: true });
+}
+
+// Canonical text of each clause, e.g. [{ clause: 'where', text: "WHERE x = 1" }].
+// Throws NRQLSyntaxError when the query does not parse.
+function nrqlClauses(query) {
+  const ast = parseNRQL(query);
+  const formatter = new NRQLFormatter({ compact: true, normalize: true });
+  if (ast.kind === 'SHOW') {
+    return formatter.showClauses(ast).map(text => ({ clause: 'show', text }));
+  }
+  return formatter.selectClauseEntries(ast, 0, true);
+}
+
+// Rewrite every NRQL query in a dashboard definition: widget
+// configuration.nrql, configuration/rawConfiguration nrqlQueries and
+// NRQL-backed variables. Queries that fail to parse are left untouched and
+// reported.
+function formatDashboardQueries(dashboard, options = {}) {
+  const changes = [];
+  const errors = [];
+  const formatter = new NRQLFormatter({ ...options, compact: true });
+
+  const rewrite = (holder, location) => {
+    const query = holder.query;
+    if (typeof query !== 'string' || !query.trim()) return;
+    const { ast, error } = tryParseNRQL(query);
+    if (error) {
+      errors.push({ location, query, error: error.message });
+      return;
+    }
+    const formatted = formatter.format(ast);
+    if (formatted !== query) {
+      changes.push({ location, before: query, after: formatted });
+      holder.query = formatted;
+    }
+  };
+
+  const visit = (node, location) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach((child, index) => visit(child, `${location}[${index}]`));
+      return;
+    }
+    Object.entries(node).forEach(([key, value]) => {
+      const childLocation = location ? `${location}.${key}` : key;
+      if (key === 'nrqlQueries' && Array.isArray(value)) {
+        value.forEach((entry, index) => entry && rewrite(entry, `${childLocation}[${index}]`));
+      } else if ((key === 'nrql' || key === 'nrqlQuery') && value && typeof value === 'object') {
+        rewrite(value, childLocation);
+      } else {
+        visit(value, childLocation);
+      }
+    });
+  };
+
+  visit(dashboard, '');
+  return { dashboard, changes, errors };
+}
+
+// Same as formatDashboardQueries but works on the JSON text, replacing only
+// the query strings so hand-formatted files keep their layout
+function formatDashboardJSON(content, options = {}) {
+  const { dashboard, changes, errors } = formatDashboardQueries(JSON.parse(content), options);
+
+  let result = content;
+  let cursor = 0;
+  for (const change of changes) {
+    const before = JSON.stringify(change.before);
+    const index = result.indexOf(before, cursor);
+    if (index === -1) {
+      // Unusual escaping in the source; fall back to re-serializing
+      const trailingNewline = content.endsWith('\n') ? '\n' : '';
+      return { content: JSON.stringify(dashboard, null, 2) + trailingNewline, dashboard, changes, errors };
+    }
+    const after = JSON.stringify(change.after);
+    result = result.slice(0, index) + after + result.slice(index + before.length);
+    cursor = index + after.length;
+  }
+
+  return { content: result, dashboard, changes, errors };
+}
+
+// Reformat a query file made of blank-line separated query blocks. Lines
+// starting with '#' or '--' are kept as-is as headings and comments.
+function formatNRQLDocument(content, options = {}) {
+  const changes = [];
+  const errors = [];
+  const output = [];
+  let block = [];
+
+  const flush = () => {
+    if (block.length === 0) return;
+    const query = block.map(entry => entry.text).join('\n');
+    const { ast, error } = tryParseNRQL(query);
+    if (error) {
+      errors.push({ location: `line ${block[0].line}`, query, error: error.message });
+      output.push(...block.map(entry => entry.text));
+    } else {
+      const formatted = new NRQLFormatter(options).format(ast);
+      if (formatted !== query) {
+        changes.push({ location: `line ${block[0].line}`, before: query, after: formatted });
+      }
+      output.push(formatted);
+    }
+    block = [];
+  };
+
+  content.split('\n').forEach((text, index) => {
+    const trimmed = text.trim();
+    if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('--')) {
+      flush();
+      output.push(text);
+    } else {
+      block.push({ text, line: index + 1 });
+    }
+  });
+  flush();
+
+  return { content: output.join('\n'), changes, errors };
+}
+
+// Reformat NRQL held in quoted string literals of a JavaScript source file.
+// Only plain '...' and "..." literals that start with SELECT or FROM and
+// parse as NRQL are touched; template literals are left alone.
+function formatSourceQueries(content, options = {}) {
+  const changes = [];
+  const errors = [];
+  const formatOptions = { ...options, compact: true };
+  const literal = /(['"])((?:SELECT|FROM)\s(?:\\.|(?!\1)[^\\\n])*)\1/gi;
+
+  const result = content.replace(literal, (match, quoteChar, body, offset) => {
+    const query = body.replace(/\\(.)/g, '$1');
+    const line = content.slice(0, offset).split('\n').length;
+    const { ast, error } = tryParseNRQL(query);
+    if (error) {
+      errors.push({ location: `line ${line}`, query, error: error.message });
+      return match;
+    }
+    const formatted = new NRQLFormatter(formatOptions).format(ast);
+    if (formatted === query) {
+      return match;
+    }
+    changes.push({ location: `line ${line}`, before: query, after: formatted });
+    const escaped = formatted.replace(/\\/g, '\\\\').replace(new RegExp(quoteChar, 'g'), `\\${quoteChar}`);
+    return `${quoteChar}${escaped}${quoteChar}`;
+  });
+
+  return { content: result, changes, errors };
+}
+
+module.exports = {
+  NRQLFormatter,
+  formatNRQL,
+  compactNRQL,
+  normalizeNRQL,
+  nrqlClauses,
+  formatDashboardQueries,
+  formatDashboardJSON,
+  formatNRQLDocument,
+  formatSourceQueries
+};
@@ -0,0 +1,1196 @@
+const { NRQLSyntaxError } = require('./errors.js');
+
+// Tokenizer, recursive-descent parser and AST helpers for NRQL.
+// Every node carries start/end offsets into the original query so callers can
+// recover the exact source text of any clause with nodeText().
+
+const TokenType = {
+  IDENTIFIER: 'IDENTIFIER',
+  QUOTED_IDENTIFIER: 'QUOTED_IDENTIFIER',
+  STRING: 'STRING',
+  NUMBER: 'NUMBER',
+  OPERATOR: 'OPERATOR',
+  PUNCTUATION: 'PUNCTUATION',
+  VARIABLE: 'VARIABLE',
+  EOF: 'EOF'
+};
+
+// Words that can never be bare attribute names because they start a clause
+// or act as operators
+const RESERVED_WORDS = new Set([
+  'SELECT', 'FROM', 'WHERE', 'FACET', 'SINCE', 'UNTIL', 'LIMIT', 'OFFSET',
+  'TIMESERIES', 'COMPARE', 'WITH', 'ORDER', 'EXTRAPOLATE', 'SLIDE', 'JOIN',
+  'ON', 'AS', 'AND', 'OR', 'NOT', 'IN', 'LIKE', 'RLIKE', 'IS', 'SHOW'
+]);
+
+const TIME_UNITS = {
+  millisecond: 1,
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  quarter: 91 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000
+};
+
+const TIME_UNIT_ALIASES = {
+  ms: 'millisecond', millisecond: 'millisecond', milliseconds: 'millisecond',
+  sec: 'second', secs: 'second', second: 'second', seconds: 'second',
+  min: 'minute', mins: 'minute', minute: 'minute', minutes: 'minute',
+  hr: 'hour', hrs: 'hour', hour: 'hour', hours: 'hour',
+  day: 'day', days: 'day',
+  week: 'week', weeks: 'week',
+  month: 'month', months: 'month',
+  quarter: 'quarter', quarters: 'quarter',
+  year: 'year', years: 'year'
+};
+
+const NAMED_TIMES = new Set(['NOW', 'TODAY', 'YESTERDAY']);
+const CALENDAR_PERIODS = new Set(['WEEK', 'MONTH', 'QUARTER', 'YEAR']);
+
+const AGGREGATE_FUNCTIONS = new Set([
+  'average', 'apdex', 'bytecountestimate', 'cardinality', 'cdfpercentage', 'count',
+  'derivative', 'earliest', 'eventtype', 'filter', 'funnel', 'histogram', 'keyset',
+  'latest', 'latestrate', 'max', 'median', 'min', 'mode', 'percentage', 'percentile',
+  'predictlinear', 'rate', 'stddev', 'sum', 'uniquecount', 'uniques', 'variance'
+]);
+
+const OPERATORS = ['!=', '<>', '<=', '>=', '=', '<', '>', '+', '-', '*', '/', '%'];
+const PUNCTUATION = ['(', ')', ',', '[', ']'];
+
+function normalizeTimeUnit(word) {
+  return TIME_UNIT_ALIASES[String(word).toLowerCase()] || null;
+}
+
+function durationToMilliseconds(value, unit) {
+  const canonical = normalizeTimeUnit(unit);
+  if (!canonical) {
+    return null;
+  }
+  return value * TIME_UNITS[canonical];
+}
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+// ---------------------------------------------------------------------------
+
+// Comments are skipped; when a comments array is given each one is pushed
+// to it as { text, block, start, end, line, column }
+function tokenize(source, comments = null) {
+  if (typeof source !== 'string') {
+    throw new NRQLSyntaxError('Query must be a string', source, 1, 1);
+  }
+
+  const tokens = [];
+  let pos = 0;
+  let line = 1;
+  let column = 1;
+
+  const fail = (message, atLine = line, atColumn = column) => {
+    throw new NRQLSyntaxError(message, source, atLine, atColumn);
+  };
+
+  const advance = (count = 1) => {
+    for (let i = 0; i < count && pos < source.length; i++) {
+      if (source[pos] === '\n') {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+      pos++;
+    }
+  };
+
+  const push = (type, value, start, startLine, startColumn) => {
+    tokens.push({
+      type,
+      value,
+      upper: type === TokenType.IDENTIFIER ? value.toUpperCase() : null,
+      start,
+      end: pos,
+      line: startLine,
+      column: startColumn
+    });
+  };
+
+  // Returns { value, escape }, escape telling how quotes inside were
+  // escaped ('backslash' or 'doubled') when they were
+  const readQuoted = (quote, startLine, startColumn, raw = false) => {
+    let value = '';
+    let escape = null;
+    advance(); // opening quote
+    while (pos < source.length) {
+      const ch = source[pos];
+      // Escaped quotes are unescaped; other backslash sequences are kept
+      // verbatim because LIKE and RLIKE patterns give them meaning
+      if (ch === '\\' && !raw && pos + 1 < source.length) {
+        const escaped = source[pos + 1];
+        if (escaped === quote) escape = escape || 'backslash';
+        value += escaped === quote ? quote : ch + escaped;
+        advance(2);
+        continue;
+      }
+      if (ch === quote) {
+        // Doubled quotes escape themselves
+        if (source[pos + 1] === quote) {
+          escape = escape || 'doubled';
+          value += quote;
+          advance(2);
+          continue;
+        }
+        advance();
+        return { value, escape };
+      }
+      value += ch;
+      advance();
+    }
+    return fail('Unterminated string literal', startLine, startColumn);
+  };
+
+  while (pos < source.length) {
+    const ch = source[pos];
+    const next = source[pos + 1];
+    const start = pos;
+    const startLine = line;
+    const startColumn = column;
+
+    if (/\s/.test(ch)) {
+      advance();
+      continue;
+    }
+
+    // Comments: -- and // run to end of line, /* */ blocks
+    if ((ch === '-' && next === '-') || (ch === '/' && next === '/')) {
+      while (pos < source.length && source[pos] !== '\n') advance();
+      if (comments) {
+        comments.push({ text: source.slice(start, pos).trimEnd(), block: false, start, end: pos, line: startLine, column: startColumn });
+      }
+      continue;
+    }
+    if (ch === '/' && next === '*') {
+      const close = source.indexOf('*/', pos + 2);
+      if (close === -1) {
+        fail('Unterminated block comment');
+      }
+      advance(close + 2 - pos);
+      if (comments) {
+        comments.push({ text: source.slice(start, pos), block: true, start, end: pos, line: startLine, column: startColumn });
+      }
+      continue;
+    }
+
+    // Dashboard template variables: {{name}}
+    if (ch === '{' && next === '{') {
+      const close = source.indexOf('}}', pos + 2);
+      if (close === -1) {
+        fail('Unterminated template variable');
+      }
+      const name = source.slice(pos + 2, close).trim();
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        fail(`Invalid template variable name '${name}'`);
+      }
+      advance(close + 2 - pos);
+      push(TokenType.VARIABLE, name, start, startLine, startColumn);
+      continue;
+    }
+
+    // Raw strings used by capture(): r'...'
+    if ((ch === 'r' || ch === 'R') && (next === '\'' || next === '"')) {
+      advance();
+      const { value } = readQuoted(source[pos], startLine, startColumn, true);
+      tokens.push({ type: TokenType.STRING, value, raw: true, start, end: pos, line: startLine, column: startColumn });
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(ch)) {
+      while (pos < source.length && /[A-Za-z0-9_.$]/.test(source[pos])) advance();
+      push(TokenType.IDENTIFIER, source.slice(start, pos), start, startLine, startColumn);
+      continue;
+    }
+
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(next || ''))) {
+      const match = /^(\d*\.?\d+(?:[eE][+-]?\d+)?)/.exec(source.slice(pos));
+      advance(match[1].length);
+      push(TokenType.NUMBER, Number(match[1]), start, startLine, startColumn);
+      continue;
+    }
+
+    if (ch === '\'' || ch === '"') {
+      const { value, escape } = readQuoted(ch, startLine, startColumn);
+      push(TokenType.STRING, value, start, startLine, startColumn);
+      if (escape) tokens[tokens.length - 1].escape = escape;
+      continue;
+    }
+
+    if (ch === '`') {
+      const close = source.indexOf('`', pos + 1);
+      if (close === -1) {
+        fail('Unterminated quoted identifier');
+      }
+      const name = source.slice(pos + 1, close);
+      advance(close + 1 - pos);
+      push(TokenType.QUOTED_IDENTIFIER, name, start, startLine, startColumn);
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => source.startsWith(op, pos));
+    if (operator) {
+      advance(operator.length);
+      push(TokenType.OPERATOR, operator, start, startLine, startColumn);
+      continue;
+    }
+
+    if (PUNCTUATION.includes(ch)) {
+      advance();
+      push(TokenType.PUNCTUATION, ch, start, startLine, startColumn);
+      continue;
+    }
+
+    fail(`Unexpected character '${ch}'`);
+  }
+
+  tokens.push({ type: TokenType.EOF, value: null, upper: null, start: pos, end: pos, line, column });
+  return tokens;
+}
+
+// ---------------------------------------------------------------------------
+// Parser
+// ---------------------------------------------------------------------------
+
+class NRQLParser {
+  constructor(source) {
+    this.source = source;
+    this.comments = [];
+    this.tokens = tokenize(source, this.comments);
+    this.pos = 0;
+  }
+
+  // The root query also carries the source, its comments and quoteEscape,
+  // how the first string with an escaped quote escaped it
+  parse() {
+    const query = this.parseQuery(false);
+    if (!this.check(TokenType.EOF)) {
+      this.fail(this.peek(), `Unexpected ${describeToken(this.peek())}`);
+    }
+    const escaped = this.tokens.find(token => token.escape);
+    query.source = this.source;
+    query.comments = this.comments;
+    query.quoteEscape = escaped ? escaped.escape : null;
+    return query;
+  }
+
+  // -- token helpers --------------------------------------------------------
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+  }
+
+  previous() {
+    return this.tokens[this.pos - 1];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== TokenType.EOF) this.pos++;
+    return token;
+  }
+
+  check(type, value) {
+    const token = this.peek();
+    if (token.type !== type) return false;
+    return value === undefined || token.value === value;
+  }
+
+  isKeyword(word, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === TokenType.IDENTIFIER && token.upper === word;
+  }
+
+  matchKeyword(word) {
+    if (this.isKeyword(word)) {
+      return this.next();
+    }
+    return null;
+  }
+
+  expectKeyword(word) {
+    if (!this.isKeyword(word)) {
+      this.fail(this.peek(), `Expected ${word} but found ${describeToken(this.peek())}`);
+    }
+    return this.next();
+  }
+
+  matchPunctuation(value) {
+    if (this.check(TokenType.PUNCTUATION, value)) {
+      return this.next();
+    }
+    return null;
+  }
+
+  expectPunctuation(value) {
+    if (!this.check(TokenType.PUNCTUATION, value)) {
+      this.fail(this.peek(), `Expected '${value}' but found ${describeToken(this.peek())}`);
+    }
+    return this.next();
+  }
+
+  fail(token, message) {
+    throw new NRQLSyntaxError(message, this.source, token.line, token.column);
+  }
+
+  node(type, startToken, props) {
+    return {
+      type,
+      ...props,
+      start: startToken.start,
+      end: this.previous() ? this.previous().end : startToken.end
+    };
+  }
+
+  // -- query ----------------------------------------------------------------
+
+  parseQuery(nested) {
+    const startToken = this.peek();
+
+    if (this.isKeyword('SHOW')) {
+      return this.parseShow(startToken);
+    }
+
+    const query = {
+      type: 'Query',
+      kind: 'SELECT',
+      with: [],
+      select: null,
+      from: null,
+      joins: [],
+      where: null,
+      facet: null,
+      orderBy: null,
+      since: null,
+      until: null,
+      compareWith: null,
+      timeseries: null,
+      limit: null,
+      offset: null,
+      extrapolate: false,
+      options: []
+    };
+
+    if (this.matchKeyword('WITH')) {
+      query.with = this.parseWithDefinitions();
+    }
+
+    const seen = new Set();
+    const claim = (token, clause) => {
+      if (seen.has(clause)) {
+        this.fail(token, `Duplicate ${clause} clause`);
+      }
+      seen.add(clause);
+    };
+
+    while (!this.check(TokenType.EOF)) {
+      if (nested && this.check(TokenType.PUNCTUATION, ')')) break;
+
+      const token = this.peek();
+      if (token.type !== TokenType.IDENTIFIER) {
+        this.fail(token, `Unexpected ${describeToken(token)}; expected a clause keyword`);
+      }
+
+      switch (token.upper) {
+        case 'SELECT':
+          claim(token, 'SELECT');
+          this.next();
+          query.select = this.parseSelectList();
+          break;
+        case 'FROM':
+          claim(token, 'FROM');
+          this.next();
+          query.from = this.parseFromList();
+          break;
+        case 'JOIN':
+        case 'INNER':
+        case 'LEFT':
+          query.joins.push(this.parseJoin());
+          break;
+        case 'WHERE':
+          claim(token, 'WHERE');
+          this.next();
+          query.where = this.parseExpression();
+          break;
+        case 'FACET':
+          claim(token, 'FACET');
+          this.next();
+          query.facet = this.parseFacet(token);
+          break;
+        case 'ORDER':
+          claim(token, 'ORDER BY');
+          this.next();
+          this.expectKeyword('BY');
+          query.orderBy = this.parseOrderBy();
+          break;
+        case 'SINCE':
+          claim(token, 'SINCE');
+          this.next();
+          query.since = this.parseTimeValue();
+          break;
+        case 'UNTIL':
+          claim(token, 'UNTIL');
+          this.next();
+          query.until = this.parseTimeValue();
+          break;
+        case 'COMPARE':
+          claim(token, 'COMPARE WITH');
+          this.next();
+          this.expectKeyword('WITH');
+          query.compareWith = this.parseTimeValue();
+          break;
+        case 'TIMESERIES':
+          claim(token, 'TIMESERIES');
+          this.next();
+          query.timeseries = this.parseTimeseries(token);
+          break;
+        case 'LIMIT':
+          claim(token, 'LIMIT');
+          this.next();
+          query.limit = this.parseLimitValue();
+          break;
+        case 'OFFSET':
+          claim(token, 'OFFSET');
+          this.next();
+          query.offset = this.parseLimitValue();
+          break;
+        case 'EXTRAPOLATE':
+          claim(token, 'EXTRAPOLATE');
+          this.next();
+          query.extrapolate = true;
+          break;
+        case 'WITH':
+          this.parseTrailingWith(query);
+          break;
+        default:
+          this.fail(token, `Unexpected ${describeToken(token)}; expected a clause keyword`);
+      }
+    }
+
+    if (!query.select) {
+      this.fail(this.peek(), 'Query is missing a SELECT clause');
+    }
+    if (!query.from) {
+      this.fail(this.peek(), 'Query is missing a FROM clause');
+    }
+
+    return this.node('Query', startToken, query);
+  }
+
+  parseShow(startToken) {
+    this.expectKeyword('SHOW');
+    this.expectKeyword('EVENT');
+    this.expectKeyword('TYPES');
+    const query = { kind: 'SHOW', show: 'EVENT TYPES', since: null, until: null };
+    while (this.isKeyword('SINCE') || this.isKeyword('UNTIL')) {
+      const clause = this.next().upper.toLowerCase();
+      if (query[clause]) {
+        this.fail(this.previous(), `Duplicate ${clause.toUpperCase()} clause`);
+      }
+      query[clause] = this.parseTimeValue();
+    }
+    return this.node('Query', startToken, query);
+  }
+
+  // WITH aparse(url, 'https://*/path/*') AS (domain, path)
+  // WITH numeric(duration) * 1000 AS durationMs, ...
+  parseWithDefinitions() {
+    const definitions = [];
+    do {
+      const startToken = this.peek();
+      const expression = this.parseExpression();
+      this.expectKeyword('AS');
+      const aliases = [];
+      if (this.matchPunctuation('(')) {
+        do {
+          aliases.push(this.parseName('alias'));
+        } while (this.matchPunctuation(','));
+        this.expectPunctuation(')');
+      } else {
+        aliases.push(this.parseName('alias'));
+      }
+      definitions.push(this.node('WithDefinition', startToken, { expression, aliases }));
+    } while (this.matchPunctuation(','));
+    return definitions;
+  }
+
+  // WITH after another clause is either a definition list, as in
+  // FROM Log WITH aparse(...) AS (...) SELECT ..., or an option. Definitions
+  // are tried first and the parser backs up when the words do not form one.
+  parseTrailingWith(query) {
+    const withToken = this.next();
+    let definitions;
+    try {
+      definitions = this.parseWithDefinitions();
+    } catch (error) {
+      // A function call after WITH can only start a definition
+      const start = this.tokens.indexOf(withToken);
+      const afterName = this.tokens[start + 2];
+      if (error.name !== 'NRQLSyntaxError' || (afterName && afterName.value === '(')) throw error;
+      this.pos = start;
+      query.options.push(this.parseWithOption());
+      return;
+    }
+    if (query.with.length > 0) {
+      this.fail(withToken, 'Duplicate WITH clause');
+    }
+    query.with = definitions;
+  }
+
+  // Trailing options such as WITH TIMEZONE 'Europe/London'
+  parseWithOption() {
+    const startToken = this.expectKeyword('WITH');
+    const nameToken = this.peek();
+    if (nameToken.type !== TokenType.IDENTIFIER || RESERVED_WORDS.has(nameToken.upper)) {
+      this.fail(nameToken, `Expected an option name after WITH but found ${describeToken(nameToken)}`);
+    }
+    this.next();
+    let value = null;
+    if (this.check(TokenType.STRING) || this.check(TokenType.NUMBER)) {
+      value = this.next().value;
+    } else if (nameToken.upper === 'TIMEZONE') {
+      this.fail(this.peek(), `Expected a time zone such as 'Europe/London' after WITH TIMEZONE but found ${describeToken(this.peek())}`);
+    }
+    return this.node('WithOption', startToken, { name: nameToken.upper, value });
+  }
+
+  parseSelectList() {
+    const items = [];
+    do {
+      const startToken = this.peek();
+      let expression;
+      if (this.check(TokenType.OPERATOR, '*')) {
+        this.next();
+        expression = this.node('Wildcard', startToken, {});
+      } else {
+        expression = this.parseExpression();
+      }
+      const alias = this.parseOptionalAlias();
+      items.push(this.node('SelectItem', startToken, { expression, alias }));
+    } while (this.matchPunctuation(','));
+    return items;
+  }
+
+  parseFromList() {
+    const sources = [];
+    do {
+      const startToken = this.peek();
+      if (this.matchPunctuation('(')) {
+        const query = this.parseQuery(true);
+        this.expectPunctuation(')');
+        sources.push(this.node('Subquery', startToken, { query }));
+      } else if (this.check(TokenType.VARIABLE)) {
+        sources.push(this.node('Variable', startToken, { name: this.next().value }));
+      } else {
+        const token = this.peek();
+        if (token.type === TokenType.QUOTED_IDENTIFIER ||
+            (token.type === TokenType.IDENTIFIER && !RESERVED_WORDS.has(token.upper))) {
+          this.next();
+          sources.push(this.node('EventType', startToken, {
+            name: token.value,
+            quoted: token.type === TokenType.QUOTED_IDENTIFIER
+          }));
+        } else {
+          this.fail(token, `Expected an event type but found ${describeToken(token)}`);
+        }
+      }
+    } while (this.matchPunctuation(','));
+    return sources;
+  }
+
+  // [INNER | LEFT] JOIN (subquery) ON key | ON left = right
+  parseJoin() {
+    const startToken = this.peek();
+    let joinType = 'INNER';
+    if (this.isKeyword('INNER') || this.isKeyword('LEFT')) {
+      joinType = this.next().upper;
+    }
+    this.expectKeyword('JOIN');
+    const subqueryStart = this.expectPunctuation('(');
+    const query = this.parseQuery(true);
+    this.expectPunctuation(')');
+    const source = this.node('Subquery', subqueryStart, { query });
+    this.expectKeyword('ON');
+    const on = this.parseExpression();
+    return this.node('Join', startToken, { joinType, source, on });
+  }
+
+  parseFacet() {
+    const items = [];
+    do {
+      const startToken = this.peek();
+      const expression = this.parseExpression();
+      const alias = this.parseOptionalAlias();
+      items.push(this.node('FacetItem', startToken, { expression, alias }));
+    } while (this.matchPunctuation(','));
+
+    const first = items[0].expression;
+    const cases = items.length === 1 && first.type === 'FunctionCall' && first.name.toLowerCase() === 'cases';
+    return { type: 'Facet', items, cases, start: items[0].start, end: items[items.length - 1].end };
+  }
+
+  parseOrderBy() {
+    const items = [];
+    do {
+      const startToken = this.peek();
+      const expression = this.parseExpression();
+      let direction = null;
+      if (this.isKeyword('ASC') || this.isKeyword('DESC')) {
+        direction = this.next().upper;
+      }
+      items.push(this.node('OrderItem', startToken, { expression, direction }));
+    } while (this.matchPunctuation(','));
+    return items;
+  }
+
+  // TIMESERIES [AUTO | MAX | [n] unit] [SLIDE BY (AUTO | n unit)]
+  parseTimeseries(startToken) {
+    let bucket = null;
+    if (this.isKeyword('AUTO') || this.isKeyword('MAX')) {
+      bucket = this.node('Keyword', this.peek(), { value: this.next().upper });
+    } else if (this.check(TokenType.NUMBER) || this.isTimeUnit(this.peek())) {
+      bucket = this.parseDuration();
+    }
+
+    let slideBy = null;
+    if (this.matchKeyword('SLIDE')) {
+      this.expectKeyword('BY');
+      if (this.isKeyword('AUTO')) {
+        slideBy = this.node('Keyword', this.peek(), { value: this.next().upper });
+      } else {
+        slideBy = this.parseDuration();
+      }
+    }
+
+    return this.node('Timeseries', startToken, { bucket, slideBy });
+  }
+
+  parseDuration() {
+    const startToken = this.peek();
+    let value = 1;
+    if (this.check(TokenType.NUMBER)) {
+      value = this.next().value;
+    }
+    const unitToken = this.peek();
+    if (!this.isTimeUnit(unitToken)) {
+      this.fail(unitToken, `Expected a time unit but found ${describeToken(unitToken)}`);
+    }
+    this.next();
+    return this.node('Duration', startToken, { value, unit: normalizeTimeUnit(unitToken.value) });
+  }
+
+  isTimeUnit(token) {
+    return token.type === TokenType.IDENTIFIER && normalizeTimeUnit(token.value) !== null;
+  }
+
+  // SINCE/UNTIL/COMPARE WITH values:
+  //   3 hours ago | '2024-01-01 00:00:00' | 1700000000000 | NOW | TODAY
+  //   YESTERDAY | THIS WEEK | LAST MONTH | {{variable}}
+  parseTimeValue() {
+    const startToken = this.peek();
+
+    if (this.check(TokenType.NUMBER)) {
+      const value = this.next().value;
+      if (this.isTimeUnit(this.peek())) {
+        const unit = normalizeTimeUnit(this.next().value);
+        const ago = Boolean(this.matchKeyword('AGO'));
+        return this.node('RelativeTime', startToken, { value, unit, ago });
+      }
+      return this.node('AbsoluteTime', startToken, { value });
+    }
+
+    if (this.check(TokenType.STRING)) {
+      return this.node('AbsoluteTime', startToken, { value: this.next().value });
+    }
+
+    if (this.check(TokenType.VARIABLE)) {
+      return this.node('Variable', startToken, { name: this.next().value });
+    }
+
+    const token = this.peek();
+    if (token.type === TokenType.IDENTIFIER) {
+      if (NAMED_TIMES.has(token.upper)) {
+        this.next();
+        return this.node('NamedTime', startToken, { name: token.upper });
+      }
+      if ((token.upper === 'THIS' || token.upper === 'LAST') && this.peek(1).type === TokenType.IDENTIFIER &&
+          CALENDAR_PERIODS.has(this.peek(1).upper)) {
+        this.next();
+        const period = this.next().upper;
+        return this.node('NamedTime', startToken, { name: `${token.upper} ${period}` });
+      }
+      if (this.isTimeUnit(token)) {
+        // "SINCE hour ago" is shorthand for one unit
+        this.next();
+        const ago = Boolean(this.matchKeyword('AGO'));
+        return this.node('RelativeTime', startToken, { value: 1, unit: normalizeTimeUnit(token.value), ago });
+      }
+    }
+
+    return this.fail(token, `Expected a time value but found ${describeToken(token)}`);
+  }
+
+  parseLimitValue() {
+    const startToken = this.peek();
+    if (this.check(TokenType.NUMBER)) {
+      return this.node('NumberLiteral', startToken, { value: this.next().value });
+    }
+    if (this.isKeyword('MAX')) {
+      this.next();
+      return this.node('Keyword', startToken, { value: 'MAX' });
+    }
+    if (this.check(TokenType.VARIABLE)) {
+      return this.node('Variable', startToken, { name: this.next().value });
+    }
+    return this.fail(this.peek(), `Expected a number or MAX but found ${describeToken(this.peek())}`);
+  }
+
+  parseOptionalAlias() {
+    if (!this.matchKeyword('AS')) {
+      return null;
+    }
+    return this.parseName('alias');
+  }
+
+  parseName(what) {
+    const token = this.peek();
+    if (token.type === TokenType.STRING || token.type === TokenType.QUOTED_IDENTIFIER ||
+        (token.type === TokenType.IDENTIFIER && !RESERVED_WORDS.has(token.upper))) {
+      this.next();
+      return token.value;
+    }
+    return this.fail(token, `Expected ${what} but found ${describeToken(token)}`);
+  }
+
+  // -- expressions ----------------------------------------------------------
+
+  parseExpression() {
+    return this.parseOr();
+  }
+
+  parseOr() {
+    const startToken = this.peek();
+    let left = this.parseAnd();
+    while (this.matchKeyword('OR')) {
+      const right = this.parseAnd();
+      left = this.node('LogicalExpression', startToken, { operator: 'OR', left, right });
+    }
+    return left;
+  }
+
+  parseAnd() {
+    const startToken = this.peek();
+    let left = this.parseNot();
+    while (this.matchKeyword('AND')) {
+      const right = this.parseNot();
+      left = this.node('LogicalExpression', startToken, { operator: 'AND', left, right });
+    }
+    return left;
+  }
+
+  parseNot() {
+    const startToken = this.peek();
+    if (this.matchKeyword('NOT')) {
+      const argument = this.parseNot();
+      return this.node('UnaryExpression', startToken, { operator: 'NOT', argument });
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const startToken = this.peek();
+    const left = this.parseAdditive();
+
+    const token = this.peek();
+    if (token.type === TokenType.OPERATOR && ['=', '!=', '<>', '<', '<=', '>', '>='].includes(token.value)) {
+      this.next();
+      const right = this.parseAdditive();
+      return this.node('BinaryExpression', startToken, { operator: token.value === '<>' ? '!=' : token.value, left, right });
+    }
+
+    let negated = false;
+    if (this.isKeyword('NOT') && ['LIKE', 'RLIKE', 'IN'].includes(this.peek(1).upper)) {
+      this.next();
+      negated = true;
+    }
+
+    if (this.isKeyword('LIKE') || this.isKeyword('RLIKE')) {
+      const operator = this.next().upper;
+      const right = this.parseAdditive();
+      return this.node('BinaryExpression', startToken, {
+        operator: negated ? `NOT ${operator}` : operator,
+        left,
+        right
+      });
+    }
+
+    if (this.matchKeyword('IN')) {
+      const listStart = this.expectPunctuation('(');
+      if (this.isKeyword('SELECT') || this.isKeyword('FROM')) {
+        const query = this.parseQuery(true);
+        this.expectPunctuation(')');
+        const subquery = this.node('Subquery', listStart, { query });
+        return this.node('InExpression', startToken, { expression: left, values: null, subquery, negated });
+      }
+      const values = [];
+      if (!this.check(TokenType.PUNCTUATION, ')')) {
+        do {
+          values.push(this.parseExpression());
+        } while (this.matchPunctuation(','));
+      }
+      this.expectPunctuation(')');
+      return this.node('InExpression', startToken, { expression: left, values, subquery: null, negated });
+    }
+
+    if (negated) {
+      this.fail(this.peek(), `Expected LIKE, RLIKE or IN after NOT but found ${describeToken(this.peek())}`);
+    }
+
+    if (this.matchKeyword('IS')) {
+      const isNegated = Boolean(this.matchKeyword('NOT'));
+      const valueToken = this.peek();
+      if (!['NULL', 'TRUE', 'FALSE'].includes(valueToken.upper)) {
+        this.fail(valueToken, `Expected NULL, TRUE or FALSE after IS but found ${describeToken(valueToken)}`);
+      }
+      this.next();
+      return this.node('IsExpression', startToken, { expression: left, value: valueToken.upper, negated: isNegated });
+    }
+
+    return left;
+  }
+
+  parseAdditive() {
+    const startToken = this.peek();
+    let left = this.parseMultiplicative();
+    while (this.check(TokenType.OPERATOR, '+') || this.check(TokenType.OPERATOR, '-')) {
+      const operator = this.next().value;
+      const right = this.parseMultiplicative();
+      left = this.node('BinaryExpression', startToken, { operator, left, right });
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    const startToken = this.peek();
+    let left = this.parseUnary();
+    while (this.check(TokenType.OPERATOR, '*') || this.check(TokenType.OPERATOR, '/') ||
+           this.check(TokenType.OPERATOR, '%')) {
+      const operator = this.next().value;
+      const right = this.parseUnary();
+      left = this.node('BinaryExpression', startToken, { operator, left, right });
+    }
+    return left;
+  }
+
+  parseUnary() {
+    const startToken = this.peek();
+    if (this.check(TokenType.OPERATOR, '-') || this.check(TokenType.OPERATOR, '+')) {
+      const operator = this.next().value;
+      const argument = this.parseUnary();
+      return this.node('UnaryExpression', startToken, { operator, argument });
+    }
+    let expression = this.parsePrimary();
+    while (this.matchPunctuation('[')) {
+      const index = this.parseExpression();
+      this.expectPunctuation(']');
+      expression = this.node('IndexExpression', startToken, { object: expression, index });
+    }
+    return expression;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    switch (token.type) {
+      case TokenType.NUMBER:
+        this.next();
+        return this.node('NumberLiteral', token, { value: token.value });
+      case TokenType.STRING:
+        this.next();
+        return this.node('StringLiteral', token, { value: token.value, raw: Boolean(token.raw) });
+      case TokenType.VARIABLE:
+        this.next();
+        return this.node('Variable', token, { name: token.value });
+      case TokenType.QUOTED_IDENTIFIER:
+        this.next();
+        return this.node('Identifier', token, { name: token.value, quoted: true });
+      case TokenType.PUNCTUATION:
+        if (token.value === '(') {
+          this.next();
+          if (this.isKeyword('SELECT') || this.isKeyword('FROM')) {
+            const query = this.parseQuery(true);
+            this.expectPunctuation(')');
+            return this.node('Subquery', token, { query });
+          }
+          const expression = this.parseExpression();
+          this.expectPunctuation(')');
+          return this.node('Group', token, { expression });
+        }
+        break;
+      case TokenType.IDENTIFIER:
+        if (token.upper === 'TRUE' || token.upper === 'FALSE') {
+          this.next();
+          return this.node('BooleanLiteral', token, { value: token.upper === 'TRUE' });
+        }
+        if (token.upper === 'NULL') {
+          this.next();
+          return this.node('NullLiteral', token, {});
+        }
+        if (RESERVED_WORDS.has(token.upper)) {
+          break;
+        }
+        this.next();
+        if (this.check(TokenType.PUNCTUATION, '(')) {
+          return this.parseFunctionCall(token);
+        }
+        return this.node('Identifier', token, { name: token.value, quoted: false });
+      default:
+        break;
+    }
+
+    if (token.type === TokenType.EOF) {
+      return this.fail(token, 'Unexpected end of query; expected an expression');
+    }
+    return this.fail(token, `Unexpected ${describeToken(token)}; expected an expression`);
+  }
+
+  // Function arguments may be expressions, *, durations (rate(count(*), 1 minute))
+  // or WHERE conditions with optional labels (filter(), percentage(), funnel(), cases())
+  parseFunctionCall(nameToken) {
+    this.expectPunctuation('(');
+    const args = [];
+
+    if (!this.check(TokenType.PUNCTUATION, ')')) {
+      do {
+        const startToken = this.peek();
+        const following = this.peek(1);
+        if (this.check(TokenType.OPERATOR, '*')) {
+          this.next();
+          args.push(this.node('Wildcard', startToken, {}));
+        } else if (this.matchKeyword('WHERE')) {
+          const condition = this.parseExpression();
+          const alias = this.parseOptionalAlias();
+          args.push(this.node('Condition', startToken, { condition, alias }));
+        } else if (this.check(TokenType.NUMBER) && this.isTimeUnit(following)) {
+          args.push(this.parseDuration());
+        } else {
+          const expression = this.parseExpression();
+          if (this.isKeyword('AS')) {
+            const alias = this.parseOptionalAlias();
+            args.push(this.node('AliasedArgument', startToken, { expression, alias }));
+          } else {
+            args.push(expression);
+          }
+        }
+      } while (this.matchPunctuation(','));
+    }
+
+    this.expectPunctuation(')');
+    return this.node('FunctionCall', nameToken, { name: nameToken.value, args });
+  }
+}
+
+function describeToken(token) {
+  switch (token.type) {
+    case TokenType.EOF:
+      return 'end of query';
+    case TokenType.STRING:
+      return `string '${token.value}'`;
+    case TokenType.VARIABLE:
+      return `variable {{${token.value}}}`;
+    case TokenType.QUOTED_IDENTIFIER:
+      return `\`${token.value}\``;
+    default:
+      return `'${token.value}'`;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+function parseNRQL(query) {
+  return new NRQLParser(query).parse();
+}
+
+// Non-throwing variant: returns { ast, error }
+function tryParseNRQL(query) {
+  try {
+    return { ast: parseNRQL(query), error: null };
+  } catch (error) {
+    if (error.name !== 'NRQLSyntaxError') throw error;
+    return { ast: null, error };
+  }
+}
+
+// Depth-first traversal. The visitor receives (node, parent) and may return
+// false to skip a node's children.
+function walk(node, visitor, parent = null) {
+  if (!node || typeof node !== 'object') return;
+  if (Array.isArray(node)) {
+    node.forEach(child => walk(child, visitor, parent));
+    return;
+  }
+  if (!node.type) return;
+  if (visitor(node, parent) === false) return;
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'source') continue;
+    if (value && typeof value === 'object') {
+      walk(value, visitor, node);
+    }
+  }
+}
+
+function nodeText(node, source) {
+  if (!node || node.start === undefined) return null;
+  return source.slice(node.start, node.end);
+}
+
+// Event types a query ultimately reads from. Nested aggregation queries
+// (FROM (SELECT ... FROM X)) report the event types of their inner query.
+function getEventTypes(ast) {
+  if (!ast || ast.kind !== 'SELECT' || !ast.from) return [];
+  const eventTypes = [];
+  ast.from.forEach(source => {
+    if (source.type === 'EventType') {
+      eventTypes.push(source.name);
+    } else if (source.type === 'Subquery') {
+      eventTypes.push(...getEventTypes(source.query));
+    }
+  });
+  return [...new Set(eventTypes)];
+}
+
+// Names introduced inside the query itself rather than read from events
+function getLocalNames(ast) {
+  const names = new Set();
+  (ast.with || []).forEach(definition => definition.aliases.forEach(alias => names.add(alias)));
+  (ast.select || []).forEach(item => item.alias && names.add(item.alias));
+  (ast.from || []).forEach(source => {
+    if (source.type === 'Subquery') {
+      getLocalNames(source.query).forEach(name => names.add(name));
+      (source.query.facet ? source.query.facet.items : []).forEach(item => {
+        if (item.alias) names.add(item.alias);
+      });
+    }
+  });
+  return names;
+}
+
+// Attribute names referenced by a query. Subqueries in FROM are included
+// because they read the same events; subqueries used as IN (...) lists or
+// JOIN sources are not, since they query other event types.
+function getAttributes(ast) {
+  if (!ast || ast.kind !== 'SELECT') return [];
+  const localNames = getLocalNames(ast);
+  const attributes = new Set();
+
+  const collect = node => {
+    walk(node, (child, parent) => {
+      if (child.type === 'Subquery') return false;
+      if (child.type === 'Identifier' && !localNames.has(child.name)) {
+        attributes.add(child.name);
+      }
+      return true;
+    });
+  };
+
+  ast.with.forEach(definition => collect(definition.expression));
+  ast.select.forEach(item => collect(item.expression));
+  collect(ast.where);
+  if (ast.facet) ast.facet.items.forEach(item => collect(item.expression));
+  if (ast.orderBy) ast.orderBy.forEach(item => collect(item.expression));
+
+  ast.from.forEach(source => {
+    if (source.type === 'Subquery') {
+      getAttributes(source.query).forEach(attribute => attributes.add(attribute));
+    }
+  });
+
+  return Array.from(attributes);
+}
+
+function getFunctions(ast) {
+  const functions = new Set();
+  walk(ast, node => {
+    if (node.type === 'FunctionCall') functions.add(node.name);
+  });
+  return Array.from(functions);
+}
+
+function getVariables(ast) {
+  const variables = new Set();
+  walk(ast, node => {
+    if (node.type === 'Variable') variables.add(node.name);
+  });
+  return Array.from(variables);
+}
+
+function isAggregateQuery(ast) {
+  if (!ast || ast.kind !== 'SELECT') return false;
+  let aggregate = false;
+  ast.select.forEach(item => {
+    walk(item.expression, node => {
+      if (node.type === 'Subquery') return false;
+      if (node.type === 'FunctionCall' && AGGREGATE_FUNCTIONS.has(node.name.toLowerCase())) {
+        aggregate = true;
+      }
+      return true;
+    });
+  });
+  return aggregate;
+}
+
+// Flatten a WHERE tree into its top-level conditions in source order. Each
+// entry records the logical operator that joins it to the next condition.
+function flattenConditions(expression) {
+  if (!expression) return [];
+  if (expression.type === 'LogicalExpression') {
+    const left = flattenConditions(expression.left);
+    left[left.length - 1].operator = expression.operator;
+    return left.concat(flattenConditions(expression.right));
+  }
+  return [{ node: expression, operator: null }];
+}
+
+// Length of a SINCE/UNTIL window in milliseconds, when it can be computed
+// without a clock (relative SINCE with a relative or absent UNTIL)
+function getTimeWindowMilliseconds(ast) {
+  if (!ast || !ast.since || ast.since.type !== 'RelativeTime') return null;
+  const since = durationToMilliseconds(ast.since.value, ast.since.unit);
+  if (!ast.until) return since;
+  if (ast.until.type === 'RelativeTime') {
+    return since - durationToMilliseconds(ast.until.value, ast.until.unit);
+  }
+  if (ast.until.type === 'NamedTime' && ast.until.name === 'NOW') return since;
+  return null;
+}
+
+module.exports = {
+  TokenType,
+  TIME_UNITS,
+  AGGREGATE_FUNCTIONS,
+  tokenize,
+  parseNRQL,
+  tryParseNRQL,
+  walk,
+  nodeText,
+  getEventTypes,
+  getAttributes,
+  getFunctions,
+  getVariables,
+  isAggregateQuery,
+  flattenConditions,
+  normalizeTimeUnit,
+  durationToMilliseconds,
+  getTimeWindowMilliseconds
+};
@@ -0,0 +1,177 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const { table } = require('table');
+
+// Console output for CLI commands. In JSON mode only print()/json() write to
+// stdout so results can be piped; status messages go to stderr.
+class Output {
+  constructor(format = 'human', quiet = false) {
+    this.format = format;
+    this.quiet = quiet;
+    this.spinner = null;
+  }
+
+  get isJSON() {
+    return this.format === 'json';
+  }
+
+  startSpinner(text) {
+    if (this.isJSON || this.quiet) return;
+    this.stopSpinner();
+    this.spinner = ora({ text, stream: process.stderr }).start();
+  }
+
+  updateSpinner(text) {
+    if (this.spinner) {
+      this.spinner.text = text;
+    }
+  }
+
+  stopSpinner(success = true, message) {
+    if (!this.spinner) return;
+    const text = message || this.spinner.text;
+    if (success) {
+      this.spinner.succeed(text);
+    } else {
+      this.spinner.fail(text);
+    }
+    this.spinner = null;
+  }
+
+  print(data, options = {}) {
+    if (this.isJSON) {
+      this.json(data);
+      return;
+    }
+
+    if (options.title) {
+      this.header(options.title);
+    }
+
+    if (typeof data === 'string') {
+      console.log(data);
+    } else if (options.table && Array.isArray(data)) {
+      this.printTable(data, options.columns);
+    } else {
+      console.log(this.formatLines(data, 0).join('\n'));
+    }
+  }
+
+  printTable(rows, columns) {
+    if (rows.length === 0) {
+      console.log(chalk.gray('(no results)'));
+      return;
+    }
+    const keys = columns || Object.keys(rows[0]);
+    const data = [
+      keys.map(key => chalk.bold(key)),
+      ...rows.map(row => keys.map(key => this.formatCell(row[key])))
+    ];
+    console.log(table(data));
+  }
+
+  formatCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'boolean') return value ? chalk.green('✓') : chalk.red('✗');
+    if (typeof value === 'object') return JSON.stringify(value);
+    const text = String(value);
+    return text.length > 80 ? `${text.substring(0, 77)}...` : text;
+  }
+
+  // Render nested data as indented "key: value" lines
+  formatLines(value, depth) {
+    const indent = '  '.repeat(depth);
+    const isComplex = v => v !== null && typeof v === 'object' &&
+      (!Array.isArray(v) || v.some(item => item !== null && typeof item === 'object'));
+    const scalar = v => {
+      if (v === null || v === undefined) return chalk.gray('-');
+      if (Array.isArray(v)) return v.length === 0 ? chalk.gray('[]') : v.join(', ');
+      if (typeof v === 'object') return chalk.gray('{}');
+      return String(v);
+    };
+
+    if (!isComplex(value)) {
+      return [`${indent}${scalar(value)}`];
+    }
+
+    const lines = [];
+    if (Array.isArray(value)) {
+      value.forEach(item => {
+        const itemLines = this.formatLines(item, depth + 1);
+        itemLines[0] = `${indent}- ${itemLines[0].trimStart()}`;
+        lines.push(...itemLines);
+      });
+      return lines;
+    }
+
+    Object.entries(value).forEach(([key, v]) => {
+      if (v === undefined) return;
+      if (isComplex(v) && Object.keys(v).length > 0) {
+        lines.push(`${indent}${chalk.cyan(key)}:`);
+        lines.push(...this.formatLines(v, depth + 1));
+      } else {
+        lines.push(`${indent}${chalk.cyan(key)}: ${scalar(v)}`);
+      }
+    });
+    return lines;
+  }
+
+  header(title) {
+    if (this.isJSON || this.quiet) return;
+    console.log(`\n${chalk.bold.underline(title)}\n`);
+  }
+
+  json(data) {
+    console.log(JSON.stringify(data, null, 2));
+  }
+
+  info(message) {
+    if (this.quiet) return;
+    this.log(chalk.cyan(message));
+  }
+
+  success(message) {
+    if (this.quiet) return;
+    this.log(chalk.green(`✓ ${message}`));
+  }
+
+  warning(message) {
+    if (this.quiet) return;
+    this.log(chalk.yellow(`⚠ ${message}`));
+  }
+
+  warn(message) {
+    this.warning(message);
+  }
+
+  error(message, error = null) {
+    if (this.spinner) {
+      this.stopSpinner(false);
+    }
+    if (typeof error === 'string') {
+      console.error(chalk.red(`✗ ${message} ${error}`));
+      return;
+    }
+    console.error(chalk.red(`✗ ${message}`));
+    if (error?.stack && process.env.NR_GUARDIAN_LOG_LEVEL === 'debug') {
+      console.error(chalk.gray(error.stack));
+    }
+  }
+
+  // Status lines never pollute JSON on stdout
+  log(message) {
+    if (this.isJSON) {
+      console.error(message);
+    } else {
+      console.log(message);
+    }
+  }
+}
+
+// Shared instance for scripts that don't need per-command configuration
+const output = new Output();
+
+module.exports = {
+  Output,
+  output
+};
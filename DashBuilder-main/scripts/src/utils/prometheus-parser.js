@@ -0,0 +1,288 @@
+const { PrometheusParseError } = require('./errors.js');
+
+// Parser for the Prometheus text exposition format and OpenMetrics. Samples
+// are grouped into metric families by their # TYPE declaration, so the
+// _bucket/_sum/_count series of a histogram and the quantile series of a
+// summary land in one family. Timestamps are normalized to milliseconds.
+
+const METRIC_TYPES = new Set([
+  'counter', 'gauge', 'histogram', 'gaugehistogram', 'summary', 'info', 'stateset', 'untyped', 'unknown'
+]);
+
+// Sample name suffixes each family type may add to its name
+const TYPE_SUFFIXES = {
+  counter: ['_total', '_created'],
+  histogram: ['_bucket', '_sum', '_count', '_created'],
+  gaugehistogram: ['_bucket', '_gsum', '_gcount'],
+  summary: ['_sum', '_count', '_created'],
+  info: ['_info']
+};
+
+const NAME_START = /[a-zA-Z_:]/;
+const NAME_CHAR = /[a-zA-Z0-9_:]/;
+const LABEL_START = /[a-zA-Z_]/;
+const LABEL_CHAR = /[a-zA-Z0-9_]/;
+
+const SPECIAL_VALUES = {
+  '+Inf': Infinity,
+  'Inf': Infinity,
+  '+inf': Infinity,
+  'inf': Infinity,
+  '-Inf': -Infinity,
+  '-inf': -Infinity,
+  'NaN': NaN,
+  'nan': NaN
+};
+
+function unescapeHelp(text) {
+  return text.replace(/\\(\\|n)/g, (_, escaped) => (escaped === 'n' ? '\n' : '\\'));
+}
+
+function parseValue(token) {
+  if (Object.prototype.hasOwnProperty.call(SPECIAL_VALUES, token)) return SPECIAL_VALUES[token];
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(token)) return null;
+  return Number(token);
+}
+
+// Reads one sample line: name{labels} value [timestamp] [# exemplar]
+class LineReader {
+  constructor(line, lineNumber) {
+    this.line = line;
+    this.lineNumber = lineNumber;
+    this.pos = 0;
+  }
+
+  error(message) {
+    return new PrometheusParseError(message, this.lineNumber, this.pos + 1);
+  }
+
+  skipSpaces() {
+    while (this.line[this.pos] === ' ' || this.line[this.pos] === '\t') this.pos++;
+  }
+
+  readWhile(pattern) {
+    const start = this.pos;
+    while (this.pos < this.line.length && pattern.test(this.line[this.pos])) this.pos++;
+    return this.line.slice(start, this.pos);
+  }
+
+  readName() {
+    if (!NAME_START.test(this.line[this.pos] || '')) throw this.error('Expected a metric name');
+    return this.readWhile(NAME_CHAR);
+  }
+
+  readLabels() {
+    const labels = {};
+    if (this.line[this.pos] !== '{') return labels;
+    this.pos++;
+
+    for (;;) {
+      this.skipSpaces();
+      if (this.line[this.pos] === '}') {
+        this.pos++;
+        return labels;
+      }
+      if (!LABEL_START.test(this.line[this.pos] || '')) throw this.error('Expected a label name');
+      const name = this.readWhile(LABEL_CHAR);
+      this.skipSpaces();
+      if (this.line[this.pos] !== '=') throw this.error(`Expected '=' after label ${name}`);
+      this.pos++;
+      this.skipSpaces();
+      if (this.line[this.pos] !== '"') throw this.error(`Expected a quoted value for label ${name}`);
+      this.pos++;
+      if (Object.prototype.hasOwnProperty.call(labels, name)) throw this.error(`Duplicate label ${name}`);
+      labels[name] = this.readQuoted();
+      this.skipSpaces();
+      if (this.line[this.pos] === ',') {
+        this.pos++;
+      } else if (this.line[this.pos] !== '}') {
+        throw this.error("Expected ',' or '}' in label set");
+      }
+    }
+  }
+
+  // Label value after the opening quote, with \\, \" and \n escapes
+  readQuoted() {
+    let value = '';
+    while (this.pos < this.line.length) {
+      const char = this.line[this.pos++];
+      if (char === '"') return value;
+      if (char === '\\') {
+        const escaped = this.line[this.pos++];
+        value += escaped === 'n' ? '\n' : escaped === '"' || escaped === '\\' ? escaped : `\\${escaped}`;
+      } else {
+        value += char;
+      }
+    }
+    throw this.error('Unterminated label value');
+  }
+
+  readToken() {
+    this.skipSpaces();
+    return this.readWhile(/[^\s#]/);
+  }
+}
+
+function parseSampleLine(line, lineNumber, openMetrics) {
+  const reader = new LineReader(line, lineNumber);
+  const name = reader.readName();
+  reader.skipSpaces();
+  const labels = reader.readLabels();
+
+  const valueToken = reader.readToken();
+  const value = parseValue(valueToken);
+  if (value === null) throw reader.error(valueToken ? `Invalid value '${valueToken}'` : 'Missing sample value');
+
+  let timestamp = null;
+  const timestampToken = reader.readToken();
+  if (timestampToken) {
+    const parsed = parseValue(timestampToken);
+    if (parsed === null || !Number.isFinite(parsed)) throw reader.error(`Invalid timestamp '${timestampToken}'`);
+    // Prometheus text timestamps are milliseconds, OpenMetrics ones seconds
+    timestamp = openMetrics ? Math.round(parsed * 1000) : parsed;
+  }
+
+  reader.skipSpaces();
+  if (reader.pos < line.length && line[reader.pos] !== '#') {
+    throw reader.error(`Unexpected '${line.slice(reader.pos)}'`);
+  }
+  // Anything after # is an OpenMetrics exemplar, which is not kept
+
+  return { name, labels, value, timestamp };
+}
+
+// The family a sample belongs to: a declared family whose type allows the
+// sample's suffix, otherwise the family named after the sample itself
+function familyFor(families, sampleName) {
+  for (const [type, suffixes] of Object.entries(TYPE_SUFFIXES)) {
+    const suffix = suffixes.find(candidate => sampleName.endsWith(candidate));
+    if (!suffix) continue;
+    const family = families.get(sampleName.slice(0, -suffix.length));
+    if (family && family.type === type) return { family, suffix };
+  }
+  // Prometheus text declares counters by their _total name
+  return families.has(sampleName) ? { family: families.get(sampleName), suffix: '' } : null;
+}
+
+function declareFamily(families, name) {
+  if (!families.has(name)) {
+    families.set(name, { name, type: 'untyped', help: null, unit: null, samples: [] });
+  }
+  return families.get(name);
+}
+
+/**
+ * Parse exposition text into { format, families, errors }. Each family is
+ * { name, type, help, unit, samples: [{ name, suffix, labels, value,
+ * timestamp }] } in the order first seen. Malformed lines throw a
+ * PrometheusParseError; with options.strict === false they are collected in
+ * errors and skipped. options.format ('prometheus' or 'openmetrics') overrides
+ * detection, which looks for # EOF or # UNIT.
+ */
+function parsePrometheus(text, options = {}) {
+  const lines = String(text).split(/\r?\n/);
+  const openMetrics = options.format
+    ? options.format === 'openmetrics'
+    : lines.some(line => line === '# EOF' || line.startsWith('# UNIT '));
+  const strict = options.strict !== false;
+  const families = new Map();
+  const errors = [];
+
+  const fail = error => {
+    if (strict) throw error;
+    errors.push({ line: error.line, column: error.column, message: error.reason });
+  };
+
+  lines.forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.trim();
+    if (line === '' || line === '# EOF') return;
+
+    if (line.startsWith('#')) {
+      const match = line.match(/^#\s*(HELP|TYPE|UNIT)\s+([a-zA-Z_:][a-zA-Z0-9_:]*)(?:\s+(.*))?$/);
+      // Any other comment is ignored
+      if (!match) return;
+      const [, keyword, name, rest = ''] = match;
+      const family = declareFamily(families, name);
+      if (keyword === 'HELP') {
+        family.help = unescapeHelp(rest);
+      } else if (keyword === 'UNIT') {
+        family.unit = rest.trim() || null;
+      } else if (!METRIC_TYPES.has(rest.trim())) {
+        fail(new PrometheusParseError(`Unknown metric type '${rest.trim()}' for ${name}`, lineNumber, 1));
+      } else if (family.samples.length > 0) {
+        fail(new PrometheusParseError(`TYPE for ${name} after its samples`, lineNumber, 1));
+      } else {
+        family.type = rest.trim();
+      }
+      return;
+    }
+
+    let sample;
+    try {
+      sample = parseSampleLine(line, lineNumber, openMetrics);
+    } catch (error) {
+      if (!(error instanceof PrometheusParseError)) throw error;
+      fail(error);
+      return;
+    }
+
+    const owner = familyFor(families, sample.name) || { family: declareFamily(families, sample.name), suffix: '' };
+    owner.family.samples.push({ ...sample, suffix: owner.suffix });
+  });
+
+  return {
+    format: openMetrics ? 'openmetrics' : 'prometheus',
+    families: [...families.values()].filter(family => family.samples.length > 0 || family.type !== 'untyped' || family.help),
+    errors
+  };
+}
+
+function labelKey(labels, omit = []) {
+  return JSON.stringify(Object.keys(labels).filter(name => !omit.includes(name)).sort().map(name => [name, labels[name]]));
+}
+
+/**
+ * Group a family's samples into series: one per label set, ignoring le and
+ * quantile. Histograms get buckets [{ le, count }], summaries quantiles
+ * [{ quantile, value }], both sum and count; other types value.
+ */
+function familySeries(family) {
+  const series = new Map();
+  family.samples.forEach(sample => {
+    const key = labelKey(sample.labels, ['le', 'quantile']);
+    if (!series.has(key)) {
+      const labels = { ...sample.labels };
+      delete labels.le;
+      delete labels.quantile;
+      series.set(key, { labels, timestamp: sample.timestamp });
+    }
+    const entry = series.get(key);
+
+    if (sample.suffix === '_bucket') {
+      (entry.buckets = entry.buckets || []).push({ le: parseValue(sample.labels.le), count: sample.value });
+    } else if (sample.suffix === '_sum' || sample.suffix === '_gsum') {
+      entry.sum = sample.value;
+    } else if (sample.suffix === '_count' || sample.suffix === '_gcount') {
+      entry.count = sample.value;
+    } else if (sample.suffix === '_created') {
+      entry.created = sample.value;
+    } else if (sample.labels.quantile !== undefined && family.type === 'summary') {
+      (entry.quantiles = entry.quantiles || []).push({ quantile: parseValue(sample.labels.quantile), value: sample.value });
+    } else {
+      entry.value = sample.value;
+    }
+  });
+
+  return [...series.values()].map(entry => {
+    if (entry.buckets) entry.buckets.sort((a, b) => a.le - b.le);
+    if (entry.quantiles) entry.quantiles.sort((a, b) => a.quantile - b.quantile);
+    return entry;
+  });
+}
+
+module.exports = {
+  METRIC_TYPES,
+  parsePrometheus,
+  familySeries
+};
@@ -0,0 +1,151 @@
+const { tryParseNRQL, nodeText, getEventTypes, getTimeWindowMilliseconds } = require('./nrql-parser.js');
+
+// Query cost model shared by the dashboard, NRQL and discovery tooling. A
+// query's cost is the data it scans: the bytes and events its FROM and WHERE
+// cover over its time window (measured with bytecountestimate() and
+// count(*)), times how often the widget refreshes, weighted by how many
+// facet groups NRDB has to build.
+
+const HOUR_MS = 3600000;
+const GB = 1e9;
+
+// Queries without SINCE cover the last hour
+const DEFAULT_WINDOW_MS = HOUR_MS;
+
+// How often dashboards refresh a widget, by time window
+const REFRESH_SCHEDULE = [
+  { maxWindowMs: HOUR_MS, seconds: 60 },
+  { maxWindowMs: 6 * HOUR_MS, seconds: 300 },
+  { maxWindowMs: 24 * HOUR_MS, seconds: 900 },
+  { maxWindowMs: 7 * 24 * HOUR_MS, seconds: 3600 },
+  { maxWindowMs: Infinity, seconds: 6 * 3600 }
+];
+
+// GB scanned per hour, after the facet weighting
+const COST_LEVELS = { high: 50, medium: 5 };
+
+function refreshIntervalSeconds(windowMs) {
+  return REFRESH_SCHEDULE.find(entry => windowMs <= entry.maxWindowMs).seconds;
+}
+
+function queryWindowMs(ast) {
+  return getTimeWindowMilliseconds(ast) || DEFAULT_WINDOW_MS;
+}
+
+// FROM and WHERE of the query, reusable in a volume query. WHERE clauses with
+// {{variables}} cannot run on their own, so the unfiltered volume is used.
+function scope(query, ast) {
+  const simpleFrom = ast.from.every(source => source.type === 'EventType');
+  const from = simpleFrom
+    ? ast.from.map(source => nodeText(source, query)).join(', ')
+    : getEventTypes(ast).join(', ');
+  const whereText = ast.where ? nodeText(ast.where, query) : null;
+  const where = simpleFrom && ast.joins.length === 0 && whereText && !whereText.includes('{{') ? ` WHERE ${whereText}` : '';
+  return { from, where };
+}
+
+function windowClause(windowMs) {
+  return `SINCE ${Math.max(1, Math.round(windowMs / 60000))} minutes ago`;
+}
+
+/**
+ * Plan the measurements a query's cost needs. Returns null for queries that
+ * do not parse or read no event type, otherwise { windowMs, eventTypes,
+ * volumeQuery, facetQuery, facetCount, facetCases }. facetQuery is null when
+ * the query has no facets or facets on cases().
+ */
+function costQueries(query) {
+  const { ast, error } = tryParseNRQL(query);
+  if (error || ast.kind !== 'SELECT') return null;
+
+  const eventTypes = getEventTypes(ast);
+  if (eventTypes.length === 0) return null;
+
+  const windowMs = queryWindowMs(ast);
+  const { from, where } = scope(query, ast);
+  const since = windowClause(windowMs);
+
+  const facets = ast.facet ? ast.facet.items : [];
+  const facetQuery = facets.length > 0 && !ast.facet.cases
+    ? `SELECT ${facets.map((item, index) => `uniqueCount(${nodeText(item.expression, query)}) AS 'facet${index}'`).join(', ')} FROM ${from}${where} ${since}`
+    : null;
+
+  return {
+    windowMs,
+    eventTypes,
+    volumeQuery: `SELECT bytecountestimate() AS 'bytes', count(*) AS 'events' FROM ${from}${where} ${since}`,
+    facetQuery,
+    facetCount: facets.length,
+    facetCases: Boolean(ast.facet && ast.facet.cases)
+  };
+}
+
+/**
+ * Facet groups a query builds: the product of each facet's cardinality.
+ * cardinalities is a list of uniqueCount results in facet order.
+ */
+function facetGroups(plan, cardinalities = []) {
+  if (!plan || plan.facetCount === 0) return 1;
+  if (plan.facetCases) return plan.facetCount;
+  return cardinalities.reduce((product, value) => product * Math.max(1, value || 0), 1);
+}
+
+/**
+ * Cost of running a query on a dashboard, in GB scanned weighted by facet
+ * groups: costPerRun for one execution, cost per hour of refreshes.
+ *
+ * volume.bytes / volume.events - data the query covers in one run
+ * options.windowMs - the query window (sets the default refresh interval)
+ * options.refreshSeconds - override the refresh interval
+ * options.facetGroups - facet groups per run (see facetGroups)
+ */
+function estimateCost(volume, options = {}) {
+  const windowMs = options.windowMs || DEFAULT_WINDOW_MS;
+  const refreshSeconds = options.refreshSeconds || refreshIntervalSeconds(windowMs);
+  const runsPerHour = 3600 / refreshSeconds;
+  const bytesPerRun = Math.max(0, volume.bytes || 0);
+  const eventsPerRun = Math.max(0, volume.events || 0);
+  const groups = Math.max(1, options.facetGroups || 1);
+  const facetFactor = 1 + Math.log10(groups);
+
+  const costPerRun = (bytesPerRun / GB) * facetFactor;
+  const bytesPerHour = bytesPerRun * runsPerHour;
+  const cost = costPerRun * runsPerHour;
+
+  return {
+    windowMs,
+    refreshSeconds,
+    runsPerHour,
+    bytesPerRun,
+    eventsPerRun,
+    bytesPerHour,
+    eventsPerHour: eventsPerRun * runsPerHour,
+    facetGroups: groups,
+    facetFactor: Math.round(facetFactor * 100) / 100,
+    costPerRun: Math.round(costPerRun * 1000) / 1000,
+    cost: Math.round(cost * 1000) / 1000,
+    level: cost >= COST_LEVELS.high ? 'high' : cost >= COST_LEVELS.medium ? 'medium' : 'low'
+  };
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1000 && unit < units.length - 1) {
+    value /= 1000;
+    unit++;
+  }
+  return `${value >= 100 || unit === 0 ? Math.round(value) : value.toFixed(1)} ${units[unit]}`;
+}
+
+module.exports = {
+  DEFAULT_WINDOW_MS,
+  REFRESH_SCHEDULE,
+  COST_LEVELS,
+  refreshIntervalSeconds,
+  costQueries,
+  facetGroups,
+  estimateCost,
+  formatBytes
+};
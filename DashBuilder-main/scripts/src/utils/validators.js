@@ -1,5 +1,6 @@
 const Joi = require('joi');
 const { ValidationError } = require('./errors.js');
+const { parseNRQL, getEventTypes, getAttributes } = require('./nrql-parser.js');
 
 // Enhanced validation schemas based on NRDOT v2 insights
 const schemas = {
@@ -144,21 +145,20 @@ function validateNRQLQuery(query) {
     throw new ValidationError(`Invalid NRQL query: ${error.message}`, error.details);
   }
   
-  // Additional semantic validation
-  const upperQuery = query.toUpperCase();
-  
-  // Check for required FROM clause in SELECT queries
-  if (upperQuery.startsWith('SELECT') && !upperQuery.includes('FROM')) {
-    throw new ValidationError('SELECT queries must include a FROM clause');
+  let ast;
+  try {
+    ast = parseNRQL(query);
+  } catch (e) {
+    throw new ValidationError(`Invalid NRQL query: ${e.message}`, { line: e.line, column: e.column });
   }
   
-  // Validate TIMESERIES usage
-  if (upperQuery.includes('TIMESERIES') && !upperQuery.includes('SINCE')) {
+  // Additional semantic validation
+  if (ast.timeseries && !ast.since) {
     throw new ValidationError('TIMESERIES requires a SINCE clause');
   }
   
   // Check for conflicting clauses
-  if (upperQuery.includes('COMPARE WITH') && upperQuery.includes('TIMESERIES')) {
+  if (ast.compareWith && ast.timeseries) {
     throw new ValidationError('COMPARE WITH and TIMESERIES cannot be used together');
   }
   
@@ -266,75 +266,22 @@ function validateEntityGuid(guid) {
   return value;
 }
 
-// Enhanced NRQL specific validators
+// Enhanced NRQL specific validators, backed by the NRQL parser
 function extractEventTypeFromQuery(query) {
-  // Handle WITH clause for CTEs
-  if (query.match(/^WITH\s+/i)) {
-    const mainQuery = query.match(/\)\s+SELECT.+FROM\s+([A-Za-z][A-Za-z0-9_]*)/i);
-    if (mainQuery) {
-      return mainQuery[1];
-    }
-  }
-  
-  const fromMatch = query.match(/FROM\s+([A-Za-z][A-Za-z0-9_]*)/i);
-  if (fromMatch) {
-    return fromMatch[1];
-  }
-  
-  const showMatch = query.match(/SHOW\s+EVENT\s+TYPES/i);
-  if (showMatch) {
+  const ast = parseNRQL(query);
+  if (ast.kind === 'SHOW') {
     return null; // SHOW EVENT TYPES doesn't have a specific event type
   }
 
-  throw new ValidationError('Could not extract event type from NRQL query');
+  const [eventType] = getEventTypes(ast);
+  if (!eventType) {
+    throw new ValidationError('Could not extract event type from NRQL query');
+  }
+  return eventType;
 }
 
 function extractAttributesFromQuery(query) {
-  const attributes = new Set();
-  
-  // Enhanced regex patterns for complex queries
-  const patterns = {
-    select: /SELECT\s+(.+?)\s+FROM/is,
-    where: /WHERE\s+(.+?)(?:\s+FACET|\s+SINCE|\s+UNTIL|\s+LIMIT|\s+OFFSET|\s+TIMESERIES|\s+ORDER\s+BY|\s*$)/is,
-    facet: /FACET\s+(.+?)(?:\s+SINCE|\s+UNTIL|\s+LIMIT|\s+OFFSET|\s+TIMESERIES|\s+ORDER\s+BY|\s*$)/is,
-    orderBy: /ORDER\s+BY\s+(.+?)(?:\s+ASC|\s+DESC|\s+SINCE|\s+UNTIL|\s+LIMIT|\s*$)/is
-  };
-  
-  // Extract from each clause
-  Object.entries(patterns).forEach(([clause, pattern]) => {
-    const match = query.match(pattern);
-    if (match) {
-      const clauseContent = match[1];
-      
-      // Handle functions and nested attributes
-      const attrPattern = /([A-Za-z][A-Za-z0-9_.[\]]*(?:\.[A-Za-z][A-Za-z0-9_.[\]]*)*)/g;
-      const attrMatches = clauseContent.match(attrPattern);
-      
-      if (attrMatches) {
-        attrMatches.forEach(attr => {
-          // Skip NRQL keywords
-          if (!isNRQLKeyword(attr)) {
-            attributes.add(attr);
-          }
-        });
-      }
-    }
-  });
-  
-  // Extract from function arguments
-  const functionPattern = /(\w+)\s*\(\s*([^)]+)\s*\)/g;
-  let funcMatch;
-  while ((funcMatch = functionPattern.exec(query)) !== null) {
-    const args = funcMatch[2].split(',');
-    args.forEach(arg => {
-      const trimmedArg = arg.trim();
-      if (trimmedArg.match(/^[A-Za-z][A-Za-z0-9_.[\]]*$/) && !isNRQLKeyword(trimmedArg)) {
-        attributes.add(trimmedArg);
-      }
-    });
-  }
-  
-  return Array.from(attributes);
+  return getAttributes(parseNRQL(query));
 }
 
 // Enhanced NRQL function validation with new functions
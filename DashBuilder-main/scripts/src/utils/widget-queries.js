@@ -0,0 +1,79 @@
+// NRQL queries on dashboard widgets. A widget carries them in one of three
+// shapes:
+//   configuration.nrql.query            single query (legacy)
+//   configuration.<type>.nrqlQueries[]  typed configuration
+//   rawConfiguration.nrqlQueries[]      what the generators produce
+// Each nrqlQueries entry may name its accounts with accountIds or accountId.
+
+function queryAccountIds(nrqlQuery) {
+  if (Array.isArray(nrqlQuery.accountIds) && nrqlQuery.accountIds.length > 0) {
+    return nrqlQuery.accountIds.map(id => parseInt(id));
+  }
+  if (nrqlQuery.accountId) return [parseInt(nrqlQuery.accountId)];
+  return [];
+}
+
+// [{ path, nrqlQuery }] for every query holder on the widget
+function queryHolders(widget) {
+  if (widget.rawConfiguration) {
+    const nrqlQueries = widget.rawConfiguration.nrqlQueries;
+    return Array.isArray(nrqlQueries)
+      ? nrqlQueries.map((nrqlQuery, index) => ({ path: `rawConfiguration.nrqlQueries[${index}]`, nrqlQuery }))
+      : [];
+  }
+
+  return Object.entries(widget.configuration || {}).flatMap(([type, settings]) => {
+    if (!settings || typeof settings !== 'object') return [];
+    if (type === 'nrql') return [{ path: 'configuration.nrql', nrqlQuery: settings }];
+    return Array.isArray(settings.nrqlQueries)
+      ? settings.nrqlQueries.map((nrqlQuery, index) => ({ path: `configuration.${type}.nrqlQueries[${index}]`, nrqlQuery }))
+      : [];
+  });
+}
+
+/**
+ * Every NRQL query on a widget, whatever its shape.
+ * Returns [{ query, accountIds, index, path }]; accountIds is empty when the
+ * query does not name its accounts and fallbackAccountId is not given.
+ */
+function widgetQueries(widget, fallbackAccountId = null) {
+  return queryHolders(widget)
+    .filter(({ nrqlQuery }) => nrqlQuery && typeof nrqlQuery.query === 'string' && nrqlQuery.query.trim())
+    .map(({ path, nrqlQuery }, index) => {
+      const accountIds = queryAccountIds(nrqlQuery);
+      return {
+        query: nrqlQuery.query,
+        accountIds: accountIds.length === 0 && fallbackAccountId ? [parseInt(fallbackAccountId)] : accountIds,
+        index,
+        path
+      };
+    });
+}
+
+/**
+ * Return a copy of the widget with every query holder passed through
+ * mapQuery(nrqlQuery) and replaced by its result. The widget is not modified.
+ */
+function mapWidgetQueries(widget, mapQuery) {
+  const mapQueries = (settings) => settings && Array.isArray(settings.nrqlQueries)
+    ? { ...settings, nrqlQueries: settings.nrqlQueries.map(nrqlQuery => nrqlQuery ? mapQuery(nrqlQuery) : nrqlQuery) }
+    : settings;
+
+  if (widget.rawConfiguration) {
+    return { ...widget, rawConfiguration: mapQueries(widget.rawConfiguration) };
+  }
+  if (widget.configuration) {
+    const configuration = Object.entries(widget.configuration).reduce((acc, [type, settings]) => {
+      acc[type] = type === 'nrql' && settings && typeof settings === 'object' ? mapQuery(settings) : mapQueries(settings);
+      return acc;
+    }, {});
+    return { ...widget, configuration };
+  }
+  return widget;
+}
+
+module.exports = {
+  queryAccountIds,
+  widgetQueries,
+  mapWidgetQueries
+};
@@ -41,7 +41,7 @@ async function testKafkaIntelligentDashboard() {
     // Initialize client
     const client = new NerdGraphClient({
       apiKey: config.apiKey,
-      region: 'US'
+      region: process.env.NEW_RELIC_REGION || 'US'
     });
     
     // Step 1: Discover available Kafka data
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockNerdGraphServer } = require('../../nerdgraph/mock-server.js');
+const { AlertsCommand } = require('../src/commands/alerts.js');
+const { remapQueryAccounts } = require('../src/utils/account-remap.js');
+
+const SOURCE_ID = 1234567;
+const TARGET_ID = 7654321;
+const accountMap = new Map([[SOURCE_ID, TARGET_ID]]);
+
+describe('remapQueryAccounts', () => {
+  test.each([
+    ['SELECT count(*) FROM Transaction WHERE accountId = 1234567', 'SELECT count(*) FROM Transaction WHERE accountId = 7654321'],
+    ["SELECT count(*) FROM Transaction WHERE accountId = '1234567'", "SELECT count(*) FROM Transaction WHERE accountId = '7654321'"],
+    ['SELECT count(*) FROM Transaction WHERE accountId = "1234567"', 'SELECT count(*) FROM Transaction WHERE accountId = "7654321"'],
+    ['SELECT count(*) FROM Transaction WHERE accountId() = 1234567', 'SELECT count(*) FROM Transaction WHERE accountId() = 7654321'],
+    ["SELECT count(*) FROM Transaction WHERE accountId() != '1234567'", "SELECT count(*) FROM Transaction WHERE accountId() != '7654321'"],
+    ["SELECT count(*) FROM Transaction WHERE accountId IN (1234567, '1234567', 42)", "SELECT count(*) FROM Transaction WHERE accountId IN (7654321, '7654321', 42)"],
+    ['SELECT count(*) FROM Transaction WITH ACCOUNT 1234567', 'SELECT count(*) FROM Transaction WITH ACCOUNT 7654321']
+  ])('rewrites %s', (query, expected) => {
+    expect(remapQueryAccounts(query, accountMap).query).toBe(expected);
+  });
+
+  test('leaves other strings and numbers that equal an account ID alone', () => {
+    const query = "SELECT count(*) FROM Transaction WHERE appId = 1234567 AND name = '1234567'";
+    expect(remapQueryAccounts(query, accountMap)).toEqual({ query, replaced: 0 });
+  });
+});
+
+describe('alerts validate and apply with an account map', () => {
+  let server;
+  let dir;
+  let file;
+  let globalOptions;
+  const command = new AlertsCommand();
+
+  const condition = query => ({
+    name: 'Consumer lag',
+    type: 'STATIC',
+    nrql: { query },
+    terms: [{ priority: 'CRITICAL', operator: 'ABOVE', threshold: 1000, thresholdDuration: 300, thresholdOccurrences: 'ALL' }]
+  });
+
+  beforeAll(async () => {
+    server = new MockNerdGraphServer();
+    const endpoint = await server.start();
+    globalOptions = { apiKey: 'NRAK-TEST', endpoint, quiet: true };
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    // The plan and results tables print even when quiet
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    server.reset();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-remap-'));
+    file = path.join(dir, 'kafka.json');
+    fs.writeFileSync(file, JSON.stringify({
+      version: 1,
+      accountId: SOURCE_ID,
+      policy: { name: 'Kafka' },
+      conditions: [condition(`SELECT max(consumer.lag) FROM KafkaOffsetSample WHERE accountId = '${SOURCE_ID}'`)]
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Queries naming the target account fail there, as a missing attribute would
+  function failInTarget() {
+    server.addNrqlFixture({ pattern: String(TARGET_ID), error: "NRQL Syntax Error: Unknown attribute 'consumer.lag'" });
+  }
+
+  test('validate checks the queries as --account-map rewrites them', async () => {
+    failInTarget();
+    await expect(command.validateAlerts(file, { accountId: String(SOURCE_ID) }, globalOptions)).resolves.toBeUndefined();
+    await expect(command.validateAlerts(file, { accountId: String(SOURCE_ID), accountMap: `${SOURCE_ID}:${TARGET_ID}` }, globalOptions))
+      .rejects.toThrow('1 of 1 conditions are invalid');
+  });
+
+  test('apply refuses to change the policy when a remapped query fails in the target account', async () => {
+    failInTarget();
+    await expect(command.applyAlerts(file, { accountId: String(TARGET_ID) }, globalOptions))
+      .rejects.toThrow(`1 of 1 conditions are invalid in account ${TARGET_ID}; nothing was applied`);
+    expect(server.searchPolicies(TARGET_ID)).toEqual([]);
+  });
+
+  test('apply creates the remapped conditions when they validate', async () => {
+    await command.applyAlerts(file, { accountId: String(TARGET_ID) }, globalOptions);
+    const [policy] = server.searchPolicies(TARGET_ID);
+    expect(policy.name).toBe('Kafka');
+    const [created] = server.searchConditions(TARGET_ID, { policyId: policy.id });
+    expect(created.nrql.query).toBe(`SELECT max(consumer.lag) FROM KafkaOffsetSample WHERE accountId = '${TARGET_ID}'`);
+  });
+});
@@ -0,0 +1,97 @@
+const {
+  DETECTORS,
+  detectPeriod,
+  detectAnomalies,
+  seriesFromResults,
+  seriesStepMs
+} = require('../src/utils/anomaly-detection.js');
+const incident = require('../../nerdgraph/fixtures/kafka-lag-incident.json');
+
+const ORDERS_STALL = Date.parse('2024-05-08T14:00:00Z');
+const PAYMENTS_SHIFT = Date.parse('2024-05-07T09:00:00Z');
+// A day of 15-minute points
+const DAILY_CYCLE = 96;
+
+const series = seriesFromResults(incident.nrql[0].results);
+const orders = series.find(item => item.name === 'orders-consumer');
+const payments = series.find(item => item.name === 'payments-consumer');
+
+function windowsFor(points, detector, options = {}) {
+  const result = detectAnomalies(points, { detectors: [detector], ...options });
+  expect(result.detectors).toEqual([expect.objectContaining({ name: detector, applied: true })]);
+  return result.windows;
+}
+
+function covers(window, timestamp) {
+  return window.start <= timestamp && timestamp <= window.end;
+}
+
+describe('seriesFromResults', () => {
+  test('splits faceted TIMESERIES rows into one sorted series per facet', () => {
+    expect(series.map(item => item.name)).toEqual(['orders-consumer', 'payments-consumer']);
+    expect(orders.attribute).toBe('max.consumer.lag');
+    expect(orders.facets).toEqual(['orders-consumer']);
+    expect(orders.points).toHaveLength(3 * DAILY_CYCLE);
+    expect(orders.points[0]).toEqual({ timestamp: Date.parse('2024-05-06T00:00:00Z'), value: 66 });
+    expect(seriesStepMs(orders.points)).toBe(15 * 60 * 1000);
+  });
+});
+
+describe('detectPeriod', () => {
+  test('finds the daily cycle of the orders lag despite the stall', () => {
+    const detected = detectPeriod(orders.points.map(point => point.value));
+    expect(detected.period).toBe(DAILY_CYCLE);
+    expect(detected.correlation).toBeGreaterThan(0.3);
+  });
+
+  test('finds no cycle in the payments lag', () => {
+    expect(detectPeriod(payments.points.map(point => point.value))).toBeNull();
+  });
+});
+
+describe('orders-consumer stall', () => {
+  test.each(Object.keys(DETECTORS))('%s flags it as the strongest anomaly', detector => {
+    const [strongest] = windowsFor(orders.points, detector);
+    expect(covers(strongest, ORDERS_STALL)).toBe(true);
+    expect(strongest.peak.value).toBeGreaterThan(1000);
+  });
+
+  test('the seasonal detector uses the detected daily cycle', () => {
+    const result = detectAnomalies(orders.points, { detectors: ['seasonal'] });
+    expect(result.detectors[0].info).toEqual({ period: DAILY_CYCLE, correlation: expect.any(Number) });
+    expect(result.windows[0].severity).toBe('high');
+    expect(result.windows[0].direction).toBe('above');
+  });
+});
+
+describe('payments-consumer shift', () => {
+  // There is no cycle to detect in the payments lag, so the seasonal
+  // detector is given the daily one
+  test.each(Object.keys(DETECTORS))('%s flags it as the strongest anomaly', detector => {
+    const [strongest] = windowsFor(payments.points, detector, detector === 'seasonal' ? { period: DAILY_CYCLE } : {});
+    expect(covers(strongest, PAYMENTS_SHIFT)).toBe(true);
+    expect(strongest.start).toBe(PAYMENTS_SHIFT);
+    expect(strongest.direction).toBe('above');
+  });
+
+  test('the changepoint detector reports the levels either side', () => {
+    const [window] = windowsFor(payments.points, 'changepoint');
+    expect(window.detectors[0].explanation).toMatch(/^level shift from 1\d(\.\d+)? to 6\d(\.\d+)? /);
+  });
+});
+
+describe('detectAnomalies', () => {
+  test('flags nothing in the first day of the payments lag', () => {
+    const quiet = payments.points.filter(point => point.timestamp < PAYMENTS_SHIFT - 60 * 60 * 1000);
+    expect(detectAnomalies(quiet, { detectors: ['ewma', 'mad', 'changepoint'] }).windows).toEqual([]);
+  });
+
+  test('skips detectors that do not suit the series', () => {
+    const result = detectAnomalies(payments.points);
+    expect(result.detectors.find(detector => detector.name === 'seasonal')).toEqual({ name: 'seasonal', applied: false });
+  });
+
+  test('rejects unknown detectors', () => {
+    expect(() => detectAnomalies(orders.points, { detectors: ['prophet'] })).toThrow("Unknown detector 'prophet'");
+  });
+});
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Cassette, requestKey, normalizeGraphQL, operationLabel, scrub } = require('../src/core/cassette.js');
+const { createTransport } = require('../src/core/transport.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'cassettes', 'discovery');
+
+// The requests of the recorded discovery run, written the way a different
+// client might send them
+const EVENT_TYPES = `query Nrql($accountId: Int!, $nrql: Nrql!) {
+  actor {
+    account(id: $accountId) {
+      nrql(query: $nrql, timeout: 60) { results }
+    }
+  }
+}`;
+const ASYNC_KEYSET = 'query AsyncNrql($accountId: Int!, $nrql: Nrql!) { actor { account(id: $accountId) { ' +
+  'nrql(query: $nrql, async: true) { results queryProgress { queryId completed retryAfter } } } } }';
+const PROGRESS = 'query Progress($accountId: Int!, $queryId: ID!) { actor { account(id: $accountId) { ' +
+  'nrqlQueryProgress(queryId: $queryId) { results queryProgress { completed retryAfter } } } } }';
+
+describe('normalizeGraphQL', () => {
+  test('ignores whitespace and comments', () => {
+    const spaced = `
+      # find the account
+      query {
+        actor { account ( id : 1 ) { name } }
+      }`;
+    expect(normalizeGraphQL(spaced)).toBe('query{actor{account(id:1){name}}}');
+  });
+
+  test('masks epoch-millisecond literals', () => {
+    expect(normalizeGraphQL('{ a(since: 1748947040128) }')).toBe('{a(since:<epoch>)}');
+  });
+});
+
+describe('requestKey', () => {
+  test('is a 16 character hex hash', () => {
+    expect(requestKey('{ actor { user { name } } }')).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  test('does not depend on GraphQL layout or variable order', () => {
+    const a = requestKey('query($a: Int!) { actor { account(id: $a) { name } } }', { a: 1, b: { y: 2, x: 3 } });
+    const b = requestKey('query ($a:Int!){\n  actor{ account( id:$a ){ name } }\n}', { b: { x: 3, y: 2 }, a: 1 });
+    expect(a).toBe(b);
+  });
+
+  test('does not depend on NRQL formatting, comments or timestamps', () => {
+    const query = 'query($nrql: Nrql!) { actor { account(id: 1) { nrql(query: $nrql) { results } } } }';
+    const a = requestKey(query, { nrql: 'SELECT count(*) FROM Log WHERE timestamp > 1748947040128 SINCE 1 hour ago' });
+    const b = requestKey(query, { nrql: 'select count(*)\n  from Log -- all logs\n  where timestamp > 1748950000000 since 1 HOUR ago UNTIL NOW' });
+    expect(a).toBe(requestKey(query, { nrql: 'SELECT count(*) FROM Log WHERE timestamp > 1700000000000 SINCE 1 hour ago' }));
+    expect(b).toBe(a);
+  });
+
+  test('differs when the request differs', () => {
+    const query = 'query($nrql: Nrql!) { actor { account(id: 1) { nrql(query: $nrql) { results } } } }';
+    expect(requestKey(query, { nrql: 'SELECT count(*) FROM Log' })).not.toBe(requestKey(query, { nrql: 'SELECT count(*) FROM Span' }));
+    expect(requestKey(query, { accountId: 1 })).not.toBe(requestKey(query, { accountId: 2 }));
+  });
+});
+
+describe('scrub', () => {
+  test('replaces API keys in strings and sensitive fields', () => {
+    const scrubbed = scrub({
+      headers: { 'API-Key': 'NRAK-ABCDEFGHIJKLMNOPQRSTUVWXYZ0', Accept: 'application/json' },
+      apiKey: 'not-a-key-format',
+      nested: [{ message: 'bad key NRII-abcdefghijklmnopqrstuvwxyz012345 used' }],
+      license_key: 12345,
+      license: `${'a'.repeat(36)}NRAL`
+    });
+    expect(scrubbed).toEqual({
+      headers: { 'API-Key': '[SCRUBBED]', Accept: 'application/json' },
+      apiKey: '[SCRUBBED]',
+      nested: [{ message: 'bad key [SCRUBBED] used' }],
+      license_key: 12345,
+      license: '[SCRUBBED]'
+    });
+  });
+});
+
+describe('operationLabel', () => {
+  test('names files after the main NerdGraph field', () => {
+    expect(operationLabel(ASYNC_KEYSET)).toBe('nrql');
+    expect(operationLabel(PROGRESS)).toBe('nrqlQueryProgress');
+    expect(operationLabel('mutation { dashboardCreate(accountId: 1, dashboard: {}) { errors { description } } }')).toBe('dashboardCreate');
+    expect(operationLabel('{ actor { user { name } } }')).toBe('query');
+  });
+});
+
+describe('Cassette', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('replays repeated requests in the order they were recorded', () => {
+    const recorder = new Cassette({ dir, mode: 'record' });
+    [1, 2, 3].forEach(poll => recorder.record(PROGRESS, { queryId: 'q' }, { data: { poll } }));
+
+    const player = new Cassette({ dir, mode: 'replay' });
+    const polls = [1, 2, 3, 4].map(() => player.replay(PROGRESS, { queryId: 'q' }).data.poll);
+    // Past the end the last response is served again
+    expect(polls).toEqual([1, 2, 3, 3]);
+  });
+
+  test('keeps a separate position per request', () => {
+    const recorder = new Cassette({ dir, mode: 'record' });
+    recorder.record(PROGRESS, { queryId: 'a' }, { data: 'a1' });
+    recorder.record(PROGRESS, { queryId: 'b' }, { data: 'b1' });
+    recorder.record(PROGRESS, { queryId: 'a' }, { data: 'a2' });
+
+    const player = new Cassette({ dir, mode: 'replay' });
+    expect(player.replay(PROGRESS, { queryId: 'a' }).data).toBe('a1');
+    expect(player.replay(PROGRESS, { queryId: 'b' }).data).toBe('b1');
+    expect(player.replay(PROGRESS, { queryId: 'a' }).data).toBe('a2');
+  });
+
+  test('scrubs keys from recorded requests and responses', () => {
+    const recorder = new Cassette({ dir, mode: 'record' });
+    recorder.record(PROGRESS, { apiKey: 'NRAK-ABCDEFGHIJKLMNOPQRSTUVWXYZ0' }, { data: { key: 'NRAK-ABCDEFGHIJKLMNOPQRSTUVWXYZ0' } });
+
+    const [file] = fs.readdirSync(dir);
+    const content = fs.readFileSync(path.join(dir, file), 'utf8');
+    expect(content).not.toContain('NRAK-');
+    expect(JSON.parse(content).responses).toEqual([{ data: { key: '[SCRUBBED]' } }]);
+  });
+
+  test('reports requests that were never recorded', () => {
+    const player = new Cassette({ dir, mode: 'replay' });
+    expect(() => player.replay(PROGRESS, { queryId: 'missing' })).toThrow(expect.objectContaining({ code: 'CASSETTE_MISS' }));
+  });
+
+  test('rejects unknown modes and missing directories', () => {
+    expect(() => new Cassette({ dir, mode: 'rewind' })).toThrow("Cassette mode must be one of record, replay (got 'rewind')");
+    expect(() => new Cassette({ dir: path.join(dir, 'none'), mode: 'replay' })).toThrow('does not exist');
+  });
+});
+
+describe('recorded discovery run', () => {
+  test('replays through the transport without touching the network', async () => {
+    const transport = createTransport({
+      apiKey: 'NRAK-TEST',
+      cassette: { mode: 'replay', dir: FIXTURES },
+      rateLimit: false,
+      retryAttempts: 0
+    });
+    const send = jest.spyOn(transport, 'send');
+
+    const eventTypes = await transport.request(EVENT_TYPES, { nrql: 'show event types since 1 day ago', accountId: 3630072 });
+    expect(eventTypes.actor.account.nrql.results.map(row => row.eventType)).toEqual(['KafkaBrokerSample', 'KafkaOffsetSample', 'Metric']);
+
+    // Recorded with a different timestamp literal and layout
+    const started = await transport.request(ASYNC_KEYSET, {
+      accountId: 3630072,
+      nrql: 'SELECT keyset()\nFROM KafkaOffsetSample\nWHERE timestamp > 1760000000000\nSINCE 1 day ago'
+    });
+    const { queryId } = started.actor.account.nrql.queryProgress;
+    expect(queryId).toBe('q-7f3a');
+
+    const polls = [];
+    for (let i = 0; i < 2; i++) {
+      polls.push((await transport.request(PROGRESS, { accountId: 3630072, queryId })).actor.account.nrqlQueryProgress);
+    }
+    expect(polls.map(poll => poll.queryProgress.completed)).toEqual([false, true]);
+    expect(polls[1].results[0].allKeys).toContain('consumer.lag');
+    expect(send).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,89 @@
+const { compareDashboards, diffDashboards } = require('../src/utils/dashboard-diff.js');
+
+const ACCOUNT_ID = 1234567;
+
+function widget(title, query, layout = { column: 1, row: 1, width: 4, height: 3 }, viz = 'viz.line') {
+  return {
+    title,
+    visualization: { id: viz },
+    layout,
+    rawConfiguration: { nrqlQueries: [{ accountIds: [ACCOUNT_ID], query }] }
+  };
+}
+
+function dashboard(pages) {
+  return {
+    name: 'Kafka',
+    permissions: 'PUBLIC_READ_WRITE',
+    pages: Object.entries(pages).map(([name, widgets]) => ({ name, widgets }))
+  };
+}
+
+const LAG = 'SELECT max(consumer.lag) FROM KafkaOffsetSample FACET consumerGroup TIMESERIES';
+const THROUGHPUT = 'SELECT sum(broker.bytesInPerSecond) FROM KafkaBrokerSample TIMESERIES';
+
+describe('compareDashboards', () => {
+  test('reports identical dashboards as identical', () => {
+    const a = dashboard({ Overview: [widget('Lag', LAG), widget('Throughput', THROUGHPUT, { column: 5, row: 1, width: 4, height: 3 })] });
+    const report = compareDashboards(a, JSON.parse(JSON.stringify(a)));
+    expect(report.identical).toBe(true);
+    expect(report.summary).toMatchObject({ added: 0, removed: 0, modified: 0, unchanged: 2 });
+  });
+
+  test('treats queries that only differ in formatting as the same', () => {
+    const a = dashboard({ Overview: [widget('Lag', LAG)] });
+    const b = dashboard({ Overview: [widget('Lag', 'select max(consumer.lag)\n  from KafkaOffsetSample  facet consumerGroup timeseries')] });
+    expect(compareDashboards(a, b).identical).toBe(true);
+  });
+
+  test('pairs a retitled widget with its original', () => {
+    const a = dashboard({ Overview: [widget('Lag', LAG)] });
+    const b = dashboard({ Overview: [widget('Consumer lag', LAG)] });
+    const [change] = compareDashboards(a, b).widgets;
+    expect(change.status).toBe('modified');
+    expect(change.changes).toEqual([{ field: 'title', before: 'Lag', after: 'Consumer lag' }]);
+  });
+
+  test('pairs a widget that was retitled and had its query edited', () => {
+    const a = dashboard({ Overview: [widget('Lag', LAG)] });
+    const b = dashboard({ Overview: [widget('Consumer lag', `${LAG} SINCE 1 hour ago`, { column: 1, row: 4, width: 4, height: 3 })] });
+    const report = compareDashboards(a, b);
+    expect(report.summary).toMatchObject({ added: 0, removed: 0, modified: 1, moved: 1 });
+
+    const [change] = report.widgets;
+    expect(change.changes.map(entry => entry.field)).toEqual(['title', 'query']);
+    expect(change.changes[1].clauses).toEqual([{ clause: 'since', type: 'add', after: 'SINCE 1 hour ago' }]);
+  });
+
+  test('pairs a rewritten widget by its position when title and query both changed', () => {
+    const a = dashboard({ Overview: [widget('Lag', LAG)] });
+    const b = dashboard({ Overview: [widget('Offsets behind', 'SELECT latest(consumer.totalLag) FROM KafkaOffsetSample WHERE topic = \'orders\' SINCE 30 minutes ago')] });
+    const report = compareDashboards(a, b);
+    expect(report.summary).toMatchObject({ added: 0, removed: 0, modified: 1 });
+    expect(report.widgets[0].moved).toBe(false);
+  });
+
+  test('follows a widget moved to another page', () => {
+    const a = dashboard({ Overview: [widget('Lag', LAG)], Consumers: [] });
+    const b = dashboard({ Overview: [], Consumers: [widget('Lag', LAG)] });
+    const [change] = compareDashboards(a, b).widgets;
+    expect(change).toMatchObject({ status: 'moved', moved: true, changes: [] });
+    expect(change.after.page).toBe('Consumers');
+  });
+
+  test('reports unrelated widgets in different places as removed and added', () => {
+    const a = dashboard({ Overview: [widget('Lag', LAG)] });
+    const b = dashboard({ Overview: [widget('Throughput', THROUGHPUT, { column: 5, row: 4, width: 4, height: 3 })] });
+    const report = compareDashboards(a, b);
+    expect(report.summary).toMatchObject({ added: 1, removed: 1, modified: 0 });
+  });
+});
+
+describe('diffDashboards', () => {
+  test('reports no changes for the same definition', () => {
+    const a = dashboard({ Overview: [widget('Lag', LAG)] });
+    const result = diffDashboards(a, JSON.parse(JSON.stringify(a)), { accountId: ACCOUNT_ID });
+    expect(result.identical).toBe(true);
+    expect(result.changes).toEqual([]);
+  });
+});
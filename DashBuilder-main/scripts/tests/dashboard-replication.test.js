@@ -0,0 +1,71 @@
+const { MockNerdGraphServer } = require('../../nerdgraph/mock-server.js');
+const { Config } = require('../src/core/config.js');
+const { DashboardService } = require('../src/services/dashboard.service.js');
+const { ValidationError } = require('../src/utils/errors.js');
+
+const SOURCE_ID = 1234567;
+const TARGET_ID = 7654321;
+
+const dashboard = {
+  name: 'Kafka',
+  permissions: 'PUBLIC_READ_WRITE',
+  pages: [{
+    name: 'Overview',
+    widgets: [{
+      title: 'Lag',
+      visualization: { id: 'viz.line' },
+      layout: { column: 1, row: 1, width: 6, height: 3 },
+      rawConfiguration: {
+        nrqlQueries: [{ accountIds: [SOURCE_ID], query: 'SELECT max(consumer.lag) FROM KafkaOffsetSample FACET consumerGroup TIMESERIES' }]
+      }
+    }]
+  }]
+};
+
+describe('DashboardService replication', () => {
+  let server;
+  let service;
+
+  beforeAll(async () => {
+    server = new MockNerdGraphServer();
+    const endpoint = await server.start();
+    const config = new Config({ apiKey: 'NRAK-TEST', accountId: String(SOURCE_ID), endpoint });
+    config.rateLimit = false;
+    service = new DashboardService(config);
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+  });
+
+  test('treats a matching schema as compatible', async () => {
+    service.schemaService.compareSchemas = async () => ({ onlyInA: [], onlyInB: [], common: ['consumer.lag', 'consumerGroup'], similarity: 1 });
+    const report = await service.checkReplicationCompatibility(dashboard, SOURCE_ID, TARGET_ID);
+    expect(report).toMatchObject({ compatible: true, brokenWidgets: [], unchecked: [] });
+    expect(report.eventTypes[0]).toMatchObject({ eventType: 'KafkaOffsetSample', checked: true, inTarget: true });
+  });
+
+  test('reports event types whose schemas could not be compared as unchecked', async () => {
+    service.schemaService.compareSchemas = async () => { throw new Error('NRQL query timed out'); };
+    const report = await service.checkReplicationCompatibility(dashboard, SOURCE_ID, TARGET_ID);
+    expect(report.compatible).toBe(false);
+    expect(report.brokenWidgets).toEqual([]);
+    expect(report.unchecked).toEqual([{ eventType: 'KafkaOffsetSample', error: 'NRQL query timed out' }]);
+    expect(report.eventTypes[0]).toMatchObject({ eventType: 'KafkaOffsetSample', checked: false });
+  });
+
+  test('refuses to replicate with unchecked event types unless forced', async () => {
+    service.schemaService.compareSchemas = async () => { throw new Error('NRQL query timed out'); };
+    await expect(service.replicateDashboard(dashboard, TARGET_ID))
+      .rejects.toThrow(new ValidationError(`1 event types could not be checked in account ${TARGET_ID}`));
+    expect(server.dashboards.size).toBe(0);
+
+    const result = await service.replicateDashboard(dashboard, TARGET_ID, { force: true, updateQueries: false });
+    expect(result.guid).toBeTruthy();
+    expect(server.dashboards.size).toBe(1);
+  });
+});
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockNerdGraphServer } = require('../../nerdgraph/mock-server.js');
+const { Config } = require('../src/core/config.js');
+const { DashboardSyncService, STATE_FILE } = require('../src/services/dashboard-sync.service.js');
+
+const ACCOUNT_ID = 1234567;
+
+function definition(name, query) {
+  return {
+    name,
+    permissions: 'PUBLIC_READ_WRITE',
+    pages: [{
+      name: 'Overview',
+      widgets: [{
+        title: 'Errors',
+        visualization: { id: 'viz.line' },
+        layout: { column: 1, row: 1, width: 6, height: 3 },
+        rawConfiguration: { nrqlQueries: [{ accountIds: [ACCOUNT_ID], query }] }
+      }]
+    }]
+  };
+}
+
+describe('DashboardSyncService', () => {
+  let server;
+  let dir;
+  let sync;
+
+  beforeAll(async () => {
+    server = new MockNerdGraphServer();
+    const endpoint = await server.start();
+    const config = new Config({ apiKey: 'NRAK-TEST', accountId: String(ACCOUNT_ID), endpoint });
+    config.rateLimit = false;
+    sync = new DashboardSyncService(config);
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dashboard-sync-'));
+    fs.writeFileSync(path.join(dir, 'errors.json'), JSON.stringify(definition('Sync Errors', 'SELECT count(*) FROM TransactionError TIMESERIES')));
+    fs.writeFileSync(path.join(dir, 'throughput.json'), JSON.stringify(definition('Sync Throughput', 'SELECT rate(count(*), 1 minute) FROM Transaction TIMESERIES')));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function readState() {
+    return JSON.parse(fs.readFileSync(path.join(dir, STATE_FILE), 'utf8'));
+  }
+
+  test('plans a create for definitions that were never applied', async () => {
+    const plan = await sync.plan(dir);
+    expect(plan.items.map(item => [item.key, item.action])).toEqual([['errors.json', 'create'], ['throughput.json', 'create']]);
+    expect(plan.summary).toEqual({ create: 2, update: 0, noop: 0 });
+    expect(fs.existsSync(path.join(dir, STATE_FILE))).toBe(false);
+  });
+
+  test('apply records the created GUIDs and a second plan is a noop', async () => {
+    const results = await sync.apply(await sync.plan(dir));
+    expect(results.every(result => result.success)).toBe(true);
+
+    const state = readState();
+    expect(state.version).toBe(1);
+    expect(Object.keys(state.dashboards)).toEqual(['errors.json', 'throughput.json']);
+    expect(state.dashboards['errors.json']).toMatchObject({ guid: results[0].guid, name: 'Sync Errors', accountId: ACCOUNT_ID });
+
+    const again = await sync.plan(dir);
+    expect(again.items.map(item => item.action)).toEqual(['noop', 'noop']);
+    expect(again.items.map(item => item.guid)).toEqual(results.map(result => result.guid));
+  });
+
+  test('plans an update when a tracked definition changes and applies it in place', async () => {
+    const [created] = await sync.apply(await sync.plan(dir));
+    fs.writeFileSync(path.join(dir, 'errors.json'), JSON.stringify(definition('Sync Errors', 'SELECT count(*) FROM TransactionError FACET appName TIMESERIES')));
+
+    const plan = await sync.plan(dir);
+    const item = plan.items.find(entry => entry.key === 'errors.json');
+    expect(item).toMatchObject({ action: 'update', guid: created.guid, adopted: false });
+    expect(item.changes.length).toBeGreaterThan(0);
+    expect(plan.summary).toEqual({ create: 0, update: 1, noop: 1 });
+
+    const results = await sync.apply(plan);
+    expect(results.find(result => result.key === 'errors.json')).toMatchObject({ action: 'update', guid: created.guid, success: true });
+    expect(server.dashboards.size).toBe(2);
+    expect((await sync.plan(dir)).summary).toEqual({ create: 0, update: 0, noop: 2 });
+  });
+
+  test('adopts an untracked dashboard with the same name instead of creating a copy', async () => {
+    const [created] = await sync.apply(await sync.plan(dir));
+    fs.rmSync(path.join(dir, STATE_FILE));
+
+    const plan = await sync.plan(dir);
+    expect(plan.items[0]).toMatchObject({ action: 'noop', guid: created.guid, adopted: true });
+  });
+});
@@ -0,0 +1,37 @@
+const { fitLagModel, predictLag } = require('../discovery-platform/lib/lag-forecaster.js');
+
+const HOUR_MS = 3600000;
+
+// A week of hourly lag growing by 200 an hour around a daily cycle of ±300,
+// with a little deterministic noise
+function growingLag(slope) {
+  return Array.from({ length: 24 * 7 }, (_, i) => ({
+    timestamp: Date.parse('2024-05-01T00:00:00Z') + i * HOUR_MS,
+    value: 1000 + slope * i + 300 * Math.sin(2 * Math.PI * i / 24) + ((i * 37) % 11 - 5) * 10
+  }));
+}
+
+describe('fitLagModel', () => {
+  test('finds the daily cycle under a steep trend', () => {
+    const model = fitLagModel(growingLag(200));
+    expect(model.period).toBe(24);
+    expect(model.slope).toBeCloseTo(200, 0);
+    expect(model.residualSigma).toBeLessThan(100);
+  });
+
+  test('forecasts the cycle on top of the trend', () => {
+    const points = growingLag(200);
+    const model = fitLagModel(points);
+    // Six hours after the last point is near a peak of the cycle
+    const expected = 1000 + 200 * (points.length + 5) + 300 * Math.sin(2 * Math.PI * (points.length + 5) / 24);
+    expect(Math.abs(predictLag(model, 6) - expected)).toBeLessThan(100);
+  });
+
+  test('finds the cycle without a trend', () => {
+    expect(fitLagModel(growingLag(0)).period).toBe(24);
+  });
+
+  test('needs enough points', () => {
+    expect(fitLagModel(growingLag(200).slice(0, 6))).toBeNull();
+  });
+});
@@ -0,0 +1,68 @@
+const { MockNerdGraphServer } = require('../../nerdgraph/mock-server.js');
+const { NerdGraphClient } = require('../src/core/api-client.js');
+
+const ACCOUNT_ID = 1234567;
+
+describe('NerdGraphClient against the mock server', () => {
+  let server;
+  let client;
+  let endpoint;
+
+  beforeAll(async () => {
+    server = new MockNerdGraphServer();
+    endpoint = await server.start();
+    client = new NerdGraphClient({ apiKey: 'NRAK-TEST', endpoint, rateLimit: false, retryAttempts: 0 });
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  async function post(body) {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  test('answers NRQL from the default fixtures', async () => {
+    const result = await client.nrql(ACCOUNT_ID, 'SELECT count(*) FROM Transaction SINCE 1 hour ago');
+    expect(result.results).toEqual([{ count: 18342 }]);
+    expect(result.metadata.eventTypes).toEqual(['Transaction']);
+  });
+
+  test('lists metric names for metric discovery', async () => {
+    const result = await client.nrql(ACCOUNT_ID, "SELECT count(*) FROM Metric WHERE metricName LIKE 'system.%' SINCE 1 day ago FACET metricName LIMIT 1000");
+    expect(result.results.map(row => row.facet)).toEqual(expect.arrayContaining(['system.cpu.utilization', 'system.memory.usage']));
+  });
+
+  test('reports event types with data', async () => {
+    const result = await client.nrql(ACCOUNT_ID, 'SELECT count(*) FROM KafkaBrokerSample, KafkaOffsetSample SINCE 1 day ago FACET eventType() LIMIT 2');
+    expect(result.results.map(row => row.facet)).toEqual(expect.arrayContaining(['KafkaBrokerSample', 'KafkaOffsetSample']));
+  });
+
+  test('creates dashboards in memory', async () => {
+    const created = await client.createDashboard(ACCOUNT_ID, {
+      name: 'Offline',
+      permissions: 'PUBLIC_READ_WRITE',
+      pages: [{ name: 'Page', widgets: [] }]
+    });
+    expect(created.guid).toBeTruthy();
+    expect((await client.getDashboard(created.guid)).name).toBe('Offline');
+  });
+
+  test('answers unreadable documents with GraphQL errors and keeps running', async () => {
+    const truncated = await post(JSON.stringify({ query: '{ actor { account(id: 1) { nrql(query: ' }));
+    expect(truncated.status).toBe(200);
+    expect(truncated.body).toEqual({ data: null, errors: [expect.objectContaining({ message: expect.stringContaining('Could not execute query') })] });
+
+    const empty = await post('null');
+    expect(empty.status).toBe(400);
+    expect(empty.body.errors[0].message).toBe('Request body must be a JSON object with a query string');
+
+    const result = await client.nrql(ACCOUNT_ID, 'SELECT count(*) FROM Transaction');
+    expect(result.results).toEqual([{ count: 18342 }]);
+  });
+});
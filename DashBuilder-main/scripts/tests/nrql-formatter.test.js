@@ -0,0 +1,116 @@
+const {
+  formatNRQL,
+  compactNRQL,
+  normalizeNRQL,
+  nrqlClauses,
+  formatNRQLDocument,
+  formatSourceQueries
+} = require('../src/utils/nrql-formatter.js');
+
+describe('formatNRQL', () => {
+  test('prints clauses in canonical order, one per line', () => {
+    expect(formatNRQL("from Log since 1 HOUR AGO select count(*) as 'Errors' where level='error' facet host limit 10")).toBe([
+      "SELECT count(*) AS 'Errors'",
+      'FROM Log',
+      "WHERE level = 'error'",
+      'FACET host',
+      'LIMIT 10',
+      'SINCE 1 hour ago'
+    ].join('\n'));
+  });
+
+  test('prints WITH definitions right after FROM', () => {
+    expect(formatNRQL("FROM Log WITH aparse(message, 'user=* ') AS (user) SELECT count(*) FACET user")).toBe([
+      'SELECT count(*)',
+      'FROM Log',
+      "WITH aparse(message, 'user=* ') AS (user)",
+      'FACET user'
+    ].join('\n'));
+    expect(compactNRQL('WITH numeric(size) AS bytes FROM Log SELECT sum(bytes)')).toBe(
+      'SELECT sum(bytes) FROM Log WITH numeric(size) AS bytes'
+    );
+  });
+
+  test('keeps inline comments with the clause they followed', () => {
+    const query = "-- top errors\nSELECT count(*) -- how many\nFROM Log WHERE msg LIKE '%timeout%' /* noisy */\nFACET host";
+    expect(formatNRQL(query)).toBe([
+      '-- top errors',
+      'SELECT count(*) -- how many',
+      'FROM Log',
+      "WHERE msg LIKE '%timeout%' /* noisy */",
+      'FACET host'
+    ].join('\n'));
+  });
+
+  test('turns line comments into block comments in compact form', () => {
+    expect(compactNRQL('SELECT count(*) -- how many\nFROM Log // all of it')).toBe(
+      'SELECT count(*) /* how many */ FROM Log /* all of it */'
+    );
+  });
+
+  test('keeps an explicit UNTIL NOW', () => {
+    expect(compactNRQL('SELECT count(*) FROM Log SINCE 1 day ago UNTIL NOW')).toBe(
+      'SELECT count(*) FROM Log SINCE 1 day ago UNTIL now'
+    );
+    expect(compactNRQL('SHOW EVENT TYPES SINCE 1 day ago UNTIL NOW')).toBe('SHOW EVENT TYPES SINCE 1 day ago UNTIL now');
+  });
+
+  test('escapes quotes the way the query did', () => {
+    expect(compactNRQL("SELECT count(*) AS 'Today''s' FROM Log WHERE msg = 'it''s'")).toBe(
+      "SELECT count(*) AS 'Today''s' FROM Log WHERE msg = 'it''s'"
+    );
+    expect(compactNRQL("SELECT count(*) FROM Log WHERE msg = 'it\\'s'")).toBe(
+      "SELECT count(*) FROM Log WHERE msg = 'it\\'s'"
+    );
+    expect(compactNRQL('SELECT count(*) FROM Log WHERE msg = "it\'s"')).toBe(
+      "SELECT count(*) FROM Log WHERE msg = 'it\\'s'"
+    );
+  });
+
+  test('is idempotent', () => {
+    const query = "FROM Log WITH aparse(url, '*/api/*') AS (path) SELECT count(*) -- calls\nWHERE a = 'x''y' SINCE 1 hour ago UNTIL NOW TIMESERIES";
+    const formatted = formatNRQL(query);
+    expect(formatNRQL(formatted)).toBe(formatted);
+    const compact = compactNRQL(query);
+    expect(compactNRQL(compact)).toBe(compact);
+  });
+});
+
+describe('normalizeNRQL', () => {
+  test('drops comments, UNTIL NOW and the escape style', () => {
+    const a = "SELECT count(*) -- total\nFROM Log WHERE msg = 'it''s' SINCE 1 hour ago UNTIL NOW";
+    const b = "select count(*) from Log where msg = 'it\\'s' since 60 minutes ago";
+    expect(normalizeNRQL(a)).toBe("SELECT count(*) FROM Log WHERE msg = 'it\\'s' SINCE 1 hour ago");
+    expect(normalizeNRQL(b)).toBe("SELECT count(*) FROM Log WHERE msg = 'it\\'s' SINCE 60 minutes ago");
+  });
+
+  test('nrqlClauses uses the normalized form', () => {
+    expect(nrqlClauses('SELECT count(*) FROM Log -- c\nSINCE 1 day ago UNTIL NOW').map(entry => entry.text)).toEqual([
+      'SELECT count(*)',
+      'FROM Log',
+      'SINCE 1 day ago'
+    ]);
+  });
+});
+
+describe('file formatting', () => {
+  test('formatNRQLDocument keeps headings and inline comments', () => {
+    const content = "# Errors\nselect count(*) from Log -- all hosts\nwhere level = 'error'\n\n-- by host\nSELECT count(*) FROM Log FACET host";
+    const result = formatNRQLDocument(content, { compact: true });
+    expect(result.content).toBe([
+      '# Errors',
+      "SELECT count(*) FROM Log /* all hosts */ WHERE level = 'error'",
+      '',
+      '-- by host',
+      'SELECT count(*) FROM Log FACET host'
+    ].join('\n'));
+    expect(result.changes).toHaveLength(1);
+    expect(result.errors).toEqual([]);
+  });
+
+  test('formatSourceQueries rewrites quoted NRQL in JavaScript', () => {
+    const content = "const q = 'select count(*) from Log where msg = \\'it\\'\\'s\\'';\n";
+    const result = formatSourceQueries(content);
+    expect(result.content).toBe("const q = 'SELECT count(*) FROM Log WHERE msg = \\'it\\'\\'s\\'';\n");
+  });
+});
@@ -0,0 +1,282 @@
+const {
+  TokenType,
+  tokenize,
+  parseNRQL,
+  tryParseNRQL,
+  nodeText,
+  getEventTypes,
+  getAttributes,
+  getFunctions,
+  getVariables,
+  isAggregateQuery,
+  flattenConditions,
+  getTimeWindowMilliseconds
+} = require('../src/utils/nrql-parser.js');
+const { NRQLSyntaxError } = require('../src/utils/errors.js');
+
+// The NRQLSyntaxError a query raises
+function syntaxError(query) {
+  try {
+    parseNRQL(query);
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`Expected a syntax error for: ${query}`);
+}
+
+describe('tokenize', () => {
+  test('skips whitespace and comments', () => {
+    const tokens = tokenize('SELECT -- line\n count(*) // more\n /* block */ FROM Log');
+    expect(tokens.map(token => token.value)).toEqual(['SELECT', 'count', '(', '*', ')', 'FROM', 'Log', null]);
+    expect(tokens[tokens.length - 1].type).toBe(TokenType.EOF);
+  });
+
+  test('records line and column of each token', () => {
+    const [select, , , , , from] = tokenize('SELECT count(*)\n  FROM Log');
+    expect(select).toMatchObject({ line: 1, column: 1, start: 0 });
+    expect(from).toMatchObject({ value: 'FROM', line: 2, column: 3 });
+  });
+
+  test('unescapes doubled and backslashed quotes but keeps other escapes', () => {
+    const strings = tokenize("'it''s' 'it\\'s' 'a\\.b'").filter(token => token.type === TokenType.STRING);
+    expect(strings.map(token => token.value)).toEqual(["it's", "it's", 'a\\.b']);
+  });
+
+  test('reads raw strings, quoted identifiers, numbers and variables', () => {
+    const tokens = tokenize("r'\\d+' `my attr` 1.5e3 .25 {{ account }}");
+    expect(tokens.slice(0, 5).map(token => [token.type, token.value])).toEqual([
+      [TokenType.STRING, '\\d+'],
+      [TokenType.QUOTED_IDENTIFIER, 'my attr'],
+      [TokenType.NUMBER, 1500],
+      [TokenType.NUMBER, 0.25],
+      [TokenType.VARIABLE, 'account']
+    ]);
+    expect(tokens[0].raw).toBe(true);
+  });
+
+  test('reports unterminated literals where they start', () => {
+    const error = (() => {
+      try {
+        tokenize("SELECT count(*)\nFROM Log WHERE name = 'open");
+      } catch (caught) {
+        return caught;
+      }
+      return null;
+    })();
+    expect(error).toBeInstanceOf(NRQLSyntaxError);
+    expect(error).toMatchObject({ reason: 'Unterminated string literal', line: 2, column: 23 });
+  });
+
+  test('rejects unknown characters and bad variable names', () => {
+    expect(() => tokenize('SELECT count(*) FROM Log WHERE a ; b')).toThrow("Unexpected character ';' at line 1, column 34");
+    expect(() => tokenize('FROM {{1x}}')).toThrow("Invalid template variable name '1x'");
+    expect(() => tokenize('SELECT /* open')).toThrow('Unterminated block comment');
+  });
+});
+
+describe('parseNRQL clauses', () => {
+  test('SELECT with aliases, wildcards and arithmetic', () => {
+    const ast = parseNRQL("SELECT count(*) AS 'Requests', average(duration) * 1000 AS ms, * FROM Transaction");
+    expect(ast.select.map(item => item.alias)).toEqual(['Requests', 'ms', null]);
+    expect(ast.select[0].expression).toMatchObject({ type: 'FunctionCall', name: 'count' });
+    expect(ast.select[1].expression).toMatchObject({ type: 'BinaryExpression', operator: '*' });
+    expect(ast.select[2].expression.type).toBe('Wildcard');
+  });
+
+  test('FROM event types, variables and nested queries', () => {
+    expect(parseNRQL('SELECT count(*) FROM Transaction, `Custom Event`').from).toMatchObject([
+      { type: 'EventType', name: 'Transaction', quoted: false },
+      { type: 'EventType', name: 'Custom Event', quoted: true }
+    ]);
+    expect(parseNRQL('SELECT count(*) FROM {{eventType}}').from[0]).toMatchObject({ type: 'Variable', name: 'eventType' });
+
+    const nested = parseNRQL('SELECT max(total) FROM (SELECT count(*) AS total FROM Log FACET host)');
+    expect(nested.from[0].type).toBe('Subquery');
+    expect(getEventTypes(nested)).toEqual(['Log']);
+  });
+
+  test('FROM may come before SELECT', () => {
+    const ast = parseNRQL('FROM Transaction SELECT count(*)');
+    expect(ast.from[0].name).toBe('Transaction');
+    expect(ast.select).toHaveLength(1);
+  });
+
+  test('JOIN with ON key and ON left = right', () => {
+    const ast = parseNRQL(
+      'FROM Transaction LEFT JOIN (FROM PageView SELECT count(*) FACET session) ON session SELECT count(*) ' +
+      'JOIN (FROM Span SELECT count(*) FACET traceId) ON traceId = id'
+    );
+    expect(ast.joins.map(join => join.joinType)).toEqual(['LEFT', 'INNER']);
+    expect(ast.joins[0].on).toMatchObject({ type: 'Identifier', name: 'session' });
+    expect(ast.joins[1].on).toMatchObject({ type: 'BinaryExpression', operator: '=' });
+  });
+
+  test('WHERE with logical, LIKE, IN, IS and NOT operators', () => {
+    const ast = parseNRQL(
+      "SELECT count(*) FROM Log WHERE level = 'error' AND (host LIKE 'web%' OR host NOT IN ('a', 'b')) " +
+      'AND trace IS NOT NULL AND NOT message RLIKE r\'.*timeout.*\' AND code <> 200'
+    );
+    const conditions = flattenConditions(ast.where);
+    expect(conditions.map(condition => condition.node.type)).toEqual([
+      'BinaryExpression', 'Group', 'IsExpression', 'UnaryExpression', 'BinaryExpression'
+    ]);
+    expect(conditions.map(condition => condition.operator)).toEqual(['AND', 'AND', 'AND', 'AND', null]);
+    expect(conditions[2].node).toMatchObject({ value: 'NULL', negated: true });
+    expect(conditions[4].node.operator).toBe('!=');
+
+    const group = conditions[1].node.expression;
+    expect(group.right).toMatchObject({ type: 'InExpression', negated: true });
+    expect(group.right.values.map(value => value.value)).toEqual(['a', 'b']);
+  });
+
+  test('WHERE IN subquery', () => {
+    const ast = parseNRQL('SELECT count(*) FROM Span WHERE traceId IN (SELECT traceId FROM Span WHERE error IS TRUE)');
+    expect(ast.where.subquery.type).toBe('Subquery');
+    expect(getAttributes(ast)).toEqual(['traceId']);
+  });
+
+  test('FACET items, aliases and cases()', () => {
+    const plain = parseNRQL('SELECT count(*) FROM Log FACET host, level AS severity');
+    expect(plain.facet.items.map(item => item.alias)).toEqual([null, 'severity']);
+    expect(plain.facet.cases).toBe(false);
+
+    const cases = parseNRQL("SELECT count(*) FROM Transaction FACET cases(WHERE duration < 1 AS 'fast', WHERE duration >= 1 AS 'slow')");
+    expect(cases.facet.cases).toBe(true);
+    expect(cases.facet.items[0].expression.args.map(arg => arg.alias)).toEqual(['fast', 'slow']);
+  });
+
+  test('ORDER BY with directions', () => {
+    const ast = parseNRQL('SELECT count(*) FROM Log FACET host ORDER BY count(*) DESC, host');
+    expect(ast.orderBy.map(item => item.direction)).toEqual(['DESC', null]);
+  });
+
+  test('SINCE and UNTIL time values', () => {
+    const values = [
+      ['3 hours ago', { type: 'RelativeTime', value: 3, unit: 'hour', ago: true }],
+      ['hour ago', { type: 'RelativeTime', value: 1, unit: 'hour', ago: true }],
+      ["'2024-01-01 00:00:00'", { type: 'AbsoluteTime', value: '2024-01-01 00:00:00' }],
+      ['1700000000000', { type: 'AbsoluteTime', value: 1700000000000 }],
+      ['TODAY', { type: 'NamedTime', name: 'TODAY' }],
+      ['last week', { type: 'NamedTime', name: 'LAST WEEK' }],
+      ['{{since}}', { type: 'Variable', name: 'since' }]
+    ];
+    values.forEach(([text, expected]) => {
+      expect(parseNRQL(`SELECT count(*) FROM Log SINCE ${text}`).since).toMatchObject(expected);
+    });
+
+    const ast = parseNRQL('SELECT count(*) FROM Log SINCE 2 days ago UNTIL 1 day ago');
+    expect(ast.until).toMatchObject({ type: 'RelativeTime', value: 1, unit: 'day' });
+    expect(getTimeWindowMilliseconds(ast)).toBe(24 * 60 * 60 * 1000);
+    expect(parseNRQL('SELECT count(*) FROM Log SINCE 1 hour ago UNTIL NOW').until).toMatchObject({ type: 'NamedTime', name: 'NOW' });
+  });
+
+  test('COMPARE WITH', () => {
+    const ast = parseNRQL('SELECT count(*) FROM Log SINCE 1 day ago COMPARE WITH 1 week ago');
+    expect(ast.compareWith).toMatchObject({ type: 'RelativeTime', value: 1, unit: 'week', ago: true });
+    expect(ast.options).toEqual([]);
+  });
+
+  test('TIMESERIES buckets and SLIDE BY', () => {
+    expect(parseNRQL('SELECT count(*) FROM Log TIMESERIES').timeseries).toMatchObject({ bucket: null, slideBy: null });
+    expect(parseNRQL('SELECT count(*) FROM Log TIMESERIES AUTO').timeseries.bucket).toMatchObject({ type: 'Keyword', value: 'AUTO' });
+    expect(parseNRQL('SELECT count(*) FROM Log TIMESERIES 5 minutes SLIDE BY 1 minute').timeseries).toMatchObject({
+      bucket: { type: 'Duration', value: 5, unit: 'minute' },
+      slideBy: { type: 'Duration', value: 1, unit: 'minute' }
+    });
+    expect(parseNRQL('SELECT count(*) FROM Log TIMESERIES hour SLIDE BY AUTO').timeseries).toMatchObject({
+      bucket: { value: 1, unit: 'hour' },
+      slideBy: { type: 'Keyword', value: 'AUTO' }
+    });
+  });
+
+  test('LIMIT, OFFSET and EXTRAPOLATE', () => {
+    const ast = parseNRQL('SELECT count(*) FROM Log FACET host LIMIT 20 OFFSET 40 EXTRAPOLATE');
+    expect(ast.limit).toMatchObject({ type: 'NumberLiteral', value: 20 });
+    expect(ast.offset).toMatchObject({ type: 'NumberLiteral', value: 40 });
+    expect(ast.extrapolate).toBe(true);
+    expect(parseNRQL('SELECT count(*) FROM Log FACET host LIMIT MAX').limit).toMatchObject({ type: 'Keyword', value: 'MAX' });
+    expect(parseNRQL('SELECT count(*) FROM Log FACET host LIMIT {{limit}}').limit).toMatchObject({ type: 'Variable', name: 'limit' });
+  });
+
+  test('leading WITH definitions', () => {
+    const ast = parseNRQL("WITH aparse(url, 'https://*/path/*') AS (domain, path), numeric(size) AS bytes FROM Log SELECT count(*) FACET domain");
+    expect(ast.with.map(definition => definition.aliases)).toEqual([['domain', 'path'], ['bytes']]);
+    expect(getAttributes(ast)).toEqual(['url', 'size']);
+  });
+
+  test('WITH definitions after FROM', () => {
+    const query = "FROM Log WITH aparse(url, 'https://*/path/*') AS (domain, path) SELECT count(*) FACET domain, path";
+    const ast = parseNRQL(query);
+    expect(ast.with).toHaveLength(1);
+    expect(ast.with[0].aliases).toEqual(['domain', 'path']);
+    expect(nodeText(ast.with[0], query)).toBe("aparse(url, 'https://*/path/*') AS (domain, path)");
+    expect(ast.options).toEqual([]);
+    expect(getAttributes(ast)).toEqual(['url']);
+  });
+
+  test('WITH options after other clauses', () => {
+    const ast = parseNRQL("FROM Log WITH numeric(size) AS bytes SELECT sum(bytes) SINCE today WITH TIMEZONE 'Europe/London'");
+    expect(ast.with[0].aliases).toEqual(['bytes']);
+    expect(ast.options).toMatchObject([{ type: 'WithOption', name: 'TIMEZONE', value: 'Europe/London' }]);
+  });
+
+  test('SHOW EVENT TYPES', () => {
+    const ast = parseNRQL('SHOW EVENT TYPES SINCE 1 week ago');
+    expect(ast).toMatchObject({ kind: 'SHOW', show: 'EVENT TYPES', since: { value: 1, unit: 'week' } });
+    expect(getEventTypes(ast)).toEqual([]);
+  });
+});
+
+describe('parseNRQL errors', () => {
+  test.each([
+    ['SELECT count(*)', 'Query is missing a FROM clause', 1, 16],
+    ['FROM Log', 'Query is missing a SELECT clause', 1, 9],
+    ['SELECT count(*) FROM Log SINCE 1 hour ago SINCE 2 hours ago', 'Duplicate SINCE clause', 1, 43],
+    ['SELECT count(*)\nFROM Log\nWHERE', 'Unexpected end of query; expected an expression', 3, 6],
+    ['SELECT count(*) FROM Log\n  FACET host LIMTI 10', "Unexpected 'LIMTI'; expected a clause keyword", 2, 14],
+    ['SELECT count(*) FROM Log TIMESERIES 5 parsecs', "Expected a time unit but found 'parsecs'", 1, 39],
+    ['SELECT count(*) FROM Log SINCE yesterday-ish', "Unexpected '-'; expected a clause keyword", 1, 41],
+    ['SELECT count(*) FROM Log WHERE a IS 5', 'Expected NULL, TRUE or FALSE after IS but found \'5\'', 1, 37],
+    ['SELECT count(*) FROM Log WHERE a NOT = 1', "Unexpected 'NOT'; expected a clause keyword", 1, 34],
+    ['SELECT count(* FROM Log', "Expected ')' but found 'FROM'", 1, 16],
+    ["FROM Log WITH aparse(url 'x') AS y SELECT count(*)", "Expected ')' but found string 'x'", 1, 26],
+    ['WITH a AS b FROM Log WITH c AS d SELECT count(*)', 'Duplicate WITH clause', 1, 22],
+    ['SELECT count(*) FROM SELECT', "Expected an event type but found 'SELECT'", 1, 22],
+    ['SELECT count(*) FROM Log WITH', 'Expected an option name after WITH but found end of query', 1, 30],
+    ['SELECT count(*) FROM Log SINCE today WITH TIMEZONE', "Expected a time zone such as 'Europe/London' after WITH TIMEZONE but found end of query", 1, 51]
+  ])('%s', (query, reason, line, column) => {
+    const error = syntaxError(query);
+    expect(error).toBeInstanceOf(NRQLSyntaxError);
+    expect(error.code).toBe('NRQL_SYNTAX_ERROR');
+    expect(error).toMatchObject({ reason, line, column, query });
+    expect(error.message).toBe(`${reason} at line ${line}, column ${column}`);
+  });
+
+  test('tryParseNRQL returns the error instead of throwing', () => {
+    const { ast, error } = tryParseNRQL('SELECT FROM Log');
+    expect(ast).toBeNull();
+    expect(error).toMatchObject({ name: 'NRQLSyntaxError', line: 1, column: 8 });
+    expect(tryParseNRQL('SELECT count(*) FROM Log').error).toBeNull();
+  });
+});
+
+describe('AST helpers', () => {
+  const query = "SELECT percentile(duration, 95), filter(count(*), WHERE error IS TRUE) FROM Transaction WHERE appName = {{app}} FACET host";
+  const ast = parseNRQL(query);
+
+  test('collects attributes, functions and variables', () => {
+    expect(getAttributes(ast)).toEqual(['duration', 'error', 'appName', 'host']);
+    expect(getFunctions(ast)).toEqual(['percentile', 'filter', 'count']);
+    expect(getVariables(ast)).toEqual(['app']);
+  });
+
+  test('detects aggregate queries', () => {
+    expect(isAggregateQuery(ast)).toBe(true);
+    expect(isAggregateQuery(parseNRQL('SELECT duration, host FROM Transaction'))).toBe(false);
+  });
+
+  test('nodeText returns the source of a node', () => {
+    expect(nodeText(ast.where, query)).toBe('appName = {{app}}');
+    expect(nodeText(ast.select[1].expression, query)).toBe('filter(count(*), WHERE error IS TRUE)');
+  });
+});
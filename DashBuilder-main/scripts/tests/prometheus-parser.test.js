@@ -0,0 +1,167 @@
+const { parsePrometheus, familySeries } = require('../src/utils/prometheus-parser.js');
+const { mapMetrics, otelMetricName } = require('../src/utils/metric-mapping.js');
+
+const SCRAPE = [
+  '# HELP http_requests_total Requests served, by \\\\ path\\nand code',
+  '# TYPE http_requests_total counter',
+  'http_requests_total{method="GET",code="200"} 1027 1395066363000',
+  'http_requests_total{method="POST",code="500"} 3 1395066363000',
+  '# TYPE http_request_duration_seconds histogram',
+  'http_request_duration_seconds_bucket{le="0.5"} 129389',
+  'http_request_duration_seconds_bucket{le="+Inf"} 144320',
+  'http_request_duration_seconds_bucket{le="0.05"} 24054',
+  'http_request_duration_seconds_sum 53423',
+  'http_request_duration_seconds_count 144320',
+  '# TYPE rpc_duration_seconds summary',
+  'rpc_duration_seconds{quantile="0.99"} 76656',
+  'rpc_duration_seconds{quantile="0.5"} 4773',
+  'rpc_duration_seconds_sum 1.7560473e+07',
+  'rpc_duration_seconds_count 2693',
+  '# A comment that is not HELP or TYPE',
+  'msdos_file_access_time_seconds{path="C:\\\\DIR\\\\FILE.TXT",error="Cannot find file:\\n\\"FILE.TXT\\""} 1.458255915e9',
+  'go_goroutines NaN',
+  ''
+].join('\n');
+
+function family(result, name) {
+  return result.families.find(entry => entry.name === name);
+}
+
+describe('parsePrometheus', () => {
+  const result = parsePrometheus(SCRAPE);
+
+  test('reads HELP and TYPE', () => {
+    expect(result.format).toBe('prometheus');
+    expect(result.errors).toEqual([]);
+    const requests = family(result, 'http_requests_total');
+    expect(requests.type).toBe('counter');
+    expect(requests.help).toBe('Requests served, by \\ path\nand code');
+    expect(family(result, 'go_goroutines').type).toBe('untyped');
+  });
+
+  test('keeps text format timestamps in milliseconds', () => {
+    expect(family(result, 'http_requests_total').samples.map(sample => sample.timestamp)).toEqual([1395066363000, 1395066363000]);
+    expect(family(result, 'go_goroutines').samples[0].timestamp).toBeNull();
+  });
+
+  test('turns OpenMetrics timestamps from seconds into milliseconds', () => {
+    const openMetrics = parsePrometheus('# TYPE jobs counter\n# UNIT jobs jobs\njobs_total 12 1395066363.25\n# EOF\n');
+    expect(openMetrics.format).toBe('openmetrics');
+    expect(family(openMetrics, 'jobs').unit).toBe('jobs');
+    expect(family(openMetrics, 'jobs').samples[0]).toMatchObject({ name: 'jobs_total', suffix: '_total', timestamp: 1395066363250 });
+  });
+
+  test('unescapes label values', () => {
+    const [sample] = family(result, 'msdos_file_access_time_seconds').samples;
+    expect(sample.labels).toEqual({ path: 'C:\\DIR\\FILE.TXT', error: 'Cannot find file:\n"FILE.TXT"' });
+    expect(sample.value).toBe(1458255915);
+  });
+
+  test('reads special values', () => {
+    expect(family(result, 'go_goroutines').samples[0].value).toBeNaN();
+    expect(parsePrometheus('up -Inf').families[0].samples[0].value).toBe(-Infinity);
+  });
+
+  test('groups a histogram into one series with sorted buckets', () => {
+    const histogram = family(result, 'http_request_duration_seconds');
+    expect(histogram.samples.map(sample => sample.suffix)).toEqual(['_bucket', '_bucket', '_bucket', '_sum', '_count']);
+    expect(familySeries(histogram)).toEqual([{
+      labels: {},
+      timestamp: null,
+      buckets: [{ le: 0.05, count: 24054 }, { le: 0.5, count: 129389 }, { le: Infinity, count: 144320 }],
+      sum: 53423,
+      count: 144320
+    }]);
+  });
+
+  test('groups a summary into one series with sorted quantiles', () => {
+    expect(familySeries(family(result, 'rpc_duration_seconds'))).toEqual([{
+      labels: {},
+      timestamp: null,
+      quantiles: [{ quantile: 0.5, value: 4773 }, { quantile: 0.99, value: 76656 }],
+      sum: 17560473,
+      count: 2693
+    }]);
+  });
+
+  test('keeps one series per label set', () => {
+    expect(familySeries(family(result, 'http_requests_total')).map(series => series.labels)).toEqual([
+      { method: 'GET', code: '200' },
+      { method: 'POST', code: '500' }
+    ]);
+  });
+
+  test.each([
+    ['foo toString', "Invalid value 'toString' at line 1, column 13"],
+    ['foo constructor', "Invalid value 'constructor' at line 1, column 16"],
+    ['foo{a="1" b="2"} 1', "Expected ',' or '}' in label set at line 1, column 11"],
+    ['foo{a="1",a="2"} 1', 'Duplicate label a at line 1, column 14'],
+    ['foo{a="1} 1', 'Unterminated label value at line 1, column 12'],
+    ['foo 1 later', "Invalid timestamp 'later' at line 1, column 12"],
+    ['foo', 'Missing sample value at line 1, column 4'],
+    ['# TYPE foo meter', "Unknown metric type 'meter' for foo at line 1, column 1"]
+  ])('rejects %j', (text, message) => {
+    expect(() => parsePrometheus(text)).toThrow(message);
+  });
+
+  test('collects errors and skips the line when not strict', () => {
+    const lenient = parsePrometheus('foo toString\nbar 1', { strict: false });
+    expect(lenient.errors).toEqual([{ line: 1, column: 13, message: "Invalid value 'toString'" }]);
+    expect(lenient.families.map(entry => entry.name)).toEqual(['bar']);
+  });
+
+  test('rejects a TYPE after the family samples', () => {
+    expect(() => parsePrometheus('foo 1\n# TYPE foo gauge')).toThrow('TYPE for foo after its samples at line 2');
+  });
+});
+
+describe('mapMetrics', () => {
+  const { families } = parsePrometheus(SCRAPE);
+  const byName = metrics => Object.fromEntries(metrics.map(metric => [metric.metricName, metric]));
+
+  test('predicts OpenTelemetry names, types and attributes by default', () => {
+    const metrics = byName(mapMetrics(families));
+    expect(Object.keys(metrics)).toEqual(['go.goroutines', 'http.request.duration', 'http.requests', 'msdos.file.access.time', 'rpc.duration']);
+    expect(metrics['http.requests']).toMatchObject({
+      type: 'count',
+      prometheusName: 'http_requests_total',
+      attributes: ['code', 'method'],
+      series: 2,
+      help: 'Requests served, by \\ path\nand code'
+    });
+    expect(metrics['http.request.duration']).toMatchObject({ type: 'distribution', attributes: [], series: 1 });
+    expect(metrics['rpc.duration']).toMatchObject({ type: 'summary', attributes: [] });
+    expect(metrics['rpc.duration'].notes[0]).toMatch(/quantiles are dropped/);
+  });
+
+  test('renames job and instance to the service attributes', () => {
+    const [metric] = mapMetrics(parsePrometheus('up{job="api",instance="10.0.0.1:9090",k8s_pod_name="api-1"} 1').families);
+    expect(metric.attributes).toEqual(['k8s.pod.name', 'service.instance.id', 'service.name']);
+  });
+
+  test('keeps each remote-write sample name, counting cumulative series', () => {
+    const metrics = byName(mapMetrics(families, { source: 'remote-write' }));
+    expect(metrics.http_request_duration_seconds_bucket).toMatchObject({ type: 'count', prometheusName: 'http_request_duration_seconds' });
+    expect(metrics.http_request_duration_seconds_bucket.attributes).toContain('le');
+    expect(metrics.http_request_duration_seconds_bucket.notes).toEqual(['Histogram buckets: query with bucketPercentile(http_request_duration_seconds_bucket, 95)']);
+    expect(metrics.rpc_duration_seconds).toMatchObject({ type: 'gauge', attributes: expect.arrayContaining(['quantile', 'prometheus_server']) });
+    expect(metrics.http_requests_total.type).toBe('count');
+  });
+
+  test('maps every nri-flex sample to a gauge with the custom attributes', () => {
+    const metrics = byName(mapMetrics(families, { source: 'nri-flex', attributes: { team: 'payments' } }));
+    expect(metrics.http_requests_total).toMatchObject({ type: 'gauge', attributes: ['code', 'method', 'team'] });
+    expect(metrics.http_requests_total.notes).toEqual(['Cumulative value: use latest() or derivative(), not sum()']);
+    expect(metrics.go_goroutines.notes).toEqual([]);
+  });
+
+  test('rejects unknown sources', () => {
+    expect(() => mapMetrics(families, { source: 'statsd' })).toThrow("Unknown metric source 'statsd'");
+  });
+
+  test('otelMetricName strips unit and _total suffixes', () => {
+    expect(otelMetricName({ name: 'system_cpu_load_average_15m', unit: null })).toBe('system.cpu.load_average.15m');
+    expect(otelMetricName({ name: 'process_memory_usage_bytes', unit: null })).toBe('process.memory.usage');
+    expect(otelMetricName({ name: 'system_cpu_time_seconds_total', unit: null })).toBe('system.cpu.time');
+  });
+});
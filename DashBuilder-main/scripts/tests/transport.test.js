@@ -0,0 +1,39 @@
+const { createTransport } = require('../src/core/transport.js');
+
+const QUERY = '{ actor { user { name } } }';
+
+// A fetch that never answers, but rejects with the abort reason like fetch does
+function hangingFetch() {
+  return jest.fn((url, init) => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(init.signal.reason), { once: true });
+  }));
+}
+
+describe('request cancellation', () => {
+  const realFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  test('options.signal aborts a request in flight without retrying it', async () => {
+    global.fetch = hangingFetch();
+    const transport = createTransport({ apiKey: 'NRAK-TEST', rateLimit: false, retryAttempts: 3, retryDelay: 1 });
+    const controller = new AbortController();
+
+    const request = transport.request(QUERY, {}, { signal: controller.signal });
+    controller.abort(new Error('Job cancelled'));
+
+    await expect(request).rejects.toThrow('Job cancelled');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('the timeout still applies alongside a signal', async () => {
+    global.fetch = hangingFetch();
+    const transport = createTransport({ apiKey: 'NRAK-TEST', rateLimit: false, retryAttempts: 0 });
+
+    const request = transport.request(QUERY, {}, { signal: new AbortController().signal, timeout: 20 });
+
+    await expect(request).rejects.toThrow(expect.objectContaining({ name: 'TimeoutError' }));
+  });
+});
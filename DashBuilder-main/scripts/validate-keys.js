@@ -1,10 +1,14 @@
 const https = require('https');
 require('dotenv').config({ path: '../.env' });
 
+const EU = (process.env.NEW_RELIC_REGION || 'US').toUpperCase() === 'EU';
+const REST_HOST = EU ? 'api.eu.newrelic.com' : 'api.newrelic.com';
+const INSIGHTS_HOST = EU ? 'insights-api.eu.newrelic.com' : 'insights-api.newrelic.com';
+
 function testKey(keyName, keyValue, endpoint) {
   return new Promise((resolve) => {
     const options = {
-      hostname: 'api.newrelic.com',
+      hostname: REST_HOST,
       path: endpoint,
       method: 'GET',
       headers: {
@@ -67,7 +71,7 @@ async function validateKeys() {
   
   const nrqlQuery = encodeURIComponent("SELECT count(*) FROM Transaction SINCE 1 minute ago");
   const nrqlOptions = {
-    hostname: 'insights-api.newrelic.com',
+    hostname: INSIGHTS_HOST,
     path: `/v1/accounts/${accountId}/query?nrql=${nrqlQuery}`,
     method: 'GET',
     headers: {
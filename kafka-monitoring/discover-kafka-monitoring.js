@@ -8,6 +8,7 @@
 const dotenv = require('dotenv');
 const path = require('path');
 const fs = require('fs');
+const { createTransport } = require('nr-guardian/src/core/transport.js');
 
 // Load environment variables
 dotenv.config({ path: path.join(__dirname, '..', '.env') });
@@ -15,6 +16,10 @@ dotenv.config({ path: path.join(__dirname, '..', '.env') });
 const apiKey = process.env.NEW_RELIC_API_KEY || process.env.UKEY || process.env.IKEY;
 const accountId = process.env.NEW_RELIC_ACCOUNT_ID || process.env.ACC || '3630072';
 
+// The shared NerdGraph transport picks the endpoint from NEW_RELIC_REGION or
+// NEW_RELIC_NERDGRAPH_URL and adds retries, rate limiting and cassettes
+const transport = createTransport({ apiKey });
+
 // Core NRQL queries to verify Kafka monitoring
 const verificationQueries = {
   // Mechanism 1: nri-kafka (Traditional Kafka Metrics)
@@ -133,33 +138,22 @@ const verificationQueries = {
 };
 
 async function runNRQL(query) {
-  const response = await fetch(`https://api.newrelic.com/graphql`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'API-Key': apiKey
-    },
-    body: JSON.stringify({
-      query: `
-        query($accountId: Int!, $nrql: Nrql!) {
-          actor {
-            account(id: $accountId) {
-              nrql(query: $nrql) {
-                results
-              }
-            }
+  const data = await transport.request(`
+    query($accountId: Int!, $nrql: Nrql!) {
+      actor {
+        account(id: $accountId) {
+          nrql(query: $nrql) {
+            results
           }
         }
-      `,
-      variables: {
-        accountId: parseInt(accountId),
-        nrql: query.trim()
       }
-    })
+    }
+  `, {
+    accountId: parseInt(accountId),
+    nrql: query.trim()
   });
 
-  const data = await response.json();
-  return data?.data?.actor?.account?.nrql?.results || null;
+  return data?.actor?.account?.nrql?.results || null;
 }
 
 async function discoverKafkaMonitoring() {
@@ -222,9 +216,6 @@ async function discoverKafkaMonitoring() {
           error: error.message
         };
       }
-      
-      // Small delay to avoid rate limits
-      await new Promise(resolve => setTimeout(resolve, 500));
     }
   }
   
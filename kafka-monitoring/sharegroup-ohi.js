@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+
+/**
+ * Kafka Share Group Custom Integration
+ * Scrapes the broker's Prometheus endpoint for KIP-932 share group metrics and
+ * prints New Relic Infrastructure SDK v3 JSON with one QueueSample per group,
+ * topic and partition plus one per group and topic, for the Queues & Streams UI.
+ *
+ * Usage:
+ *   node sharegroup-ohi.js [--endpoint http://kafka-0.kafka:9404/metrics] [--file scrape.txt] [--pretty]
+ */
+
+const fs = require('fs');
+const { parsePrometheus, familySeries } = require('nr-guardian/src/utils/prometheus-parser.js');
+
+const config = {
+  endpoint: process.env.PROMETHEUS_ENDPOINT || 'http://kafka-0.kafka:9404/metrics',
+  entityName: process.env.OHI_ENTITY_NAME || 'kafka-sharegroup-ohi',
+  integrationName: 'com.newrelic.kafka-sharegroup',
+  integrationVersion: process.env.OHI_INTEGRATION_VERSION || '1.0.0',
+  protocolVersion: process.env.OHI_PROTOCOL_VERSION || '3',
+  clusterName: process.env.CLUSTER_NAME || process.env.KAFKA_CLUSTER_NAME || 'kafka-k8s-cluster',
+  timeout: parseInt(process.env.PROMETHEUS_TIMEOUT_MS || '10000', 10)
+};
+
+// Share group metrics the JMX exporter exposes, by the field they fill.
+// Counters may carry the _total suffix newer exporters add.
+const SHARE_GROUP_METRICS = {
+  unacked: 'kafka_sharegroup_records_unacked',
+  acknowledged: 'kafka_sharegroup_records_acknowledged',
+  released: 'kafka_sharegroup_records_released',
+  rejected: 'kafka_sharegroup_records_rejected',
+  oldestUnackedMs: 'kafka_sharegroup_oldest_unacked_ms'
+};
+
+/**
+ * Collect share group figures per group, topic and partition from metric
+ * families parsed with parsePrometheus. Returns [{ group, topic, partition,
+ * unacked, acknowledged, released, rejected, oldestUnackedMs }] sorted by
+ * group, topic and partition.
+ */
+function collectPartitions(families) {
+  const partitions = new Map();
+  const byName = new Map(families.map(family => [family.name, family]));
+
+  for (const [field, name] of Object.entries(SHARE_GROUP_METRICS)) {
+    // Untyped counters keep their _total name as the family name
+    const series = [byName.get(name), byName.get(`${name}_total`)]
+      .filter(Boolean)
+      .flatMap(familySeries);
+    for (const { labels, value } of series) {
+      if (!labels.group || !labels.topic || labels.partition === undefined) continue;
+      if (!Number.isFinite(value)) continue;
+
+      const key = `${labels.group}\u0000${labels.topic}\u0000${labels.partition}`;
+      if (!partitions.has(key)) {
+        partitions.set(key, {
+          group: labels.group,
+          topic: labels.topic,
+          partition: labels.partition,
+          unacked: 0,
+          acknowledged: 0,
+          released: 0,
+          rejected: 0,
+          oldestUnackedMs: 0
+        });
+      }
+      partitions.get(key)[field] = value;
+    }
+  }
+
+  return [...partitions.values()].sort((a, b) =>
+    a.group.localeCompare(b.group) ||
+    a.topic.localeCompare(b.topic) ||
+    Number(a.partition) - Number(b.partition)
+  );
+}
+
+function partitionSample(partition, options) {
+  const { group, topic } = partition;
+  return {
+    eventType: 'QueueSample',
+    timestamp: options.timestamp,
+    provider: 'kafka',
+    'queue.name': `${topic}-${partition.partition}`,
+    entityName: `kafka:sharegroup:${group}:${topic}:${partition.partition}`,
+    'share.group.name': group,
+    'topic.name': topic,
+    'partition.id': parseInt(partition.partition, 10),
+    'queue.size': partition.unacked,
+    'oldest.message.age.seconds': partition.oldestUnackedMs / 1000,
+    'messages.received': partition.acknowledged + partition.unacked,
+    'messages.acknowledged': partition.acknowledged,
+    'messages.released': partition.released,
+    'messages.rejected': partition.rejected,
+    'cluster.name': options.clusterName,
+    'integration.name': options.entityName,
+    'integration.version': options.integrationVersion
+  };
+}
+
+// Roll partition samples up to one sample per group and topic
+function topicSamples(samples, options) {
+  const topics = new Map();
+
+  for (const sample of samples) {
+    const group = sample['share.group.name'];
+    const topic = sample['topic.name'];
+    const key = `${group}\u0000${topic}`;
+    if (!topics.has(key)) {
+      topics.set(key, {
+        eventType: 'QueueSample',
+        timestamp: options.timestamp,
+        provider: 'kafka',
+        'queue.name': topic,
+        entityName: `kafka:sharegroup:${group}:${topic}`,
+        'share.group.name': group,
+        'topic.name': topic,
+        'queue.size': 0,
+        'oldest.message.age.seconds': 0,
+        'messages.received': 0,
+        'messages.acknowledged': 0,
+        'messages.released': 0,
+        'messages.rejected': 0,
+        'partition.count': 0,
+        'cluster.name': options.clusterName,
+        'integration.name': options.entityName,
+        'integration.version': options.integrationVersion
+      });
+    }
+
+    const aggregate = topics.get(key);
+    ['queue.size', 'messages.received', 'messages.acknowledged', 'messages.released', 'messages.rejected']
+      .forEach(attribute => { aggregate[attribute] += sample[attribute]; });
+    aggregate['oldest.message.age.seconds'] = Math.max(
+      aggregate['oldest.message.age.seconds'],
+      sample['oldest.message.age.seconds']
+    );
+    aggregate['partition.count']++;
+  }
+
+  return [...topics.values()];
+}
+
+function integrationPayload(options, metrics, inventory, events) {
+  return {
+    name: options.integrationName,
+    protocol_version: options.protocolVersion,
+    integration_version: options.integrationVersion,
+    data: [{
+      entity: {
+        name: options.entityName,
+        type: 'kafka-sharegroup',
+        id_attributes: [{ key: 'cluster', value: options.clusterName }]
+      },
+      metrics,
+      inventory,
+      events
+    }]
+  };
+}
+
+/**
+ * Convert a Prometheus scrape into the SDK v3 payload. options override the
+ * environment configuration. Set options.timestamp (seconds, default now) for
+ * stable output from a saved scrape.
+ */
+function convertScrape(text, options = {}) {
+  const settings = {
+    ...config,
+    timestamp: Math.floor(Date.now() / 1000),
+    ...options
+  };
+
+  // Malformed lines are skipped rather than failing the whole scrape
+  const { families } = parsePrometheus(text, { strict: false });
+  const partitions = collectPartitions(families);
+  const samples = partitions.map(partition => partitionSample(partition, settings));
+  const groups = [...new Set(partitions.map(partition => partition.group))];
+
+  return integrationPayload(
+    settings,
+    [...samples, ...topicSamples(samples, settings)],
+    { sharegroups: { count: groups.length, groups: groups.join(',') } },
+    []
+  );
+}
+
+// Payload reporting a failed scrape, so the failure shows up in New Relic
+function errorPayload(error, options = {}) {
+  const settings = { ...config, timestamp: Math.floor(Date.now() / 1000), ...options };
+  return integrationPayload(settings, [], {}, [{
+    eventType: 'IntegrationError',
+    summary: error.message,
+    category: 'kafka-sharegroup',
+    timestamp: settings.timestamp
+  }]);
+}
+
+async function scrape(endpoint, timeout = config.timeout) {
+  const response = await fetch(endpoint, { signal: AbortSignal.timeout(timeout) });
+  if (!response.ok) {
+    throw new Error(`${endpoint} returned HTTP ${response.status}`);
+  }
+  return response.text();
+}
+
+function parseArgs(argv) {
+  const options = { endpoint: config.endpoint, file: null, pretty: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--endpoint') options.endpoint = argv[++i];
+    else if (argv[i] === '--file') options.file = argv[++i];
+    else if (argv[i] === '--pretty') options.pretty = true;
+  }
+  return options;
+}
+
+// Main execution
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const print = payload => console.log(JSON.stringify(payload, null, args.pretty ? 2 : 0));
+
+  Promise.resolve()
+    .then(() => (args.file ? fs.readFileSync(args.file, 'utf8') : scrape(args.endpoint)))
+    .then(text => print(convertScrape(text)))
+    .catch(error => {
+      print(errorPayload(error));
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  SHARE_GROUP_METRICS,
+  collectPartitions,
+  convertScrape,
+  errorPayload
+};
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { parsePrometheus } = require('nr-guardian/src/utils/prometheus-parser.js');
+const { collectPartitions, convertScrape, errorPayload } = require('../sharegroup-ohi.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const TIMESTAMP = 1715176800;
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+function families(name) {
+  return parsePrometheus(fixture(name), { strict: false }).families;
+}
+
+describe('collectPartitions', () => {
+  test('joins the share group metrics of each partition', () => {
+    const partitions = collectPartitions(families('sharegroup-scrape.txt'));
+    expect(partitions.map(({ group, topic, partition }) => `${group}/${topic}/${partition}`)).toEqual([
+      'audit "eu"/payments/0',
+      'orders-processors/orders/0',
+      'orders-processors/orders/1',
+      'orders-processors/orders/10'
+    ]);
+    expect(partitions[1]).toEqual({
+      group: 'orders-processors',
+      topic: 'orders',
+      partition: '0',
+      unacked: 120,
+      acknowledged: 10000,
+      released: 12,
+      rejected: 2,
+      oldestUnackedMs: 4500
+    });
+  });
+
+  test('leaves missing and non-finite figures at zero', () => {
+    const partitions = collectPartitions(families('sharegroup-scrape.txt'));
+    expect(partitions[3]).toMatchObject({ partition: '10', unacked: 5, released: 0, rejected: 0, oldestUnackedMs: 0 });
+  });
+
+  test('reads untyped counters under their _total names', () => {
+    expect(collectPartitions(families('sharegroup-scrape-untyped.txt'))).toEqual([{
+      group: 'billing',
+      topic: 'invoices',
+      partition: '0',
+      unacked: 7,
+      acknowledged: 300,
+      released: 0,
+      rejected: 0,
+      oldestUnackedMs: 250
+    }]);
+  });
+
+  test('ignores series without group, topic and partition labels', () => {
+    expect(collectPartitions(parsePrometheus('kafka_sharegroup_records_unacked{group="a",topic="t"} 3').families)).toEqual([]);
+  });
+});
+
+describe('convertScrape', () => {
+  const options = { timestamp: TIMESTAMP, clusterName: 'kafka-test', entityName: 'sharegroup-test', integrationVersion: '1.0.0' };
+
+  test('reports one QueueSample per partition and one per group and topic', () => {
+    const payload = convertScrape(fixture('sharegroup-scrape.txt'), options);
+    expect(payload).toMatchObject({ name: 'com.newrelic.kafka-sharegroup', protocol_version: '3' });
+
+    const [entity] = payload.data;
+    expect(entity.entity).toEqual({
+      name: 'sharegroup-test',
+      type: 'kafka-sharegroup',
+      id_attributes: [{ key: 'cluster', value: 'kafka-test' }]
+    });
+    expect(entity.inventory).toEqual({ sharegroups: { count: 2, groups: 'audit "eu",orders-processors' } });
+    expect(entity.events).toEqual([]);
+    expect(entity.metrics.map(sample => sample.entityName)).toEqual([
+      'kafka:sharegroup:audit "eu":payments:0',
+      'kafka:sharegroup:orders-processors:orders:0',
+      'kafka:sharegroup:orders-processors:orders:1',
+      'kafka:sharegroup:orders-processors:orders:10',
+      'kafka:sharegroup:audit "eu":payments',
+      'kafka:sharegroup:orders-processors:orders'
+    ]);
+  });
+
+  test('fills the partition sample from the share group figures', () => {
+    const [, partition] = convertScrape(fixture('sharegroup-scrape.txt'), options).data[0].metrics;
+    expect(partition).toEqual({
+      eventType: 'QueueSample',
+      timestamp: TIMESTAMP,
+      provider: 'kafka',
+      'queue.name': 'orders-0',
+      entityName: 'kafka:sharegroup:orders-processors:orders:0',
+      'share.group.name': 'orders-processors',
+      'topic.name': 'orders',
+      'partition.id': 0,
+      'queue.size': 120,
+      'oldest.message.age.seconds': 4.5,
+      'messages.received': 10120,
+      'messages.acknowledged': 10000,
+      'messages.released': 12,
+      'messages.rejected': 2,
+      'cluster.name': 'kafka-test',
+      'integration.name': 'sharegroup-test',
+      'integration.version': '1.0.0'
+    });
+  });
+
+  test('rolls partitions up per group and topic', () => {
+    const topic = convertScrape(fixture('sharegroup-scrape.txt'), options).data[0].metrics
+      .find(sample => sample.entityName === 'kafka:sharegroup:orders-processors:orders');
+    expect(topic).toMatchObject({
+      'queue.name': 'orders',
+      'queue.size': 205,
+      'oldest.message.age.seconds': 12,
+      'messages.received': 20405,
+      'messages.acknowledged': 20200,
+      'messages.released': 15,
+      'messages.rejected': 2,
+      'partition.count': 3
+    });
+    expect(topic['partition.id']).toBeUndefined();
+  });
+
+  test('skips malformed lines instead of failing the scrape', () => {
+    const { metrics } = convertScrape(fixture('sharegroup-scrape-untyped.txt'), options).data[0];
+    expect(metrics).toHaveLength(2);
+    expect(metrics[0]).toMatchObject({ 'queue.size': 7, 'messages.rejected': 0 });
+  });
+
+  test('reports an empty scrape with no samples', () => {
+    expect(convertScrape('', options).data[0]).toMatchObject({
+      metrics: [],
+      inventory: { sharegroups: { count: 0, groups: '' } }
+    });
+  });
+});
+
+describe('errorPayload', () => {
+  test('reports the failure as an IntegrationError event', () => {
+    const payload = errorPayload(new Error('http://kafka-0.kafka:9404/metrics returned HTTP 503'), {
+      timestamp: TIMESTAMP,
+      clusterName: 'kafka-test',
+      entityName: 'sharegroup-test'
+    });
+    expect(payload.data).toEqual([{
+      entity: {
+        name: 'sharegroup-test',
+        type: 'kafka-sharegroup',
+        id_attributes: [{ key: 'cluster', value: 'kafka-test' }]
+      },
+      metrics: [],
+      inventory: {},
+      events: [{
+        eventType: 'IntegrationError',
+        summary: 'http://kafka-0.kafka:9404/metrics returned HTTP 503',
+        category: 'kafka-sharegroup',
+        timestamp: TIMESTAMP
+      }]
+    }]);
+  });
+});